@@ -3,14 +3,7 @@
  * Finds optimal team allocations for 3 DA bosses
  */
 
-import { 
-    getTeams, 
-    sortTeamByRole, 
-    getTeamLabel,
-    extendTeamsWithUniversalUnits,
-    findExclusiveCombinations 
-} from './lib/team-builder.js';
-import { scoreTeamForBoss } from './lib/team-scorer.js';
+import { sortTeamByRole, getTeamLabel, describeJoin } from './lib/team-builder.js';
 import { 
     decodeRoster, 
     getRosterFromUrl, 
@@ -20,6 +13,8 @@ import {
     copyToClipboard 
 } from './lib/roster-share.js';
 import { addLongPressListener } from './lib/touch-utils.js';
+import { runTask } from './lib/worker-client.js';
+import { initRuleSetPicker } from './lib/rule-set-picker.js';
 
 // ============================================================================
 // CONSTANTS
@@ -40,6 +35,9 @@ let allBosses = [];
 let characterImages = {};
 let bossImages = {};
 
+// Returns the scoring rule set in use (default or a loaded rule file)
+let getScoringRules = null;
+
 // Unit states: { unitId: { owned: boolean, excluded: boolean, universal: boolean } }
 let unitStates = {};
 
@@ -72,6 +70,7 @@ async function loadData() {
         allBosses = await bossesResponse.json();
         characterImages = await imagesResponse.json();
         bossImages = await bossImagesResponse.json();
+        getScoringRules = initRuleSetPicker();
         
         initializeUnitStates();
         loadFromStorage();
@@ -725,7 +724,7 @@ function getUniversalUnits() {
 }
 
 
-function runOptimization() {
+async function runOptimization() {
     // Validate
     const errors = validate();
     if (errors.length > 0) {
@@ -739,168 +738,25 @@ function runOptimization() {
     btn.disabled = true;
     btn.textContent = 'CALCULATING...';
     
-    // Run in next tick for UI update
-    setTimeout(() => {
-        try {
-            const results = calculateOptimalTeams();
-            displayResults(results);
-        } catch (error) {
-            console.error('Optimization failed:', error);
-            showError('Failed to calculate optimal teams. Try adjusting your selections.');
-        } finally {
-            btn.disabled = false;
-            btn.textContent = 'Find Optimal Teams';
-        }
-    }, 50);
-}
-
-function calculateOptimalTeams() {
-    const availableUnits = getAvailableUnits();
-    const universalUnitNames = getUniversalUnits();
-    const selectedBossObjects = selectedBosses.map(id => allBosses.find(b => b.id === id));
-    const selectedBossNames = selectedBossObjects.map(b => b.name);
-    
-    // DEBUG: Log available units
-    console.group('🎮 Deadly Assault Debug Info');
-    console.log('📋 Available Units:', availableUnits.length);
-    console.table(availableUnits.map(u => ({
-        name: u.name,
-        tier: u.tier,
-        tags: u.tags.join(', '),
-        synergy: u.synergy ? JSON.stringify(u.synergy) : 'none'
-    })));
-    console.log('🌟 Universal Units:', universalUnitNames);
-    console.log('👹 Selected Bosses:', selectedBossObjects.map(b => b.name));
-    
-    // Generate all valid teams
-    const allTeams = getTeams(availableUnits);
-    
-    // Separate 2-person and 3-person teams
-    const twoCharTeams = {};
-    const threeCharTeams = {};
-    for (const label in allTeams) {
-        const team = allTeams[label];
-        if (team.length === 2) {
-            twoCharTeams[label] = team;
-        } else if (team.length === 3) {
-            threeCharTeams[label] = team;
-        }
-    }
-    
-    // DEBUG: Log team counts before extension
-    console.log('🔢 Teams before universal extension:');
-    console.log(`   2-person teams: ${Object.keys(twoCharTeams).length}`);
-    console.log(`   3-person teams: ${Object.keys(threeCharTeams).length}`);
-    
-    // Extend 2-person teams with universal units
-    const universalUnitObjects = availableUnits.filter(u => universalUnitNames.includes(u.name));
-    if (universalUnitObjects.length > 0) {
-        extendTeamsWithUniversalUnits(twoCharTeams, threeCharTeams, universalUnitObjects);
-    }
-    
-    const teamLabels = Object.keys(threeCharTeams);
-    
-    // DEBUG: Log team counts after extension
-    console.log('🔢 Teams after universal extension:');
-    console.log(`   3-person teams: ${teamLabels.length}`);
-    console.log('📝 All 3-person team labels:', teamLabels);
-    
-    // Score teams for each boss
-    const viableTeamsByBoss = {};
-    
-    for (const boss of selectedBossObjects) {
-        viableTeamsByBoss[boss.name] = [];
-        
-        // DEBUG: Log boss info
-        console.group(`👹 Scoring teams for: ${boss.name}`);
-        console.log('   Weaknesses:', boss.weaknesses);
-        console.log('   Resistances:', boss.resistances);
-        console.log('   Shill:', boss.shill || 'none');
-        console.log('   Anti:', boss.anti || 'none');
-        
-        const disqualifiedTeams = [];
-        
-        // First pass: normal scoring
-        for (const label of teamLabels) {
-            const team = threeCharTeams[label];
-            const score = scoreTeamForBoss(team, boss);
-            
-            if (score > 0) {
-                viableTeamsByBoss[boss.name].push({ label, team, score });
-            } else {
-                disqualifiedTeams.push({ label, score, team });
-            }
-        }
-        
-        // DEBUG: Log scoring results
-        console.log(`   ✅ Viable teams: ${viableTeamsByBoss[boss.name].length}`);
-        console.log(`   ❌ Disqualified teams: ${disqualifiedTeams.length}`);
-        
-        // DEBUG: Run detailed debug on first few disqualified teams to understand why
-        if (disqualifiedTeams.length > 0 && viableTeamsByBoss[boss.name].length === 0) {
-            console.log('   🔍 Debugging disqualified teams:');
-            for (const dt of disqualifiedTeams.slice(0, 5)) {
-                const debugResult = scoreTeamForBoss(dt.team, boss, { debug: true });
-                console.log(`      ${dt.label}:`, debugResult);
-            }
-        }
-        
-        if (viableTeamsByBoss[boss.name].length > 0) {
-            console.log('   Top viable teams:');
-            const topViable = [...viableTeamsByBoss[boss.name]]
-                .sort((a, b) => b.score - a.score)
-                .slice(0, 5);
-            console.table(topViable.map(t => ({ label: t.label, score: t.score })));
-        }
-        
-        if (disqualifiedTeams.length > 0 && viableTeamsByBoss[boss.name].length === 0) {
-            console.log('   All teams were disqualified. Sample disqualified teams:');
-            console.table(disqualifiedTeams.slice(0, 10).map(t => ({ label: t.label, score: t.score })));
-        }
-        
-        // Fallback: lenient mode if no viable teams
-        if (viableTeamsByBoss[boss.name].length === 0) {
-            console.log('   ⚠️ No viable teams - trying lenient mode...');
-            
-            for (const label of teamLabels) {
-                const team = threeCharTeams[label];
-                const score = scoreTeamForBoss(team, boss, { lenient: true });
-                
-                if (score > 0) {
-                    viableTeamsByBoss[boss.name].push({ label, team, score, lenient: true });
-                }
-            }
-            
-            console.log(`   Lenient mode viable teams: ${viableTeamsByBoss[boss.name].length}`);
-        }
-        
-        // Sort by score descending
-        viableTeamsByBoss[boss.name].sort((a, b) => b.score - a.score);
-        console.groupEnd();
-    }
-    
-    // Find exclusive combinations
-    const combinations = findExclusiveCombinations(viableTeamsByBoss, selectedBossNames);
-    
-    // DEBUG: Log final results
-    console.log('🏆 Final Results:');
-    console.log(`   Total exclusive combinations found: ${combinations.length}`);
-    if (combinations.length > 0) {
-        console.log('   Top combinations:');
-        combinations.slice(0, 3).forEach((combo, i) => {
-            console.log(`   #${i + 1} (score: ${combo.totalScore}):`);
-            combo.assignments.forEach(a => {
-                console.log(`      ${a.boss}: ${a.label} (${a.score})`);
-            });
-        });
+    try {
+        // Score and combine teams in a worker; Cancel keeps the best combinations so far
+        const bosses = selectedBosses.map(id => allBosses.find(b => b.id === id));
+        const { result } = await runTask('assault', {
+            units: getAvailableUnits(),
+            universal: getUniversalUnits(),
+            bosses,
+            limit: RESULT_LIMIT,
+            rules: getScoringRules()
+        }, { progress: document.getElementById('run-progress') }).promise;
+        if (!result) return;
+        displayResults({ ...result, bosses });
+    } catch (error) {
+        console.error('Optimization failed:', error);
+        showError('Failed to calculate optimal teams. Try adjusting your selections.');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Find Optimal Teams';
     }
-    console.groupEnd();
-    
-    return {
-        combinations: combinations.slice(0, RESULT_LIMIT),
-        bosses: selectedBossObjects,
-        totalFound: combinations.length
-    };
 }
 
 // ============================================================================
@@ -1015,6 +871,8 @@ function createResultSlide(combo, index, bosses) {
                 <div class="result-team-stack">
                     ${teamHtml}
                 </div>
+                ${assignment.joins ? `<div class="result-team-joins">${assignment.joins.map(join => `<span>${describeJoin(join)}</span>`).join('')}</div>` : ''}
+                ${assignment.breakdown ? `<details class="score-why"><summary>Why this score (${assignment.score})</summary><ol>${assignment.breakdown.map(hit => `<li class="${hit.delta < 0 ? 'negative' : 'positive'}"><span class="score-why-delta">${hit.delta > 0 ? '+' : ''}${hit.delta}</span><span>${hit.reason}</span></li>`).join('')}</ol></details>` : ''}
             </div>
         `;
     }).join('');
@@ -4,543 +4,9 @@
  */
 
 import { CustomDropdown } from './lib/custom-dropdown.js';
+import { SUBSTATS, MAINSTATS } from './lib/disc-simulation.js';
+import { runTask } from './lib/worker-client.js';
 
-// ============================================================================
-// DISC DATA CONSTANTS
-// ============================================================================
-
-const SUBSTATS = [
-    "ATK",
-    "ATK %",
-    "HP",
-    "HP %",
-    "DEF",
-    "DEF %",
-    "PEN",
-    "Anomaly Proficiency",
-    "Crit Rate",
-    "Crit Damage",
-];
-
-// Main stats per slot (0-indexed, so slot 1 = index 0)
-const MAINSTATS = [
-    ["ATK"],                                                                                    // Slot 1 - Fixed
-    ["HP"],                                                                                     // Slot 2 - Fixed
-    ["DEF"],                                                                                    // Slot 3 - Fixed
-    ["ATK %", "HP %", "DEF %", "Anomaly Proficiency", "Crit Rate", "Crit Damage"],             // Slot 4
-    ["ATK %", "HP %", "DEF %", "PEN Ratio", "Fire Damage", "Ice Damage", "Electric Damage", "Ether Damage", "Physical Damage"], // Slot 5
-    ["ATK %", "HP %", "DEF %", "Anomaly Mastery", "Impact", "Energy Regen"]                    // Slot 6
-];
-
-const UPGRADE_COSTS = [
-    { level: 1, exp: 480, dennies: 720 },
-    { level: 2, exp: 720, dennies: 1080 },
-    { level: 3, exp: 1200, dennies: 1800 },
-    { level: 4, exp: 1440, dennies: 2160 },
-    { level: 5, exp: 1680, dennies: 2520 },
-    { level: 6, exp: 2160, dennies: 3240 },
-    { level: 7, exp: 2400, dennies: 3600 },
-    { level: 8, exp: 2640, dennies: 3960 },
-    { level: 9, exp: 3120, dennies: 4680 },
-    { level: 10, exp: 3600, dennies: 5400 },
-    { level: 11, exp: 4080, dennies: 6120 },
-    { level: 12, exp: 5040, dennies: 7560 },
-    { level: 13, exp: 5760, dennies: 8640 },
-    { level: 14, exp: 6480, dennies: 9720 },
-    { level: 15, exp: 7200, dennies: 10800 }
-];
-
-const PLATING_AGENTS = {
-    A: 2000, // Ether Plating Agent
-    B: 500,  // Crystallized Plating Agent
-    C: 100   // Molded Plating Agent
-};
-
-// ============================================================================
-// RANDOM NUMBER GENERATOR (Cryptographically secure)
-// ============================================================================
-
-function random(until) {
-    if (until <= 0 || !Number.isInteger(until)) {
-        throw new Error('until must be a positive integer');
-    }
-    const bitsNeeded = Math.ceil(Math.log2(until));
-    const bytesNeeded = Math.ceil(bitsNeeded / 8);
-    const maxValue = 2 ** bitsNeeded;
-    const threshold = maxValue - (maxValue % until);
-    let value;
-    do {
-        const randomBytes = new Uint8Array(bytesNeeded);
-        crypto.getRandomValues(randomBytes);
-        value = 0;
-        for (let i = 0; i < bytesNeeded; i++) {
-            value = (value << 8) | randomBytes[i];
-        }
-        value = value & (maxValue - 1);
-    } while (value >= threshold);
-    return value % until;
-}
-
-// ============================================================================
-// DISC GENERATION
-// ============================================================================
-
-/**
- * Generate a random disc for a specific slot (or random slot if not specified)
- * @param {number|null} slot - 1-6 for specific slot, null for random
- * @returns {Object} Generated disc with slot, main stat, and substats
- */
-function generateDisc(slot = null, forcedMainStat = null) {
-    // Determine slot (0-indexed internally)
-    const slotIndex = slot ? slot - 1 : random(6);
-    
-    // Pick main stat (forced or random)
-    let mainStat;
-    if (forcedMainStat) {
-        mainStat = forcedMainStat;
-    } else {
-        const mainOptions = MAINSTATS[slotIndex];
-        mainStat = mainOptions[random(mainOptions.length)];
-    }
-    
-    // Build available substats pool (exclude main stat if it's in the substat list)
-    let substatPool = [...SUBSTATS];
-    const mainInSubstats = substatPool.indexOf(mainStat);
-    if (mainInSubstats >= 0) {
-        substatPool.splice(mainInSubstats, 1);
-    }
-    
-    // Generate 3 substats, with 20% chance of 4th
-    const substats = [];
-    const substatCount = random(5) === 0 ? 4 : 3; // 20% chance of 4
-    
-    for (let i = 0; i < substatCount; i++) {
-        const index = random(substatPool.length);
-        substats.push(substatPool.splice(index, 1)[0]);
-    }
-    
-    return {
-        slot: slotIndex + 1,
-        main: mainStat,
-        substats: substats
-    };
-}
-
-// ============================================================================
-// MATCHING LOGIC
-// ============================================================================
-
-/**
- * Check if a disc matches the target criteria
- * @param {Object} disc - The generated disc
- * @param {Object} target - Target criteria
- * @returns {boolean} True if disc matches all criteria
- */
-function discMatchesTarget(disc, target) {
-    // Check slot match (if specific slot required)
-    if (target.slot !== null && disc.slot !== target.slot) {
-        return false;
-    }
-    
-    // Check main stat match (if specific main stats required)
-    if (target.mainStats.length > 0 && !target.mainStats.includes(disc.main)) {
-        return false;
-    }
-    
-    // Check substats - all target substats must be present
-    // When "any main stat" is selected, the main stat can count toward substat targets
-    const availableStats = [...disc.substats];
-    if (target.mainStats.length === 0) {
-        // "Any main stat" mode - main stat can satisfy substat requirements
-        availableStats.push(disc.main);
-    }
-    
-    for (const targetSub of target.substats) {
-        if (!availableStats.includes(targetSub)) {
-            return false;
-        }
-    }
-    
-    return true;
-}
-
-// ============================================================================
-// PROBABILITY HELPERS
-// ============================================================================
-
-function factorial(n) {
-    if (n === 0 || n === 1) return 1;
-    let result = 1;
-    for (let i = 2; i <= n; i++) result *= i;
-    return result;
-}
-
-function combination(n, k) {
-    if (k < 0 || k > n) return 0;
-    return factorial(n) / (factorial(k) * factorial(n - k));
-}
-
-/**
- * Calculates the probability of getting at least 'needed' successes in 'rolls' trials
- * P(X >= k) = sum_{i=k}^{n} C(n,i) * p^i * (1-p)^{n-i}
- */
-function calculateProbability(rolls, needed, p = 0.25) {
-    if (needed <= 0) return 1.0;
-    if (rolls < needed) return 0.0;
-    
-    let prob = 0;
-    for (let i = needed; i <= rolls; i++) {
-        prob += combination(rolls, i) * Math.pow(p, i) * Math.pow(1 - p, rolls - i);
-    }
-    return prob;
-}
-
-/**
- * Calculates the baseline probability for a fresh viable disc
- * Adapts based on whether the target REQUIRES a 4-substat start
- */
-function getBaselineProbability(target) {
-    // 1. Determine if this target forces a 4-substat start
-    // A 4-substat start is forced if:
-    // - We are looking for 4 specific substats
-    // - OR we need 5 upgrades total (can only happen with 5 rolls)
-    
-    const numGoalStats = Object.keys(target.substatGoals).length;
-    const totalUpgradesNeeded = Object.values(target.substatGoals).reduce((sum, val) => sum + val, 0);
-    
-    const requires4Lines = (numGoalStats >= 4) || (totalUpgradesNeeded >= 5);
-    
-    // 2. Set Max Rolls based on viability requirement
-    // If 4-lines required: we only accept 4-line discs, so baseline has 5 rolls
-    // If NOT required: we accept 3-line discs (most common), so baseline is conservative (4 upgrade rolls)
-    const maxRolls = requires4Lines ? 5 : 4;
-    
-    // 3. Estimate "p" (probability per roll)
-    // If looking for 1 specific stat: p = 0.25
-    // If looking for "any 2 stats": p = 0.5 (assuming both present)
-    // We approximate this by: num_goal_stats_present / 4
-    // For a fresh disc, we assume "best case viable scenario": all goal stats are present on the disc
-    // (Because non-viable discs are filtered out at Level 0 anyway)
-    const p = Math.min(numGoalStats / 4.0, 1.0);
-    
-    return calculateProbability(maxRolls, totalUpgradesNeeded, p);
-}
-
-// ============================================================================
-// SIMULATION
-// ============================================================================
-
-function getCost(startLevel, endLevel) {
-    let exp = 0;
-    let dennies = 0;
-    for (let i = startLevel; i < endLevel; i++) {
-        if (UPGRADE_COSTS[i]) {
-            exp += UPGRADE_COSTS[i].exp;
-            dennies += UPGRADE_COSTS[i].dennies;
-        }
-    }
-    return { exp, dennies };
-}
-
-function simulateUpgradeProcess(disc, target) {
-    let totalExp = 0;
-    let totalDennies = 0;
-    let currentLevel = 0;
-    let currentSubstats = [...disc.substats];
-    let numSubstats = currentSubstats.length;
-    
-    // Track current upgrades for goal stats
-    const currentUpgrades = {};
-    for (const stat in target.substatGoals) {
-        currentUpgrades[stat] = currentSubstats.includes(stat) ? 0 : -1;
-    }
-    
-    // Check initial impossibility (Main Stat Conflict)
-    if (target.mainStats.length === 0) {
-        for (const stat in target.substatGoals) {
-            if (disc.main === stat) {
-                return { success: false, exp: 0, dennies: 0 };
-            }
-        }
-    } else {
-        // If specific main stat, we assume generator handled it, but logic holds
-        if (!target.mainStats.includes(disc.main)) {
-             return { success: false, exp: 0, dennies: 0 };
-        }
-    }
-    
-    // Initial feasibility check
-    for (const stat in target.substatGoals) {
-        if (currentUpgrades[stat] === -1 && numSubstats === 4) {
-            return { success: false, exp: 0, dennies: 0 };
-        }
-    }
-    
-    // UPGRADE DECISION GATE (LEVEL 0): Check if initial 3-substat disc is worth upgrading
-    if (numSubstats === 3) {
-        const numGoalStats = Object.keys(target.substatGoals).length;
-        
-        // Count how many goal stats are already present on the disc
-        let matchingStats = 0;
-        for (const stat in target.substatGoals) {
-            if (currentUpgrades[stat] !== -1) { // stat is present
-                matchingStats++;
-            }
-        }
-        
-        // Decision logic based on number of desired substats
-        if (numGoalStats <= 2) {
-            // Looking for 1-2 substats: need at least 1 matching
-            if (matchingStats < 1) {
-                return { success: false, exp: 0, dennies: 0 };
-            }
-        } else if (numGoalStats === 3) {
-            // Looking for 3 substats: need at least 2 matching
-            if (matchingStats < 2) {
-                return { success: false, exp: 0, dennies: 0 };
-            }
-        } else if (numGoalStats >= 4) {
-            // Looking for 4 substats: must have at least 3 matching
-            // (Mathematically, need 3 of the 4 desired stats to roll the 4th)
-            if (matchingStats < 3) {
-                return { success: false, exp: 0, dennies: 0 };
-            }
-        }
-    }
-    
-    // DYNAMIC PROBABILITY: Calculate baseline probability for a fresh viable disc
-    const pFresh = getBaselineProbability(target);
-    
-    const thresholds = [3, 6, 9, 12, 15];
-    
-    for (const threshold of thresholds) {
-        // Calculate needed upgrades
-        let neededTotal = 0;
-        let allFound = true;
-        let possibleTargets = 0; // Number of "hit" zones on the disc
-        
-        for (const stat in target.substatGoals) {
-            const goal = target.substatGoals[stat];
-            const current = currentUpgrades[stat];
-            
-            // Is this stat on the disc?
-            if (current !== -1) {
-                possibleTargets++; // This is a valid target for upgrades
-            }
-            
-            if (current === -1) {
-                neededTotal += goal;
-                allFound = false;
-            } else {
-                neededTotal += Math.max(0, goal - current);
-            }
-        }
-        
-        // VICTORY LAP: If goals met, force upgrade to 15 and return success
-        if (allFound && neededTotal === 0) {
-             const remainingCost = getCost(currentLevel, 15);
-             return { 
-                 success: true, 
-                 exp: totalExp + remainingCost.exp, 
-                 dennies: totalDennies + remainingCost.dennies 
-             };
-        }
-        
-        // Calculate remaining opportunities
-        const pendingSteps = thresholds.filter(t => t > currentLevel);
-        let futureUpgrades = 0;
-        let pCurrent = 0;
-        
-        if (numSubstats === 3) {
-            // First step is reveal (0 upgrades)
-            futureUpgrades = Math.max(0, pendingSteps.length - 1);
-            // Probability logic for 3-substat disc is complex (reveal + upgrades)
-            // For simplicity in this step, we'll let it pass to the reveal
-            // The probability check works best when we have 4 substats and are upgrading
-            pCurrent = 1.0; 
-        } else {
-            // 4 substats: standard upgrades
-            futureUpgrades = pendingSteps.length;
-            
-            // Calculate Current Probability
-            // p = chance per roll = (number of goal stats present) / 4
-            const pRoll = possibleTargets / 4.0;
-            pCurrent = calculateProbability(futureUpgrades, neededTotal, pRoll);
-            
-            // RISK MANAGEMENT: Compare pCurrent vs pFresh
-            // Rule: If pCurrent >= pFresh, ALWAYS CONTINUE.
-            // If pCurrent < pFresh, CONSIDER STOPPING based on cost and rarity.
-            if (pCurrent < pFresh) {
-                // 1. Determine strictness based on level (cost)
-                let strictness = 0;
-                if (currentLevel < 9) {
-                    strictness = 0.5; // Lenient early on (allow 50% of baseline)
-                } else {
-                    strictness = 0.8; // Strict later on (require 80% of baseline)
-                }
-                
-                // 2. Adjust for Main Stat Rarity (Search Cost Bias)
-                // If main stat is rare (Slots 4-6 specific), we are more patient (lower threshold)
-                // because replacing the disc costs significant Hi-Fi.
-                let rarityBias = 1.0;
-                if (target.slot >= 4 && target.mainStats.length > 0) {
-                    rarityBias = 0.3; // Significantly lower the bar for rare main stats
-                }
-                
-                const threshold = pFresh * strictness * rarityBias;
-                
-                if (pCurrent < threshold) {
-                    // Fold
-                    return { success: false, exp: totalExp, dennies: totalDennies };
-                }
-            }
-        }
-        
-        if (neededTotal > futureUpgrades) {
-            return { success: false, exp: totalExp, dennies: totalDennies };
-        }
-        
-        // Check missing stat impossibility
-        if (!allFound && numSubstats === 4) {
-             return { success: false, exp: totalExp, dennies: totalDennies };
-        }
-        
-        // Proceed to upgrade
-        const cost = getCost(currentLevel, threshold);
-        totalExp += cost.exp;
-        totalDennies += cost.dennies;
-        currentLevel = threshold;
-        
-        // Action
-        if (threshold === 3 && numSubstats === 3) {
-            // Reveal
-            const available = SUBSTATS.filter(s => s !== disc.main && !currentSubstats.includes(s));
-            const newStat = available[Math.floor(Math.random() * available.length)];
-            currentSubstats.push(newStat);
-            numSubstats = 4;
-            
-            if (newStat in currentUpgrades) {
-                currentUpgrades[newStat] = 0;
-            }
-        } else {
-            // Upgrade existing
-            const upgradedStat = currentSubstats[Math.floor(Math.random() * currentSubstats.length)];
-            if (upgradedStat in currentUpgrades) {
-                currentUpgrades[upgradedStat]++;
-            }
-        }
-    }
-    
-    // Final check
-    let success = true;
-    for (const stat in target.substatGoals) {
-        if (currentUpgrades[stat] === -1 || currentUpgrades[stat] < target.substatGoals[stat]) {
-            success = false;
-            break;
-        }
-    }
-    
-    return { success, exp: totalExp, dennies: totalDennies };
-}
-
-/**
- * Run simulation to find how many discs needed to get target
- * @param {Object} target - Target criteria
- * @returns {number} Number of discs generated until match
- */
-function runSingleSimulation(target) {
-    let count = 0;
-    let found = false;
-    let calibratorsUsed = 0;
-    let totalExp = 0;
-    let totalDennies = 0;
-    
-    while (!found) {
-        count++;
-        
-        let forcedMain = null;
-        if (target.maxCalibrators && count <= target.maxCalibrators && target.mainStats.length === 1) {
-            forcedMain = target.mainStats[0];
-            calibratorsUsed++;
-        }
-        
-        const disc = generateDisc(target.slot, forcedMain);
-        const result = simulateUpgradeProcess(disc, target);
-        
-        totalExp += result.exp;
-        totalDennies += result.dennies;
-        
-        if (result.success) {
-            found = true;
-        }
-        
-        // Safety limit to prevent infinite loops
-        if (count > 1000000) {
-            console.warn('Simulation hit safety limit');
-            break;
-        }
-    }
-    
-    return { count, calibratorsUsed, totalExp, totalDennies };
-}
-
-/**
- * Run multiple simulations and calculate statistics
- * @param {Object} target - Target criteria
- * @param {number} maxIterations - Maximum number of simulations to run
- * @param {number} maxTimeMs - Maximum time in milliseconds
- * @returns {Object} Statistics object with average, stddev, and count
- */
-function runSimulations(target, maxIterations = 2000, maxTimeMs = 5000) {
-    const results = [];
-    const startTime = Date.now();
-    let iterations = 0;
-    
-    while (iterations < maxIterations) {
-        // Check time limit
-        if (Date.now() - startTime >= maxTimeMs) {
-            console.log(`Stopped after ${iterations} iterations due to time limit`);
-            break;
-        }
-        
-        results.push(runSingleSimulation(target));
-        iterations++;
-    }
-    
-    // Extract counts for statistics
-    const counts = results.map(r => r.count);
-    const calibrators = results.map(r => r.calibratorsUsed);
-    const exps = results.map(r => r.totalExp);
-    const dennies = results.map(r => r.totalDennies);
-    
-    // Calculate statistics for counts
-    const sum = counts.reduce((a, b) => a + b, 0);
-    const average = sum / counts.length;
-    
-    // Calculate average calibrators
-    const avgCalibrators = calibrators.reduce((a, b) => a + b, 0) / calibrators.length;
-
-    // Calculate average resources
-    const avgExp = exps.reduce((a, b) => a + b, 0) / exps.length;
-    const avgDennies = dennies.reduce((a, b) => a + b, 0) / dennies.length;
-    
-    console.log('Simulation Stats:', {
-        average,
-        avgCalibrators,
-        avgExp,
-        avgDennies,
-        first10Results: counts.slice(0, 10)
-    });
-    
-    return {
-        average,
-        avgCalibrators,
-        avgExp,
-        avgDennies,
-        count: iterations,
-        results: counts
-    };
-}
 
 // ============================================================================
 // UI STATE
@@ -976,6 +442,8 @@ function showResults(stats, target) {
     // Statistics
     document.getElementById('result-average').textContent = stats.average.toFixed(1);
     document.getElementById('result-count').textContent = stats.count.toLocaleString();
+    document.getElementById('result-seed').textContent = target.seed || '—';
+    document.getElementById('result-seed-row').style.display = target.seed ? '' : 'none';
     
     const statsBlock = document.getElementById('result-count').closest('.result-block');
 
@@ -1185,7 +653,7 @@ function showLoading(show) {
 // MAIN CALCULATION
 // ============================================================================
 
-function runCalculation() {
+async function runCalculation() {
     // Save state before running calculation
     saveState();
     
@@ -1206,24 +674,25 @@ function runCalculation() {
         mainStats: [...selectedMainStats],
         substats: targetSubstats,
         substatGoals: substatGoals,
-        maxCalibrators: useCalibrators ? maxCalibrators : 0
+        maxCalibrators: useCalibrators ? maxCalibrators : 0,
+        seed: document.getElementById('seed-input').value.trim()
     };
     
     // Show loading
     showLoading(true);
     
-    // Run simulation asynchronously to not block UI
-    setTimeout(() => {
-        try {
-            const stats = runSimulations(target, 2000, 5000);
-            showLoading(false);
-            showResults(stats, target);
-        } catch (error) {
-            showLoading(false);
-            console.error('Simulation error:', error);
-            alert('An error occurred during simulation. Please try again.');
-        }
-    }, 50);
+    // Run simulation in a worker to not block UI; Cancel keeps the runs so far
+    try {
+        const { result } = await runTask('discs', { target, maxIterations: 2000, maxTimeMs: 5000 }, {
+            progress: document.getElementById('calculate-progress')
+        }).promise;
+        showLoading(false);
+        if (result) showResults(result, target);
+    } catch (error) {
+        showLoading(false);
+        console.error('Simulation error:', error);
+        alert('An error occurred during simulation. Please try again.');
+    }
 }
 
 // ============================================================================
@@ -0,0 +1,196 @@
+/**
+ * ZZZ Deadly Assault Planner
+ * Finds the best exclusive team allocations for three Deadly Assault bosses
+ *
+ * Browser-compatible ES module version
+ */
+
+import {
+    getTeams,
+    extendTeamsWithUniversalUnits,
+    findExclusiveCombinations
+} from './team-builder.js';
+import { scoreTeamForBoss, describeRuleHit } from './team-scorer.js';
+import { reportsProgress } from './progress.js';
+
+/**
+ * Find the best allocations of teams to three bosses, no unit on two teams.
+ *
+ * Every team is scored against every boss; a boss no team qualifies for is scored
+ * again in lenient mode.
+ *
+ * @param {Object} options - { units (owned units; numericId is reassigned by getTeams),
+ *          universal (names of units that can join any team), bosses (3 boss objects),
+ *          limit (combinations to return), rules (scoring rule set, see scoreTeamForBoss()) }
+ * @param {Function} onProgress - Optional progress callback (see reportsProgress()); the
+ *          partial results combine the teams scored so far
+ * @returns {Object} { combinations (best first, at most limit; each assignment carries the
+ *          breakdown of its score, see scoreTeamForBoss()), totalFound }
+ */
+export function planAssault({ units: availableUnits, universal: universalUnitNames, bosses: selectedBossObjects, limit, rules }, onProgress) {
+    const selectedBossNames = selectedBossObjects.map(b => b.name);
+    
+    // DEBUG: Log available units
+    console.group('🎮 Deadly Assault Debug Info');
+    console.log('📋 Available Units:', availableUnits.length);
+    console.table(availableUnits.map(u => ({
+        name: u.name,
+        tier: u.tier,
+        tags: u.tags.join(', '),
+        synergy: u.synergy ? JSON.stringify(u.synergy) : 'none'
+    })));
+    console.log('🌟 Universal Units:', universalUnitNames);
+    console.log('👹 Selected Bosses:', selectedBossObjects.map(b => b.name));
+    
+    // Generate all valid teams
+    const allTeams = getTeams(availableUnits);
+    
+    // Separate 2-person and 3-person teams
+    const twoCharTeams = {};
+    const threeCharTeams = {};
+    for (const label in allTeams) {
+        const team = allTeams[label];
+        if (team.length === 2) {
+            twoCharTeams[label] = team;
+        } else if (team.length === 3) {
+            threeCharTeams[label] = team;
+        }
+    }
+    
+    // DEBUG: Log team counts before extension
+    console.log('🔢 Teams before universal extension:');
+    console.log(`   2-person teams: ${Object.keys(twoCharTeams).length}`);
+    console.log(`   3-person teams: ${Object.keys(threeCharTeams).length}`);
+    
+    // Extend 2-person teams with universal units
+    const universalUnitObjects = availableUnits.filter(u => universalUnitNames.includes(u.name));
+    if (universalUnitObjects.length > 0) {
+        extendTeamsWithUniversalUnits(twoCharTeams, threeCharTeams, universalUnitObjects);
+    }
+    
+    const teamLabels = Object.keys(threeCharTeams);
+    
+    // DEBUG: Log team counts after extension
+    console.log('🔢 Teams after universal extension:');
+    console.log(`   3-person teams: ${teamLabels.length}`);
+    console.log('📝 All 3-person team labels:', teamLabels);
+    
+    // Score every team for each boss, team by team so partial results cover all bosses
+    const viableTeamsByBoss = {};
+    const disqualifiedByBoss = {};
+    for (const boss of selectedBossObjects) {
+        viableTeamsByBoss[boss.name] = [];
+        disqualifiedByBoss[boss.name] = [];
+    }
+    
+    const progress = reportsProgress(teamLabels.length, onProgress);
+    const summarise = () => {
+        const sorted = Object.fromEntries(Object.entries(viableTeamsByBoss)
+            .map(([name, teams]) => [name, teams.map(t => ({ ...t })).sort((a, b) => b.score - a.score)]));
+        const combinations = findExclusiveCombinations(sorted, selectedBossNames);
+        return { combinations: combinations.slice(0, limit), totalFound: combinations.length };
+    };
+    teamLabels.forEach((label, index) => {
+        const team = threeCharTeams[label];
+        for (const boss of selectedBossObjects) {
+            const score = scoreTeamForBoss(team, boss, { rules });
+            
+            if (score > 0) {
+                viableTeamsByBoss[boss.name].push({ label, team, joins: team.joins, score });
+            } else {
+                disqualifiedByBoss[boss.name].push({ label, score, team });
+            }
+        }
+        progress(index + 1, summarise);
+    });
+    
+    for (const boss of selectedBossObjects) {
+        // DEBUG: Log boss info
+        console.group(`👹 Scoring teams for: ${boss.name}`);
+        console.log('   Weaknesses:', boss.weaknesses);
+        console.log('   Resistances:', boss.resistances);
+        console.log('   Shill:', boss.shill || 'none');
+        console.log('   Anti:', boss.anti || 'none');
+        
+        const disqualifiedTeams = disqualifiedByBoss[boss.name];
+        
+        // DEBUG: Log scoring results
+        console.log(`   ✅ Viable teams: ${viableTeamsByBoss[boss.name].length}`);
+        console.log(`   ❌ Disqualified teams: ${disqualifiedTeams.length}`);
+        
+        // DEBUG: Run detailed debug on first few disqualified teams to understand why
+        if (disqualifiedTeams.length > 0 && viableTeamsByBoss[boss.name].length === 0) {
+            console.log('   🔍 Debugging disqualified teams:');
+            for (const dt of disqualifiedTeams.slice(0, 5)) {
+                const { breakdown } = scoreTeamForBoss(dt.team, boss, { rules, breakdown: true });
+                console.log(`      ${dt.label}:`, breakdown.map(describeRuleHit));
+            }
+        }
+        
+        if (viableTeamsByBoss[boss.name].length > 0) {
+            console.log('   Top viable teams:');
+            const topViable = [...viableTeamsByBoss[boss.name]]
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 5);
+            console.table(topViable.map(t => ({ label: t.label, score: t.score })));
+        }
+        
+        if (disqualifiedTeams.length > 0 && viableTeamsByBoss[boss.name].length === 0) {
+            console.log('   All teams were disqualified. Sample disqualified teams:');
+            console.table(disqualifiedTeams.slice(0, 10).map(t => ({ label: t.label, score: t.score })));
+        }
+        
+        // Fallback: lenient mode if no viable teams
+        if (viableTeamsByBoss[boss.name].length === 0) {
+            console.log('   ⚠️ No viable teams - trying lenient mode...');
+            
+            for (const label of teamLabels) {
+                const team = threeCharTeams[label];
+                const score = scoreTeamForBoss(team, boss, { rules, lenient: true });
+                
+                if (score > 0) {
+                    viableTeamsByBoss[boss.name].push({ label, team, joins: team.joins, score, lenient: true });
+                }
+            }
+            
+            console.log(`   Lenient mode viable teams: ${viableTeamsByBoss[boss.name].length}`);
+        }
+        
+        // Sort by score descending
+        viableTeamsByBoss[boss.name].sort((a, b) => b.score - a.score);
+        console.groupEnd();
+    }
+    
+    // Find exclusive combinations
+    const combinations = findExclusiveCombinations(viableTeamsByBoss, selectedBossNames);
+    
+    // DEBUG: Log final results
+    console.log('🏆 Final Results:');
+    console.log(`   Total exclusive combinations found: ${combinations.length}`);
+    if (combinations.length > 0) {
+        console.log('   Top combinations:');
+        combinations.slice(0, 3).forEach((combo, i) => {
+            console.log(`   #${i + 1} (score: ${combo.totalScore}):`);
+            combo.assignments.forEach(a => {
+                console.log(`      ${a.boss}: ${a.label} (${a.score})`);
+            });
+        });
+    }
+    console.groupEnd();
+    
+    // Why each assigned team scored what it did, in the mode it was scored in
+    const bossesByName = Object.fromEntries(selectedBossObjects.map(boss => [boss.name, boss]));
+    const lenientBosses = selectedBossNames.filter(name => viableTeamsByBoss[name].some(t => t.lenient));
+    const bestCombinations = combinations.slice(0, limit);
+    for (const combo of bestCombinations) {
+        for (const assignment of combo.assignments) {
+            const lenient = lenientBosses.includes(assignment.boss);
+            assignment.breakdown = scoreTeamForBoss(assignment.team, bossesByName[assignment.boss], { rules, lenient, breakdown: true }).breakdown;
+        }
+    }
+    
+    return {
+        combinations: bestCombinations,
+        totalFound: combinations.length
+    };
+}
@@ -5,6 +5,7 @@
 
 const PAGE_TITLES = {
     'gacha': 'Gacha Odds Calculator',
+    'sandbox': 'Pull Sandbox',
     'team-builder': 'Team Builder',
     'deadly-assault': 'Deadly Assault Team Builder',
     'disc-calculator': 'Disc Calculator'
@@ -0,0 +1,92 @@
+/**
+ * ZZZ Compute Tasks
+ * The long-running computations the pages hand to compute-worker.js, by name. Each
+ * task takes structured-cloneable arguments and a progress callback (see
+ * reportsProgress()) and returns structured-cloneable results.
+ *
+ * Browser-compatible ES module version
+ */
+
+import { SIMULATIONS, runDistribution, runPullsNeeded } from './gacha-core.js';
+import { runDualSimulation } from './dual-banner.js';
+import { optimizeTactic } from './tactic-optimizer.js';
+import { runComparison } from './scenario-compare.js';
+import { runPlanSimulation } from './season-plan.js';
+import { buildTeamGrid } from './team-grid.js';
+import { planAssault } from './assault-planner.js';
+import { runSimulations } from './disc-simulation.js';
+
+export const TASKS = Object.freeze({
+    /**
+     * Gacha Simulator: the outcome distribution, then the pulls-needed curve when asked for
+     * @param {Object} args - { context, engine, needed (run runPullsNeeded() too) }
+     * @returns {Object} { results, needed } (needed: null when not asked for)
+     */
+    banner({ context, engine, needed }, onProgress) {
+        const phases = needed ? 2 : 1;
+        const run = { results: null, needed: null };
+        run.results = runDistribution(context, engine, SIMULATIONS, (done, total, partial) =>
+            onProgress(done, total * phases, () => ({ results: partial(), needed: null })));
+        if (needed) {
+            run.needed = runPullsNeeded(context, engine, SIMULATIONS, (done, total) =>
+                onProgress(total + done, total * 2, () => run));
+        }
+        return run;
+    },
+
+    /**
+     * Gacha Simulator: two limited banners sharing pity
+     * @param {Object} args - { context } (see runDualSimulation())
+     */
+    dual({ context }, onProgress) {
+        return runDualSimulation(context, SIMULATIONS, onProgress);
+    },
+
+    /**
+     * Gacha Simulator: pull orders for the target, ranked by a utility
+     * @param {Object} args - { context, utility, engine } (see optimizeTactic())
+     */
+    optimize({ context, utility, engine }, onProgress) {
+        return optimizeTactic(context, utility, { engine }, onProgress);
+    },
+
+    /**
+     * Gacha Simulator: saved scenarios side by side
+     * @param {Object} args - { scenarios } (see runComparison())
+     */
+    compare({ scenarios }, onProgress) {
+        return runComparison(scenarios, {}, onProgress);
+    },
+
+    /**
+     * Season Planner: several limited banners in a row
+     * @param {Object} args - { plan } (see runPlanSimulation())
+     */
+    plan({ plan }, onProgress) {
+        return runPlanSimulation(plan, SIMULATIONS, onProgress);
+    },
+
+    /**
+     * Team Builder: the best teams per archetype
+     * @param {Object} args - { units, filters, rules } (see buildTeamGrid())
+     */
+    teams({ units, filters, rules }, onProgress) {
+        return buildTeamGrid(units, filters, rules, onProgress);
+    },
+
+    /**
+     * Deadly Assault: the best exclusive team allocations
+     * @param {Object} args - See planAssault()
+     */
+    assault(args, onProgress) {
+        return planAssault(args, onProgress);
+    },
+
+    /**
+     * Disc Calculator: discs needed for a target
+     * @param {Object} args - { target, maxIterations, maxTimeMs } (see runSimulations())
+     */
+    discs({ target, maxIterations, maxTimeMs }, onProgress) {
+        return runSimulations(target, maxIterations, maxTimeMs, onProgress);
+    }
+});
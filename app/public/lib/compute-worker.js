@@ -0,0 +1,33 @@
+/**
+ * ZZZ Compute Worker
+ * Module Web Worker that runs one task from compute-tasks.js and streams its progress
+ * and partial results back (see runTask() in worker-client.js)
+ *
+ * Browser-compatible ES module version
+ */
+
+import { TASKS } from './compute-tasks.js';
+
+// Partial results are copied to the page, so send them at most this often (ms)
+const PARTIAL_INTERVAL = 250;
+
+self.onmessage = (event) => {
+    const { task, args } = event.data;
+    let partialSent = 0;
+    try {
+        if (!TASKS[task]) {
+            throw new Error(`Unknown task "${task}"`);
+        }
+        const result = TASKS[task](args, (done, total, partial) => {
+            const message = { type: 'progress', done, total };
+            if (partial && Date.now() - partialSent >= PARTIAL_INTERVAL) {
+                message.partial = partial();
+                partialSent = Date.now();
+            }
+            self.postMessage(message);
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
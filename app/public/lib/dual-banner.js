@@ -0,0 +1,223 @@
+/**
+ * ZZZ Dual Banners
+ * Simulates two limited agent banners running at the same time. Both agent banners
+ * share pity and the 50/50 guarantee, as do both W-Engine banners; every pull goes
+ * to whichever banner the pull order is working on.
+ *
+ * Browser-compatible ES module version
+ */
+
+import {
+    SIMULATIONS,
+    TACTICS,
+    simulate,
+    toLabel,
+    toPullOrder
+} from './gacha-core.js';
+import { resolveRandom } from './random.js';
+import { reportsProgress } from './progress.js';
+
+// Banner letters used in written orders, in target order
+export const DUAL_BANNERS = ["A", "B"];
+
+/**
+ * Parse a written dual-banner order into one step per copy.
+ *
+ * "A" / "B" pull one more copy of that banner's agent, "AW" / "BW" one more copy of
+ * its W-Engine, and "2A" repeats a step. Steps are separated by commas, spaces or
+ * "then", so "A, B, AW" is both agents at M0 and then banner A's W-Engine.
+ *
+ * @param {string} text - Written order
+ * @returns {string[]} Steps: "a", "aw", "b" or "bw"
+ * @throws {Error} If a step is not recognised or the order is empty
+ */
+export function parseDualOrder(text) {
+    const order = [];
+    for (const token of String(text).toLowerCase().split(/[\s,;>→]+/)) {
+        if (token === "" || token === "then") continue;
+        const match = /^(\d*)([ab])(w?)$/.exec(token);
+        if (!match) {
+            throw new Error(`Unknown dual banner step "${token}"`);
+        }
+        const count = match[1] === "" ? 1 : parseInt(match[1]);
+        for (let i = 0; i < count; i++) order.push(match[2] + match[3]);
+    }
+    if (order.length === 0) {
+        throw new Error("The pull order is empty");
+    }
+    return order;
+}
+
+/**
+ * Default order: banner A's target (engine-first), then banner B's
+ * @param {Object[]} targets - [{ c, w }, { c, w }]
+ * @returns {string[]} Steps
+ */
+export function defaultDualOrder(targets) {
+    return targets.flatMap((target, index) => {
+        const banner = DUAL_BANNERS[index].toLowerCase();
+        return toPullOrder(TACTICS.ENGINE_FIRST, target.c, target.w || 0)
+            .map(step => step === "c" ? banner : banner + "w");
+    });
+}
+
+/**
+ * Copies each banner ends with under an order
+ * @param {string[]} order - Steps
+ * @returns {Object[]} [{ c, w }, { c, w }]
+ */
+export function dualTargets(order) {
+    return DUAL_BANNERS.map(letter => {
+        const banner = letter.toLowerCase();
+        return {
+            c: order.filter(step => step === banner).length,
+            w: order.filter(step => step === banner + "w").length
+        };
+    });
+}
+
+/**
+ * Describe an order by its milestones
+ * @param {string[]} order - Steps
+ * @param {string[]} names - Display names for banners A and B (default: "A", "B")
+ * @returns {string} Label like "A M0 → B M0 → A W1"
+ */
+export function formatDualOrder(order, names = DUAL_BANNERS) {
+    const copies = { a: 0, aw: 0, b: 0, bw: 0 };
+    const milestones = [];
+    order.forEach((step, index) => {
+        copies[step]++;
+        if (order[index + 1] === step) return;
+        const name = names[step[0] === "a" ? 0 : 1];
+        milestones.push(step.endsWith("w") ? `${name} W${copies[step]}` : `${name} M${Math.min(copies[step] - 1, 6)}`);
+    });
+    return milestones.join(" → ");
+}
+
+/**
+ * Run both banners once.
+ *
+ * Context fields: p (pulls), targets ([{ name, c, w }, { name, c, w }]), order (steps,
+ * default: defaultDualOrder), pity[] and guarantees[] (as for simulate(), shared by
+ * both banners), rules and refunds as for simulate(). The banners share one Residual
+ * Signal balance, but each counts its own featured copies (refunds.featuredCopies is
+ * banner A's), so banner B's M0 and W1 are not refunded as duplicates.
+ *
+ * @param {Object} context - Dual banner context
+ * @param {Function} rng - Random generator (default: context.rng or Math.random)
+ * @returns {Object} { banners: [{ fc, fw }, { fc, fw }], sc, sw, fa, sa, p, refunds }
+ */
+export function simulateDual(context, rng = context.rng || Math.random) {
+    const order = context.order || defaultDualOrder(context.targets);
+    const results = { banners: [{ fc: 0, fw: 0 }, { fc: 0, fw: 0 }], sc: 0, sw: 0, fa: 0, sa: 0, refunds: 0 };
+    let pulls = context.p;
+    let state = null;
+    let signals = null;
+
+    // Each step pulls its banner until one more featured copy drops
+    for (const step of order) {
+        if (pulls <= 0) break;
+        const index = step[0] === "a" ? 0 : 1;
+        const banner = results.banners[index];
+        const engine = step.endsWith("w");
+        const result = simulate({
+            p: pulls,
+            c: engine ? 0 : 1,
+            w: engine ? 1 : 0,
+            pity: context.pity,
+            guarantees: context.guarantees,
+            rules: context.rules,
+            rng,
+            state,
+            refunds: context.refunds,
+            signals,
+            banner: index
+        });
+        banner.fc += result.fc;
+        banner.fw += result.fw;
+        results.sc += result.sc;
+        results.sw += result.sw;
+        results.fa += result.fa;
+        results.sa += result.sa;
+        results.refunds += result.refunds;
+        pulls = result.p;
+        state = result.state;
+        signals = result.signals;
+    }
+
+    results.p = pulls;
+    return results;
+}
+
+/**
+ * Display name for one banner
+ * @param {Object} target - { name, c, w }
+ * @param {number} index - 0 for banner A, 1 for banner B
+ * @returns {string} target.name, or "Banner A" / "Banner B"
+ */
+function toBannerName(target, index) {
+    return target.name || `Banner ${DUAL_BANNERS[index]}`;
+}
+
+/**
+ * Run both banners many times and aggregate joint and per-banner outcomes
+ * @param {Object} context - Dual banner context (see simulateDual); context.seed makes it reproducible
+ * @param {number} iterations - Number of runs (default: SIMULATIONS)
+ * @param {Function} onProgress - Optional progress callback (see reportsProgress())
+ * @returns {Object} { order, targets, banners: [{ label, target, outcomes, hits }],
+ *          joint: [{ labels, count }] (most likely first), both, avgP, avgRefunds, iterations }
+ */
+export function runDualSimulation(context, iterations = SIMULATIONS, onProgress) {
+    const rng = context.rng || resolveRandom(context.seed);
+    const order = context.order || defaultDualOrder(context.targets);
+    const targets = dualTargets(order).map((copies, index) => ({ ...context.targets[index], ...copies }));
+    const run = { ...context, order, targets, rng };
+
+    const banners = targets.map((target, index) => {
+        const outcomes = {};
+        for (let w = 0; w <= target.w; w++) {
+            for (let c = 0; c <= target.c; c++) {
+                outcomes[toLabel(c, w)] = 0;
+            }
+        }
+        return { label: toBannerName(target, index), target: toLabel(target.c, target.w), outcomes, hits: 0 };
+    });
+    const joint = new Map();
+    let both = 0, used = 0, refunds = 0;
+    const progress = reportsProgress(iterations, onProgress);
+
+    // Results over the first `runs` runs
+    const summarise = (runs) => ({
+        order,
+        targets,
+        banners,
+        joint: [...joint.entries()]
+            .map(([labels, count]) => ({ labels, count }))
+            .sort((a, b) => b.count - a.count),
+        both,
+        avgP: Math.ceil(used / runs),
+        avgRefunds: Math.round(refunds / runs * 10) / 10,
+        iterations: runs
+    });
+
+    for (let i = 0; i < iterations; i++) {
+        const result = simulateDual(run, rng);
+        const hits = result.banners.map((outcome, index) => {
+            banners[index].outcomes[toLabel(outcome.fc, outcome.fw)]++;
+            const hit = outcome.fc >= targets[index].c && outcome.fw >= targets[index].w;
+            if (hit) banners[index].hits++;
+            return hit;
+        });
+        if (hits.every(Boolean)) both++;
+
+        const key = result.banners
+            .map((outcome, index) => `${toBannerName(targets[index], index)} ${toLabel(outcome.fc, outcome.fw)}`)
+            .join(" + ");
+        joint.set(key, (joint.get(key) || 0) + 1);
+        used += context.p + result.refunds - result.p;
+        refunds += result.refunds;
+        progress(i + 1, summarise);
+    }
+
+    return summarise(iterations);
+}
@@ -5,6 +5,9 @@
  * Browser-compatible ES module version
  */
 
+import { resolveRandom } from './random.js';
+import { reportsProgress } from './progress.js';
+
 // Constants
 export const SIMULATIONS = 100000.0;
 export const RATE_S = 0.006;
@@ -14,7 +17,7 @@ export const PITY_W = 80;
 export const PITY_A = 10;
 export const CFEATURED = 0.5;
 export const WFEATURED = 0.75;
-export const REFUND_RATE = 0.043;
+export const STANDARD_SELECTOR_PULLS = 300;
 
 export const RESULT_FEATURED_S = 4;
 export const RESULT_STANDARD_S = 3;
@@ -23,92 +26,449 @@ export const RESULT_STANDARD_A = 1;
 export const RESULT_NOTHING = 0;
 
 /**
- * Simulate a single character banner pull
+ * Banner rule sets - rates, pity and featured odds for each channel
+ *
+ * Fields:
+ * - rateS / rateA: Base chance per pull for an S-rank / A-rank
+ * - softPityStart: Pity count at which the S-rank rate starts ramping (0 = hard pity only)
+ * - softPityIncrement: Added to the S-rank rate for every pull from softPityStart onwards
+ * - pityS / pityA: Hard pity, the pull that guarantees an S-rank / A-rank
+ * - featuredS / featuredA: Chance that an S-rank / A-rank is the featured item
+ * - guaranteeS / guaranteeA: Whether losing the featured roll guarantees the next one
+ *
+ * The built-in profiles model hard pity only. Use createBannerRules() to
+ * derive variants, e.g. createBannerRules(BANNER_RULES.LIMITED_AGENT, { softPityStart: 75, softPityIncrement: 0.06 }).
+ */
+export const BANNER_RULES = {
+    LIMITED_AGENT: Object.freeze({
+        name: "Limited Agent",
+        rateS: RATE_S,
+        rateA: RATE_A,
+        softPityStart: 0,
+        softPityIncrement: 0,
+        pityS: PITY_C,
+        pityA: PITY_A,
+        featuredS: CFEATURED,
+        featuredA: CFEATURED,
+        guaranteeS: true,
+        guaranteeA: true
+    }),
+    LIMITED_ENGINE: Object.freeze({
+        name: "Limited W-Engine",
+        rateS: RATE_S,
+        rateA: RATE_A,
+        softPityStart: 0,
+        softPityIncrement: 0,
+        pityS: PITY_W,
+        pityA: PITY_A,
+        featuredS: WFEATURED,
+        featuredA: WFEATURED,
+        guaranteeS: true,
+        guaranteeA: true
+    }),
+    // Stable Channel: nothing is featured; a "featured" S-rank here means an agent rather
+    // than a W-Engine, picked evenly from the standard pool
+    STANDARD: Object.freeze({
+        name: "Standard",
+        rateS: RATE_S,
+        rateA: RATE_A,
+        softPityStart: 0,
+        softPityIncrement: 0,
+        pityS: PITY_C,
+        pityA: PITY_A,
+        featuredS: 0.5,
+        featuredA: 0.5,
+        guaranteeS: false,
+        guaranteeA: false
+    }),
+    // Bangboo Channel: the S-rank Bangboo is chosen up front, so every S-rank is the featured one
+    BANGBOO: Object.freeze({
+        name: "Bangboo",
+        rateS: RATE_S,
+        rateA: RATE_A,
+        softPityStart: 0,
+        softPityIncrement: 0,
+        pityS: PITY_W,
+        pityA: PITY_A,
+        featuredS: 1,
+        featuredA: 0.5,
+        guaranteeS: true,
+        guaranteeA: true
+    })
+};
+
+/**
+ * Default rules used by simulate() when the context does not provide any
+ */
+export const DEFAULT_RULES = Object.freeze({
+    agent: BANNER_RULES.LIMITED_AGENT,
+    engine: BANNER_RULES.LIMITED_ENGINE,
+    standard: BANNER_RULES.STANDARD,
+    bangboo: BANNER_RULES.BANGBOO
+});
+
+/**
+ * Derive a rule set from a base profile
+ * @param {Object} base - One of BANNER_RULES (or another rule set)
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Frozen rule set
+ */
+export function createBannerRules(base, overrides = {}) {
+    return Object.freeze({ ...base, ...overrides });
+}
+
+/**
+ * S-rank chance for the pull that brings pity up to the given count
+ * @param {Object} rules - Banner rule set
+ * @param {number} pity - Pity count including the current pull
+ * @returns {number} Probability of an S-rank
+ */
+export function sRankRate(rules, pity) {
+    if (pity >= rules.pityS) return 1;
+    if (rules.softPityStart > 0 && pity >= rules.softPityStart) {
+        return Math.min(1, rules.rateS + (pity - rules.softPityStart + 1) * rules.softPityIncrement);
+    }
+    return rules.rateS;
+}
+
+/**
+ * Simulate a single pull on any banner
  * @param {Object} state - Current pity/guarantee state (mutated)
+ * @param {Object} keys - Names of the state fields for this banner (s, a, sg, ag)
+ * @param {Object} rules - Banner rule set
+ * @param {Function} rng - Random generator
  * @param {Object} tracker - Optional tracker for average calculations
  * @returns {number} Result constant
  */
-export function cpull(state, tracker = null) {
-    state.cpity++;
-    const roll = Math.random();
-    if (state.cpity >= PITY_C || roll < RATE_S) {
+function bannerPull(state, keys, rules, rng, tracker = null) {
+    state[keys.s]++;
+    const roll = rng();
+    const rate = sRankRate(rules, state[keys.s]);
+    if (roll < rate) {
         if (tracker) {
-            tracker.pulls += state.cpity;
+            tracker.pulls += state[keys.s];
             tracker.wins++;
         }
-        state.cpity = 0;
-        if (state.cguaranteed || Math.random() < CFEATURED) {
-            state.cguaranteed = false;
+        state[keys.s] = 0;
+        if (state[keys.sg] || rng() < rules.featuredS) {
+            state[keys.sg] = false;
             return RESULT_FEATURED_S;
         }
         //otherwise
-        state.cguaranteed = true;
+        state[keys.sg] = rules.guaranteeS;
         return RESULT_STANDARD_S;
     } else
-    if (state.apity >= PITY_A || roll < RATE_S + RATE_A) {
-        state.apity = 0;
-        if (state.aguaranteed || Math.random() < CFEATURED) {
-            state.aguaranteed = false;
+    if (state[keys.a] >= rules.pityA || roll < rate + rules.rateA) {
+        state[keys.a] = 0;
+        if (state[keys.ag] || rng() < rules.featuredA) {
+            state[keys.ag] = false;
             return RESULT_FEATURED_A;
         }
         //otherwise
-        state.aguaranteed = true;
+        state[keys.ag] = rules.guaranteeA;
         return RESULT_STANDARD_A;
     }
     //otherwise
     return RESULT_NOTHING;
 }
 
+const CHARACTER_KEYS = { s: "cpity", a: "apity", sg: "cguaranteed", ag: "aguaranteed" };
+const ENGINE_KEYS = { s: "wpity", a: "epity", sg: "wguaranteed", ag: "eguaranteed" };
+const STANDARD_KEYS = { s: "spity", a: "sapity", sg: "sguaranteed", ag: "saguaranteed" };
+const BANGBOO_KEYS = { s: "bpity", a: "bapity", sg: "bguaranteed", ag: "baguaranteed" };
+
+/**
+ * Simulate a single character banner pull
+ * @param {Object} state - Current pity/guarantee state (mutated)
+ * @param {Object} tracker - Optional tracker for average calculations
+ * @param {Function} rng - Random generator (default: Math.random)
+ * @param {Object} rules - Banner rule set (default: limited agent)
+ * @returns {number} Result constant
+ */
+export function cpull(state, tracker = null, rng = Math.random, rules = BANNER_RULES.LIMITED_AGENT) {
+    return bannerPull(state, CHARACTER_KEYS, rules, rng, tracker);
+}
+
 /**
  * Simulate a single W-Engine banner pull
  * @param {Object} state - Current pity/guarantee state (mutated)
+ * @param {Function} rng - Random generator (default: Math.random)
+ * @param {Object} rules - Banner rule set (default: limited W-Engine)
  * @returns {number} Result constant
  */
-export function wpull(state) {
-    state.wpity++;
-    const roll = Math.random();
-    if (state.wpity >= PITY_W || roll < RATE_S) {
-        state.wpity = 0;
-        if (state.wguaranteed || Math.random() < WFEATURED) {
-            state.wguaranteed = false;
-            return RESULT_FEATURED_S;
-        }
-        //otherwise
-        state.wguaranteed = true;
-        return RESULT_STANDARD_S;
-    } else
-    if (state.epity >= PITY_A || roll < RATE_S + RATE_A) {
-        state.epity = 0;
-        if (state.eguaranteed || Math.random() < WFEATURED) {
-            state.eguaranteed = false;
-            return RESULT_FEATURED_A;
-        }
-        //otherwise
-        state.eguaranteed = true;
-        return RESULT_STANDARD_A;
-    }
-    //otherwise
-    return RESULT_NOTHING;
+export function wpull(state, rng = Math.random, rules = BANNER_RULES.LIMITED_ENGINE) {
+    return bannerPull(state, ENGINE_KEYS, rules, rng);
+}
+
+/**
+ * Simulate a single Standard (Stable Channel) pull
+ * RESULT_FEATURED_S is an S-rank agent, RESULT_STANDARD_S an S-rank W-Engine.
+ * @param {Object} state - Current pity state (mutated), separate from the limited banners
+ * @param {Function} rng - Random generator (default: Math.random)
+ * @param {Object} rules - Banner rule set (default: standard)
+ * @returns {number} Result constant
+ */
+export function spull(state, rng = Math.random, rules = BANNER_RULES.STANDARD) {
+    return bannerPull(state, STANDARD_KEYS, rules, rng);
+}
+
+/**
+ * Simulate a single Bangboo Channel pull
+ * @param {Object} state - Current pity state (mutated)
+ * @param {Function} rng - Random generator (default: Math.random)
+ * @param {Object} rules - Banner rule set (default: Bangboo)
+ * @returns {number} Result constant
+ */
+export function bpull(state, rng = Math.random, rules = BANNER_RULES.BANGBOO) {
+    return bannerPull(state, BANGBOO_KEYS, rules, rng);
 }
 
 /**
  * Pull tactics - determines the order of pulling when targeting both characters and engines
  * - "engine-first": Pull 1 char, 1 engine, remaining chars, remaining engines (default)
  * - "mindscapes-first": Pull all chars first, then all engines
+ * - "standard": Pull the Stable Channel for copies of one standard S-rank agent (context.target)
+ * - "bangboo": Pull the Bangboo Channel for copies of the selected S-rank Bangboo
  */
 export const TACTICS = {
     ENGINE_FIRST: "engine-first",
-    MINDSCAPES_FIRST: "mindscapes-first"
+    MINDSCAPES_FIRST: "mindscapes-first",
+    CUSTOM: "custom",               // context.order, e.g. ["c", "w", "c", "c", "w"]
+    STANDARD: "standard",
+    BANGBOO: "bangboo"
 };
 
+// Filler words allowed in a written pull order ("stop after M2 then W1")
+const ORDER_FILLER = new Set(["then", "after", "stop", "and", "to", "until"]);
+
+/**
+ * Parse a written pull order into one step per copy.
+ *
+ * Steps are separated by commas, spaces or "then": "C" / "W" pull one more character /
+ * W-Engine copy, "M2" / "W1" pull until that mindscape / refinement, and "2C" repeats
+ * a step. The order ends where the text ends, so "stop after M2 then W1" stops at M2W1.
+ *
+ * @param {string} text - Written order, e.g. "C, W, C, C, W"
+ * @returns {string[]} Steps, "c" or "w"
+ * @throws {Error} If a step is not recognised or the order is empty
+ */
+export function parsePullOrder(text) {
+    const order = [];
+    let c = 0, w = 0;
+    for (const token of String(text).toLowerCase().split(/[\s,;>→]+/)) {
+        if (token === "" || ORDER_FILLER.has(token)) continue;
+        let match;
+        if ((match = /^(\d*)([cw])$/.exec(token))) {
+            const count = match[1] === "" ? 1 : parseInt(match[1]);
+            for (let i = 0; i < count; i++) order.push(match[2]);
+        } else if ((match = /^m([0-6])$/.exec(token))) {
+            for (; c < parseInt(match[1]) + 1; c++) order.push("c");
+        } else if ((match = /^w([1-5])$/.exec(token))) {
+            for (; w < parseInt(match[1]); w++) order.push("w");
+        } else {
+            throw new Error(`Unknown pull order step "${token}"`);
+        }
+        c = order.filter(step => step === "c").length;
+        w = order.length - c;
+    }
+    if (order.length === 0) {
+        throw new Error("The pull order is empty");
+    }
+    return order;
+}
+
+/**
+ * Copies an order ends with
+ * @param {string[]} order - Steps ("c" or "w")
+ * @returns {Object} { c, w } as simulate() targets
+ */
+export function orderTargets(order) {
+    const c = order.filter(step => step === "c").length;
+    return { c, w: order.length - c };
+}
+
+/**
+ * The step order a built-in tactic follows for a target
+ * @param {string} tactic - TACTICS.ENGINE_FIRST or TACTICS.MINDSCAPES_FIRST
+ * @param {number} c - Target character copies
+ * @param {number} w - Target W-Engine copies
+ * @returns {string[]} Steps ("c" or "w")
+ */
+export function toPullOrder(tactic, c, w) {
+    const order = [];
+    for (let fc = 0, fw = 0, banner; (banner = nextBanner({ c, w }, tactic, fc, fw)) !== null;) {
+        order.push(banner);
+        if (banner === "c") fc++; else fw++;
+    }
+    return order;
+}
+
+/**
+ * Describe an order by its milestones
+ * @param {string[]} order - Steps ("c" or "w")
+ * @returns {string} Label like "M0 → W1 → M2 → W2"
+ */
+export function formatPullOrder(order) {
+    const milestones = [];
+    let c = 0, w = 0;
+    order.forEach((step, index) => {
+        if (step === "c") c++; else w++;
+        if (order[index + 1] !== step) milestones.push(step === "c" ? `M${Math.min(c - 1, 6)}` : `W${w}`);
+    });
+    return milestones.join(" → ");
+}
+
+/**
+ * Residual Signal refunds for duplicate pulls, and their exchange rate into tapes
+ * - aDuplicate / aOverflow: A-rank agent copy at M1-M6 / beyond M6
+ * - sDuplicate / sOverflow: S-rank agent copy at M1-M6 / beyond M6
+ * - aEngine / sEngine: A-rank / S-rank W-Engine that is not the first featured copy
+ * - aAgentShare: share of off-banner A-rank results that are agents rather than W-Engines
+ */
+export const SIGNAL_RULES = Object.freeze({
+    aDuplicate: 8,
+    aOverflow: 20,
+    aEngine: 8,
+    sDuplicate: 40,
+    sOverflow: 100,
+    sEngine: 40,
+    signalsPerTape: 20,
+    aAgentShare: 0.5
+});
+
+/**
+ * Convert a roster stat ("M3W1") to copies owned (M0 = 1, not owned = 0)
+ * @param {string} stat - Roster value from roster.json
+ * @returns {number} Agent copies
+ */
+export function toCopies(stat) {
+    const match = /^M(\d)/.exec(stat || "");
+    return match ? parseInt(match[1]) + 1 : 0;
+}
+
+/**
+ * Build refund settings (context.refunds) from units.json and a roster.json-style roster
+ * @param {Object[]} units - Unit list from units.json
+ * @param {Object} roster - Agent name -> "M?W?" stat or copies owned
+ * @param {Object} options - Other refund fields (unlisted, featuredA, featuredCopies, signals, rules)
+ * @returns {Object} Refund settings accepted by simulate()
+ */
+export function createRefunds(units, roster = {}, options = {}) {
+    return {
+        roster: Object.fromEntries(Object.entries(roster).map(([name, stat]) =>
+            [name, typeof stat === "number" ? stat : toCopies(stat)])),
+        pool: units.filter(unit => unit.rank === "A").map(unit => unit.name),
+        standardS: units.filter(unit => unit.rank === "S" && !unit.limited).map(unit => unit.name),
+        ...options
+    };
+}
+
+/**
+ * Track Residual Signals earned during one simulated run and convert them to tapes.
+ *
+ * Refund fields: roster (agent name -> copies owned), unlisted (copies assumed for
+ * agents missing from the roster, default 0), pool (off-banner A-rank agent names),
+ * featuredA (the banner's featured A-rank agents), standardS (standard S-rank agent
+ * names), featuredCopies (copies of the limited agent already owned), signals
+ * (Residual Signals held) and rules (overrides for SIGNAL_RULES).
+ *
+ * Featured copies are counted per limited banner: useBanner(index) switches to another
+ * banner's agent and W-Engine, so its M0 and W1 are never refunded as duplicates of an
+ * earlier banner's. Banner 0 is the one featuredCopies describes; the signal balance and
+ * the roster are shared by all banners.
+ *
+ * @param {Object} refunds - Refund settings (context.refunds)
+ * @param {Function} rng - Random generator used to pick which agent was pulled
+ * @returns {Object} Tracker with collect(result, banner, name) -> tapes earned, useBanner(index),
+ *          signals, tapes. banner is "c", "w" or "s"; name is the agent pulled when the caller
+ *          knows it (featured A-rank on "c", S-rank agent on "s")
+ */
+export function createSignalTracker(refunds, rng = Math.random) {
+    const rules = { ...SIGNAL_RULES, ...refunds.rules };
+    const copies = new Map(Object.entries(refunds.roster || {}));
+    const unlisted = refunds.unlisted || 0;
+    const names = (list, fallback) => list && list.length > 0 ? list : fallback;
+    const pool = names(refunds.pool, ["Standard A-Rank"]);
+    const featuredA = names(refunds.featuredA, pool);
+    const standardS = names(refunds.standardS, ["Standard S-Rank"]);
+    const pick = (list) => list[Math.floor(rng() * list.length)];
+    // Featured agent (c) and W-Engine (w) copies owned, per limited banner
+    let featured = { c: refunds.featuredCopies || 0, w: 0 };
+    const banners = new Map([[0, featured]]);
+
+    // Signals for one more copy of an agent, by copies owned before it
+    const agentCopy = (name, duplicate, overflow) => {
+        const owned = copies.has(name) ? copies.get(name) : unlisted;
+        copies.set(name, owned + 1);
+        return owned === 0 ? 0 : owned <= 6 ? duplicate : overflow;
+    };
+
+    const tracker = {
+        signals: refunds.signals || 0,
+        tapes: 0,
+        useBanner(index) {
+            if (!banners.has(index)) banners.set(index, { c: 0, w: 0 });
+            featured = banners.get(index);
+        },
+        collect(result, banner, name) {
+            let signals = 0;
+            if (banner === "s") {
+                // Stable Channel: featured S = S-rank agent, standard S = S-rank W-Engine
+                signals = result == RESULT_FEATURED_S ? agentCopy(name, rules.sDuplicate, rules.sOverflow)
+                    : result == RESULT_STANDARD_S ? rules.sEngine
+                    : result == RESULT_FEATURED_A || result == RESULT_STANDARD_A
+                        ? (rng() < rules.aAgentShare ? agentCopy(pick(pool), rules.aDuplicate, rules.aOverflow) : rules.aEngine)
+                    : 0;
+            } else if (result == RESULT_FEATURED_S) {
+                if (banner === "c") {
+                    signals = featured.c === 0 ? 0 : featured.c <= 6 ? rules.sDuplicate : rules.sOverflow;
+                    featured.c++;
+                } else {
+                    signals = featured.w === 0 ? 0 : rules.sEngine;
+                    featured.w++;
+                }
+            } else if (result == RESULT_STANDARD_S) {
+                signals = banner === "c" ? agentCopy(pick(standardS), rules.sDuplicate, rules.sOverflow) : rules.sEngine;
+            } else if (result == RESULT_FEATURED_A) {
+                signals = banner === "c" ? agentCopy(name || pick(featuredA), rules.aDuplicate, rules.aOverflow) : rules.aEngine;
+            } else if (result == RESULT_STANDARD_A) {
+                signals = rng() < rules.aAgentShare ? agentCopy(pick(pool), rules.aDuplicate, rules.aOverflow) : rules.aEngine;
+            }
+            if (signals === 0) return 0;
+
+            tracker.signals += signals;
+            const tapes = Math.floor(tracker.signals / rules.signalsPerTape);
+            tracker.signals -= tapes * rules.signalsPerTape;
+            tracker.tapes += tapes;
+            return tapes;
+        }
+    };
+    return tracker;
+}
+
 /**
  * Run a complete simulation for the given context
- * @param {Object} context - Simulation parameters (p, c, w, pity[], guarantees[], tactic)
+ * With context.refunds set, Residual Signals from duplicates are exchanged for tapes
+ * as soon as enough are earned, and those pulls are spent in the same run.
+ * With context.featuredA set (the banner's featured A-rank agent names), each featured
+ * A-rank result is one of them with equal odds; context.aTargets ([{ name, current,
+ * target }] in copies, 1 = M0) keeps pulling the agent banner after the S-rank target
+ * until every A-rank target is reached.
+ * A TACTICS.CUSTOM tactic follows context.order, with c and w set from orderTargets().
+ * @param {Object} context - Simulation parameters (p, c, w, pity[], guarantees[], tactic, order, rng,
+ *        rules, state, refunds, signals, banner, featuredA, aTargets)
  * @param {Object} tracker - Optional tracker for average calculations
- * @returns {Object} Results object with fc, fw, sc, sw, fa, sa, fe, se, p
+ * @returns {Object} Results object with fc, fw, sc, sw, fa, sa, fe, se, p, refunds, state, signals,
+ *          aAgents (copies pulled per featured A-rank agent), aTargetsMet and hits (every featured
+ *          S-rank as { milestone: "M0" / "W1", pull: 1-based pull number within the run })
  */
 export function simulate(context, tracker = null) {
-    let state = {
+    const rng = context.rng || Math.random;
+    const rules = { ...DEFAULT_RULES, ...context.rules };
+    if (context.tactic === TACTICS.STANDARD) return simulateStandard(context, rng, rules.standard);
+    if (context.tactic === TACTICS.BANGBOO) return simulateBangboo(context, rng, rules.bangboo);
+    // context.state continues from an earlier banner (pity and guarantees carry over)
+    let state = context.state || {
         cpity: context.pity && context.pity.length > 0 && context.pity[0] ? context.pity[0] : 0,
         wpity: context.pity && context.pity.length > 1 && context.pity[1] ? context.pity[1] : 0,
         apity: context.pity && context.pity.length > 2 && context.pity[2] ? context.pity[2] : 0,
@@ -126,47 +486,150 @@ export function simulate(context, tracker = null) {
         fa: 0,
         sa: 0,
         fe: 0,
-        se: 0
+        se: 0,
+        hits: []
     };
     let pulls = context.p;
+    let pulled = 0;
     const tactic = context.tactic || TACTICS.ENGINE_FIRST;
-    
-    if (tactic === TACTICS.MINDSCAPES_FIRST) {
-        // All mindscapes first, then all engines
-        while (results.fc < context.c && pulls > 0) {
-            pulls--;
-            const result = cpull(state, tracker);
-            ctally(result, results);
-        }
-        while (results.fw < context.w && pulls > 0) {
-            pulls--;
-            const result = wpull(state);
-            wtally(result, results);
-        }
-    } else {
-        // Default: engine-first (1 char, 1 engine, remaining chars, remaining engines)
-        while (context.c > 0 && pulls > 0 && results.fc == 0) {
-            pulls--;
-            const result = cpull(state, tracker);
-            ctally(result, results);
-        }
-        while (context.w > 0 && pulls > 0 && results.fw == 0) {
-            pulls--;
-            const result = wpull(state);
-            wtally(result, results);
+
+    // Featured A-rank agents, and the targets among them
+    const featuredA = context.featuredA && context.featuredA.length > 0 ? context.featuredA : null;
+    const aTargets = featuredA ? (context.aTargets || []).filter(t => featuredA.includes(t.name)) : [];
+    if (featuredA) {
+        results.aAgents = {};
+        for (const name of featuredA) results.aAgents[name] = 0;
+    }
+    const aTargetsMet = () => aTargets.every(t => (t.current || 0) + results.aAgents[t.name] >= t.target);
+
+    // context.signals continues an earlier run's refunds (e.g. the previous banner of a plan);
+    // context.banner picks which limited banner's featured copies this run counts against.
+    // The A-rank targets' current mindscapes take precedence over the roster.
+    const refunds = context.refunds && featuredA ? {
+        ...context.refunds,
+        featuredA,
+        roster: { ...context.refunds.roster, ...Object.fromEntries(aTargets.map(t => [t.name, t.current || 0])) }
+    } : context.refunds;
+    const signals = refunds ? (context.signals || createSignalTracker(refunds, rng)) : null;
+    if (signals) signals.useBanner(context.banner || 0);
+    const tapesBefore = signals ? signals.tapes : 0;
+    const pullC = () => {
+        pulls--;
+        pulled++;
+        const result = cpull(state, tracker, rng, rules.agent);
+        ctally(result, results);
+        if (result == RESULT_FEATURED_S) results.hits.push({ milestone: toAgentLabel(results.fc), pull: pulled });
+        let name;
+        if (featuredA && result == RESULT_FEATURED_A) {
+            name = featuredA[Math.floor(rng() * featuredA.length)];
+            results.aAgents[name]++;
         }
-        while (results.fc < context.c && pulls > 0) {
-            pulls--;
-            const result = cpull(state, tracker);
-            ctally(result, results);
+        if (signals) pulls += signals.collect(result, "c", name);
+    };
+    const pullW = () => {
+        pulls--;
+        pulled++;
+        const result = wpull(state, rng, rules.engine);
+        wtally(result, results);
+        if (result == RESULT_FEATURED_S) results.hits.push({ milestone: "W" + results.fw, pull: pulled });
+        if (signals) pulls += signals.collect(result, "w");
+    };
+    
+    // Follow the tactic until the target is met (see nextBanner)
+    for (let banner; pulls > 0 && (banner = nextBanner(context, tactic, results.fc, results.fw)) !== null;) {
+        if (banner === "c") pullC(); else pullW();
+    }
+    while (!aTargetsMet() && pulls > 0) pullC();
+    
+    results.p = pulls;
+    results.aTargetsMet = aTargetsMet();
+    results.refunds = signals ? signals.tapes - tapesBefore : 0;
+    results.state = state;
+    results.signals = signals;
+    return results;
+}
+
+/**
+ * Run a Stable Channel simulation for copies of one standard S-rank agent.
+ *
+ * Context fields: p (pulls), c (target copies, 1 = M0), target (agent name),
+ * agents (standard S-rank agent names), pity ([S, A] on the standard banner),
+ * selector (standard pulls already made towards the one-time selector) and
+ * selectorUsed. The selector is spent on the target agent as soon as it unlocks.
+ * refunds works as for simulate().
+ *
+ * @returns {Object} Results object with fc (target copies), sc (other agent copies),
+ *          sw (S-rank W-Engines), fa, sa, agents (copies per agent), selector, p, refunds,
+ *          hits (target copies, as for simulate())
+ */
+export function simulateStandard(context, rng = Math.random, rules = BANNER_RULES.STANDARD) {
+    const agents = context.agents && context.agents.length > 0 ? context.agents : [context.target];
+    let state = {
+        spity: context.pity && context.pity[0] ? context.pity[0] : 0,
+        sapity: context.pity && context.pity[1] ? context.pity[1] : 0,
+        sguaranteed: false,
+        saguaranteed: false
+    };
+    let results = { fc: 0, fw: 0, sc: 0, sw: 0, fa: 0, sa: 0, fe: 0, se: 0, agents: {}, selector: false, hits: [] };
+    for (const name of agents) results.agents[name] = 0;
+
+    let progress = context.selector || 0;
+    let selectorUsed = !!context.selectorUsed;
+    const signals = context.refunds ? createSignalTracker(context.refunds, rng) : null;
+    let pulls = context.p;
+    const grant = (name) => {
+        results.agents[name] = (results.agents[name] || 0) + 1;
+        if (name === context.target) {
+            results.fc++;
+            results.hits.push({ milestone: toAgentLabel(results.fc), pull: progress - (context.selector || 0) });
+        } else {
+            results.sc++;
         }
-        while (results.fw < context.w && pulls > 0) {
-            pulls--;
-            const result = wpull(state);
-            wtally(result, results);
+        if (signals) pulls += signals.collect(RESULT_FEATURED_S, "s", name);
+    };
+
+    while (results.fc < context.c && pulls > 0) {
+        pulls--;
+        progress++;
+        const result = spull(state, rng, rules);
+        if (result == RESULT_FEATURED_S) grant(agents[Math.floor(rng() * agents.length)]); else
+        if (result == RESULT_STANDARD_S) results.sw++; else
+        if (result == RESULT_FEATURED_A) results.fa++; else
+        if (result == RESULT_STANDARD_A) results.sa++;
+        if (signals && result != RESULT_FEATURED_S) pulls += signals.collect(result, "s");
+
+        if (!selectorUsed && progress >= STANDARD_SELECTOR_PULLS && results.fc < context.c) {
+            selectorUsed = true;
+            results.selector = true;
+            grant(context.target);
         }
     }
-    
+
+    results.p = pulls;
+    results.refunds = signals ? signals.tapes : 0;
+    return results;
+}
+
+/**
+ * Run a Bangboo Channel simulation for copies of the selected S-rank Bangboo
+ * Context fields: p (pulls), c (target copies), pity ([S, A] on the Bangboo banner)
+ * @returns {Object} Results object with fc (target copies), fa, sa, p, hits (as for simulate())
+ */
+export function simulateBangboo(context, rng = Math.random, rules = BANNER_RULES.BANGBOO) {
+    let state = {
+        bpity: context.pity && context.pity[0] ? context.pity[0] : 0,
+        bapity: context.pity && context.pity[1] ? context.pity[1] : 0,
+        bguaranteed: false,
+        baguaranteed: false
+    };
+    let results = { fc: 0, fw: 0, sc: 0, sw: 0, fa: 0, sa: 0, fe: 0, se: 0, hits: [] };
+    let pulls = context.p;
+    while (results.fc < context.c && pulls > 0) {
+        pulls--;
+        const result = bpull(state, rng, rules);
+        ctally(result, results);
+        if (result == RESULT_FEATURED_S) results.hits.push({ milestone: toBangbooLabel(results.fc), pull: context.p - pulls });
+    }
     results.p = pulls;
     return results;
 }
@@ -202,67 +665,516 @@ export function toLabel(c, w) {
     return label == "MxW0" ? "None" : label;
 }
 
+/**
+ * Convert an agent copy count to display label (Standard channel)
+ * @param {number} c - Copies pulled
+ * @returns {string} Label like "M0"
+ */
+export function toAgentLabel(c) {
+    return c == 0 ? "None" : "M" + Math.min(c - 1, 6);
+}
+
+/**
+ * Convert a Bangboo copy count to display label
+ * @param {number} c - Copies pulled
+ * @returns {string} Label like "x2"
+ */
+export function toBangbooLabel(c) {
+    return c == 0 ? "None" : "x" + c;
+}
+
 /**
  * Convert count to percentage string
  * @param {number} n - Count
  * @param {number} d - Divisor (default: SIMULATIONS)
+ * @param {number} interval - Optional confidence interval half-width (a fraction), shown as "± 0.3%"
+ *        (or "± 0.04%" below 0.1%, so tight --tolerance runs do not read "± 0.0%")
  * @returns {string} Formatted percentage
  */
-export function toPercentage(n, d) {
+export function toPercentage(n, d, interval) {
     if (d === undefined) d = SIMULATIONS;
     const ratio = n / d;
     const adjusted = Math.round(ratio * 1000) / 10;
     const percent = adjusted.toFixed(1).toString() + "%";
-    return percent.padStart(6);
+    if (interval === undefined || interval === null) return percent.padStart(6);
+    const width = Math.round(interval * 1000) / 10;
+    return `${percent.padStart(6)} ± ${width < 0.1 ? (interval * 100).toFixed(2) : width.toFixed(1)}%`;
+}
+
+// z-score of a two-sided 95% confidence interval
+export const CONFIDENCE_Z = 1.96;
+
+/**
+ * Half-width of the 95% confidence interval of a sampled share (normal approximation)
+ * @param {number} n - Runs in the bucket
+ * @param {number} d - Runs in total
+ * @returns {number} Half-width as a fraction, e.g. 0.003 for "± 0.3%"
+ */
+export function confidenceInterval(n, d) {
+    if (d <= 0) return 1;
+    const p = n / d;
+    return CONFIDENCE_Z * Math.sqrt(p * (1 - p) / d);
+}
+
+/**
+ * Default convergence mode settings (see runBatchSimulation())
+ * - tolerance: Largest confidence interval half-width accepted for any bucket
+ * - timeBudgetMs: Stop here even if not converged (ignored by seeded runs, to keep them reproducible)
+ * - minIterations: Runs before convergence is first checked (rare buckets look certain early on)
+ * - maxIterations: Hard cap on the runs
+ * - checkEvery: Runs between convergence checks
+ */
+export const CONVERGENCE = Object.freeze({
+    tolerance: 0.003,
+    timeBudgetMs: 10000,
+    minIterations: 10000,
+    maxIterations: 2000000,
+    checkEvery: 1000
+});
+
+/**
+ * Confidence interval half-widths of every bucket of a distribution
+ * @param {Object} buckets - Label -> runs
+ * @param {number} runs - Runs in total
+ * @returns {Object} Label -> half-width
+ */
+function bucketIntervals(buckets, runs) {
+    const intervals = {};
+    for (const key in buckets) intervals[key] = confidenceInterval(buckets[key], runs);
+    return intervals;
+}
+
+/**
+ * Runs needed until every bucket's interval is within the tolerance, at the shares seen so far
+ */
+function runsNeeded(distributions, runs, tolerance) {
+    let needed = 0;
+    for (const buckets of distributions) {
+        for (const key in buckets) {
+            const p = buckets[key] / runs;
+            needed = Math.max(needed, Math.ceil(CONFIDENCE_Z ** 2 * p * (1 - p) / tolerance ** 2));
+        }
+    }
+    return needed;
+}
+
+// Percentiles reported for the pull number of each milestone
+export const MILESTONE_PERCENTILES = [0.1, 0.25, 0.5, 0.75, 0.9];
+
+/**
+ * When each milestone (featured S-rank copy) arrived, over the runs that reached it
+ * @param {Object} milestoneHits - Milestone -> pull number -> runs
+ * @param {number} runs - Runs in total
+ * @returns {Object[]} [{ milestone, reached (runs), mean, percentiles (pull numbers, one per
+ *          MILESTONE_PERCENTILES), histogram (pull number -> runs) }], earliest median first
+ */
+function summariseMilestones(milestoneHits, runs) {
+    const milestones = [];
+    for (const milestone in milestoneHits) {
+        const histogram = milestoneHits[milestone];
+        const pullNumbers = Object.keys(histogram).map(Number).sort((a, b) => a - b);
+        let reached = 0, sum = 0;
+        for (const pull of pullNumbers) {
+            reached += histogram[pull];
+            sum += pull * histogram[pull];
+        }
+        const percentiles = [];
+        let seen = 0, index = 0;
+        for (const pull of pullNumbers) {
+            seen += histogram[pull];
+            while (index < MILESTONE_PERCENTILES.length && seen >= MILESTONE_PERCENTILES[index] * reached) {
+                percentiles[index++] = pull;
+            }
+        }
+        milestones.push({ milestone, reached, share: reached / runs, mean: sum / reached, percentiles, histogram: { ...histogram } });
+    }
+    const median = MILESTONE_PERCENTILES.indexOf(0.5);
+    return milestones.sort((a, b) => a.percentiles[median] - b.percentiles[median] || a.mean - b.mean);
 }
 
 /**
  * Run batch simulation and collect statistics
- * @param {Object} context - Simulation parameters
+ *
+ * With `context.convergence` set ({ tolerance, timeBudgetMs, ... }, defaults in CONVERGENCE),
+ * `iterations` is ignored: sampling goes on until the 95% confidence interval of every
+ * s_limited and s_standard bucket is within ± tolerance, or the time budget runs out.
+ *
+ * @param {Object} context - Simulation parameters; `seed` or `rng` makes the run reproducible
  * @param {number} iterations - Number of simulations to run (default: SIMULATIONS)
- * @returns {Object} Aggregated results
+ * @param {Function} onProgress - Optional progress callback (see reportsProgress())
+ * @returns {Object} Aggregated results, with `intervals` ({ s_limited, s_standard }: label ->
+ *          confidence interval half-width), `milestones` (see summariseMilestones()) and,
+ *          in convergence mode, `convergence` ({ tolerance, converged })
  */
-export function runBatchSimulation(context, iterations = SIMULATIONS) {
+export function runBatchSimulation(context, iterations = SIMULATIONS, onProgress) {
+    const convergence = context.convergence ? { ...CONVERGENCE, ...context.convergence } : null;
+    const seeded = !!(context.seed || context.rng);
     const tracker = { pulls: 0, wins: 0 };
+    if (!context.rng) {
+        context = { ...context, rng: resolveRandom(context.seed) };
+    }
+    const label = context.tactic === TACTICS.BANGBOO ? toBangbooLabel
+        : context.tactic === TACTICS.STANDARD ? toAgentLabel
+        : toLabel;
+    const w = context.w || 0;
     
     // Prepare result buckets
     const s_limited = {}, s_standard = {}, a_featured = {};
-    for (let w = 0; w <= context.w; w++) {
+    for (let fw = 0; fw <= w; fw++) {
         for (let c = 0; c <= context.c; c++) {
-            s_limited[toLabel(c, w)] = 0;
-            s_standard[toLabel(c, w)] = 0;
+            s_limited[label(c, fw)] = 0;
+            s_standard[toLabel(c, fw)] = 0;
         }
     }
+    // Standard channel: agent name -> copies -> number of runs
+    const s_agents = context.tactic === TACTICS.STANDARD ? {} : null;
+    let selectorRuns = 0;
+    // Featured A-rank targets: final mindscape -> number of runs, runs reaching the target
+    const a_targets = hasATargets(context) ? context.aTargets
+        .filter(t => context.featuredA.includes(t.name))
+        .map(t => ({ name: t.name, current: t.current || 0, target: toAgentLabel(t.target), copies: t.target, levels: {}, hits: 0 }))
+        : null;
+    let joint = 0;
+    // Milestone -> pull number -> runs that reached it on that pull
+    const milestoneHits = {};
     
     // Run simulations
-    const target = toLabel(context.c, context.w);
+    const target = label(context.c, w);
     let totalPullsUsed = 0;
+    let totalRefunds = 0;
     let remaining = 0;
-    let set = [];
+    const set = [];
+    const limit = convergence ? convergence.maxIterations : iterations;
+    const progress = convergence ? () => {} : reportsProgress(iterations, onProgress);
+    const startTime = Date.now();
+    let converged = false;
+
+    // Statistics over the first `runs` simulations
+    const summarise = (runs) => {
+        let mean = remaining / s_limited[target];
+        const squaresum = set.reduce((sum, item) => sum + (item - mean) ** 2, 0);
+        const variance = squaresum / set.length;
+        let stddev = Math.sqrt(variance);
+        mean = Math.round(mean);
+        stddev = Math.round(stddev);
+        
+        // Calculate weighted A-rank average
+        let weightedSum = 0, totalWeight = 0;
+        for (const key in a_featured) {
+            weightedSum += key * a_featured[key];
+            totalWeight += a_featured[key];
+        }
+        const avgA = totalWeight > 0 ? (weightedSum / totalWeight).toFixed(2) : "0.00";
+        const avgP = Math.ceil(totalPullsUsed / runs);
+        const avgRefunds = Math.round(totalRefunds / runs * 10) / 10;
+        
+        return {
+            target,
+            s_limited,
+            s_standard,
+            a_featured,
+            totalPullsUsed,
+            remaining,
+            mean,
+            stddev,
+            avgA,
+            avgP,
+            avgRefunds,
+            tracker,
+            iterations: runs,
+            intervals: {
+                s_limited: bucketIntervals(s_limited, runs),
+                s_standard: bucketIntervals(s_standard, runs)
+            },
+            convergence: convergence ? { tolerance: convergence.tolerance, converged } : undefined,
+            milestones: summariseMilestones(milestoneHits, runs),
+            s_agents,
+            selectorRuns,
+            a_targets,
+            joint
+        };
+    };
     
-    for (let i = 0; i < iterations; i++) {
+    let runs = 0;
+    while (runs < limit) {
         const result = simulate(context, tracker);
-        s_limited[toLabel(result.fc, result.fw)]++;
-        s_standard[toLabel(result.sc, result.sw)]++;
+        // Pulling on for A-rank targets can overshoot the S-rank target
+        s_limited[label(Math.min(result.fc, context.c), Math.min(result.fw, w))]++;
+        s_standard[toLabel(result.sc, result.sw)] = (s_standard[toLabel(result.sc, result.sw)] || 0) + 1;
+        if (s_agents) {
+            for (const name in result.agents) {
+                const agent = s_agents[name] || (s_agents[name] = {});
+                agent[result.agents[name]] = (agent[result.agents[name]] || 0) + 1;
+            }
+            if (result.selector) selectorRuns++;
+        }
+        if (a_targets) {
+            for (const t of a_targets) {
+                const copies = t.current + result.aAgents[t.name];
+                const level = toAgentLabel(copies);
+                t.levels[level] = (t.levels[level] || 0) + 1;
+                if (copies >= t.copies) t.hits++;
+            }
+            if (result.aTargetsMet && result.fc >= context.c && result.fw >= w) joint++;
+        }
         if (result.fa.toString() in a_featured) {
             a_featured[result.fa.toString()]++;
         } else {
             a_featured[result.fa.toString()] = 1;
         }
         remaining += result.p;
-        totalPullsUsed += context.p - result.p;
+        totalPullsUsed += context.p + (result.refunds || 0) - result.p;
+        totalRefunds += result.refunds || 0;
         if (result.p > 0) set.push(result.p);
+        for (const hit of result.hits) {
+            const histogram = milestoneHits[hit.milestone] || (milestoneHits[hit.milestone] = {});
+            histogram[hit.pull] = (histogram[hit.pull] || 0) + 1;
+        }
+        runs++;
+        progress(runs, summarise);
+
+        if (convergence && runs % convergence.checkEvery === 0) {
+            const needed = Math.max(runsNeeded([s_limited, s_standard], runs, convergence.tolerance), convergence.minIterations);
+            converged = needed <= runs;
+            const outOfTime = !seeded && runs >= convergence.minIterations && Date.now() - startTime >= convergence.timeBudgetMs;
+            if (converged || outOfTime) break;
+            // Progress toward the runs the shares so far call for
+            if (onProgress) onProgress(runs, Math.min(needed, limit), () => summarise(runs));
+        }
     }
     
+    return summarise(runs);
+}
+
+/**
+ * Whether the context has featured A-rank targets (always simulated pull by pull)
+ */
+function hasATargets(context) {
+    return !!(context.featuredA && context.featuredA.length > 0 && context.aTargets && context.aTargets.length > 0);
+}
+
+/**
+ * Simulation engines - how outcome distributions are computed
+ * - "sampled": Monte Carlo over repeated simulate() calls (default)
+ * - "exact": Dynamic programming over the pity/guarantee state space
+ */
+export const ENGINES = {
+    SAMPLED: "sampled",
+    EXACT: "exact"
+};
+
+/**
+ * Determine which banner the next pull goes to
+ * - engine-first: 1 character, 1 engine, remaining characters, remaining engines
+ * - mindscapes-first: all characters, then all engines
+ * - custom: the first step of context.order not yet covered by the copies pulled
+ * @returns {string|null} "c" for character, "w" for W-Engine, null when targets are met
+ */
+function nextBanner(context, tactic, fc, fw) {
+    if (tactic === TACTICS.CUSTOM) {
+        let c = 0, w = 0;
+        for (const step of context.order) {
+            if (step === "c" && fc < ++c) return "c";
+            if (step === "w" && fw < ++w) return "w";
+        }
+        return null;
+    }
+    if (tactic === TACTICS.MINDSCAPES_FIRST) {
+        if (fc < context.c) return "c";
+        if (fw < context.w) return "w";
+        return null;
+    }
+    if (context.c > 0 && fc == 0) return "c";
+    if (context.w > 0 && fw == 0) return "w";
+    if (fc < context.c) return "c";
+    if (fw < context.w) return "w";
+    return null;
+}
+
+/**
+ * Compute the exact outcome distribution for the given context.
+ *
+ * Walks the state space pull by pull, carrying the probability of every reachable
+ * pity/guarantee state. Only what decides the next pull is part of the state key;
+ * standard S tallies and featured A-rank counts never influence it, so each state
+ * carries their distributions alongside as vectors. W-Engine A-ranks are not
+ * tracked since no result depends on them. Counts are expressed as expected counts
+ * out of `iterations` runs so the result has the same shape as runBatchSimulation().
+ *
+ * @param {Object} context - Simulation parameters (p, c, w, pity[], guarantees[], tactic, rules)
+ * @param {number} iterations - Scale for the reported counts (default: SIMULATIONS)
+ * @returns {Object} Aggregated results
+ */
+export function runExactDistribution(context, iterations = SIMULATIONS) {
+    const tactic = context.tactic || TACTICS.ENGINE_FIRST;
+    const { agent, engine } = { ...DEFAULT_RULES, ...context.rules };
+    const pity = context.pity || [];
+    const guarantees = context.guarantees || [];
+
+    // Probability mass below this is dropped from the A-rank vectors
+    const EPSILON = 1e-18;
+
+    // Mixed-radix packing of the state into a single number key
+    const R_FC = context.c + 1, R_FW = context.w + 1;
+    const R_SC = context.c + 2, R_SW = context.w + 2;
+    const encode = (s) =>
+        (((((s.cpity * 2 + s.cg) * engine.pityS + s.wpity) * 2 + s.wg) * R_FC + s.fc) * R_FW + s.fw) * 2 + s.af;
+    const decode = (key) => {
+        const s = {};
+        s.af = key % 2; key = Math.floor(key / 2);
+        s.fw = key % R_FW; key = Math.floor(key / R_FW);
+        s.fc = key % R_FC; key = Math.floor(key / R_FC);
+        s.wg = key % 2; key = Math.floor(key / 2);
+        s.wpity = key % engine.pityS; key = Math.floor(key / engine.pityS);
+        s.cg = key % 2;
+        s.cpity = Math.floor(key / 2);
+        return s;
+    };
+
+    // Each state holds its mass, the distribution over standard S tallies
+    // (index sc * R_SW + sw) and over featured A-ranks (index fa * 2 + aguaranteed)
+    const entry = (map, s) => {
+        const key = encode(s);
+        let e = map.get(key);
+        if (!e) {
+            e = { mass: 0, std: new Float64Array(R_SC * R_SW), a: new Float64Array(2 * (context.p + 2)), lo: Infinity, hi: -1 };
+            map.set(key, e);
+        }
+        return e;
+    };
+    const touch = (e, i) => {
+        if (i < e.lo) e.lo = i;
+        if (i > e.hi) e.hi = i;
+    };
+    // stdShift: 0 = unchanged, R_SW = one more standard character, 1 = one more standard engine
+    const carry = (map, s, from, f, stdShift = 0, arank = false) => {
+        if (f <= 0) return;
+        const e = entry(map, s);
+        e.mass += from.mass * f;
+        for (let i = 0; i < from.std.length; i++) {
+            if (from.std[i] > 0) e.std[i + stdShift] += from.std[i] * f;
+        }
+        for (let i = from.lo; i <= from.hi; i++) {
+            const m = from.a[i] * f;
+            if (m <= 0) continue;
+            if (!arank) {
+                e.a[i] += m;
+                touch(e, i);
+                continue;
+            }
+            const fa = i >> 1;
+            const pFeatured = (i & 1) ? 1 : agent.featuredA;
+            e.a[(fa + 1) * 2] += m * pFeatured;
+            touch(e, (fa + 1) * 2);
+            if (pFeatured < 1) {
+                const lost = fa * 2 + (agent.guaranteeA ? 1 : 0);
+                e.a[lost] += m * (1 - pFeatured);
+                touch(e, lost);
+            }
+        }
+    };
+
+    const tracker = { pulls: 0, wins: 0 };
+    const s_limited = {}, s_standard = {}, a_featured = {};
+    for (let w = 0; w <= context.w; w++) {
+        for (let c = 0; c <= context.c; c++) {
+            s_limited[toLabel(c, w)] = 0;
+            s_standard[toLabel(c, w)] = 0;
+        }
+    }
+    const target = toLabel(context.c, context.w);
+    const leftover = new Map(); // remaining pulls -> probability
+
+    const finish = (s, e, left) => {
+        s_limited[toLabel(s.fc, s.fw)] += e.mass;
+        for (let i = 0; i < e.std.length; i++) {
+            if (e.std[i] > 0) s_standard[toLabel(Math.floor(i / R_SW), i % R_SW)] += e.std[i];
+        }
+        for (let i = e.lo; i <= e.hi; i++) {
+            if (e.a[i] > 0) a_featured[i >> 1] = (a_featured[i >> 1] || 0) + e.a[i];
+        }
+        leftover.set(left, (leftover.get(left) || 0) + e.mass);
+    };
+
+    let states = new Map();
+    const initial = {
+        cpity: Math.min(pity[0] || 0, agent.pityS - 1),
+        wpity: Math.min(pity[1] || 0, engine.pityS - 1),
+        cg: guarantees[0] ? 1 : 0,
+        wg: guarantees[1] ? 1 : 0,
+        af: (pity[2] || 0) >= agent.pityA ? 1 : 0,
+        fc: 0,
+        fw: 0
+    };
+    const start = entry(states, initial);
+    start.mass = 1;
+    start.std[0] = 1;
+    start.a[guarantees[2] ? 1 : 0] = 1;
+    touch(start, guarantees[2] ? 1 : 0);
+
+    for (let left = context.p; states.size > 0; left--) {
+        const next = new Map();
+        for (const [key, e] of states) {
+            const s = decode(key);
+            const banner = nextBanner(context, tactic, s.fc, s.fw);
+            if (banner === null || left == 0) {
+                finish(s, e, left);
+                continue;
+            }
+
+            if (banner === "c") {
+                const np = s.cpity + 1;
+                const pS = sRankRate(agent, np);
+                const pA = s.af ? 1 - pS : Math.min(agent.rateA, 1 - pS);
+                const pFeatured = s.cg ? 1 : agent.featuredS;
+                tracker.pulls += e.mass * pS * np;
+                tracker.wins += e.mass * pS;
+                carry(next, { ...s, cpity: 0, cg: 0, fc: s.fc + 1 }, e, pS * pFeatured);
+                carry(next, { ...s, cpity: 0, cg: agent.guaranteeS ? 1 : 0 }, e, pS * (1 - pFeatured), R_SW);
+                carry(next, { ...s, cpity: np, af: 0 }, e, pA, 0, true);
+                carry(next, { ...s, cpity: np }, e, 1 - pS - pA);
+            } else {
+                const np = s.wpity + 1;
+                const pS = sRankRate(engine, np);
+                const pFeatured = s.wg ? 1 : engine.featuredS;
+                carry(next, { ...s, wpity: 0, wg: 0, fw: s.fw + 1 }, e, pS * pFeatured);
+                carry(next, { ...s, wpity: 0, wg: engine.guaranteeS ? 1 : 0 }, e, pS * (1 - pFeatured), 1);
+                carry(next, { ...s, wpity: np }, e, 1 - pS);
+            }
+        }
+
+        // Trim negligible tails so the A-rank vectors stay narrow
+        for (const e of next.values()) {
+            while (e.lo < e.hi && e.a[e.lo] < EPSILON) e.a[e.lo++] = 0;
+            while (e.hi > e.lo && e.a[e.hi] < EPSILON) e.a[e.hi--] = 0;
+        }
+        states = next;
+    }
+
+    // Scale probabilities to expected counts out of `iterations`
+    for (const key in s_limited) s_limited[key] *= iterations;
+    for (const key in s_standard) s_standard[key] *= iterations;
+    for (const key in a_featured) a_featured[key] *= iterations;
+    tracker.pulls *= iterations;
+    tracker.wins *= iterations;
+
     // Calculate statistics
+    let remaining = 0, totalPullsUsed = 0;
+    for (const [left, mass] of leftover) {
+        remaining += left * mass * iterations;
+        totalPullsUsed += (context.p - left) * mass * iterations;
+    }
     let mean = remaining / s_limited[target];
-    set = set.map(k => (k - mean) ** 2);
-    const squaresum = set.reduce((sum, item) => sum + item, 0);
-    const variance = squaresum / set.length;
-    let stddev = Math.sqrt(variance);
+    let squaresum = 0, weight = 0;
+    for (const [left, mass] of leftover) {
+        if (left <= 0) continue;
+        squaresum += mass * (left - mean) ** 2;
+        weight += mass;
+    }
+    let stddev = weight > 0 ? Math.sqrt(squaresum / weight) : 0;
     mean = Math.round(mean);
     stddev = Math.round(stddev);
-    
+
     // Calculate weighted A-rank average
     let weightedSum = 0, totalWeight = 0;
     for (const key in a_featured) {
@@ -270,8 +1182,8 @@ export function runBatchSimulation(context, iterations = SIMULATIONS) {
         totalWeight += a_featured[key];
     }
     const avgA = totalWeight > 0 ? (weightedSum / totalWeight).toFixed(2) : "0.00";
-    const avgP = Math.ceil(totalPullsUsed / iterations);
-    
+    const avgP = Math.ceil(Math.round(totalPullsUsed / iterations * 1e6) / 1e6); // absorb float drift
+
     return {
         target,
         s_limited,
@@ -288,3 +1200,141 @@ export function runBatchSimulation(context, iterations = SIMULATIONS) {
     };
 }
 
+/**
+ * Compute the outcome distribution with the chosen engine
+ * Standard and Bangboo tactics, and runs with signal refunds or featured A-rank
+ * targets, are always sampled.
+ * @param {Object} context - Simulation parameters
+ * @param {string} engine - One of ENGINES (default: sampled)
+ * @param {number} iterations - Number of simulations, or the count scale for the exact engine
+ * @param {Function} onProgress - Optional progress callback for sampled runs (see reportsProgress())
+ * @returns {Object} Aggregated results
+ */
+export function runDistribution(context, engine = ENGINES.SAMPLED, iterations = SIMULATIONS, onProgress) {
+    // The exact engine models the limited banners' S-ranks only, without refunds
+    const limited = context.tactic !== TACTICS.STANDARD && context.tactic !== TACTICS.BANGBOO;
+    return engine === ENGINES.EXACT && limited && !context.refunds && !hasATargets(context)
+        ? runExactDistribution(context, iterations)
+        : runBatchSimulation(context, iterations, onProgress);
+}
+
+/**
+ * Confidence levels reported by runPullsNeeded()
+ */
+export const CONFIDENCE_LEVELS = [0.5, 0.75, 0.9, 0.99];
+
+/**
+ * Worst-case pulls to reach the target on the limited banners (every 50/50 lost at hard pity)
+ * @param {Object} context - Simulation parameters (c, w, rules, featuredA, aTargets)
+ * @returns {number} Pull count at which the target is certain
+ */
+export function maxPullsNeeded(context) {
+    const { agent, engine } = { ...DEFAULT_RULES, ...context.rules };
+    const perAgent = agent.pityS * (agent.featuredS < 1 ? 2 : 1);
+    const perEngine = engine.pityS * (engine.featuredS < 1 ? 2 : 1);
+    // A-rank copies of one agent have no hard pity: allow three times the expected pulls
+    const copiesA = hasATargets(context)
+        ? context.aTargets.reduce((sum, t) => sum + Math.max(t.target - (t.current || 0), 0), 0)
+        : 0;
+    const perA = copiesA > 0 ? 3 * context.featuredA.length / (agent.rateA * agent.featuredA) : 0;
+    return context.c * perAgent + (context.w || 0) * perEngine + Math.ceil(copiesA * perA);
+}
+
+/**
+ * Inverse query: how many pulls the target needs.
+ *
+ * Returns the cumulative probability of having reached the target (c, w, and any
+ * featured A-rank targets) after each number of pulls, starting from context.pity /
+ * guarantees and following context.tactic, plus the pulls needed for each of
+ * CONFIDENCE_LEVELS (counting only pulls paid for, not refunds). The exact engine steps
+ * the pity/guarantee state pull by pull; Standard and Bangboo tactics and runs with
+ * refunds or A-rank targets are always sampled.
+ * Standard and Bangboo runs stop at context.maxPulls (default 3000).
+ *
+ * @param {Object} context - Simulation parameters (p is ignored)
+ * @param {string} engine - One of ENGINES (default: exact)
+ * @param {number} iterations - Number of runs for the sampled engine
+ * @param {Function} onProgress - Optional progress callback for sampled runs (no partial results)
+ * @returns {Object} { cdf: probability by pull count, thresholds: [{ level, pulls }], mean, max }
+ */
+export function runPullsNeeded(context, engine = ENGINES.EXACT, iterations = SIMULATIONS, onProgress) {
+    const limited = context.tactic !== TACTICS.STANDARD && context.tactic !== TACTICS.BANGBOO;
+    const max = limited ? maxPullsNeeded(context) : (context.maxPulls || 3000);
+    const pmf = new Float64Array(max + 1);
+
+    if (engine === ENGINES.EXACT && limited && !context.refunds && !hasATargets(context)) {
+        const tactic = context.tactic || TACTICS.ENGINE_FIRST;
+        const { agent, engine: weapon } = { ...DEFAULT_RULES, ...context.rules };
+        const pity = context.pity || [];
+        const guarantees = context.guarantees || [];
+        const R_FC = context.c + 1, R_FW = (context.w || 0) + 1;
+        const encode = (s) => ((((s.cpity * 2 + s.cg) * weapon.pityS + s.wpity) * 2 + s.wg) * R_FC + s.fc) * R_FW + s.fw;
+        const add = (map, s, mass) => {
+            if (mass <= 0) return;
+            const key = encode(s);
+            const e = map.get(key);
+            if (e) e.mass += mass; else map.set(key, { s, mass });
+        };
+
+        let states = new Map();
+        add(states, {
+            cpity: Math.min(pity[0] || 0, agent.pityS - 1),
+            cg: guarantees[0] ? 1 : 0,
+            wpity: Math.min(pity[1] || 0, weapon.pityS - 1),
+            wg: guarantees[1] ? 1 : 0,
+            fc: 0,
+            fw: 0
+        }, 1);
+
+        for (let n = 0; n <= max && states.size > 0; n++) {
+            const next = new Map();
+            for (const { s, mass } of states.values()) {
+                const banner = nextBanner({ ...context, w: context.w || 0 }, tactic, s.fc, s.fw);
+                if (banner === null) {
+                    pmf[n] += mass;
+                } else if (banner === "c") {
+                    const np = s.cpity + 1;
+                    const pS = sRankRate(agent, np);
+                    const pFeatured = s.cg ? 1 : agent.featuredS;
+                    add(next, { ...s, cpity: 0, cg: 0, fc: s.fc + 1 }, mass * pS * pFeatured);
+                    add(next, { ...s, cpity: 0, cg: agent.guaranteeS ? 1 : 0 }, mass * pS * (1 - pFeatured));
+                    add(next, { ...s, cpity: np }, mass * (1 - pS));
+                } else {
+                    const np = s.wpity + 1;
+                    const pS = sRankRate(weapon, np);
+                    const pFeatured = s.wg ? 1 : weapon.featuredS;
+                    add(next, { ...s, wpity: 0, wg: 0, fw: s.fw + 1 }, mass * pS * pFeatured);
+                    add(next, { ...s, wpity: 0, wg: weapon.guaranteeS ? 1 : 0 }, mass * pS * (1 - pFeatured));
+                    add(next, { ...s, wpity: np }, mass * (1 - pS));
+                }
+            }
+            states = next;
+        }
+    } else {
+        const rng = context.rng || resolveRandom(context.seed);
+        const runContext = { ...context, p: max, rng };
+        const progress = reportsProgress(iterations, onProgress);
+        for (let i = 0; i < iterations; i++) {
+            const result = simulate(runContext);
+            if (result.fc >= context.c && result.fw >= (context.w || 0) && result.aTargetsMet !== false) {
+                pmf[Math.max(max - result.p, 0)] += 1 / iterations;
+            }
+            progress(i + 1);
+        }
+    }
+
+    // Accumulate, then read off the confidence levels
+    const cdf = new Array(max + 1);
+    let total = 0, mean = 0;
+    for (let n = 0; n <= max; n++) {
+        total += pmf[n];
+        mean += n * pmf[n];
+        cdf[n] = Math.min(total, 1);
+    }
+    const thresholds = CONFIDENCE_LEVELS.map(level => {
+        const pulls = cdf.findIndex(p => p >= level - 1e-9); // absorb float drift
+        return { level, pulls: pulls < 0 ? null : pulls };
+    });
+
+    return { cdf, thresholds, mean: total > 0 ? mean / total : null, max };
+}
@@ -0,0 +1,130 @@
+/**
+ * ZZZ Income Projection
+ * Projects Polychrome and Encrypted Master Tape income over a date range so
+ * the simulator can budget with "pulls available by banner end date"
+ *
+ * Browser-compatible ES module version
+ */
+
+export const POLYCHROME_PER_PULL = 160;
+export const VERSION_DAYS = 42;
+export const ENDGAME_CYCLE_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Income sources
+ * - every: days between payouts (1 = daily)
+ * - spread: the amount is earned gradually over the period instead of all at once
+ * - enabled: included by default (paid sources are opt-in)
+ * Periodic payouts are anchored to the version start date.
+ */
+export const INCOME_SOURCES = Object.freeze([
+    Object.freeze({ id: "dailies", name: "Daily Commissions", polychrome: 60, tapes: 0, every: 1, spread: false, enabled: true }),
+    Object.freeze({ id: "events", name: "Version Events", polychrome: 3600, tapes: 0, every: VERSION_DAYS, spread: true, enabled: true }),
+    Object.freeze({ id: "shiyu", name: "Shiyu Defense", polychrome: 720, tapes: 0, every: ENDGAME_CYCLE_DAYS, spread: false, enabled: true }),
+    Object.freeze({ id: "deadly-assault", name: "Deadly Assault", polychrome: 300, tapes: 0, every: ENDGAME_CYCLE_DAYS, spread: false, enabled: true }),
+    Object.freeze({ id: "monthly-pass", name: "Inter-Knot Membership", polychrome: 90, tapes: 0, every: 1, spread: false, enabled: false }),
+    Object.freeze({ id: "battle-pass", name: "New Eridu City Fund (paid)", polychrome: 680, tapes: 4, every: VERSION_DAYS, spread: true, enabled: false }),
+    Object.freeze({ id: "compensation", name: "Version Update Compensation", polychrome: 600, tapes: 0, every: VERSION_DAYS, spread: false, enabled: true })
+]);
+
+/**
+ * Parse a date as a whole UTC day number
+ * @param {string|Date} date - "YYYY-MM-DD" string or Date
+ * @returns {number} Days since the epoch
+ */
+export function toDay(date) {
+    const time = date instanceof Date
+        ? Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())
+        : Date.parse(`${date}T00:00:00Z`);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+    return Math.floor(time / DAY_MS);
+}
+
+/**
+ * Format a UTC day number back to "YYYY-MM-DD"
+ * @param {number} day - Days since the epoch
+ * @returns {string} ISO date
+ */
+export function fromDay(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Count payouts in (start, end] for a source paying every N days from anchor
+ * @param {number} start - First day (exclusive, already collected)
+ * @param {number} end - Last day (inclusive)
+ * @param {number} every - Days between payouts
+ * @param {number} anchor - A day on which a payout happens
+ * @returns {number} Number of payouts
+ */
+export function countPayouts(start, end, every, anchor = start) {
+    if (end <= start) return 0;
+    const before = Math.floor((start - anchor) / every);
+    const through = Math.floor((end - anchor) / every);
+    return through - before;
+}
+
+/**
+ * Project income between two dates.
+ *
+ * Options: start and end dates (income after start, up to and including end),
+ * versionStart (anchor for version and endgame payouts, default: start) and
+ * sources (default: the enabled INCOME_SOURCES).
+ *
+ * @param {Object} options - Projection options
+ * @returns {Object} { days, polychrome, tapes, breakdown: [{ id, name, payouts, polychrome, tapes }] }
+ */
+export function projectIncome({ start, end, versionStart = start, sources = INCOME_SOURCES.filter(s => s.enabled) }) {
+    const startDay = toDay(start);
+    const endDay = toDay(end);
+    const anchor = toDay(versionStart);
+    const days = Math.max(endDay - startDay, 0);
+
+    const breakdown = sources.map(source => {
+        // Spread sources earn a share every day; the rest pay out on their reset day
+        const payouts = source.spread
+            ? days / source.every
+            : countPayouts(startDay, endDay, source.every, anchor);
+        return {
+            id: source.id,
+            name: source.name,
+            payouts,
+            polychrome: Math.floor(payouts * source.polychrome),
+            tapes: Math.floor(payouts * source.tapes)
+        };
+    });
+
+    return {
+        days,
+        polychrome: breakdown.reduce((sum, item) => sum + item.polychrome, 0),
+        tapes: breakdown.reduce((sum, item) => sum + item.tapes, 0),
+        breakdown
+    };
+}
+
+/**
+ * Pulls available once the projected income has been added to current holdings
+ * @param {Object} holdings - { polychrome, tapes } held today
+ * @param {Object} projection - Result of projectIncome() (or null for none)
+ * @returns {number} Total pulls
+ */
+export function pullsAvailable(holdings, projection = null) {
+    const polychrome = (holdings.polychrome || 0) + (projection ? projection.polychrome : 0);
+    const tapes = (holdings.tapes || 0) + (projection ? projection.tapes : 0);
+    return Math.floor(polychrome / POLYCHROME_PER_PULL) + tapes;
+}
+
+/**
+ * Pulls available by each of several end dates (e.g. the end of each planned banner)
+ * @param {Object} holdings - { polychrome, tapes } held today
+ * @param {Object} options - projectIncome() options without end
+ * @param {string[]} ends - End dates in order
+ * @returns {number[]} Cumulative pulls available by each date
+ */
+export function pullsByDates(holdings, options, ends) {
+    return ends.map(end => pullsAvailable(holdings, projectIncome({ ...options, end })));
+}
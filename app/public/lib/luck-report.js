@@ -0,0 +1,235 @@
+/**
+ * ZZZ Luck Report
+ * Compares a personal pull history against the gacha model: pulls per S-rank,
+ * 50/50 win rate, percentile of each acquisition, and an overall luck score
+ *
+ * Percentiles are "luckier than X% of simulated players": 100 is best, 50 is average.
+ *
+ * Browser-compatible ES module version
+ */
+
+import {
+    RESULT_FEATURED_S,
+    RESULT_STANDARD_S,
+    DEFAULT_RULES,
+    sRankRate,
+    cpull,
+    wpull,
+    spull,
+    bpull
+} from './gacha-core.js';
+import { BANNERS, STANDARD_S_ENGINES, sortPulls } from './pull-history.js';
+import { resolveRandom } from './random.js';
+
+export const LUCK_SIMULATIONS = 10000;
+
+// Banner type -> rule set key, pull function and fresh pity state
+const BANNER_MODELS = {
+    [BANNERS.AGENT]: {
+        rules: "agent",
+        pull: (state, rng, rules) => cpull(state, null, rng, rules),
+        state: () => ({ cpity: 0, apity: 0, cguaranteed: false, aguaranteed: false })
+    },
+    [BANNERS.ENGINE]: {
+        rules: "engine",
+        pull: wpull,
+        state: () => ({ wpity: 0, epity: 0, wguaranteed: false, eguaranteed: false })
+    },
+    [BANNERS.STANDARD]: {
+        rules: "standard",
+        pull: spull,
+        state: () => ({ spity: 0, sapity: 0, sguaranteed: false, saguaranteed: false })
+    },
+    [BANNERS.BANGBOO]: {
+        rules: "bangboo",
+        pull: bpull,
+        state: () => ({ bpity: 0, bapity: 0, bguaranteed: false, baguaranteed: false })
+    }
+};
+
+/**
+ * Exact distribution of pulls needed for one S-rank from zero pity
+ * @param {Object} rules - Banner rule set
+ * @returns {number[]} pmf where pmf[k] = P(the S-rank lands on pull k)
+ */
+export function pullsPerSDistribution(rules) {
+    const pmf = [0];
+    let survive = 1;
+    for (let k = 1; k <= rules.pityS; k++) {
+        const rate = sRankRate(rules, k);
+        pmf.push(survive * rate);
+        survive *= 1 - rate;
+    }
+    return pmf;
+}
+
+/**
+ * Luck percentile of a result within a distribution (mid-rank for ties)
+ * @param {number[]} pmf - Probability (or count) of each outcome value
+ * @param {number} value - Observed value
+ * @param {boolean} higherIsLuckier - true for items obtained, false for pulls spent
+ * @returns {number} 0-100
+ */
+export function luckPercentile(pmf, value, higherIsLuckier) {
+    let below = 0, equal = 0, total = 0;
+    pmf.forEach((p, k) => {
+        total += p;
+        if (k < value) below += p; else
+        if (k === value) equal += p;
+    });
+    if (total === 0) return 50;
+    const above = total - below - equal;
+    const luckier = higherIsLuckier ? below : above;
+    return 100 * (luckier + equal / 2) / total;
+}
+
+/**
+ * Sample how many pulls a featured S-rank costs from zero pity and no guarantee,
+ * counting any lost 50/50 on the way
+ * @returns {number[]} Histogram indexed by pulls
+ */
+function sampleFeaturedCost(model, rules, rng, iterations) {
+    const histogram = [];
+    for (let i = 0; i < iterations; i++) {
+        const state = model.state();
+        let pulls = 0, result;
+        do {
+            pulls++;
+            result = model.pull(state, rng, rules);
+        } while (result != RESULT_FEATURED_S);
+        histogram[pulls] = (histogram[pulls] || 0) + 1;
+    }
+    return Array.from(histogram, count => count || 0);
+}
+
+/**
+ * Sample how many target items a fixed number of pulls yields
+ * @param {boolean} featuredOnly - Count featured S-ranks only (limited banners)
+ * @returns {number[]} Per-iteration item counts
+ */
+function sampleItems(model, rules, rng, pulls, featuredOnly, iterations) {
+    const counts = new Array(iterations);
+    for (let i = 0; i < iterations; i++) {
+        const state = model.state();
+        let items = 0;
+        for (let p = 0; p < pulls; p++) {
+            const result = model.pull(state, rng, rules);
+            if (result == RESULT_FEATURED_S || (!featuredOnly && result == RESULT_STANDARD_S)) items++;
+        }
+        counts[i] = items;
+    }
+    return counts;
+}
+
+function toHistogram(values) {
+    const histogram = [];
+    for (const value of values) histogram[value] = (histogram[value] || 0) + 1;
+    return Array.from(histogram, count => count || 0);
+}
+
+/**
+ * Build a luck report from a pull history
+ *
+ * Options: standardAgents (required) / standardEngines (Stable Channel lists, used to tell
+ * a lost 50/50 from a win), rules (as for simulate()), iterations, and seed or rng.
+ *
+ * @param {Object[]} pulls - Parsed pulls (see pull-history.js)
+ * @param {Object} options - Report options
+ * @returns {Object} { banners: per-banner stats, acquisitions: featured S-rank costs,
+ *          luck: { items, expected, percentile } }
+ * @throws {Error} If no Stable Channel agents are given
+ */
+export function analyzeLuck(pulls, options = {}) {
+    if (!options.standardAgents) throw new Error("No Stable Channel S-rank agents given (see units.json)");
+    const rules = { ...DEFAULT_RULES, ...options.rules };
+    const iterations = options.iterations || LUCK_SIMULATIONS;
+    const rng = options.rng || resolveRandom(options.seed);
+    const standardItems = {
+        [BANNERS.AGENT]: options.standardAgents,
+        [BANNERS.ENGINE]: options.standardEngines || STANDARD_S_ENGINES
+    };
+    const sorted = sortPulls(pulls);
+
+    const banners = {};
+    const acquisitions = [];
+    let totalItems = 0;
+    let combined = new Array(iterations).fill(0);
+
+    for (const banner of Object.values(BANNERS)) {
+        const history = sorted.filter(pull => pull.banner === banner);
+        if (history.length === 0) continue;
+
+        const model = BANNER_MODELS[banner];
+        const bannerRules = rules[model.rules];
+        const limited = banner in standardItems;
+        const pmf = pullsPerSDistribution(bannerRules);
+        const expectedPerS = pmf.reduce((sum, p, k) => sum + p * k, 0);
+        const costs = limited ? sampleFeaturedCost(model, bannerRules, rng, iterations) : null;
+
+        // Walk the history: pulls per S-rank, 50/50s, and featured acquisition costs
+        const sRanks = [];
+        let sincePity = 0, sinceFeatured = 0, guaranteed = false;
+        let played = 0, won = 0, items = 0;
+        for (const pull of history) {
+            sincePity++;
+            sinceFeatured++;
+            if (pull.rank !== "S") continue;
+
+            const featured = !limited || !standardItems[banner].includes(pull.item);
+            if (limited && !guaranteed) {
+                played++;
+                if (featured) won++;
+            }
+            sRanks.push({
+                item: pull.item,
+                pulls: sincePity,
+                featured,
+                guaranteed: limited && guaranteed,
+                percentile: luckPercentile(pmf, sincePity, false)
+            });
+            if (featured) {
+                items++;
+                if (limited) {
+                    acquisitions.push({
+                        banner,
+                        item: pull.item,
+                        pulls: sinceFeatured,
+                        percentile: luckPercentile(costs, sinceFeatured, false)
+                    });
+                }
+                sinceFeatured = 0;
+            }
+            guaranteed = limited && !featured && bannerRules.guaranteeS;
+            sincePity = 0;
+        }
+
+        // Simulated players with the same number of pulls on this banner
+        const simulated = sampleItems(model, bannerRules, rng, history.length, limited, iterations);
+        const expected = simulated.reduce((sum, n) => sum + n, 0) / iterations;
+        combined = combined.map((n, i) => n + simulated[i]);
+        totalItems += items;
+
+        banners[banner] = {
+            pulls: history.length,
+            pity: sincePity,
+            sRanks,
+            avgPerS: sRanks.length > 0 ? (history.length - sincePity) / sRanks.length : null,
+            expectedPerS,
+            fiftyFifty: limited ? { played, won, expected: bannerRules.featuredS } : null,
+            items,
+            expected,
+            percentile: luckPercentile(toHistogram(simulated), items, true)
+        };
+    }
+
+    return {
+        banners,
+        acquisitions,
+        luck: {
+            items: totalItems,
+            expected: combined.reduce((sum, n) => sum + n, 0) / iterations,
+            percentile: luckPercentile(toHistogram(combined), totalItems, true)
+        },
+        iterations
+    };
+}
@@ -0,0 +1,255 @@
+/**
+ * ZZZ Top-Up Pricing
+ * Turns a pulls-needed distribution into a real-money spend distribution: the
+ * cheapest mix of Monochrome packs, first-purchase bonuses and Inter-Knot
+ * Memberships that covers the Polychrome still missing after current holdings
+ *
+ * Browser-compatible ES module version
+ */
+
+import { POLYCHROME_PER_PULL } from './income.js';
+
+// Monochrome converts to Polychrome one for one
+export const POLYCHROME_PER_MONOCHROME = 1;
+
+// Purchases are searched in steps of this much Polychrome (every pack is a multiple)
+const STEP = 10;
+
+/**
+ * Monochrome packs (default: US store prices)
+ * - monochrome: base amount, doubled on the first purchase of each pack
+ * - bonus: extra Monochrome on later purchases
+ */
+export const MONOCHROME_PACKS = Object.freeze([
+    Object.freeze({ id: "60", monochrome: 60, bonus: 0, price: 0.99 }),
+    Object.freeze({ id: "300", monochrome: 300, bonus: 30, price: 4.99 }),
+    Object.freeze({ id: "980", monochrome: 980, bonus: 110, price: 14.99 }),
+    Object.freeze({ id: "1980", monochrome: 1980, bonus: 260, price: 29.99 }),
+    Object.freeze({ id: "3280", monochrome: 3280, bonus: 600, price: 49.99 }),
+    Object.freeze({ id: "6480", monochrome: 6480, bonus: 1600, price: 99.99 })
+]);
+
+/**
+ * Inter-Knot Membership: Monochrome on purchase plus daily Polychrome for its duration
+ */
+export const MONTHLY_PASS = Object.freeze({ price: 4.99, monochrome: 300, polychromeDaily: 90, days: 30 });
+
+/**
+ * Default pricing model
+ * - firstPurchase: the first-purchase double is still available on every pack
+ * - monthlyPasses: memberships that can be bought and fully collected before the
+ *   banner ends (leave the "Inter-Knot Membership" income source off to avoid counting
+ *   the daily Polychrome twice)
+ */
+export const DEFAULT_PRICING = Object.freeze({
+    packs: MONOCHROME_PACKS,
+    firstPurchase: true,
+    monthlyPass: MONTHLY_PASS,
+    monthlyPasses: 0,
+    currency: "$"
+});
+
+/**
+ * Derive a pricing model from the defaults
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Frozen pricing model
+ */
+export function createPricing(overrides = {}) {
+    return Object.freeze({ ...DEFAULT_PRICING, ...overrides });
+}
+
+/**
+ * Polychrome one Inter-Knot Membership is worth over its duration
+ * @param {Object} pass - Monthly pass (see MONTHLY_PASS)
+ * @returns {number} Polychrome
+ */
+export function monthlyPassValue(pass = MONTHLY_PASS) {
+    return pass.monochrome * POLYCHROME_PER_MONOCHROME + pass.polychromeDaily * pass.days;
+}
+
+/**
+ * Everything the pricing model can buy, in the order a player buys them: first-purchase
+ * doubles, memberships, then repeatable packs
+ * @param {Object} pricing - Pricing model
+ * @returns {Object[]} [{ name, polychrome, cents, limit }] (limit: purchases allowed, Infinity for repeatable packs)
+ */
+export function purchaseOptions(pricing = DEFAULT_PRICING) {
+    const cents = price => Math.round(price * 100);
+    const options = [];
+    if (pricing.firstPurchase) {
+        for (const pack of pricing.packs) {
+            options.push({
+                name: `${pack.monochrome} Monochrome (first purchase)`,
+                polychrome: pack.monochrome * 2 * POLYCHROME_PER_MONOCHROME,
+                cents: cents(pack.price),
+                limit: 1
+            });
+        }
+    }
+    if (pricing.monthlyPasses > 0) {
+        options.push({
+            name: "Inter-Knot Membership",
+            polychrome: monthlyPassValue(pricing.monthlyPass),
+            cents: cents(pricing.monthlyPass.price),
+            limit: pricing.monthlyPasses
+        });
+    }
+    for (const pack of pricing.packs) {
+        options.push({
+            name: `${pack.monochrome} Monochrome`,
+            polychrome: (pack.monochrome + pack.bonus) * POLYCHROME_PER_MONOCHROME,
+            cents: cents(pack.price),
+            limit: Infinity
+        });
+    }
+    return options;
+}
+
+/**
+ * Every combination of the limited purchases (first-purchase doubles, memberships)
+ * @returns {Object[]} [{ polychrome, cents, counts }] with counts parallel to options
+ */
+function limitedCombinations(options) {
+    let combinations = [{ polychrome: 0, cents: 0, counts: options.map(() => 0) }];
+    options.forEach((option, index) => {
+        if (option.limit === Infinity) return;
+        combinations = combinations.flatMap(base => Array.from({ length: option.limit + 1 }, (_, count) => ({
+            polychrome: base.polychrome + count * option.polychrome,
+            cents: base.cents + count * option.cents,
+            counts: base.counts.map((n, i) => i === index ? count : n)
+        })));
+    });
+    return combinations;
+}
+
+/**
+ * Create a cheapest-purchase solver for one pricing model.
+ *
+ * Repeatable packs are solved once as an unbounded knapsack ("at least this much for
+ * the least money"); the limited purchases are tried in every combination on top.
+ *
+ * @param {Object} pricing - Pricing model
+ * @param {number} maxPolychrome - Largest shortfall that will be asked about
+ * @returns {Function} polychrome => { cents, polychrome, purchases: [{ name, count }] }, one
+ *          purchase per option in purchaseOptions() order (first-purchase packs first)
+ */
+export function createPurchaseSolver(pricing = DEFAULT_PRICING, maxPolychrome = 0) {
+    const options = purchaseOptions(pricing);
+    const repeatable = options.filter(option => option.limit === Infinity);
+    const combinations = limitedCombinations(options);
+    const size = Math.ceil(Math.max(maxPolychrome, 0) / STEP) + 1;
+
+    // best[x]: least cents for at least x steps of Polychrome from repeatable packs
+    const best = new Float64Array(size).fill(Infinity);
+    const choice = new Int16Array(size).fill(-1);
+    best[0] = 0;
+    for (let x = 1; x < size; x++) {
+        repeatable.forEach((option, index) => {
+            const cost = best[Math.max(x - option.polychrome / STEP, 0)] + option.cents;
+            if (cost < best[x]) {
+                best[x] = cost;
+                choice[x] = index;
+            }
+        });
+    }
+
+    return function cheapest(polychrome) {
+        const needed = Math.ceil(Math.max(polychrome, 0) / STEP);
+        if (needed >= size) {
+            throw new Error(`Shortfall of ${polychrome} Polychrome is beyond the solver's range`);
+        }
+        let bestCombination = null, bestCents = Infinity;
+        for (const combination of combinations) {
+            const rest = Math.max(needed - combination.polychrome / STEP, 0);
+            const cents = combination.cents + best[rest];
+            if (cents < bestCents) {
+                bestCents = cents;
+                bestCombination = { ...combination, rest };
+            }
+        }
+
+        // Walk the repeatable choices back to pack counts
+        const counts = [...bestCombination.counts];
+        let total = bestCombination.polychrome;
+        for (let x = bestCombination.rest; x > 0; ) {
+            const option = repeatable[choice[x]];
+            counts[options.indexOf(option)]++;
+            total += option.polychrome;
+            x = Math.max(x - option.polychrome / STEP, 0);
+        }
+        return {
+            cents: bestCents,
+            polychrome: total,
+            purchases: options
+                .map((option, index) => ({ name: option.name, count: counts[index] }))
+                .filter(purchase => purchase.count > 0)
+        };
+    };
+}
+
+/**
+ * Format an amount of money
+ * @param {number} cents - Amount in cents
+ * @param {Object} pricing - Pricing model (for its currency symbol)
+ * @returns {string} e.g. "$129.95"
+ */
+export function formatCost(cents, pricing = DEFAULT_PRICING) {
+    return `${pricing.currency}${(cents / 100).toFixed(2)}`;
+}
+
+/**
+ * Spend distribution for a target.
+ *
+ * Each pull count n from runPullsNeeded() costs the cheapest purchase covering
+ * n pulls minus the Polychrome and tapes already owned; its probability is the
+ * chance the target lands on exactly that pull.
+ *
+ * @param {Object} needed - runPullsNeeded() results { cdf, thresholds, max }
+ * @param {Object} owned - { polychrome, tapes } held (including any projected income)
+ * @param {Object} pricing - Pricing model (default: DEFAULT_PRICING)
+ * @returns {Object} { expected, median, p90 (cents, null when out of range), free (chance
+ *          of spending nothing), thresholds: [{ level, pulls, polychrome, cents, purchases }],
+ *          reachable (chance the target is reached within needed.max) }
+ */
+export function estimateSpend(needed, owned, pricing = DEFAULT_PRICING) {
+    const tapes = owned.tapes || 0;
+    const polychrome = owned.polychrome || 0;
+    const shortfall = pulls => Math.max((pulls - tapes) * POLYCHROME_PER_PULL - polychrome, 0);
+    const cheapest = createPurchaseSolver(pricing, shortfall(needed.max));
+
+    let expected = 0, free = 0, previous = 0;
+    const costs = new Map();
+    const cost = pulls => {
+        const missing = shortfall(pulls);
+        if (!costs.has(missing)) costs.set(missing, cheapest(missing));
+        return costs.get(missing);
+    };
+    needed.cdf.forEach((probability, pulls) => {
+        const mass = probability - previous;
+        previous = probability;
+        if (mass <= 0) return;
+        const cents = cost(pulls).cents;
+        expected += mass * cents;
+        if (cents === 0) free += mass;
+    });
+    const reachable = previous;
+
+    const thresholds = needed.thresholds.map(({ level, pulls }) => {
+        if (pulls === null) return { level, pulls, polychrome: null, cents: null, purchases: [] };
+        const purchase = cost(pulls);
+        return { level, pulls, polychrome: shortfall(pulls), cents: purchase.cents, purchases: purchase.purchases };
+    });
+    const at = level => {
+        const threshold = thresholds.find(t => t.level === level);
+        return threshold ? threshold.cents : null;
+    };
+
+    return {
+        expected: reachable > 0 ? expected / reachable : null,
+        median: at(0.5),
+        p90: at(0.9),
+        free,
+        thresholds,
+        reachable
+    };
+}
@@ -0,0 +1,29 @@
+/**
+ * ZZZ Progress Reporting
+ * Progress callbacks for long batches of simulations and scoring, so callers (the
+ * Web Worker tasks in compute-tasks.js) can stream progress and partial results
+ *
+ * Browser-compatible ES module version
+ */
+
+// Progress reports per batch
+const PROGRESS_REPORTS = 100;
+
+/**
+ * Progress callback for long batches: onProgress(done, total, partial), called about
+ * PROGRESS_REPORTS times. partial() returns the results over the runs done so far;
+ * they share counters with the running batch, so use or copy them before it goes on.
+ * @param {number} iterations - Runs in the batch
+ * @param {Function} onProgress - Callback, or undefined
+ * @returns {Function} (done, summarise) => void, calling onProgress every report step;
+ *          summarise(done) computes the partial results, when the batch has them
+ */
+export function reportsProgress(iterations, onProgress) {
+    if (!onProgress) return () => {};
+    const step = Math.max(Math.ceil(iterations / PROGRESS_REPORTS), 1);
+    return (done, summarise) => {
+        if (done % step === 0 || done === iterations) {
+            onProgress(done, iterations, summarise ? () => summarise(done) : undefined);
+        }
+    };
+}
@@ -0,0 +1,245 @@
+/**
+ * ZZZ Pull History Import
+ * Parses a pull-history export (CSV or JSON, one row per pull) and derives the
+ * current pity and guarantee state for the simulator
+ *
+ * Browser-compatible ES module version
+ */
+
+import { PITY_A } from './gacha-core.js';
+
+// Banner types, as stored on parsed pulls
+export const BANNERS = {
+    AGENT: "agent",
+    ENGINE: "engine",
+    STANDARD: "standard",
+    BANGBOO: "bangboo"
+};
+
+// Stable Channel S-rank W-Engines; any other S-rank on the W-Engine banner is the featured one.
+// The Stable Channel agents come from units.json (rank "S", not limited) via options.standardAgents.
+export const STANDARD_S_ENGINES = ["Fusion Compiler", "Hellfire Gears", "Steel Cushion", "The Brimstone", "The Restrained", "Weeping Cradle"];
+
+// Accepted column / field names (lowercase)
+const FIELDS = {
+    banner: ["banner", "banner_type", "gacha_type", "type", "channel"],
+    rank: ["rank", "rank_type", "rarity"],
+    item: ["item", "name", "item_name"],
+    time: ["time", "timestamp", "date"],
+    id: ["id"]
+};
+
+// Export codes seen in game-API style exports (e.g. 2001 or 2 = Exclusive Channel)
+const BANNER_CODES = {
+    "1": BANNERS.STANDARD, "1001": BANNERS.STANDARD,
+    "2": BANNERS.AGENT, "2001": BANNERS.AGENT,
+    "3": BANNERS.ENGINE, "3001": BANNERS.ENGINE,
+    "5": BANNERS.BANGBOO, "5001": BANNERS.BANGBOO
+};
+
+// Numeric rarities (rank_type 4 = S, 3 = A, 2 = B)
+const RANK_CODES = { "4": "S", "3": "A", "2": "B" };
+
+function normalizeBanner(value) {
+    const text = String(value ?? "").trim().toLowerCase();
+    if (BANNER_CODES[text]) return BANNER_CODES[text];
+    if (/bangboo/.test(text)) return BANNERS.BANGBOO;
+    if (/engine|weapon|w-engine/.test(text)) return BANNERS.ENGINE;
+    if (/standard|stable|permanent/.test(text)) return BANNERS.STANDARD;
+    if (/agent|character|exclusive|limited/.test(text)) return BANNERS.AGENT;
+    return null;
+}
+
+function normalizeRank(value) {
+    const text = String(value ?? "").trim().toUpperCase();
+    return RANK_CODES[text] || (["S", "A", "B"].includes(text) ? text : null);
+}
+
+function pick(row, names) {
+    for (const key of Object.keys(row)) {
+        if (names.includes(key.trim().toLowerCase())) return row[key];
+    }
+    return undefined;
+}
+
+/**
+ * Turn raw rows (objects keyed by column name) into pulls
+ * @param {Object[]} rows - Raw rows
+ * @returns {Object[]} Pulls { banner, rank, item, time, id, order } in file order
+ * @throws {Error} If a row has an unknown banner type or rank
+ */
+function toPulls(rows) {
+    return rows.map((row, index) => {
+        const banner = normalizeBanner(pick(row, FIELDS.banner));
+        const rank = normalizeRank(pick(row, FIELDS.rank));
+        if (!banner || !rank) {
+            throw new Error(`Row ${index + 1}: unrecognised banner type or rank`);
+        }
+        const time = Date.parse(String(pick(row, FIELDS.time) ?? "").replace(" ", "T"));
+        const id = pick(row, FIELDS.id);
+        return {
+            banner,
+            rank,
+            item: String(pick(row, FIELDS.item) ?? "").trim(),
+            time: Number.isNaN(time) ? null : time,
+            id: id === undefined || id === "" ? null : String(id),
+            order: index
+        };
+    });
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = "", quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ",") { cells.push(cell); cell = ""; }
+        else cell += ch;
+    }
+    cells.push(cell);
+    return cells;
+}
+
+/**
+ * Parse a CSV export with a header row
+ * @param {string} text - File contents
+ * @returns {Object[]} Pulls in file order
+ */
+export function parseCsv(text) {
+    const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/).filter(line => line.trim() !== "");
+    if (lines.length === 0) return [];
+    const header = splitCsvLine(lines[0]);
+    const rows = lines.slice(1).map(line => {
+        const cells = splitCsvLine(line);
+        return Object.fromEntries(header.map((name, i) => [name, cells[i]]));
+    });
+    return toPulls(rows);
+}
+
+/**
+ * Parse a JSON export: an array of pulls, { list: [...] }, or a UIGF-style
+ * { nap: [{ list: [...] }] } file
+ * @param {string|Object} input - File contents or already-parsed JSON
+ * @returns {Object[]} Pulls in file order
+ */
+export function parseJson(input) {
+    const data = typeof input === "string" ? JSON.parse(input) : input;
+    let rows;
+    if (Array.isArray(data)) rows = data;
+    else if (Array.isArray(data.list)) rows = data.list;
+    else if (Array.isArray(data.nap)) rows = data.nap.flatMap(account => account.list || []);
+    else throw new Error("No pull list found in JSON");
+    return toPulls(rows);
+}
+
+/**
+ * Parse an export, detecting CSV or JSON from its contents
+ * @param {string} text - File contents
+ * @returns {Object[]} Pulls in file order
+ */
+export function parsePullHistory(text) {
+    const trimmed = text.replace(/^\uFEFF/, "").trimStart();
+    return trimmed.startsWith("[") || trimmed.startsWith("{") ? parseJson(trimmed) : parseCsv(trimmed);
+}
+
+/**
+ * Sort pulls oldest first. Exports are often newest first with ten-pulls sharing a
+ * timestamp, so ties fall back to the id, then to file order (reversed for
+ * newest-first files).
+ * @param {Object[]} pulls - Parsed pulls
+ * @returns {Object[]} New array, oldest first
+ */
+export function sortPulls(pulls) {
+    const timed = pulls.filter(pull => pull.time !== null);
+    const newestFirst = timed.length > 1 && timed[0].time > timed[timed.length - 1].time;
+    const compareIds = (a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+    return [...pulls].sort((a, b) => {
+        if (a.time !== null && b.time !== null && a.time !== b.time) return a.time - b.time;
+        if (a.id !== null && b.id !== null && a.id !== b.id) return compareIds(a.id, b.id);
+        return newestFirst ? b.order - a.order : a.order - b.order;
+    });
+}
+
+/**
+ * Walk one banner's pulls and return pity counters and the 50/50 guarantee
+ * @param {Object[]} pulls - That banner's pulls, oldest first
+ * @param {string[]} standardItems - S-ranks that count as a lost 50/50 (null = no guarantee)
+ * @returns {Object} { s, a, guaranteed, pulls }
+ */
+function bannerState(pulls, standardItems) {
+    let s = 0, a = 0, guaranteed = false;
+    for (const pull of pulls) {
+        s++;
+        a++;
+        if (pull.rank === "S") {
+            s = 0;
+            a = 0;
+            if (standardItems) guaranteed = standardItems.includes(pull.item);
+        } else if (pull.rank === "A") {
+            a = 0;
+        }
+    }
+    return { s, a: Math.min(a, PITY_A - 1), guaranteed, pulls: pulls.length };
+}
+
+/**
+ * Derive the current pity and guarantee state from a pull history
+ * @param {Object[]} pulls - Parsed pulls (any order)
+ * @param {Object} options - standardAgents (Stable Channel S-rank agent names, required) and
+ *        standardEngines (overrides STANDARD_S_ENGINES)
+ * @returns {Object} cpity, wpity, apity, epity, cguaranteed, wguaranteed, spity, sapity,
+ *          bpity, bapity, standardPulls and pulls (count per banner)
+ * @throws {Error} If no Stable Channel agents are given
+ */
+export function derivePityState(pulls, options = {}) {
+    const standardAgents = options.standardAgents;
+    if (!standardAgents) throw new Error("No Stable Channel S-rank agents given (see units.json)");
+    const standardEngines = options.standardEngines || STANDARD_S_ENGINES;
+    const sorted = sortPulls(pulls);
+    const of = banner => sorted.filter(pull => pull.banner === banner);
+
+    const agent = bannerState(of(BANNERS.AGENT), standardAgents);
+    const engine = bannerState(of(BANNERS.ENGINE), standardEngines);
+    const standard = bannerState(of(BANNERS.STANDARD), null);
+    const bangboo = bannerState(of(BANNERS.BANGBOO), null);
+
+    return {
+        cpity: agent.s,
+        wpity: engine.s,
+        apity: agent.a,
+        epity: engine.a,
+        cguaranteed: agent.guaranteed,
+        wguaranteed: engine.guaranteed,
+        spity: standard.s,
+        sapity: standard.a,
+        bpity: bangboo.s,
+        bapity: bangboo.a,
+        standardPulls: standard.pulls,
+        pulls: {
+            agent: agent.pulls,
+            engine: engine.pulls,
+            standard: standard.pulls,
+            bangboo: bangboo.pulls
+        }
+    };
+}
+
+/**
+ * Convert a derived state into simulate() context fields
+ * @param {Object} state - Result of derivePityState()
+ * @returns {Object} { pity: [S-Char, S-Weapon, A-Char, A-Weapon], guarantees: [Char, Weapon] }
+ */
+export function toContextFields(state) {
+    return {
+        pity: [state.cpity, state.wpity, state.apity, state.epity],
+        guarantees: [state.cguaranteed, state.wguaranteed]
+    };
+}
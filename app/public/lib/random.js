@@ -0,0 +1,105 @@
+/**
+ * Seedable Random Number Generation
+ * Shared PRNG used by the gacha and disc tooling so runs can be replayed
+ *
+ * A generator is a plain function returning a float in [0, 1), so it can be
+ * dropped in wherever Math.random() was used.
+ *
+ * Browser-compatible ES module version
+ */
+
+const UINT32 = 2 ** 32;
+
+/**
+ * Hash an arbitrary seed (number or string) into four 32-bit words
+ * @param {number|string} seed - User-provided seed
+ * @returns {number[]} Four unsigned 32-bit integers
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0; i < text.length; i++) {
+        const k = text.charCodeAt(i);
+        h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+        h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+        h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+        h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= (h2 ^ h3 ^ h4);
+    h2 ^= h1;
+    h3 ^= h1;
+    h4 ^= h1;
+    return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/**
+ * Create a seeded xoshiro128** generator
+ * @param {number|string} seed - Any number or string; equal seeds give equal sequences
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+    let [a, b, c, d] = hashSeed(seed);
+    if ((a | b | c | d) === 0) a = 1; // xoshiro must not start from the all-zero state
+
+    const rng = function() {
+        const result = Math.imul(rotl(Math.imul(b, 5), 7), 9) >>> 0;
+        const t = b << 9;
+        c ^= a;
+        d ^= b;
+        b ^= c;
+        a ^= d;
+        c ^= t;
+        d = rotl(d, 11);
+        return result / UINT32;
+    };
+    rng.seed = String(seed);
+    return rng;
+}
+
+function rotl(x, k) {
+    return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * Cryptographically secure generator with the same interface as createRandom()
+ * @returns {number} Float in [0, 1)
+ */
+export function cryptoRandom() {
+    const buffer = new Uint32Array(1);
+    crypto.getRandomValues(buffer);
+    return buffer[0] / UINT32;
+}
+
+/**
+ * Create a generator from an optional seed
+ * @param {number|string|null} seed - Seed, or null/empty for a non-reproducible generator
+ * @param {Function} fallback - Generator to use when no seed is given (default: Math.random)
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function resolveRandom(seed, fallback = Math.random) {
+    if (seed === undefined || seed === null || seed === "") return fallback;
+    return createRandom(seed);
+}
+
+/**
+ * Unbiased random integer in [0, until)
+ * @param {number} until - Exclusive upper bound (positive integer)
+ * @param {Function} rng - Generator (default: cryptoRandom)
+ * @returns {number} Random integer
+ */
+export function randomInt(until, rng = cryptoRandom) {
+    if (until <= 0 || !Number.isInteger(until)) {
+        throw new Error('until must be a positive integer');
+    }
+    // createRandom() and cryptoRandom() produce multiples of 2^-32, so this recovers the raw 32 bits
+    const threshold = UINT32 - (UINT32 % until);
+    let value;
+    do {
+        value = Math.floor(rng() * UINT32);
+    } while (value >= threshold);
+    return value % until;
+}
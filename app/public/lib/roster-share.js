@@ -71,18 +71,7 @@ export function encodeRoster(unitStates, allUnits) {
         return '';
     }
     
-    // Try to compress with pako if available
-    if (typeof pako !== 'undefined') {
-        try {
-            const compressed = pako.deflate(deltaString);
-            return base64UrlEncode(compressed);
-        } catch (e) {
-            console.warn('Compression failed, using uncompressed:', e);
-        }
-    }
-    
-    // Fallback: just base64url encode the string
-    return 'u_' + base64UrlEncode(new TextEncoder().encode(deltaString));
+    return packString(deltaString);
 }
 
 /**
@@ -97,24 +86,8 @@ export function decodeRoster(encoded, allUnits) {
         return null;
     }
     
-    let deltaString;
-    
-    try {
-        if (encoded.startsWith('u_')) {
-            // Uncompressed format
-            const bytes = base64UrlDecode(encoded.slice(2));
-            deltaString = new TextDecoder().decode(bytes);
-        } else {
-            // Compressed format
-            if (typeof pako === 'undefined') {
-                console.error('Pako not loaded, cannot decompress roster');
-                return null;
-            }
-            const compressed = base64UrlDecode(encoded);
-            deltaString = pako.inflate(compressed, { to: 'string' });
-        }
-    } catch (e) {
-        console.error('Failed to decode roster:', e);
+    const deltaString = unpackString(encoded, 'roster');
+    if (deltaString === null) {
         return null;
     }
     
@@ -151,6 +124,51 @@ export function decodeRoster(encoded, allUnits) {
     return unitStates;
 }
 
+/**
+ * Compress a string with pako (when loaded) and base64url encode it.
+ * Uncompressed strings are marked with a "u_" prefix.
+ */
+function packString(text) {
+    // Try to compress with pako if available
+    if (typeof pako !== 'undefined') {
+        try {
+            const compressed = pako.deflate(text);
+            return base64UrlEncode(compressed);
+        } catch (e) {
+            console.warn('Compression failed, using uncompressed:', e);
+        }
+    }
+    
+    // Fallback: just base64url encode the string
+    return 'u_' + base64UrlEncode(new TextEncoder().encode(text));
+}
+
+/**
+ * Reverse packString()
+ * @param {string} encoded - Packed string
+ * @param {string} what - What is being decoded, for error messages
+ * @returns {string|null} The original string, or null if it cannot be decoded
+ */
+function unpackString(encoded, what) {
+    try {
+        if (encoded.startsWith('u_')) {
+            // Uncompressed format
+            const bytes = base64UrlDecode(encoded.slice(2));
+            return new TextDecoder().decode(bytes);
+        }
+        // Compressed format
+        if (typeof pako === 'undefined') {
+            console.error(`Pako not loaded, cannot decompress ${what}`);
+            return null;
+        }
+        const compressed = base64UrlDecode(encoded);
+        return pako.inflate(compressed, { to: 'string' });
+    } catch (e) {
+        console.error(`Failed to decode ${what}:`, e);
+        return null;
+    }
+}
+
 /**
  * Base64URL encode (URL-safe base64 without padding)
  */
@@ -305,6 +323,84 @@ export function generateShareUrlWithBosses(unitStates, allUnits, bossIds) {
     return url.toString();
 }
 
+// ============================================================================
+// GACHA SCENARIO SHARING (for the Gacha Simulator page)
+// ============================================================================
+
+/**
+ * Version of the scenario format; bump when inputs are renamed or change meaning
+ */
+export const SCENARIO_VERSION = 1;
+
+/**
+ * Encode a gacha scenario (the simulator's form inputs) for URL sharing
+ * Stored as JSON, then compressed like the roster
+ * 
+ * @param {Object} scenario - Form inputs, keyed as the simulator saves them
+ * @returns {string} Encoded scenario string
+ */
+export function encodeScenario(scenario) {
+    return packString(JSON.stringify({ v: SCENARIO_VERSION, ...scenario }));
+}
+
+/**
+ * Decode a gacha scenario from a URL parameter string
+ * 
+ * @param {string} encoded - The encoded scenario string
+ * @returns {Object|null} Form inputs, or null if invalid or from a newer version
+ */
+export function decodeScenario(encoded) {
+    if (!encoded) {
+        return null;
+    }
+    
+    const json = unpackString(encoded, 'scenario');
+    if (json === null) {
+        return null;
+    }
+    
+    try {
+        const { v, ...scenario } = JSON.parse(json);
+        if (typeof v !== 'number' || v > SCENARIO_VERSION) {
+            console.warn(`Unsupported scenario version ${v}`);
+            return null;
+        }
+        return scenario;
+    } catch (e) {
+        console.error('Failed to parse scenario:', e);
+        return null;
+    }
+}
+
+/**
+ * Get the scenario parameter from the current URL
+ */
+export function getScenarioFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('scenario');
+}
+
+/**
+ * Check if we're in shared scenario mode (URL has scenario parameter)
+ */
+export function isSharedScenarioMode() {
+    return getScenarioFromUrl() !== null;
+}
+
+/**
+ * Generate a shareable URL with a gacha scenario encoded
+ * 
+ * @param {Object} scenario - Form inputs, keyed as the simulator saves them
+ * @returns {string} Full URL with scenario parameter
+ */
+export function generateScenarioUrl(scenario) {
+    const url = new URL(window.location.href);
+    url.search = ''; // Clear existing params
+    url.hash = '';
+    url.searchParams.set('scenario', encodeScenario(scenario));
+    return url.toString();
+}
+
 /**
  * Copy text to clipboard with fallback
  */
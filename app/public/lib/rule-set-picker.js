@@ -0,0 +1,75 @@
+/**
+ * Scoring Rule Set Picker
+ * Loads the default scoring rules and lets the user swap in an alternate rule file,
+ * remembered in localStorage and shared by the team builder and Deadly Assault pages
+ */
+
+import { compileRuleSet, DEFAULT_SCORING_RULES } from './team-scorer.js';
+
+const RULES_STORAGE_KEY = 'zzz-scoring-rules';
+
+/**
+ * The saved alternate rule set, or null when there is none or it no longer compiles
+ */
+function loadSavedRuleSet() {
+    try {
+        const saved = localStorage.getItem(RULES_STORAGE_KEY);
+        if (!saved) return null;
+        const ruleSet = JSON.parse(saved);
+        compileRuleSet(ruleSet);
+        return ruleSet;
+    } catch (error) {
+        console.warn('Ignoring saved scoring rules:', error);
+        localStorage.removeItem(RULES_STORAGE_KEY);
+        return null;
+    }
+}
+
+/**
+ * Wire a rule set picker into the page
+ * Expects #rule-set-status, #rule-file-btn, #rule-reset-btn and a hidden #rule-file input
+ *
+ * @returns {Function} Returns the rule set to score with
+ */
+export function initRuleSetPicker() {
+    const defaultRules = DEFAULT_SCORING_RULES;
+    let rules = loadSavedRuleSet() || defaultRules;
+
+    const status = document.getElementById('rule-set-status');
+    const fileInput = document.getElementById('rule-file');
+    const resetBtn = document.getElementById('rule-reset-btn');
+
+    function render(message) {
+        const custom = rules !== defaultRules;
+        status.textContent = message || `Scoring rules: ${rules.name || 'Unnamed'}${custom ? ' (custom)' : ''}`;
+        status.classList.toggle('error', Boolean(message));
+        resetBtn.style.display = custom ? '' : 'none';
+    }
+
+    document.getElementById('rule-file-btn').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            const ruleSet = JSON.parse(await file.text());
+            compileRuleSet(ruleSet);
+            localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(ruleSet));
+            rules = ruleSet;
+            render();
+        } catch (error) {
+            console.error('Failed to load scoring rules:', error);
+            render(`${file.name}: ${error.message}`);
+        }
+        fileInput.value = '';
+    });
+
+    resetBtn.addEventListener('click', () => {
+        localStorage.removeItem(RULES_STORAGE_KEY);
+        rules = defaultRules;
+        render();
+    });
+
+    render();
+    return () => rules;
+}
@@ -0,0 +1,219 @@
+/**
+ * ZZZ Pull Sandbox
+ * Pull-by-pull play on any channel with live pity and guarantees, a history log,
+ * and how the pulls so far compare with the odds from the same starting state
+ *
+ * Browser-compatible ES module version
+ */
+
+import {
+    RESULT_FEATURED_S,
+    RESULT_STANDARD_S,
+    RESULT_FEATURED_A,
+    RESULT_STANDARD_A,
+    DEFAULT_RULES,
+    sRankRate,
+    cpull,
+    wpull,
+    spull,
+    bpull
+} from './gacha-core.js';
+import { POLYCHROME_PER_PULL } from './income.js';
+import { BANNERS } from './pull-history.js';
+import { luckPercentile, pullsPerSDistribution } from './luck-report.js';
+import { resolveRandom } from './random.js';
+
+/**
+ * Channels the sandbox can pull on
+ * - rules: key into the rule set (see DEFAULT_RULES)
+ * - pity / aPity / guarantee: state fields (as in derivePityState())
+ * - featuredOnly: only featured S-ranks count as items (limited banners)
+ * - items: name of each result constant
+ */
+export const SANDBOX_CHANNELS = Object.freeze({
+    [BANNERS.AGENT]: Object.freeze({
+        name: "Exclusive Channel",
+        rules: "agent",
+        pull: (state, rng, rules) => cpull(state, null, rng, rules),
+        pity: "cpity", aPity: "apity", guarantee: "cguaranteed",
+        featuredOnly: true,
+        items: ["B-Rank", "A-Rank", "Featured A-Rank Agent", "Standard S-Rank Agent", "Featured S-Rank Agent"]
+    }),
+    [BANNERS.ENGINE]: Object.freeze({
+        name: "W-Engine Channel",
+        rules: "engine",
+        pull: wpull,
+        pity: "wpity", aPity: "epity", guarantee: "wguaranteed",
+        featuredOnly: true,
+        items: ["B-Rank", "A-Rank", "Featured A-Rank W-Engine", "Standard S-Rank W-Engine", "Featured S-Rank W-Engine"]
+    }),
+    [BANNERS.STANDARD]: Object.freeze({
+        name: "Stable Channel",
+        rules: "standard",
+        pull: spull,
+        pity: "spity", aPity: "sapity", guarantee: "sguaranteed",
+        featuredOnly: false,
+        items: ["B-Rank", "A-Rank W-Engine", "A-Rank Agent", "S-Rank W-Engine", "S-Rank Agent"]
+    }),
+    [BANNERS.BANGBOO]: Object.freeze({
+        name: "Bangboo Channel",
+        rules: "bangboo",
+        pull: bpull,
+        pity: "bpity", aPity: "bapity", guarantee: "bguaranteed",
+        featuredOnly: false,
+        items: ["B-Rank", "A-Rank Bangboo", "Featured A-Rank Bangboo", "S-Rank", "S-Rank Bangboo"]
+    })
+});
+
+/**
+ * Exact distribution of items (S-ranks, or featured S-ranks only) over a growing
+ * number of pulls, stepped one pull at a time
+ * @param {Object} rules - Banner rule set
+ * @param {number} pity - S-rank pity at the start
+ * @param {boolean} guaranteed - Next S-rank is featured
+ * @param {boolean} featuredOnly - Count featured S-ranks only
+ * @returns {Object} { step(), pmf() } where pmf()[k] = P(k items so far)
+ */
+function createItemDistribution(rules, pity, guaranteed, featuredOnly) {
+    // Key: pity, guarantee and items so far
+    let states = new Map([[`${pity}|${guaranteed ? 1 : 0}|0`, { pity, g: guaranteed ? 1 : 0, items: 0, mass: 1 }]]);
+    const add = (map, pity, g, items, mass) => {
+        if (mass <= 0) return;
+        const key = `${pity}|${g}|${items}`;
+        const entry = map.get(key);
+        if (entry) entry.mass += mass; else map.set(key, { pity, g, items, mass });
+    };
+
+    return {
+        step() {
+            const next = new Map();
+            for (const s of states.values()) {
+                const rate = sRankRate(rules, s.pity + 1);
+                const featured = s.g ? 1 : rules.featuredS;
+                add(next, 0, 0, s.items + 1, s.mass * rate * featured);
+                add(next, 0, rules.guaranteeS ? 1 : 0, s.items + (featuredOnly ? 0 : 1), s.mass * rate * (1 - featured));
+                add(next, s.pity + 1, s.g, s.items, s.mass * (1 - rate));
+            }
+            states = next;
+        },
+        pmf() {
+            const pmf = [];
+            for (const s of states.values()) pmf[s.items] = (pmf[s.items] || 0) + s.mass;
+            return Array.from(pmf, p => p || 0);
+        }
+    };
+}
+
+/**
+ * Create a sandbox.
+ *
+ * Options: state (pity and guarantee fields as returned by derivePityState(); missing
+ * fields start at zero), rules (as for simulate()), and seed or rng.
+ *
+ * bannerPull() leaves the A-rank pity counter to its caller, so the sandbox counts it
+ * here before every pull; that makes the A-rank hard pity apply and shows it live.
+ *
+ * @param {Object} options - Sandbox options
+ * @returns {Object} { state, history, pull(banner, count), stats(banner) }
+ */
+export function createSandbox(options = {}) {
+    const rules = { ...DEFAULT_RULES, ...options.rules };
+    const rng = options.rng || resolveRandom(options.seed);
+    const state = {};
+    for (const channel of Object.values(SANDBOX_CHANNELS)) {
+        state[channel.pity] = options.state?.[channel.pity] || 0;
+        state[channel.aPity] = options.state?.[channel.aPity] || 0;
+        state[channel.guarantee] = Boolean(options.state?.[channel.guarantee]);
+    }
+    // The same fields on the A-rank side, which the pull functions also read
+    Object.assign(state, { aguaranteed: false, eguaranteed: false, saguaranteed: false, baguaranteed: false });
+
+    const history = [];
+    const banners = {};
+
+    function bannerOf(banner) {
+        if (!banners[banner]) {
+            const channel = SANDBOX_CHANNELS[banner];
+            if (!channel) {
+                throw new Error(`Unknown banner "${banner}"`);
+            }
+            const bannerRules = rules[channel.rules];
+            banners[banner] = {
+                pulls: 0,
+                items: 0,
+                sRanks: 0,
+                aRanks: 0,
+                start: { pity: state[channel.pity], guaranteed: state[channel.guarantee] },
+                expected: createItemDistribution(bannerRules, state[channel.pity], state[channel.guarantee], channel.featuredOnly)
+            };
+        }
+        return banners[banner];
+    }
+
+    /**
+     * Pull on a banner
+     * @param {string} banner - One of BANNERS
+     * @param {number} count - Pulls (1 or 10)
+     * @returns {Object[]} New history entries { index, banner, result, item, rank, pity, guaranteed }
+     */
+    function pull(banner, count = 1) {
+        const channel = SANDBOX_CHANNELS[banner];
+        const tracked = bannerOf(banner);
+        const bannerRules = rules[channel.rules];
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            const pity = state[channel.pity] + 1;
+            const guaranteed = state[channel.guarantee];
+            state[channel.aPity]++;
+            const result = channel.pull(state, rng, bannerRules);
+            const rank = result >= RESULT_STANDARD_S ? "S" : result >= RESULT_STANDARD_A ? "A" : "B";
+            if (rank !== "B") state[channel.aPity] = 0;
+
+            tracked.pulls++;
+            tracked.expected.step();
+            if (rank === "S") tracked.sRanks++;
+            if (rank === "A") tracked.aRanks++;
+            if (result === RESULT_FEATURED_S || (!channel.featuredOnly && rank === "S")) tracked.items++;
+
+            const entry = {
+                index: history.length + 1,
+                banner,
+                result,
+                item: channel.items[result],
+                rank,
+                featured: result === RESULT_FEATURED_S || result === RESULT_FEATURED_A,
+                pity: rank === "S" ? pity : null,
+                guaranteed: rank === "S" && guaranteed
+            };
+            history.push(entry);
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    /**
+     * Pulls spent on a banner against the odds from where it started
+     * @param {string} banner - One of BANNERS
+     * @returns {Object} { pulls, polychrome, items, sRanks, aRanks, expected, percentile,
+     *          avgPerItem, expectedPerS, start: { pity, guaranteed } }
+     */
+    function stats(banner) {
+        const tracked = bannerOf(banner);
+        const pmf = tracked.expected.pmf();
+        const pmfPerS = pullsPerSDistribution(rules[SANDBOX_CHANNELS[banner].rules]);
+        return {
+            pulls: tracked.pulls,
+            polychrome: tracked.pulls * POLYCHROME_PER_PULL,
+            items: tracked.items,
+            sRanks: tracked.sRanks,
+            aRanks: tracked.aRanks,
+            expected: pmf.reduce((sum, p, k) => sum + p * k, 0),
+            percentile: luckPercentile(pmf, tracked.items, true),
+            avgPerItem: tracked.items > 0 ? tracked.pulls / tracked.items : null,
+            expectedPerS: pmfPerS.reduce((sum, p, k) => sum + p * k, 0),
+            start: tracked.start
+        };
+    }
+
+    return { state, history, pull, stats };
+}
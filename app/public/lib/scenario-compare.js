@@ -0,0 +1,139 @@
+/**
+ * ZZZ Scenario Comparison
+ * Runs several named gacha scenarios ("pull now or wait a patch?", "M1W1 or M2W0?")
+ * and lines up their outcome distributions and headline numbers against the first
+ *
+ * Browser-compatible ES module version
+ */
+
+import { ENGINES, SIMULATIONS, runDistribution } from './gacha-core.js';
+
+// Every scenario is one more series on the charts, so keep the list short
+export const MAX_SCENARIOS = 4;
+
+/**
+ * Headline numbers compared across scenarios
+ * - format: "percent" (a chance, deltas in percentage points) or "number"
+ * - lowerIsBetter: a negative delta is the improvement
+ * - value: (context, results) => number, or null when it does not apply
+ */
+export const COMPARISON_METRICS = Object.freeze([
+    Object.freeze({
+        id: "chance",
+        label: "Chance of target",
+        format: "percent",
+        value: (context, results) => results.s_limited[results.target] / results.iterations
+    }),
+    Object.freeze({
+        id: "pulls",
+        label: "Total Pulls",
+        format: "number",
+        value: context => context.p
+    }),
+    Object.freeze({
+        id: "avgP",
+        label: "Average pulls executed",
+        format: "number",
+        lowerIsBetter: true,
+        value: (context, results) => results.avgP
+    }),
+    Object.freeze({
+        id: "remaining",
+        label: "Avg remaining on success",
+        format: "number",
+        value: (context, results) => results.s_limited[results.target] > 0 ? results.mean : null
+    }),
+    Object.freeze({
+        id: "refunds",
+        label: "Refund pulls (average)",
+        format: "number",
+        value: (context, results) => context.refunds ? results.avgRefunds : null
+    }),
+    Object.freeze({
+        id: "featuredA",
+        label: "Featured A-Ranks (average)",
+        format: "number",
+        value: (context, results) => Number(results.avgA)
+    })
+]);
+
+/**
+ * Outcome shares of each scenario over the union of their outcome labels
+ * @param {Object[]} results - Results of each scenario, in order
+ * @param {string} field - Distribution to line up ("s_limited" or "s_standard")
+ * @returns {Object} { labels, shares: [[fraction per label] per scenario] }
+ */
+function alignDistributions(results, field) {
+    const labels = [];
+    for (const result of results) {
+        for (const label in result[field]) {
+            if (!labels.includes(label)) labels.push(label);
+        }
+    }
+    // Outcomes that no scenario ever reached only clutter the charts
+    const shares = results.map(result => labels.map(label => (result[field][label] || 0) / result.iterations));
+    const kept = labels.filter((label, index) => shares.some(share => share[index] >= 0.0005));
+    return {
+        labels: kept,
+        shares: shares.map(share => kept.map(label => share[labels.indexOf(label)]))
+    };
+}
+
+/**
+ * Line up finished runs against the first one (the baseline)
+ * @param {Object[]} runs - [{ name, context, results }] with results from runDistribution()
+ * @returns {Object} { scenarios: [{ name, target, seed }], outcomes: { labels, shares },
+ *          standard: { labels, shares }, metrics: [{ id, label, format, lowerIsBetter, values, deltas }] }
+ */
+export function compareScenarios(runs) {
+    const results = runs.map(run => run.results);
+    const metrics = COMPARISON_METRICS.map(metric => {
+        const values = runs.map(run => metric.value(run.context, run.results));
+        const baseline = values[0];
+        return {
+            id: metric.id,
+            label: metric.label,
+            format: metric.format,
+            lowerIsBetter: !!metric.lowerIsBetter,
+            values,
+            deltas: values.map((value, index) =>
+                index === 0 || value === null || baseline === null ? null : value - baseline)
+        };
+    }).filter(metric => metric.values.some(value => value !== null));
+
+    return {
+        scenarios: runs.map(run => ({ name: run.name, target: run.results.target, seed: run.context.seed })),
+        outcomes: alignDistributions(results, "s_limited"),
+        standard: alignDistributions(results, "s_standard"),
+        metrics
+    };
+}
+
+/**
+ * Run every scenario and compare them.
+ *
+ * Scenarios without a seed of their own share one, so the differences come from the
+ * scenarios rather than from sampling noise.
+ *
+ * @param {Object[]} scenarios - [{ name, context, engine }] (engine: one of ENGINES)
+ * @param {Object} options - { seed, iterations (default: SIMULATIONS) }
+ * @param {Function} onProgress - Optional progress callback (done, total) over every scenario's runs
+ * @returns {Object} compareScenarios() result plus the shared seed
+ */
+export function runComparison(scenarios, options = {}, onProgress) {
+    if (scenarios.length < 2 || scenarios.length > MAX_SCENARIOS) {
+        throw new Error(`Compare between 2 and ${MAX_SCENARIOS} scenarios`);
+    }
+    const seed = options.seed || String(Math.floor(Math.random() * 2 ** 32));
+    const iterations = options.iterations || SIMULATIONS;
+    const total = scenarios.length * iterations;
+    const runs = scenarios.map((scenario, index) => {
+        const context = { ...scenario.context, seed: scenario.context.seed || seed, rng: undefined };
+        const before = index * iterations;
+        const results = runDistribution(context, scenario.engine || ENGINES.SAMPLED, iterations,
+            onProgress && ((done) => onProgress(before + done, total)));
+        if (onProgress) onProgress(before + iterations, total);
+        return { name: scenario.name, context, results };
+    });
+    return { ...compareScenarios(runs), seed };
+}
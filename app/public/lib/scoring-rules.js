@@ -0,0 +1,815 @@
+/**
+ * Default Team Scoring Rule Set
+ * The rules of data/scoring-rules.json as a module, so the pages and workers get them
+ * without a JSON module import (which not every browser supports). The CLIs read the
+ * JSON file; rankings.js fails when the two differ.
+ *
+ * Browser-compatible ES module version
+ */
+
+export const DEFAULT_SCORING_RULES = {
+    "version": 1,
+    "name": "Default",
+    "description": "Team scoring rules shipped with the site",
+    "rules": [
+        {
+            "id": "base",
+            "delta": { "strict": 100, "lenient": 200 },
+            "reason": "Base score"
+        },
+        {
+            "id": "anti",
+            "each": "dps",
+            "when": { "unit": { "countered": true } },
+            "disqualify": true,
+            "reason": "The boss counters {unit.name}"
+        },
+        {
+            "when": { "boss": { "shillIsDps": true } },
+            "first": true,
+            "rules": [
+                {
+                    "id": "shill-dps",
+                    "when": { "count": { "of": "dps", "where": { "shilled": true }, "min": 1 } },
+                    "delta": 15,
+                    "reason": "Shilled {boss.shill} DPS"
+                },
+                {
+                    "id": "shill-dps-missing-on-element",
+                    "when": { "count": { "of": "dps", "where": { "bossWeak": true }, "min": 1 } },
+                    "delta": -10,
+                    "reason": "No shilled {boss.shill} DPS, but a DPS hits a weakness"
+                },
+                {
+                    "id": "shill-dps-missing",
+                    "delta": -35,
+                    "reason": "No shilled {boss.shill} DPS"
+                }
+            ]
+        },
+        {
+            "when": { "boss": { "shillIsDps": false, "shilled": true } },
+            "first": true,
+            "rules": [
+                {
+                    "id": "shill-role-missing",
+                    "when": { "count": { "of": "team", "where": { "shilled": true }, "max": 0 } },
+                    "disqualify": true,
+                    "reason": "No {boss.shill} unit for a {boss.shill}-shill boss"
+                },
+                {
+                    "id": "shill-role",
+                    "delta": 15,
+                    "reason": "Shilled {boss.shill} unit"
+                }
+            ]
+        },
+        {
+            "id": "favored",
+            "each": "team",
+            "when": { "unit": { "favored": true } },
+            "delta": 25,
+            "reason": "Favored unit: {unit.name}"
+        },
+        {
+            "each": "team",
+            "first": true,
+            "rules": [
+                {
+                    "id": "tier-elite",
+                    "when": { "unit": { "tier": { "max": 0.5 } } },
+                    "delta": { "of": "tier", "times": -20, "plus": 65 },
+                    "reason": "Elite tier (T{tier}): {unit.name}"
+                },
+                {
+                    "id": "tier-good",
+                    "when": { "unit": { "tier": { "max": 1.5 } } },
+                    "delta": { "of": "tier", "times": -10, "plus": 35 },
+                    "reason": "Good tier (T{tier}): {unit.name}"
+                },
+                {
+                    "id": "tier-mediocre",
+                    "when": { "unit": { "tier": { "max": 2 } } },
+                    "delta": { "strict": -40, "lenient": -15 },
+                    "reason": "Mediocre tier (T{tier}): {unit.name}"
+                },
+                {
+                    "id": "tier-bad",
+                    "when": { "unit": { "tier": { "max": 3 } } },
+                    "delta": { "strict": -130, "lenient": -40 },
+                    "reason": "Bad tier (T{tier}): {unit.name}"
+                },
+                {
+                    "id": "tier-terrible",
+                    "delta": { "strict": -130, "lenient": -60 },
+                    "reason": "Terrible tier (T{tier}): {unit.name}"
+                }
+            ]
+        },
+        {
+            "id": "too-many-dps",
+            "when": { "count": { "of": "dps", "min": 3 } },
+            "disqualify": true,
+            "reason": "Three DPS units"
+        },
+        {
+            "id": "no-dps",
+            "when": { "count": { "of": "dps", "max": 0 } },
+            "disqualify": true,
+            "reason": "No DPS unit"
+        },
+        {
+            "when": {
+                "count": { "of": "anomaly", "max": 1 },
+                "all": [{ "count": { "of": "anomaly", "where": { "titled": false }, "min": 1 } }]
+            },
+            "first": true,
+            "rules": [
+                {
+                    "id": "monoshock",
+                    "when": { "fact": "monoshockPair" },
+                    "delta": 10,
+                    "reason": "Anomaly-attack synergy: {monoshockPair}"
+                },
+                {
+                    "rules": [
+                        {
+                            "id": "non-titled-anomaly-mixed",
+                            "when": { "count": { "of": "dps", "where": { "not": { "tag": "anomaly" } }, "min": 1 } },
+                            "disqualify": "strict",
+                            "delta": { "lenient": -80 },
+                            "reason": "Non-titled anomaly with non-anomaly DPS"
+                        },
+                        {
+                            "id": "non-titled-anomaly-solo",
+                            "when": { "count": { "of": "dps", "max": 1 } },
+                            "disqualify": "strict",
+                            "delta": { "lenient": -100 },
+                            "reason": "Solo non-titled anomaly"
+                        }
+                    ]
+                }
+            ]
+        },
+        {
+            "id": "titled-anomaly-solo-unsupported",
+            "when": {
+                "count": { "of": "dps", "min": 1, "max": 1 },
+                "all": [
+                    { "count": { "of": "anomaly", "where": { "titled": true }, "min": 1, "max": 1 } },
+                    { "count": { "of": "anomaly", "max": 1 } }
+                ],
+                "any": [
+                    { "count": { "of": "supportDefense", "max": 0 } },
+                    { "count": { "of": "stun", "max": 0 }, "not": { "fact": "namedSynergyPair" } }
+                ]
+            },
+            "disqualify": "strict",
+            "delta": { "lenient": -100 },
+            "reason": "Solo titled anomaly without support/defense and a stunner or named synergy"
+        },
+        {
+            "when": { "boss": { "shill": "anomaly" } },
+            "first": true,
+            "rules": [
+                {
+                    "when": {
+                        "any": [
+                            { "count": { "of": "anomaly", "where": { "titled": true }, "min": 1 } },
+                            { "count": { "of": "anomaly", "min": 2 } }
+                        ]
+                    },
+                    "rules": [
+                        {
+                            "first": true,
+                            "rules": [
+                                {
+                                    "id": "anomaly-without-non-dps",
+                                    "when": { "count": { "of": "nonDps", "max": 0 } },
+                                    "delta": -50,
+                                    "reason": "Anomaly team without a non-DPS unit"
+                                },
+                                {
+                                    "id": "anomaly-with-non-dps",
+                                    "delta": 10,
+                                    "reason": "Anomaly team with a non-DPS unit"
+                                }
+                            ]
+                        },
+                        {
+                            "when": { "count": { "of": "anomaly", "min": 2 } },
+                            "rules": [
+                                {
+                                    "id": "double-anomaly",
+                                    "delta": 25,
+                                    "reason": "Double anomaly"
+                                },
+                                {
+                                    "first": true,
+                                    "rules": [
+                                        {
+                                            "id": "double-anomaly-elements",
+                                            "when": { "fact": "anomalyElementsDiffer" },
+                                            "delta": 30,
+                                            "reason": "Double anomaly on different elements"
+                                        },
+                                        {
+                                            "id": "double-anomaly-same-element",
+                                            "delta": -15,
+                                            "reason": "Double anomaly on the same element"
+                                        }
+                                    ]
+                                },
+                                {
+                                    "id": "anomaly-off-element",
+                                    "when": { "count": { "of": "anomaly", "where": { "bossWeak": true }, "max": 0 } },
+                                    "delta": -30,
+                                    "reason": "No anomaly unit hits a weakness"
+                                }
+                            ]
+                        },
+                        {
+                            "id": "titled-anomaly-off-element",
+                            "when": {
+                                "count": { "of": "anomaly", "where": { "titled": true }, "min": 1, "max": 1 },
+                                "all": [
+                                    { "count": { "of": "anomaly", "max": 1 } },
+                                    { "count": { "of": "anomaly", "where": { "bossWeak": true }, "max": 0 } }
+                                ]
+                            },
+                            "delta": -40,
+                            "reason": "Solo titled anomaly off-element"
+                        },
+                        {
+                            "id": "anomaly-with-other-dps",
+                            "when": { "count": { "of": "dps", "where": { "not": { "tag": "anomaly" } }, "min": 1 } },
+                            "delta": -40,
+                            "reason": "Non-anomaly DPS in an anomaly team"
+                        },
+                        {
+                            "when": { "count": { "of": "stun", "min": 1 } },
+                            "first": true,
+                            "rules": [
+                                {
+                                    "id": "anomaly-stun-only",
+                                    "when": { "count": { "of": "supportDefense", "max": 0 } },
+                                    "delta": -40,
+                                    "reason": "Stun is the only non-DPS on an anomaly team"
+                                },
+                                {
+                                    "id": "anomaly-stun",
+                                    "delta": -20,
+                                    "reason": "Stun on an anomaly team"
+                                }
+                            ]
+                        },
+                        {
+                            "id": "anomaly-support",
+                            "when": { "count": { "of": "support", "min": 1 } },
+                            "delta": 25,
+                            "reason": "Support on an anomaly team"
+                        },
+                        {
+                            "id": "anomaly-defense",
+                            "when": { "count": { "of": "defense", "min": 1 } },
+                            "delta": 15,
+                            "reason": "Defense on an anomaly team"
+                        }
+                    ]
+                },
+                {
+                    "id": "anomaly-boss-fallback-off-element",
+                    "when": { "count": { "of": "dps", "where": { "bossWeak": true }, "max": 0 } },
+                    "disqualify": "strict",
+                    "delta": { "lenient": -120 },
+                    "reason": "No anomaly comp and no on-element DPS"
+                }
+            ]
+        },
+        {
+            "when": {
+                "any": [
+                    { "boss": { "shill": "attack" } },
+                    { "boss": { "shilled": false }, "count": { "of": "attack", "min": 1 } }
+                ]
+            },
+            "rules": [
+                {
+                    "first": true,
+                    "rules": [
+                        {
+                            "id": "attack-monoshock",
+                            "when": { "fact": "monoshockComposition", "count": { "of": "anomaly", "min": 1 } },
+                            "delta": 5,
+                            "reason": "Anomaly-attack composition - stunner not required"
+                        },
+                        {
+                            "id": "attack-stunner",
+                            "when": { "count": { "of": "stun", "min": 1 } },
+                            "delta": 15,
+                            "reason": "Attack team with stunner"
+                        },
+                        {
+                            "id": "attack-stunless",
+                            "when": {
+                                "count": { "of": "attack", "where": { "synergyTag": "stunless" }, "min": 1 },
+                                "not": { "boss": { "shill": "stun" } }
+                            },
+                            "delta": 5,
+                            "reason": "Stunless attack unit present - stunner not required"
+                        },
+                        {
+                            "id": "attack-without-stunner",
+                            "delta": -60,
+                            "reason": "Attack team without stunner"
+                        }
+                    ]
+                },
+                {
+                    "id": "attack-support",
+                    "when": { "count": { "of": "supportDefense", "min": 1 } },
+                    "delta": 10,
+                    "reason": "Attack team with support/defense"
+                },
+                {
+                    "id": "double-attacker",
+                    "when": {
+                        "count": { "of": "attack", "min": 2 },
+                        "all": [{ "count": { "of": "attack", "where": { "synergyTag": "subdps" }, "max": 0 } }]
+                    },
+                    "delta": -50,
+                    "reason": "Double attacker without a sub-DPS"
+                }
+            ]
+        },
+        {
+            "when": {
+                "any": [
+                    { "boss": { "shill": "rupture" } },
+                    { "boss": { "shilled": false }, "count": { "of": "rupture", "min": 1 } }
+                ]
+            },
+            "rules": [
+                {
+                    "when": {
+                        "any": [
+                            { "count": { "of": "stun", "min": 1 }, "all": [{ "count": { "of": "supportDefense", "min": 1 } }] },
+                            { "count": { "of": "supportDefense", "min": 2 } }
+                        ]
+                    },
+                    "rules": [
+                        {
+                            "id": "rupture-composition",
+                            "delta": 15,
+                            "reason": "Valid rupture composition"
+                        },
+                        {
+                            "when": { "count": { "of": "stun", "min": 1 }, "all": [{ "count": { "of": "supportDefense", "min": 1 } }] },
+                            "rules": [
+                                {
+                                    "id": "rupture-stun-composition",
+                                    "delta": 25,
+                                    "reason": "Stun/rupture/support composition"
+                                },
+                                {
+                                    "id": "rupture-synergistic-stunner",
+                                    "when": { "count": { "of": "stun", "where": { "synergyTag": "rupture" }, "min": 1 } },
+                                    "delta": 20,
+                                    "reason": "Synergistic Stunner in Rupture team"
+                                }
+                            ]
+                        }
+                    ]
+                },
+                {
+                    "each": "stun",
+                    "when": { "unit": { "not": { "synergyTag": "rupture" } } },
+                    "first": true,
+                    "rules": [
+                        {
+                            "id": "rupture-stunner-without-synergy-shill",
+                            "when": { "boss": { "shill": "rupture" } },
+                            "delta": -25,
+                            "reason": "Stunner without rupture synergy: {unit.name}"
+                        },
+                        {
+                            "id": "rupture-stunner-without-synergy",
+                            "delta": -15,
+                            "reason": "Stunner without rupture synergy: {unit.name}"
+                        }
+                    ]
+                }
+            ]
+        },
+        {
+            "each": "dps",
+            "first": true,
+            "rules": [
+                {
+                    "id": "dps-resisted",
+                    "when": { "unit": { "bossResists": true } },
+                    "disqualify": true,
+                    "reason": "The boss resists {unit.name}"
+                },
+                {
+                    "id": "dps-on-element-s-subdps",
+                    "when": { "unit": { "bossWeak": true, "rank": "S", "synergyTag": "subdps" } },
+                    "delta": 25,
+                    "reason": "On-element S-rank sub-DPS: {unit.name}"
+                },
+                {
+                    "id": "dps-on-element-s",
+                    "when": { "unit": { "bossWeak": true, "rank": "S" } },
+                    "delta": 40,
+                    "reason": "On-element S-rank DPS: {unit.name}"
+                },
+                {
+                    "id": "dps-on-element-subdps",
+                    "when": { "unit": { "bossWeak": true, "synergyTag": "subdps" } },
+                    "delta": 10,
+                    "reason": "On-element A-rank sub-DPS: {unit.name}"
+                },
+                {
+                    "id": "dps-on-element",
+                    "when": { "unit": { "bossWeak": true } },
+                    "delta": 20,
+                    "reason": "On-element A-rank DPS: {unit.name}"
+                },
+                {
+                    "id": "dps-off-element",
+                    "when": { "boss": { "weaknesses": true } },
+                    "delta": { "strict": -30, "lenient": -10 },
+                    "reason": "Off-element DPS: {unit.name}"
+                }
+            ]
+        },
+        {
+            "id": "no-dps-on-element",
+            "when": {
+                "boss": { "weaknesses": true },
+                "count": { "of": "dps", "where": { "bossWeak": true }, "max": 0 }
+            },
+            "delta": { "strict": -100, "lenient": -40 },
+            "reason": "No DPS hits a weakness"
+        },
+        {
+            "each": "stun",
+            "rules": [
+                {
+                    "id": "stun-resisted",
+                    "when": { "unit": { "bossResists": true } },
+                    "delta": -80,
+                    "reason": "Resisted stunner: {unit.name}"
+                },
+                {
+                    "first": true,
+                    "rules": [
+                        {
+                            "id": "stun-on-element",
+                            "when": { "unit": { "bossWeak": true } },
+                            "delta": 15,
+                            "reason": "On-element stunner: {unit.name}"
+                        },
+                        {
+                            "when": { "unit": { "bossResists": false }, "boss": { "weaknesses": true } },
+                            "first": true,
+                            "rules": [
+                                {
+                                    "id": "stun-off-element-waived",
+                                    "when": { "fact": "synergizesWithTeamDps" },
+                                    "delta": 0,
+                                    "reason": "Off-element stunner waived due to synergy ({unit.name})"
+                                },
+                                {
+                                    "id": "stun-off-element-shill",
+                                    "when": { "boss": { "shill": "stun" } },
+                                    "delta": -15,
+                                    "reason": "Off-element stunner on a stun-shill boss: {unit.name}"
+                                },
+                                {
+                                    "id": "stun-off-element",
+                                    "delta": -35,
+                                    "reason": "Off-element stunner: {unit.name}"
+                                }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        },
+        {
+            "each": "defense",
+            "rules": [
+                {
+                    "id": "defense-resisted",
+                    "when": { "unit": { "bossResists": true } },
+                    "delta": -10,
+                    "reason": "Resisted defense: {unit.name}"
+                },
+                {
+                    "id": "defense-on-element",
+                    "when": { "unit": { "bossWeak": true } },
+                    "delta": 3,
+                    "reason": "On-element defense: {unit.name}"
+                }
+            ]
+        },
+        {
+            "each": "dps",
+            "first": true,
+            "rules": [
+                {
+                    "when": { "unit": { "rank": "S" } },
+                    "rules": [
+                        { "id": "rank-dps-s", "delta": 20, "reason": "S-rank DPS: {unit.name}" },
+                        { "id": "rank-dps-titled", "when": { "unit": { "titled": true } }, "delta": 15, "reason": "Titled DPS: {unit.name}" },
+                        { "id": "rank-dps-limited", "when": { "unit": { "limited": true } }, "delta": 10, "reason": "Limited DPS: {unit.name}" }
+                    ]
+                },
+                {
+                    "id": "rank-dps-a-weak",
+                    "when": { "unit": { "rank": "A", "tier": { "min": 2 } } },
+                    "delta": { "strict": -80, "lenient": -25 },
+                    "reason": "A-rank DPS at tier 2 or worse: {unit.name}"
+                },
+                {
+                    "id": "rank-dps-a",
+                    "when": { "unit": { "rank": "A" } },
+                    "delta": -10,
+                    "reason": "A-rank DPS: {unit.name}"
+                }
+            ]
+        },
+        {
+            "each": "stun",
+            "first": true,
+            "rules": [
+                {
+                    "when": { "unit": { "rank": "S" } },
+                    "rules": [
+                        { "id": "rank-stun-s", "delta": 10, "reason": "S-rank stunner: {unit.name}" },
+                        { "id": "rank-stun-limited", "when": { "unit": { "limited": true } }, "delta": 5, "reason": "Limited stunner: {unit.name}" }
+                    ]
+                },
+                {
+                    "id": "rank-stun-a",
+                    "when": { "unit": { "rank": "A" } },
+                    "delta": -5,
+                    "reason": "A-rank stunner: {unit.name}"
+                }
+            ]
+        },
+        {
+            "each": "supportDefense",
+            "first": true,
+            "rules": [
+                {
+                    "when": { "unit": { "rank": "S" } },
+                    "rules": [
+                        { "id": "rank-support-s", "delta": 15, "reason": "S-rank support/defense: {unit.name}" },
+                        { "id": "rank-support-limited", "when": { "unit": { "limited": true } }, "delta": 10, "reason": "Limited support/defense: {unit.name}" }
+                    ]
+                },
+                {
+                    "id": "rank-support-a",
+                    "when": { "unit": { "rank": "A" } },
+                    "delta": -8,
+                    "reason": "A-rank support/defense: {unit.name}"
+                }
+            ]
+        },
+        {
+            "id": "universal-support",
+            "each": "supportDefense",
+            "when": { "fact": "mixedElements", "unit": { "synergyTags": false } },
+            "delta": 8,
+            "reason": "Universal support on a mixed-element team: {unit.name}"
+        },
+        {
+            "each": "supportDefense",
+            "first": true,
+            "rules": [
+                {
+                    "when": { "unit": { "specialist": true } },
+                    "first": true,
+                    "rules": [
+                        {
+                            "when": { "fact": "specialistForPrimaryDps" },
+                            "first": true,
+                            "rules": [
+                                {
+                                    "id": "specialist-wrong-shill",
+                                    "when": { "boss": { "shillIsDps": true }, "not": { "fact": "specialistForShill" } },
+                                    "delta": -40,
+                                    "reason": "{specialistType} specialist on a {boss.shill}-shill boss: {unit.name}"
+                                },
+                                {
+                                    "id": "specialist-matching-a",
+                                    "when": { "unit": { "rank": "A" } },
+                                    "delta": 55,
+                                    "reason": "Matching A-rank {specialistType} specialist: {unit.name}"
+                                },
+                                {
+                                    "id": "specialist-matching",
+                                    "delta": 65,
+                                    "reason": "Matching {specialistType} specialist: {unit.name}"
+                                }
+                            ]
+                        },
+                        {
+                            "id": "specialist-mismatched",
+                            "delta": -80,
+                            "reason": "Mismatched {specialistType} specialist: {unit.name}"
+                        }
+                    ]
+                },
+                {
+                    "when": { "unit": { "synergyTags": false } },
+                    "rules": [
+                        {
+                            "id": "generalist-pure",
+                            "when": { "fact": "primaryDpsType" },
+                            "delta": -15,
+                            "reason": "Pure generalist: {unit.name}"
+                        }
+                    ]
+                },
+                {
+                    "first": true,
+                    "rules": [
+                        {
+                            "id": "generalist-avoids-dps",
+                            "when": { "fact": "avoidsPrimaryDps" },
+                            "delta": -60,
+                            "reason": "Generalist that avoids {primaryDpsType}: {unit.name}"
+                        },
+                        {
+                            "id": "generalist-prefers-dps",
+                            "when": { "fact": "prefersPrimaryDps" },
+                            "delta": 10,
+                            "reason": "Generalist that prefers {primaryDpsType}: {unit.name}"
+                        },
+                        {
+                            "id": "generalist-mismatched",
+                            "delta": -25,
+                            "reason": "Generalist with preferences the team misses: {unit.name}"
+                        }
+                    ]
+                }
+            ]
+        },
+        {
+            "each": "team",
+            "first": true,
+            "rules": [
+                {
+                    "id": "synergy-avoided-dps",
+                    "when": { "fact": "avoidedDpsTeammate" },
+                    "delta": -999,
+                    "reason": "{unit.name} avoids {avoidedDpsTeammate}"
+                },
+                {
+                    "rules": [
+                        {
+                            "id": "synergy-named",
+                            "each": "teammates",
+                            "as": "teammate",
+                            "when": { "fact": "namedSynergy" },
+                            "delta": 5,
+                            "reason": "{unit.name} synergizes with {teammate.name}"
+                        },
+                        {
+                            "when": { "unit": { "synergyTags": true } },
+                            "rules": [
+                                {
+                                    "id": "synergy-element-unmatched",
+                                    "when": { "fact": "elementSynergy", "not": { "fact": "elementSynergyMatched" } },
+                                    "delta": -120,
+                                    "reason": "{unit.name} has no teammate of a synergy element"
+                                },
+                                {
+                                    "when": { "unit": { "synergyTag": "subdps" } },
+                                    "first": true,
+                                    "rules": [
+                                        {
+                                            "id": "synergy-subdps-alone",
+                                            "when": { "count": { "of": "teammates", "where": { "role": "dps", "not": { "synergyTag": "subdps" } }, "max": 0 } },
+                                            "delta": { "strict": -100 },
+                                            "reason": "Sub-DPS {unit.name} without a main DPS"
+                                        },
+                                        {
+                                            "id": "synergy-subdps",
+                                            "delta": 20,
+                                            "reason": "Sub-DPS {unit.name} with a main DPS"
+                                        }
+                                    ]
+                                },
+                                {
+                                    "each": "teammates",
+                                    "as": "teammate",
+                                    "first": true,
+                                    "rules": [
+                                        {
+                                            "when": { "fact": "preferredTeammate" },
+                                            "first": true,
+                                            "rules": [
+                                                {
+                                                    "id": "synergy-element-wasted",
+                                                    "when": { "fact": "elementSynergyWasted" },
+                                                    "delta": -70,
+                                                    "reason": "{unit.name}'s element synergy is wasted"
+                                                },
+                                                {
+                                                    "id": "synergy-preferred-dps",
+                                                    "when": { "teammate": { "role": "dps" } },
+                                                    "delta": 30,
+                                                    "reason": "{unit.name} prefers DPS {teammate.name}"
+                                                },
+                                                {
+                                                    "id": "synergy-preferred",
+                                                    "delta": 15,
+                                                    "reason": "{unit.name} prefers {teammate.name}"
+                                                }
+                                            ]
+                                        },
+                                        {
+                                            "id": "synergy-unpreferred-dps",
+                                            "when": { "teammate": { "role": "dps" } },
+                                            "delta": -20,
+                                            "reason": "{unit.name} has no preference for DPS {teammate.name}"
+                                        }
+                                    ]
+                                }
+                            ]
+                        },
+                        {
+                            "id": "synergy-avoided",
+                            "each": "avoidTags",
+                            "as": "tag",
+                            "when": { "fact": "avoidedTagPresent" },
+                            "delta": -35,
+                            "reason": "{unit.name} avoids {tag} teammates"
+                        }
+                    ]
+                }
+            ]
+        },
+        {
+            "first": true,
+            "rules": [
+                {
+                    "id": "dps-mix-attack-rupture",
+                    "when": { "fact": "attackWithRupture" },
+                    "delta": -999,
+                    "reason": "Attack and rupture DPS never mix"
+                },
+                {
+                    "id": "dps-mix-attack-anomaly",
+                    "when": { "fact": "attackWithAnomaly", "not": { "fact": "attackAnomalyPaired" } },
+                    "delta": -999,
+                    "reason": "Attack and anomaly DPS without a same-element synergy"
+                },
+                {
+                    "id": "dps-mix-anomaly-rupture",
+                    "when": { "fact": "anomalyWithRupture" },
+                    "delta": -999,
+                    "reason": "Anomaly and rupture DPS never mix"
+                },
+                {
+                    "rules": [
+                        {
+                            "id": "dps-mix-double-attack",
+                            "when": { "count": { "of": "attack", "min": 2 }, "not": { "fact": "attackersHaveSynergy" } },
+                            "delta": -200,
+                            "reason": "Two attackers without synergy"
+                        },
+                        {
+                            "id": "dps-mix-double-rupture",
+                            "when": { "count": { "of": "rupture", "min": 2 }, "not": { "fact": "rupturesHaveSynergy" } },
+                            "delta": -200,
+                            "reason": "Two rupture DPS without synergy"
+                        }
+                    ]
+                }
+            ]
+        },
+        {
+            "id": "double-stun",
+            "when": { "count": { "of": "stun", "min": 2 }, "not": { "fact": "stunSynergy" } },
+            "delta": -150,
+            "reason": "Double stun without synergy"
+        },
+        {
+            "id": "assists-missing",
+            "when": { "value": { "of": "spareAssists", "max": -1 } },
+            "disqualify": true,
+            "reason": "{defensiveAssists} of {boss.assists} defensive assists"
+        },
+        {
+            "id": "assists-spare",
+            "when": { "value": { "of": "spareAssists", "min": 1 } },
+            "delta": { "of": "spareAssists", "times": 3 },
+            "reason": "Spare defensive assists: {spareAssists}"
+        }
+    ]
+};
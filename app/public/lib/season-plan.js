@@ -0,0 +1,191 @@
+/**
+ * ZZZ Season Planner
+ * Simulates an ordered sequence of limited banners, carrying pity, guarantees
+ * and unspent pulls from one banner to the next
+ *
+ * Browser-compatible ES module version
+ */
+
+import {
+    SIMULATIONS,
+    TACTICS,
+    simulate,
+    toLabel,
+    createSignalTracker
+} from './gacha-core.js';
+import { resolveRandom } from './random.js';
+import { projectIncome, pullsAvailable } from './income.js';
+import { reportsProgress } from './progress.js';
+
+// Every combination of targets is reported, so keep the plan small
+export const MAX_PLAN_PHASES = 8;
+
+/**
+ * Build the starting pity state for a plan
+ * @param {Object} plan - Plan with optional pity[] and guarantees[] (same layout as simulate())
+ * @returns {Object} Pity state accepted by simulate() as context.state
+ */
+function initialState(plan) {
+    const pity = plan.pity || [];
+    const guarantees = plan.guarantees || [];
+    return {
+        cpity: pity[0] || 0,
+        wpity: pity[1] || 0,
+        apity: pity[2] || 0,
+        epity: pity[3] || 0,
+        cguaranteed: !!guarantees[0],
+        wguaranteed: !!guarantees[1],
+        aguaranteed: !!guarantees[2],
+        eguaranteed: !!guarantees[3]
+    };
+}
+
+/**
+ * Label for one phase of the plan
+ * @param {Object} phase - Phase ({ name, c, w })
+ * @param {number} index - Position in the plan
+ * @returns {string} Label like "Miyabi M0W1"
+ */
+export function toPhaseLabel(phase, index) {
+    return `${phase.name || `Banner ${index + 1}`} ${toLabel(phase.c, phase.w)}`;
+}
+
+/**
+ * Pulls each banner adds to the plan: current holdings (first banner), income
+ * projected between the previous banner's end date and its own, and its extra pulls
+ * @param {Object[]} phases - Phases with optional end date and extra income
+ * @param {Object} holdings - { polychrome, tapes } held today
+ * @param {Object} options - projectIncome() options without end (start, versionStart, sources)
+ * @returns {number[]} Pulls added by each phase
+ */
+export function planIncomes(phases, holdings, options) {
+    let previous = 0;
+    let available = pullsAvailable(holdings);
+    return phases.map(phase => {
+        if (phase.end) {
+            available = Math.max(available, pullsAvailable(holdings, projectIncome({ ...options, end: phase.end })));
+        }
+        const income = available - previous + (phase.income || 0);
+        previous = available;
+        return income;
+    });
+}
+
+/**
+ * Run the whole plan once.
+ *
+ * Plan fields: phases (ordered list of { name, income, c, w, tactic }), pity[] and
+ * guarantees[] at the start of the plan, rules, refunds and rng as for simulate().
+ * Each phase adds its income to whatever the previous phase left unspent, then
+ * pulls for its target until it is met or the pulls run out. Residual Signals
+ * (and the roster copies behind them) carry over between phases too; each phase's
+ * featured agent and W-Engine start from no copies owned (refunds.featuredCopies is
+ * the first phase's).
+ *
+ * @param {Object} plan - Plan definition
+ * @param {Function} rng - Random generator (default: plan.rng or Math.random)
+ * @returns {Object} { hits: bitmask of phases whose target was met, phases: per-phase results }
+ */
+export function simulatePlan(plan, rng = plan.rng || Math.random) {
+    const state = initialState(plan);
+    const signals = plan.refunds ? createSignalTracker(plan.refunds, rng) : null;
+    const phases = [];
+    let hits = 0;
+    let carry = 0;
+
+    plan.phases.forEach((phase, index) => {
+        const p = carry + (phase.income || 0);
+        const result = simulate({
+            p,
+            c: phase.c,
+            w: phase.w,
+            tactic: phase.tactic || TACTICS.ENGINE_FIRST,
+            rules: plan.rules,
+            rng,
+            state,
+            refunds: plan.refunds,
+            signals,
+            banner: index
+        });
+        if (result.fc >= phase.c && result.fw >= phase.w) hits |= 1 << index;
+        phases.push({ fc: result.fc, fw: result.fw, used: p + result.refunds - result.p, p: result.p });
+        carry = result.p;
+    });
+
+    return { hits, phases };
+}
+
+/**
+ * Run the plan many times and aggregate per-target and joint probabilities
+ * @param {Object} plan - Plan definition (see simulatePlan); plan.seed makes it reproducible
+ * @param {number} iterations - Number of runs (default: SIMULATIONS)
+ * @param {Function} onProgress - Optional progress callback (see reportsProgress())
+ * @returns {Object} Results with phases[] (label, chance, outcomes, avgUsed, avgLeft),
+ *          combinations[] (mask, labels, all, exact) and iterations
+ */
+export function runPlanSimulation(plan, iterations = SIMULATIONS, onProgress) {
+    const count = plan.phases.length;
+    if (count === 0) {
+        throw new Error('A plan needs at least one banner');
+    }
+    if (count > MAX_PLAN_PHASES) {
+        throw new Error(`A plan can have at most ${MAX_PLAN_PHASES} banners`);
+    }
+    const rng = plan.rng || resolveRandom(plan.seed);
+
+    // exact[mask] = runs that hit exactly the targets in mask
+    const exact = new Array(1 << count).fill(0);
+    const phases = plan.phases.map((phase, index) => {
+        const outcomes = {};
+        for (let w = 0; w <= phase.w; w++) {
+            for (let c = 0; c <= phase.c; c++) {
+                outcomes[toLabel(c, w)] = 0;
+            }
+        }
+        return { label: toPhaseLabel(phase, index), target: toLabel(phase.c, phase.w), outcomes, hits: 0, used: 0, left: 0 };
+    });
+
+    const progress = reportsProgress(iterations, onProgress);
+    for (let i = 0; i < iterations; i++) {
+        const run = simulatePlan(plan, rng);
+        exact[run.hits]++;
+        run.phases.forEach((result, index) => {
+            const phase = phases[index];
+            phase.outcomes[toLabel(result.fc, result.fw)]++;
+            phase.used += result.used;
+            phase.left += result.p;
+            if (run.hits & (1 << index)) phase.hits++;
+        });
+        progress(i + 1);
+    }
+
+    // Every non-empty combination: chance of hitting all of its targets (others may
+    // or may not hit) and of hitting exactly those targets and no others
+    const combinations = [];
+    for (let mask = 1; mask < (1 << count); mask++) {
+        let all = 0;
+        for (let outcome = 0; outcome < exact.length; outcome++) {
+            if ((outcome & mask) === mask) all += exact[outcome];
+        }
+        combinations.push({
+            mask,
+            labels: phases.filter((_, index) => mask & (1 << index)).map(phase => phase.label),
+            all,
+            exact: exact[mask]
+        });
+    }
+
+    return {
+        phases: phases.map(phase => ({
+            label: phase.label,
+            target: phase.target,
+            outcomes: phase.outcomes,
+            chance: phase.hits,
+            avgUsed: Math.round(phase.used / iterations),
+            avgLeft: Math.round(phase.left / iterations)
+        })),
+        combinations,
+        none: exact[0],
+        iterations
+    };
+}
@@ -0,0 +1,157 @@
+/**
+ * ZZZ Tactic Optimizer
+ * Ranks pull orders for a limited banner target by a chosen utility, and compares
+ * the best one against the built-in tactics
+ *
+ * Browser-compatible ES module version
+ */
+
+import {
+    TACTICS,
+    ENGINES,
+    toLabel,
+    toPullOrder,
+    formatPullOrder,
+    runDistribution
+} from './gacha-core.js';
+
+export const OPTIMIZER_SIMULATIONS = 20000;
+
+// Orders with more interleavings than this only try moving one block of copies around
+export const MAX_CANDIDATES = 120;
+
+/**
+ * Utilities an order can be ranked by
+ * - at-least: chance of reaching at least the milestone (c, w)
+ * - expected-copies: expected character copies, counted only when the W-Engine
+ *   milestone (w) is reached
+ */
+export const UTILITIES = {
+    AT_LEAST: "at-least",
+    EXPECTED_COPIES: "expected-copies"
+};
+
+/**
+ * Score an outcome distribution
+ * @param {Object} results - runDistribution() results (s_limited keyed by toLabel)
+ * @param {Object} context - The context that produced them (c, w)
+ * @param {Object} utility - { type: one of UTILITIES, c, w }
+ * @returns {number} Probability (at-least) or expected copies (expected-copies)
+ */
+export function scoreUtility(results, context, utility) {
+    let score = 0;
+    for (let w = 0; w <= context.w; w++) {
+        for (let c = 0; c <= context.c; c++) {
+            const share = (results.s_limited[toLabel(c, w)] || 0) / results.iterations;
+            if (utility.type === UTILITIES.EXPECTED_COPIES) {
+                if (w >= utility.w) score += c * share;
+            } else if (c >= utility.c && w >= utility.w) {
+                score += share;
+            }
+        }
+    }
+    return score;
+}
+
+/**
+ * Every way to interleave c character steps and w W-Engine steps
+ */
+function interleavings(c, w) {
+    if (c === 0) return [Array(w).fill("w")];
+    if (w === 0) return [Array(c).fill("c")];
+    return [
+        ...interleavings(c - 1, w).map(order => ["c", ...order]),
+        ...interleavings(c, w - 1).map(order => ["w", ...order])
+    ];
+}
+
+function binomial(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+    return Math.round(result);
+}
+
+/**
+ * Candidate orders for a target: every interleaving, or when there are more than
+ * MAX_CANDIDATES, every position for one block of all W-Engine (or all character)
+ * copies inside the otherwise unbroken other banner
+ * @param {number} c - Target character copies
+ * @param {number} w - Target W-Engine copies
+ * @returns {string[][]} Orders ("c" / "w" steps)
+ */
+export function candidateOrders(c, w) {
+    if (binomial(c + w, c) <= MAX_CANDIDATES) return interleavings(c, w);
+    const orders = [];
+    for (let i = 0; i <= c; i++) {
+        orders.push([...Array(i).fill("c"), ...Array(w).fill("w"), ...Array(c - i).fill("c")]);
+    }
+    for (let i = 1; i < w; i++) {
+        orders.push([...Array(i).fill("w"), ...Array(c).fill("c"), ...Array(w - i).fill("w")]);
+    }
+    // The built-in tactics are always compared
+    const builtin = toPullOrder(TACTICS.ENGINE_FIRST, c, w);
+    if (!orders.some(order => order.join("") === builtin.join(""))) orders.push(builtin);
+    return orders;
+}
+
+/**
+ * Rank pull orders for context's target (c, w) by a utility.
+ *
+ * Every candidate is run with the same seed, so differences come from the order and
+ * not from luck. The built-in tactics are reported as defaults to measure the gain;
+ * a custom order is only recommended when it beats them by more than sampling noise
+ * (two standard errors of the difference, for chance utilities on the sampled engine).
+ *
+ * @param {Object} context - Limited banner context (p, c, w, pity, guarantees, rules, refunds, seed)
+ * @param {Object} utility - { type: one of UTILITIES, c, w }
+ * @param {Object} options - engine (one of ENGINES), iterations
+ * @param {Function} onProgress - Optional progress callback (done, total) over every candidate's runs
+ * @returns {Object} { ranked: [{ order, label, score, tactic }], best, defaults: [...],
+ *          recommended, gain (recommended over the best default), iterations }
+ */
+export function optimizeTactic(context, utility, options = {}, onProgress) {
+    const iterations = options.iterations || OPTIMIZER_SIMULATIONS;
+    const seed = context.seed || String(Math.floor(Math.random() * 2 ** 32));
+    const w = context.w || 0;
+    const builtins = {
+        [toPullOrder(TACTICS.ENGINE_FIRST, context.c, w).join("")]: TACTICS.ENGINE_FIRST,
+        [toPullOrder(TACTICS.MINDSCAPES_FIRST, context.c, w).join("")]: TACTICS.MINDSCAPES_FIRST
+    };
+
+    const candidates = candidateOrders(context.c, w);
+    const total = candidates.length * iterations;
+    const ranked = candidates.map((order, index) => {
+        const run = { ...context, w, tactic: TACTICS.CUSTOM, order, seed, rng: undefined };
+        const before = index * iterations;
+        const results = runDistribution(run, options.engine, iterations,
+            onProgress && ((done) => onProgress(before + done, total)));
+        if (onProgress) onProgress(before + iterations, total);
+        return {
+            order,
+            label: formatPullOrder(order),
+            score: scoreUtility(results, run, utility),
+            tactic: builtins[order.join("")] || null
+        };
+    }).sort((a, b) => {
+        // Within float noise, prefer a built-in tactic
+        if (Math.abs(b.score - a.score) > 1e-9) return b.score - a.score;
+        return (b.tactic ? 1 : 0) - (a.tactic ? 1 : 0);
+    });
+
+    const defaults = ranked.filter(candidate => candidate.tactic);
+    const best = ranked[0];
+    const bestDefault = defaults[0];
+    const p = bestDefault.score;
+    const noise = utility.type === UTILITIES.AT_LEAST && options.engine !== ENGINES.EXACT
+        ? 2 * Math.sqrt(2 * p * (1 - p) / iterations)
+        : 1e-9;
+    const recommended = best.score - bestDefault.score > noise ? best : bestDefault;
+    return {
+        ranked,
+        best,
+        defaults,
+        recommended,
+        gain: recommended.score - bestDefault.score,
+        iterations
+    };
+}
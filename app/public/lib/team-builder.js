@@ -8,47 +8,37 @@
 /**
  * Generates all valid team combinations from a list of units.
  * A team is valid if each unit's "join" conditions are met by at least one teammate.
+ *
+ * Each unit's numericId is set to its index in `units`, and a team is identified by its
+ * sorted numericIds (see getTeamKey()), so any number of units can be combined. Third
+ * members are only looked for among the units that join one of the first two.
+ *
+ * Each team array carries `joins`, why each member may join it (see explainTeam()).
  * 
  * @param {Array} units - Array of unit objects with id, name, tags, and join properties
  * @returns {Object} Map of team label strings to team arrays
  */
 export function getTeams(units) {
-    // Assign unique ids using powers of 2 for easy combination tracking
-    for (let i = 0, n = units.length; i < n; i++) {
-        units[i].numericId = 2 ** i;
+    const n = units.length;
+    for (let i = 0; i < n; i++) {
+        units[i].numericId = i;
     }
-    
-    let permutations = {};
-    
-    // Find all valid team combinations
-    for (const unitA of units) {
-        for (const unitB of units) {
-            if (unitA.numericId == unitB.numericId) continue;
-            
-            let ab = unitA.join.some(tag => unitB.tags.includes(tag));
-            if (ab) {
-                let ba = unitB.join.some(tag => unitA.tags.includes(tag));
-                if (ba) {
-                    // If mutual, a pair team is sufficient
-                    permutations[unitA.numericId + unitB.numericId] = [unitA, unitB];
-                }
-                
-                for (const unitC of units) {
-                    if (unitA.numericId == unitC.numericId || unitB.numericId == unitC.numericId) continue;
-                    
-                    let ac = unitA.join.some(tag => unitC.tags.includes(tag));
-                    let bc = unitB.join.some(tag => unitC.tags.includes(tag));
-                    let ca = unitC.join.some(tag => unitA.tags.includes(tag));
-                    let cb = unitC.join.some(tag => unitB.tags.includes(tag));
-                    
-                    let a = ab || ac;
-                    let b = ba || bc;
-                    let c = ca || cb;
-                    
-                    if (a && b && c) {
-                        permutations[unitA.numericId + unitB.numericId + unitC.numericId] = [unitA, unitB, unitC];
-                    }
-                }
+    const { accepts, joinedBy } = indexJoins(units);
+
+    // Teams as sorted numericId tuples
+    const found = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const ij = accepts[i * n + j], ji = accepts[j * n + i];
+            // If mutual, a pair team is sufficient
+            if (ij && ji) found.push([i, j]);
+
+            // The third member joins i or j; each k once, from the first list it is in
+            for (const k of joinedBy[i]) {
+                if (k > j && isValidTrio(accepts, n, i, j, k)) found.push([i, j, k]);
+            }
+            for (const k of joinedBy[j]) {
+                if (k > j && !accepts[k * n + i] && isValidTrio(accepts, n, i, j, k)) found.push([i, j, k]);
             }
         }
     }
@@ -56,9 +46,9 @@ export function getTeams(units) {
     // Sort individual teams conventionally by role
     let teams = {};
     
-    for (const id in permutations) {
-        const team = permutations[id];
-        sortTeamByRole(team);
+    for (const ids of found.sort(compareTeamIds)) {
+        const team = sortTeamByRole(ids.map(id => units[id]));
+        team.joins = explainTeam(team);
         const label = getTeamLabel(team);
         teams[label] = team;
     }
@@ -66,6 +56,64 @@ export function getTeams(units) {
     return teams;
 }
 
+/**
+ * Join-compatibility indexes of a roster
+ * @returns {Object} { accepts (n * n flags: accepts[a * n + b] when a's join conditions are
+ *          met by b), joinedBy (per unit, the ascending indexes of the units it meets the
+ *          join conditions of) }
+ */
+function indexJoins(units) {
+    const n = units.length;
+
+    // Tag -> indexes of the units carrying it
+    const byTag = new Map();
+    units.forEach((unit, index) => {
+        for (const tag of unit.tags) {
+            if (!byTag.has(tag)) byTag.set(tag, []);
+            byTag.get(tag).push(index);
+        }
+    });
+
+    const accepts = new Uint8Array(n * n);
+    const joinedBy = units.map(() => []);
+    units.forEach((unit, a) => {
+        for (const tag of unit.join) {
+            for (const b of byTag.get(tag) || []) {
+                if (b !== a) accepts[a * n + b] = 1;
+            }
+        }
+    });
+    for (let a = 0; a < n; a++) {
+        for (let b = 0; b < n; b++) {
+            if (accepts[b * n + a]) joinedBy[a].push(b);
+        }
+    }
+    return { accepts, joinedBy };
+}
+
+// Every member of the trio has at least one teammate meeting its join conditions
+function isValidTrio(accepts, n, i, j, k) {
+    return (accepts[i * n + j] || accepts[i * n + k])
+        && (accepts[j * n + i] || accepts[j * n + k])
+        && (accepts[k * n + i] || accepts[k * n + j]);
+}
+
+// Teams in order of their highest numericId, then the next highest (a pair before the trios extending it)
+function compareTeamIds(a, b) {
+    for (let x = a.length - 1, y = b.length - 1; x >= 0 && y >= 0; x--, y--) {
+        if (a[x] !== b[y]) return a[x] - b[y];
+    }
+    return a.length - b.length;
+}
+
+/**
+ * Identity of a team: its members' numericIds (assigned by getTeams), sorted
+ * @returns {string} Key like "3,17,40", the same for any order of the same units
+ */
+export function getTeamKey(team) {
+    return team.map(unit => unit.numericId).sort((a, b) => a - b).join(",");
+}
+
 /**
  * Sorts a team array in-place by role order, then by name within the same role.
  * Order: stun, anomaly, attack, rupture, defense, support
@@ -91,6 +139,40 @@ export function getTeamLabel(team) {
     return team.map(unit => unit.name).join(" / ");
 }
 
+/**
+ * Why each member of a team may join it: the first teammate (in team order) carrying
+ * one of its join tags, or that it joined as a universal unit
+ *
+ * @param {Array} team - Team array
+ * @param {Array} universalUnits - Members that joined as universal units (see extendTeamsWithUniversalUnits())
+ * @returns {Array} One entry per member, in team order: { unit, teammate, tag } (unit and teammate
+ *          names; teammate and tag null when nobody meets the join) or { unit, universal: true }
+ */
+export function explainTeam(team, universalUnits = []) {
+    return team.map(unit => {
+        if (universalUnits.includes(unit)) return { unit: unit.name, universal: true };
+
+        // Teammates who joined on their own first, so a universal unit is never the only reason given
+        const teammates = team.filter(other => other !== unit)
+            .sort((a, b) => universalUnits.includes(a) - universalUnits.includes(b));
+        for (const teammate of teammates) {
+            const tag = unit.join.find(tag => teammate.tags.includes(tag));
+            if (tag) return { unit: unit.name, teammate: teammate.name, tag };
+        }
+        return { unit: unit.name, teammate: null, tag: null };
+    });
+}
+
+/**
+ * One line of a team explanation
+ * @param {Object} join - Entry of explainTeam()
+ * @returns {string} e.g. "Ellen ← Lycaon (stun)" or "Nicole ← any team (universal)"
+ */
+export function describeJoin(join) {
+    if (join.universal) return `${join.unit} ← any team (universal)`;
+    return join.teammate ? `${join.unit} ← ${join.teammate} (${join.tag})` : `${join.unit} ← nobody`;
+}
+
 /**
  * Checks if two teams share any units (based on numericId assigned by getTeams)
  */
@@ -105,6 +187,7 @@ export function teamsOverlap(team1, team2) {
 /**
  * Extends 2-person teams with universal units to create additional 3-person teams.
  * Universal units can join ANY team regardless of normal join conditions.
+ * A team already in threeCharTeams (same members, see getTeamKey()) is not added again.
  * 
  * @param {Object} twoCharTeams - Map of label -> 2-person team arrays
  * @param {Object} threeCharTeams - Map of label -> 3-person team arrays (will be modified)
@@ -113,6 +196,7 @@ export function teamsOverlap(team1, team2) {
  */
 export function extendTeamsWithUniversalUnits(twoCharTeams, threeCharTeams, universalUnits) {
     let extendedCount = 0;
+    const existing = new Set(Object.values(threeCharTeams).map(getTeamKey));
     
     for (const label in twoCharTeams) {
         const team = twoCharTeams[label];
@@ -122,16 +206,17 @@ export function extendTeamsWithUniversalUnits(twoCharTeams, threeCharTeams, univ
             // Skip if this unit is already on the team
             if (teamUnitIds.has(universalUnit.numericId)) continue;
             
-            // Create extended team with proper role-based sorting
+            // Only add if this team doesn't already exist
             const extendedTeam = [...team, universalUnit];
-            sortTeamByRole(extendedTeam);
-            const extendedLabel = getTeamLabel(extendedTeam);
+            const key = getTeamKey(extendedTeam);
+            if (existing.has(key)) continue;
+            existing.add(key);
             
-            // Only add if this team doesn't already exist
-            if (!threeCharTeams[extendedLabel]) {
-                threeCharTeams[extendedLabel] = extendedTeam;
-                extendedCount++;
-            }
+            // Create extended team with proper role-based sorting
+            sortTeamByRole(extendedTeam);
+            extendedTeam.joins = explainTeam(extendedTeam, [universalUnit]);
+            threeCharTeams[getTeamLabel(extendedTeam)] = extendedTeam;
+            extendedCount++;
         }
     }
     
@@ -186,9 +271,9 @@ export function findExclusiveCombinations(viableTeamsByBoss, bossNames) {
                     rankSum,
                     maxRank,
                     assignments: [
-                        { boss: bossNames[0], team: t0.team, label: t0.label, score: t0.score, rank: t0.rank },
-                        { boss: bossNames[1], team: t1.team, label: t1.label, score: t1.score, rank: t1.rank },
-                        { boss: bossNames[2], team: t2.team, label: t2.label, score: t2.score, rank: t2.rank }
+                        { boss: bossNames[0], team: t0.team, label: t0.label, score: t0.score, rank: t0.rank, joins: t0.team.joins },
+                        { boss: bossNames[1], team: t1.team, label: t1.label, score: t1.score, rank: t1.rank, joins: t1.team.joins },
+                        { boss: bossNames[2], team: t2.team, label: t2.label, score: t2.score, rank: t2.rank, joins: t2.team.joins }
                     ]
                 });
             }
@@ -0,0 +1,465 @@
+/**
+ * ZZZ Team Grid
+ * Picks the best teams for each element / DPS type archetype of the Team Builder,
+ * scoring every team against a neutral boss
+ *
+ * Browser-compatible ES module version
+ */
+
+import { getTeams } from './team-builder.js';
+import { scoreTeamForBoss, isDPS, isStun, isSupport, isDefense, getElement, DPS_ROLES } from './team-scorer.js';
+import { reportsProgress } from './progress.js';
+
+// Teams shown even when the archetype grid has fewer
+const MIN_TEAMS_TO_SHOW = 6;
+
+// Neutral boss for global scoring (no element bias)
+const NEUTRAL_BOSS = Object.freeze({
+    name: 'neutral',
+    weaknesses: [],
+    resistances: [],
+    shill: null,
+    anti: [],
+    favored: [],
+    assists: 0
+});
+
+/**
+ * Build every 3-person team from the roster, apply the user's filters and pick the best
+ * @param {Array} units - Roster units (numericId is reassigned by getTeams)
+ * @param {Object} filters - User filters (see applyUserFilters() and selectBestTeams())
+ * @param {Object} rules - Scoring rule set (see scoreTeamForBoss())
+ * @param {Function} onProgress - Optional progress callback (see selectBestTeams())
+ * @returns {Array} Selected teams
+ */
+export function buildTeamGrid(units, filters, rules, onProgress) {
+    // Generate all valid teams, 3-person teams only
+    const teams = Object.entries(getTeams(units))
+        .filter(([label, team]) => team.length === 3)
+        .map(([label, team]) => ({ label, team, joins: team.joins }));
+    
+    return selectBestTeams(applyUserFilters(teams, filters), units, filters, rules, onProgress);
+}
+
+/**
+ * Check if a team has a DPS unit that matches BOTH the target element AND DPS type.
+ * e.g., for Ice Anomaly, we need a unit that is both ice element AND anomaly role.
+ */
+function teamHasMatchingDPS(team, targetElement, targetDpsType) {
+    for (const unit of team) {
+        const unitElement = getElement(unit);
+        const unitDpsType = getDpsTypeForUnit(unit);
+        
+        if (unitElement === targetElement && unitDpsType === targetDpsType) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Keep the teams that pass the user's filters
+ * @param {Array} teams - [{ label, team }]
+ * @param {Object} filters - { elements, dpsRoles, minSRank, maxTier, mustInclude, exclude }
+ * @returns {Array} Matching teams
+ */
+export function applyUserFilters(teams, filters) {
+    return teams.filter(({ label, team }) => {
+        // Filter: Element (at least 2 units with selected element)
+        if (filters.elements.length > 0) {
+            const hasMatchingElement = filters.elements.some(element => {
+                const count = team.filter(u => u.tags.includes(element)).length;
+                return count >= 2;
+            });
+            if (!hasMatchingElement) return false;
+        }
+        
+        // Filter: DPS Role (at least one unit with selected role)
+        if (filters.dpsRoles.length > 0) {
+            const hasDpsRole = team.some(u => 
+                filters.dpsRoles.some(role => u.tags.includes(role))
+            );
+            if (!hasDpsRole) return false;
+        }
+        
+        // Filter: Minimum S-Ranks
+        if (filters.minSRank > 0) {
+            const sRankCount = team.filter(u => u.rank === 'S').length;
+            if (sRankCount < filters.minSRank) return false;
+        }
+        
+        // Filter: Maximum Tier
+        if (filters.maxTier < 99) {
+            const hasHighTier = team.some(u => u.tier > filters.maxTier);
+            if (hasHighTier) return false;
+        }
+        
+        // Filter: Must Include (at least one of the selected units)
+        if (filters.mustInclude.length > 0) {
+            const hasRequiredUnit = team.some(u => 
+                filters.mustInclude.includes(u.id)
+            );
+            if (!hasRequiredUnit) return false;
+        }
+        
+        // Filter: Exclude (none of the excluded units)
+        if (filters.exclude.length > 0) {
+            const hasExcludedUnit = team.some(u => 
+                filters.exclude.includes(u.id)
+            );
+            if (hasExcludedUnit) return false;
+        }
+        
+        return true;
+    });
+}
+
+/**
+ * Pick the best teams for every element / DPS type archetype, topped up with the
+ * best remaining teams
+ * @param {Array} teams - [{ label, team, joins }] 3-person teams
+ * @param {Array} availableUnits - Roster units
+ * @param {Object} filters - User filters (elements, dpsRoles, exclude, teamsPerArchetype)
+ * @param {Object} rules - Scoring rule set (see scoreTeamForBoss())
+ * @param {Function} onProgress - Optional progress callback (see reportsProgress()); the
+ *          partial results pick from the teams scored so far
+ * @returns {Array} [{ label, team, joins, score, element, dpsType, breakdown }] (partial
+ *          results have no breakdown; see scoreTeamForBoss())
+ */
+export function selectBestTeams(teams, availableUnits, filters, rules, onProgress) {
+    if (teams.length === 0) return [];
+    
+    // Step 1: Score all teams globally with consistent scoring
+    const scoredTeams = [];
+    const progress = reportsProgress(teams.length, onProgress);
+    const byScore = (a, b) => b.score - a.score;
+    const summarise = () => arrangeTeams([...scoredTeams].sort(byScore), availableUnits, filters);
+    teams.forEach(({ label, team, joins }, index) => {
+        const score = scoreTeamForBoss(team, NEUTRAL_BOSS, { rules, lenient: true });
+        if (score > 0) scoredTeams.push({ label, team, joins, score });
+        progress(index + 1, summarise);
+    });
+    
+    // Why each selected team scored what it did
+    return arrangeTeams(scoredTeams.sort(byScore), availableUnits, filters).map(teamData => ({
+        ...teamData,
+        breakdown: scoreTeamForBoss(teamData.team, NEUTRAL_BOSS, { rules, lenient: true, breakdown: true }).breakdown
+    }));
+}
+
+/**
+ * Steps 2-4 of selectBestTeams(): fill the archetype grid from teams sorted by score
+ */
+function arrangeTeams(scoredTeams, availableUnits, filters) {
+    // Determine available elements and DPS types based on filters and roster
+    const availableElements = getAvailableElements(availableUnits, filters);
+    const availableDpsTypes = getAvailableDpsTypes(availableUnits, filters);
+    
+    // Step 2: Build grid by finding highest-ranked teams for each archetype
+    const grid = {};
+    const usedTeams = new Set(); // Track which teams are already in the grid
+    
+    for (const element of availableElements) {
+        grid[element] = {};
+        for (const dpsType of availableDpsTypes) {
+            grid[element][dpsType] = []; // Array to hold multiple teams
+        }
+    }
+    
+    // Helper to count how many units in a team have a specific element
+    const countUnitsWithElement = (team, element) => {
+        return team.filter(u => u.tags.includes(element)).length;
+    };
+    
+    // Helper to check if anomaly team has preferred role pairing
+    const hasPreferredAnomalyPairing = (team, element) => {
+        const anomalyUnits = team.filter(u => u.tags.includes('anomaly'));
+        const onElementAnomaly = anomalyUnits.find(u => u.tags.includes(element));
+        
+        const supportUnits = team.filter(u => u.tags.includes('support'));
+        const hasOnElementSupport = supportUnits.some(u => u.tags.includes(element));
+        
+        return onElementAnomaly && hasOnElementSupport;
+    };
+    
+    // Helper to score anomaly teams for special cases (dual anomaly, subdps)
+    const scoreAnomalyTeamSpecial = (team, element) => {
+        const anomalyUnits = team.filter(u => u.tags.includes('anomaly'));
+        
+        // Check if we have 2 different-element anomaly agents
+        const anomalyElements = new Set(anomalyUnits.map(u => getElement(u)));
+        const hasDualAnomaly = anomalyUnits.length >= 2 && anomalyElements.size >= 2;
+        
+        // Check if on-element anomaly is NOT a subdps
+        const onElementAnomaly = anomalyUnits.find(u => u.tags.includes(element));
+        const onElementIsMainDPS = onElementAnomaly && !onElementAnomaly.synergy?.tags?.includes('subdps');
+        
+        // Scoring (higher is better):
+        // 1000 points for dual anomaly
+        // 100 points for on-element being main DPS (not subdps)
+        let score = 0;
+        if (hasDualAnomaly) score += 1000;
+        if (onElementIsMainDPS) score += 100;
+        
+        return score;
+    };
+    
+    // Helper to check if attack/rupture team has preferred role pairing
+    const hasPreferredAttackRupturePairing = (team, element) => {
+        // Find DPS and stun units
+        const dpsUnits = team.filter(u => u.tags.includes('attack') || u.tags.includes('rupture'));
+        const stunUnits = team.filter(u => u.tags.includes('stun'));
+        
+        // Check if DPS + stun both match the element
+        const hasOnElementDPS = dpsUnits.some(u => u.tags.includes(element));
+        const hasOnElementStun = stunUnits.some(u => u.tags.includes(element));
+        return hasOnElementDPS && hasOnElementStun;
+    };
+    
+    // First pass: Prefer teams with 2+ units matching the archetype's element
+    // For anomaly archetypes, use special scoring that prioritizes dual-anomaly compositions
+    for (const element of availableElements) {
+        for (const dpsType of availableDpsTypes) {
+            // Get all teams that match this archetype
+            const matchingTeams = scoredTeams
+                .filter(teamData => !usedTeams.has(teamData.label))
+                .filter(teamData => teamHasMatchingDPS(teamData.team, element, dpsType));
+            
+            if (matchingTeams.length === 0) continue;
+            
+            let rankedTeams = [];
+            
+            if (dpsType === 'anomaly') {
+                // Special handling for anomaly: prioritize DPS + support matching element
+                // Then sort by global team score, with special scoring for dual anomaly as final tiebreaker
+                rankedTeams = matchingTeams
+                    .map(teamData => ({
+                        ...teamData,
+                        hasPreferredPairing: hasPreferredAnomalyPairing(teamData.team, element),
+                        anomalySpecialScore: scoreAnomalyTeamSpecial(teamData.team, element)
+                    }))
+                    .sort((a, b) => {
+                        // Primary: has preferred pairing (DPS + support)
+                        if (a.hasPreferredPairing !== b.hasPreferredPairing) {
+                            return b.hasPreferredPairing - a.hasPreferredPairing;
+                        }
+                        // Secondary: global team score
+                        if (a.score !== b.score) {
+                            return b.score - a.score;
+                        }
+                        // Tertiary: special anomaly scoring (dual anomaly, subdps handling)
+                        return b.anomalySpecialScore - a.anomalySpecialScore;
+                    });
+            } else {
+                // For attack/rupture: prioritize DPS + stun matching element
+                // Then sort by global team score
+                rankedTeams = matchingTeams
+                    .map(teamData => ({
+                        ...teamData,
+                        hasPreferredPairing: hasPreferredAttackRupturePairing(teamData.team, element)
+                    }))
+                    .sort((a, b) => {
+                        // Primary: has preferred pairing (DPS + stun)
+                        if (a.hasPreferredPairing !== b.hasPreferredPairing) {
+                            return b.hasPreferredPairing - a.hasPreferredPairing;
+                        }
+                        // Secondary: global team score (this ensures Koleda/Komano/Lucia beats Koleda/Komano/Lucy)
+                        return b.score - a.score;
+                    });
+            }
+            
+            // Take up to teamsPerArchetype teams for this archetype
+            const teamsToAdd = rankedTeams.slice(0, filters.teamsPerArchetype);
+            
+            for (const teamData of teamsToAdd) {
+                grid[element][dpsType].push({
+                    ...teamData,
+                    element,
+                    dpsType
+                });
+                usedTeams.add(teamData.label);
+            }
+        }
+    }
+    
+    // Second pass: Fill remaining empty archetypes (or add more teams to archetypes below limit)
+    for (const teamData of scoredTeams) {
+        if (usedTeams.has(teamData.label)) continue;
+        
+        // Find an archetype that still needs teams
+        let assigned = false;
+        for (const element of availableElements) {
+            for (const dpsType of availableDpsTypes) {
+                // Check if this archetype needs more teams
+                if (grid[element][dpsType].length >= filters.teamsPerArchetype) continue;
+                
+                // Check if team matches this archetype's criteria
+                if (teamHasMatchingDPS(teamData.team, element, dpsType)) {
+                    grid[element][dpsType].push({
+                        ...teamData,
+                        element,
+                        dpsType
+                    });
+                    usedTeams.add(teamData.label);
+                    assigned = true;
+                    break;
+                }
+            }
+            if (assigned) break;
+        }
+    }
+    
+    // Step 3: Collect all teams from grid
+    const candidateTeams = new Map(); // label -> teamData
+    
+    for (const element of Object.keys(grid)) {
+        for (const dpsType of Object.keys(grid[element])) {
+            const cellTeams = grid[element][dpsType];
+            for (const teamData of cellTeams) {
+                if (teamData && !candidateTeams.has(teamData.label)) {
+                    candidateTeams.set(teamData.label, teamData);
+                }
+            }
+        }
+    }
+    
+    // Step 4: Ensure minimum team count by adding top teams not yet included
+    let nextTeamIndex = 0;
+    while (candidateTeams.size < MIN_TEAMS_TO_SHOW && nextTeamIndex < scoredTeams.length) {
+        const teamData = scoredTeams[nextTeamIndex];
+        if (!candidateTeams.has(teamData.label)) {
+            // Assign element/dpsType based on team composition
+            const element = getTeamElements(teamData.team)[0];
+            const dpsType = getTeamDpsType(teamData.team);
+            candidateTeams.set(teamData.label, {
+                ...teamData,
+                element,
+                dpsType
+            });
+        }
+        nextTeamIndex++;
+    }
+    
+    // Convert to array and return (already sorted by score)
+    return Array.from(candidateTeams.values());
+}
+
+/**
+ * Get DPS type for a unit
+ */
+export function getDpsTypeForUnit(unit) {
+    if (unit.tags.includes('attack')) return 'attack';
+    if (unit.tags.includes('anomaly')) return 'anomaly';
+    if (unit.tags.includes('rupture')) return 'rupture';
+    return null;
+}
+
+function getAvailableElements(availableUnits, filters) {
+    // Elements available in roster (considering filters)
+    const elements = new Set();
+    
+    // Only consider elements that have DPS units
+    for (const unit of availableUnits) {
+        if (filters.exclude.includes(unit.id)) continue;
+        if (isDPS(unit)) {
+            const element = getElement(unit);
+            if (element) {
+                // If element filter is active, only include those elements
+                if (filters.elements.length === 0 || filters.elements.includes(element)) {
+                    elements.add(element);
+                }
+            }
+        }
+    }
+    
+    return elements;
+}
+
+function getAvailableDpsTypes(availableUnits, filters) {
+    // DPS types available in roster (considering filters)
+    const dpsTypes = new Set();
+    
+    for (const unit of availableUnits) {
+        if (filters.exclude.includes(unit.id)) continue;
+        
+        for (const role of DPS_ROLES) {
+            if (unit.tags.includes(role)) {
+                // If DPS filter is active, only include those types
+                if (filters.dpsRoles.length === 0 || filters.dpsRoles.includes(role)) {
+                    // Attack+Anomaly hybrid counts as attack
+                    if (role === 'anomaly' && unit.tags.includes('attack')) {
+                        dpsTypes.add('attack');
+                    } else {
+                        dpsTypes.add(role);
+                    }
+                }
+            }
+        }
+    }
+    
+    return dpsTypes;
+}
+
+/**
+ * Get team element(s) based on DPS units only.
+ * Falls back to stun, then support/defense if no DPS.
+ */
+export function getTeamElements(team) {
+    const elements = [];
+    
+    // Priority 1: DPS units
+    const dpsUnits = team.filter(isDPS);
+    if (dpsUnits.length > 0) {
+        for (const unit of dpsUnits) {
+            const el = getElement(unit);
+            if (el && !elements.includes(el)) {
+                elements.push(el);
+            }
+        }
+        return elements;
+    }
+    
+    // Priority 2: Stun units
+    const stunUnits = team.filter(isStun);
+    if (stunUnits.length > 0) {
+        for (const unit of stunUnits) {
+            const el = getElement(unit);
+            if (el && !elements.includes(el)) {
+                elements.push(el);
+            }
+        }
+        return elements;
+    }
+    
+    // Priority 3: Support/Defense units
+    const supportDefenseUnits = team.filter(u => isSupport(u) || isDefense(u));
+    for (const unit of supportDefenseUnits) {
+        const el = getElement(unit);
+        if (el && !elements.includes(el)) {
+            elements.push(el);
+        }
+    }
+    
+    return elements;
+}
+
+/**
+ * Get team DPS type. Attack+Anomaly hybrid = attack.
+ */
+export function getTeamDpsType(team) {
+    const dpsUnits = team.filter(isDPS);
+    
+    if (dpsUnits.length === 0) return null;
+    
+    const hasAttack = dpsUnits.some(u => u.tags.includes('attack'));
+    const hasAnomaly = dpsUnits.some(u => u.tags.includes('anomaly'));
+    const hasRupture = dpsUnits.some(u => u.tags.includes('rupture'));
+    
+    // Attack+Anomaly hybrid = attack
+    if (hasAttack && hasAnomaly) return 'attack';
+    if (hasAttack) return 'attack';
+    if (hasAnomaly) return 'anomaly';
+    if (hasRupture) return 'rupture';
+    
+    return null;
+}
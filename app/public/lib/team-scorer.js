@@ -1,10 +1,17 @@
 /**
  * Shared team scoring logic for Zenless Zone Zero
  * Used by both matchups.js and deadly-assault.js
+ *
+ * The rules themselves (bonuses, penalties, disqualifications) live in a JSON rule set;
+ * data/scoring-rules.json is the default one (scoring-rules.js carries it for the browser).
  * 
  * Browser-compatible ES module version
  */
 
+import { DEFAULT_SCORING_RULES } from './scoring-rules.js';
+
+export { DEFAULT_SCORING_RULES };
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
@@ -14,6 +21,9 @@ export const SUPPORT_ROLE = "support";
 export const NON_DPS_ROLES = ["defense", "stun", "support"];
 export const ELEMENTS = ["fire", "ice", "electric", "physical", "ether"];
 
+// Rule set format this scorer reads (the "version" of data/scoring-rules.json)
+export const RULE_SET_VERSION = 1;
+
 // ============================================================================
 // ROLE CLASSIFICATION HELPERS
 // ============================================================================
@@ -75,147 +85,11 @@ export function hasDefensiveAssist(unit) {
 }
 
 // ============================================================================
-// SYNERGY SCORING
+// SYNERGY HELPERS
 // ============================================================================
 
-export function calculateSynergyScore(unit, teammates, boss, lenient = false) {
-    let score = 0;
-    const synergy = unit.synergy;
-    if (!synergy) return 0;
-    
-    // Unit-specific synergies (e.g., Nicole synergizes with Astra)
-    // Small bonus to avoid over-coupling issues
-    if (synergy.units && synergy.units.length > 0) {
-        for (const teammate of teammates) {
-            if (synergy.units.includes(teammate.name)) {
-                score += 5;
-            }
-        }
-    }
-    
-    if (synergy.tags && synergy.tags.length > 0) {
-        const unitElement = getElement(unit);
-        
-        // Check if this unit has element synergy (like Soukaku's "ice")
-        const synergyElements = synergy.tags.filter(tag => ELEMENTS.includes(tag));
-        const hasElementSynergy = synergyElements.length > 0;
-        
-        // Check if this unit has subdps synergy (like Burnice, Grace, Vivian, Orphie)
-        const hasSubDPSSynergy = synergy.tags.includes("subdps");
-        
-        if (hasElementSynergy) {
-            // Check if ANY teammate matches ANY of the synergy elements
-            // This handles both single-element (Soukaku: ice) and multi-element (Yuzuha: all) synergies
-            const anyTeammateMatchesElement = teammates.some(t => 
-                synergyElements.some(elem => t.tags.includes(elem))
-            );
-            
-            if (!anyTeammateMatchesElement) {
-                // Element synergy unit on team with NO matching element teammates
-                // (e.g., Soukaku on Harumasa team) - this is a complete waste
-                // Should only appear as last resort when forced by other constraints
-                score -= 120;
-            }
-        }
-        
-        if (hasSubDPSSynergy) {
-            // Units with subdps synergy (Burnice, Grace, Vivian, Orphie) need a MAIN DPS teammate
-            // A main DPS is any DPS unit that does NOT have the subdps tag
-            // The main DPS can be any role type - doesn't have to match
-            // Examples: 
-            //   - Grace (anomaly/subdps) + Harumasa (attack, no subdps) = VALID
-            //   - Burnice (anomaly/subdps) + Jane Doe (anomaly, no subdps) = VALID
-            //   - Burnice + Vivian (both subdps) = INVALID (no main DPS)
-            //   - Orphie (attack/subdps) alone with supports = INVALID (no main DPS)
-            
-            const otherMainDPSCount = teammates.filter(t => 
-                isDPS(t) && !t.synergy?.tags?.includes("subdps")
-            ).length;
-            
-            if (otherMainDPSCount === 0) {
-                // No main DPS teammate - only subdps units or supports
-                // These teams lack a primary damage dealer
-                if (lenient) {
-                    // In lenient mode, ignore this penalty (desperate situations)
-                    // No penalty applied
-                } else {
-                    score -= 100; // Heavy penalty in strict mode
-                }
-            } else {
-                // Has a main DPS teammate - good synergy
-                score += 20;
-            }
-        }
-        
-        for (const teammate of teammates) {
-            const matchesAnyPreference = synergy.tags.some(tag => {
-                if (!teammate.tags.includes(tag)) return false;
-                
-                if (DPS_ROLES.includes(tag) && isDPS(teammate)) {
-                    const teammateElement = getElement(teammate);
-                    return unitElement === teammateElement;
-                }
-                return true;
-            });
-            
-            if (matchesAnyPreference) {
-                // Check if this is an element synergy (e.g., Soukaku's "ice")
-                const isElementSynergy = synergyElements.length > 0;
-                
-                if (isElementSynergy) {
-                    // Element synergy supports (like Soukaku) need TWO conditions:
-                    // 1. Boss must be weak to that element (OR boss is neutral/global)
-                    // 2. Team must have a DPS of that element
-                    // For multi-element synergy (like Yuzuha), check if ANY synergy element matches
-                    const matchingSynergyElement = synergyElements.find(elem => boss.weaknesses.includes(elem));
-                    const bossWeakToElement = matchingSynergyElement !== undefined;
-                    // If boss has no specific weaknesses (neutral/global), treat as weak to element
-                    const isNeutralBoss = boss.weaknesses.length === 0;
-                    const effectiveBossWeak = bossWeakToElement || isNeutralBoss;
-
-                    const synergyElement = matchingSynergyElement || synergyElements[0];
-                    
-                    // Check if team has element DPS - INCLUDING the unit itself!
-                    const unitIsElementDPS = isDPS(unit) && getElement(unit) === synergyElement;
-                    const teamHasElementDPS = unitIsElementDPS || teammates.some(t => 
-                        isDPS(t) && getElement(t) === synergyElement
-                    );
-                    
-                    if (!effectiveBossWeak || !teamHasElementDPS) {
-                        // Element synergy is completely wasted - near-disqualifying
-                        // (Unless boss is neutral, then we only care about team matching)
-                        score -= 70;
-                    } else if (isDPS(teammate)) {
-                        score += 30;
-                    } else {
-                        score += 15;
-                    }
-                } else if (isDPS(teammate)) {
-                    score += 30;
-                } else {
-                    score += 15;
-                }
-            } else if (isDPS(teammate)) {
-                score -= 20;
-            }
-        }
-    }
-    
-    if (synergy.avoid && synergy.avoid.length > 0) {
-        for (const avoidTag of synergy.avoid) {
-            const avoidedTeammates = teammates.filter(t => t.tags.includes(avoidTag));
-            if (avoidedTeammates.length > 0) {
-                const avoidedDPS = avoidedTeammates.filter(isDPS);
-                if (avoidedDPS.length > 0) {
-                    return -999;
-                } else {
-                    score -= 35;
-                }
-            }
-        }
-    }
-    
-    return score;
+export function getTier(unit) {
+    return unit.tier ?? 2.5;
 }
 
 export function getDPSType(unit) {
@@ -232,16 +106,16 @@ export function getDPSType(unit) {
  */
 export function isSpecialist(unit) {
     if (!unit.synergy) return false;
-    
+
     const synergyTags = unit.synergy.tags || [];
     const avoidTags = unit.synergy.avoid || [];
-    
+
     // Count how many DPS types are in synergy tags
     const dpsTypesInSynergy = DPS_ROLES.filter(role => synergyTags.includes(role));
-    
+
     // Count how many DPS types are in avoid tags
     const dpsTypesInAvoid = DPS_ROLES.filter(role => avoidTags.includes(role));
-    
+
     // Specialist: synergizes with exactly 1 DPS type AND avoids the other 2
     return dpsTypesInSynergy.length === 1 && dpsTypesInAvoid.length === 2;
 }
@@ -251,7 +125,7 @@ export function isSpecialist(unit) {
  */
 export function getSpecialistType(unit) {
     if (!isSpecialist(unit)) return null;
-    
+
     const synergyTags = unit.synergy.tags || [];
     for (const role of DPS_ROLES) {
         if (synergyTags.includes(role)) {
@@ -262,738 +136,710 @@ export function getSpecialistType(unit) {
 }
 
 export function unitsHaveSynergy(unit1, unit2) {
-    const u1SynergizesU2 = 
+    const u1SynergizesU2 =
         unit1.synergy?.units?.includes(unit2.name) ||
         unit1.synergy?.tags?.some(tag => unit2.tags.includes(tag));
-    
-    const u2SynergizesU1 = 
+
+    const u2SynergizesU1 =
         unit2.synergy?.units?.includes(unit1.name) ||
         unit2.synergy?.tags?.some(tag => unit1.tags.includes(tag));
-    
+
     return u1SynergizesU2 || u2SynergizesU1;
 }
 
-export function calculateDPSMixingPenalty(team) {
-    const dpsUnits = team.filter(isDPS);
-    if (dpsUnits.length < 2) return 0;
-    
-    let penalty = 0;
-    
-    const attackers = dpsUnits.filter(u => u.tags.includes("attack"));
-    const anomalyUnits = dpsUnits.filter(u => u.tags.includes("anomaly"));
-    const ruptureUnits = dpsUnits.filter(u => u.tags.includes("rupture"));
-    
-    const dpsTypes = new Set(dpsUnits.map(getDPSType).filter(t => t !== null));
-    
-    // Double attack without synergy - heavily penalize
-    if (attackers.length >= 2) {
-        let hasSynergy = false;
-        for (let i = 0; i < attackers.length; i++) {
-            for (let j = i + 1; j < attackers.length; j++) {
-                if (unitsHaveSynergy(attackers[i], attackers[j])) {
-                    hasSynergy = true;
-                    break;
-                }
-            }
-        }
-        if (!hasSynergy) {
-            penalty -= 200; // Attack teams want stun/attack/support, not 2x attack. Heavy penalty to disqualify unless huge synergy elsewhere
+function anyPairHasSynergy(units) {
+    for (let i = 0; i < units.length; i++) {
+        for (let j = i + 1; j < units.length; j++) {
+            if (unitsHaveSynergy(units[i], units[j])) return true;
         }
     }
-    
-    // Double rupture without synergy - heavily penalize
-    if (ruptureUnits.length >= 2) {
-        let hasSynergy = false;
-        for (let i = 0; i < ruptureUnits.length; i++) {
-            for (let j = i + 1; j < ruptureUnits.length; j++) {
-                if (unitsHaveSynergy(ruptureUnits[i], ruptureUnits[j])) {
-                    hasSynergy = true;
-                    break;
-                }
-            }
-        }
-        if (!hasSynergy) {
-            penalty -= 200; // Rupture teams want stun/rupture/support or rupture/2x support. Heavy penalty.
-        }
-    }
-    
-    if (dpsTypes.size <= 1) return penalty;
-    
-    // Attack + Rupture: NEVER valid - disqualify
-    if (dpsTypes.has("attack") && dpsTypes.has("rupture")) {
-        return -999;
-    }
-    
-    if (dpsTypes.has("attack") && dpsTypes.has("anomaly")) {
-        let hasValidSynergy = false;
-        
-        for (const attacker of attackers) {
-            if (attacker.synergy?.tags?.includes("anomaly")) {
-                const attackerElement = getElement(attacker);
-                for (const anomaly of anomalyUnits) {
-                    if (getElement(anomaly) === attackerElement) {
-                        hasValidSynergy = true;
-                        break;
-                    }
-                }
-            }
-            if (hasValidSynergy) break;
-        }
-        
-        if (!hasValidSynergy) {
-            for (const anomaly of anomalyUnits) {
-                if (anomaly.synergy?.tags?.includes("attack")) {
-                    const anomalyElement = getElement(anomaly);
-                    for (const attacker of attackers) {
-                        if (getElement(attacker) === anomalyElement) {
-                            hasValidSynergy = true;
-                            break;
-                        }
-                    }
-                }
-                if (hasValidSynergy) break;
-            }
-        }
-        
-        if (!hasValidSynergy) {
-            return -999;
-        }
-    }
-    
-    if (dpsTypes.has("anomaly") && dpsTypes.has("rupture")) {
-        return -999;
-    }
-    
-    return penalty;
+    return false;
+}
+
+function getSynergyElements(unit) {
+    return (unit.synergy?.tags || []).filter(tag => ELEMENTS.includes(tag));
+}
+
+function getTeamDPSTypes(sets) {
+    return new Set(sets.dps.map(getDPSType).filter(t => t !== null));
 }
 
 // ============================================================================
-// TEAM-BOSS SCORING LOGIC
+// RULE SET VOCABULARY
 // ============================================================================
 
-export function scoreTeamForBoss(team, boss, options = {}) {
-    const { lenient = false, debug = false } = options;
-    // In lenient mode, start with higher base score to offset unavoidable penalties
-    let score = lenient ? 200 : 100;
-    const debugReasons = [];
-    
-    const log = (reason, delta = 0) => {
-        if (debug) {
-            debugReasons.push({ reason, delta, runningScore: score + delta });
-        }
+// A rule set is evaluated against a scope: { team, boss, lenient, sets } plus whatever
+// "each" has bound (unit, teammate, tag). Entries that need a binding name it in `needs`.
+
+const ROLE_TESTS = Object.freeze({
+    dps: isDPS,
+    attack: isAttacker,
+    anomaly: isAnomaly,
+    rupture: isRupture,
+    stun: isStun,
+    support: isSupport,
+    defense: isDefense,
+    nonDps: isNonDPS
+});
+
+// Variables "each" may bind (with "as"; "unit" by default)
+const BINDINGS = ["unit", "teammate", "tag"];
+
+// Lists a rule can count or step through
+const SETS = Object.freeze({
+    team: { items: scope => scope.team },
+    dps: { items: scope => scope.sets.dps },
+    attack: { items: scope => scope.sets.attack },
+    anomaly: { items: scope => scope.sets.anomaly },
+    rupture: { items: scope => scope.sets.rupture },
+    stun: { items: scope => scope.sets.stun },
+    support: { items: scope => scope.sets.support },
+    defense: { items: scope => scope.sets.defense },
+    nonDps: { items: scope => scope.sets.nonDps },
+    // Support units then defense units (a unit with both roles is in twice)
+    supportDefense: { items: scope => scope.sets.supportDefense },
+    teammates: { needs: "unit", items: teammatesOf },
+    avoidTags: { needs: "unit", items: scope => scope.unit.synergy?.avoid || [] }
+});
+
+function teammatesOf(scope) {
+    return scope.team.filter(t => t.numericId !== scope.unit.numericId);
+}
+
+function teamSets(team) {
+    const support = team.filter(isSupport);
+    const defense = team.filter(isDefense);
+    return {
+        dps: team.filter(isDPS),
+        attack: team.filter(isAttacker),
+        anomaly: team.filter(isAnomaly),
+        rupture: team.filter(isRupture),
+        stun: team.filter(isStun),
+        support,
+        defense,
+        nonDps: team.filter(isNonDPS),
+        supportDefense: [...support, ...defense]
     };
-    
-    const dpsUnits = team.filter(isDPS);
-    const attackers = team.filter(isAttacker);
-    const anomalyUnits = team.filter(isAnomaly);
-    const ruptureUnits = team.filter(isRupture);
-    const supportUnits = team.filter(isSupport);
-    const stunUnits = team.filter(isStun);
-    const defenseUnits = team.filter(isDefense);
-    const nonDpsUnits = team.filter(isNonDPS);
-    
-    // ANTI check
-    if (boss.anti && boss.anti.length > 0) {
-        for (const antiType of boss.anti) {
-            const hasAntiDPS = dpsUnits.some(unit => unit.tags.includes(antiType));
-            if (hasAntiDPS) {
-                return -1;
-            }
-        }
-    }
-    
-    // SHILL preference
-    if (boss.shill) {
-        const isDPSShill = DPS_ROLES.includes(boss.shill);
-        
-        if (isDPSShill) {
-            const hasShilledDPS = dpsUnits.some(unit => unit.tags.includes(boss.shill));
-            
-            if (hasShilledDPS) {
-                score += 15;
-            } else {
-                const dpsMatchesWeaknessElement = dpsUnits.some(unit => 
-                    boss.weaknesses.includes(getElement(unit))
-                );
-                
-                if (dpsMatchesWeaknessElement) {
-                    score -= 10;
-                } else {
-                    score -= 35;
-                }
-            }
-        } else {
-            const hasShilledRole = team.some(unit => unit.tags.includes(boss.shill));
-            if (!hasShilledRole) {
-                return -1;
-            }
-            score += 15;
-        }
-    }
-    
-    // Favored units
-    if (boss.favored && boss.favored.length > 0) {
-        for (const unit of team) {
-            if (boss.favored.includes(unit.name)) {
-                score += 25;
-            }
-        }
-    }
-    
-    // TIER scoring - cliff-based system with big gaps between tiers
-    for (const unit of team) {
-        const tier = unit.tier ?? 2.5;
-        
-        if (tier <= 0.5) {
-            // Elite tier - strong bonus (bigger cliff from good tier)
-            const tierBonus = 65 - (tier * 20); // T0: +65, T0.5: +55
-            score += tierBonus;
-        } else if (tier <= 1.5) {
-            // Good tier - moderate bonus (significant cliff from elite)
-            const tierBonus = 25 - ((tier - 1) * 10); // T1: +25, T1.5: +20
-            score += tierBonus;
-        } else if (tier <= 2) {
-            // Mediocre tier - penalty (big cliff from good)
-            score -= lenient ? 15 : 40;
-        } else if (tier <= 3) {
-            // Bad tier - near-disqualifying (T3 DPS like Nekomata should rarely appear)
-            score -= lenient ? 40 : 130;
-        } else {
-            // Terrible tier - disqualifying
-            score -= lenient ? 60 : 130;
-        }
-    }
-    
-    // Team composition rules
-    if (dpsUnits.length >= 3) {
-        return -1;
-    }
-    
-    // Teams MUST have at least 1 DPS unit
-    if (dpsUnits.length === 0) {
-        return -1;
-    }
-    
-    const nonTitledAnomalyUnits = anomalyUnits.filter(u => !isTitled(u));
-    const nonAnomalyDPS = dpsUnits.filter(u => !u.tags.includes("anomaly"));
-    
-    if (nonTitledAnomalyUnits.length > 0 && anomalyUnits.length < 2) {
-        // Check for Monoshock exception: attacker with anomaly+element synergy paired with same-element anomaly
-        // Example: Harumasa (attack, electric, synergy: anomaly+electric) + Grace (anomaly, electric)
-        let hasAnomalyAttackSynergy = false;
-        
-        for (const attacker of attackers) {
-            if (attacker.synergy?.tags?.includes("anomaly")) {
-                const attackerElement = getElement(attacker);
-                // Check for matching element synergy (e.g., Harumasa's "electric" in synergy.tags)
-                const hasSynergyElement = attacker.synergy.tags.some(t => ELEMENTS.includes(t));
-                const matchingAnomalies = nonTitledAnomalyUnits.filter(a => getElement(a) === attackerElement);
-                
-                if (matchingAnomalies.length > 0 && (hasSynergyElement || !hasSynergyElement)) {
-                    // Attacker has anomaly synergy AND there's a same-element anomaly unit
-                    hasAnomalyAttackSynergy = true;
-                    log(`Anomaly-attack synergy: ${attacker.name} + ${matchingAnomalies[0].name}`, 10);
-                    score += 10; // Small bonus for valid Monoshock composition
-                    break;
-                }
-            }
-        }
-        
-        if (!hasAnomalyAttackSynergy) {
-            if (nonAnomalyDPS.length > 0) {
-                // Non-titled anomaly with non-anomaly DPS - normally invalid
-                if (lenient) {
-                    log('Non-titled anomaly with non-anomaly DPS (lenient)', -80);
-                    score -= 80; // Heavy penalty but allow in desperate situations
-                } else {
-                    log('DISQUALIFIED: Non-titled anomaly with non-anomaly DPS');
-                    if (debug) console.log('Team disqualified:', team.map(u => u.name).join('/'), debugReasons);
-                    return -1;
-                }
-            }
-            if (dpsUnits.length === nonTitledAnomalyUnits.length) {
-                // Solo non-titled anomaly - normally invalid
-                if (lenient) {
-                    log('Solo non-titled anomaly (lenient)', -100);
-                    score -= 100; // Very heavy penalty but allow
-                } else {
-                    log('DISQUALIFIED: Solo non-titled anomaly');
-                    if (debug) console.log('Team disqualified:', team.map(u => u.name).join('/'), debugReasons);
-                    return -1;
-                }
-            }
-        }
-    }
-    
-    // Solo titled anomaly agent validation
-    if (anomalyUnits.length === 1 && dpsUnits.length === 1 && isTitled(anomalyUnits[0])) {
-        const hasSupportOrDefense = supportUnits.length > 0 || defenseUnits.length > 0;
-        const hasStun = stunUnits.length > 0;
-        
-        // Check for explicit unit synergy (named synergy)
-        let hasExplicitSynergy = false;
-        for (let i = 0; i < team.length; i++) {
-            for (let j = i + 1; j < team.length; j++) {
-                const u1 = team[i];
-                const u2 = team[j];
-                // Check if u1 lists u2, or u2 lists u1 in synergy.units
-                if (u1.synergy?.units?.includes(u2.name) || u2.synergy?.units?.includes(u1.name)) {
-                    hasExplicitSynergy = true;
-                    break;
-                }
-            }
-            if (hasExplicitSynergy) break;
-        }
+}
 
-        // Must have Support/Defense AND (Stun OR Explicit Synergy)
-        if (!hasSupportOrDefense || (!hasStun && !hasExplicitSynergy)) {
-             if (lenient) {
-                 log('Invalid solo titled anomaly comp (lenient)', -100);
-                 score -= 100;
-             } else {
-                 log('DISQUALIFIED: Invalid solo titled anomaly comp');
-                 if (debug) console.log('Team disqualified:', team.map(u => u.name).join('/'), debugReasons);
-                 return -1;
-             }
-        }
-    }
+/**
+ * Named facts about the team (or the bound unit) that are too structural for plain
+ * conditions. A fact holds when its value is truthy; numeric facts also feed "value"
+ * conditions and deltas, and any fact can appear in a reason as {name}.
+ */
+const FACTS = Object.freeze({
+    // Monoshock: an attacker with anomaly synergy and a same-element non-titled anomaly
+    monoshockPair: {
+        value: ({ sets }) => {
+            const nonTitledAnomalyUnits = sets.anomaly.filter(u => !isTitled(u));
+            for (const attacker of sets.attack) {
+                if (!attacker.synergy?.tags?.includes("anomaly")) continue;
+                const match = nonTitledAnomalyUnits.find(a => getElement(a) === getElement(attacker));
+                if (match) return `${attacker.name} + ${match.name}`;
+            }
+            return null;
+        }
+    },
+    // An attacker with anomaly synergy and any same-element anomaly unit
+    monoshockComposition: {
+        value: ({ sets }) => sets.attack.some(a =>
+            a.synergy?.tags?.includes("anomaly") && sets.anomaly.some(an => getElement(an) === getElement(a)))
+    },
+    // Two members where one names the other in synergy.units
+    namedSynergyPair: {
+        value: ({ team }) => team.some((u1, i) => team.slice(i + 1).some(u2 =>
+            u1.synergy?.units?.includes(u2.name) || u2.synergy?.units?.includes(u1.name)))
+    },
+    anomalyElementsDiffer: {
+        value: ({ sets }) => new Set(sets.anomaly.map(getElement)).size >= 2
+    },
+    mixedElements: {
+        value: ({ team }) => new Set(team.map(getElement)).size > 1
+    },
+    // DPS type of the first DPS unit, which the team is built around
+    primaryDpsType: {
+        value: ({ sets }) => sets.dps.map(getDPSType).filter(t => t !== null)[0]
+    },
+    attackWithRupture: {
+        value: ({ sets }) => {
+            const types = getTeamDPSTypes(sets);
+            return types.has("attack") && types.has("rupture");
+        }
+    },
+    attackWithAnomaly: {
+        value: ({ sets }) => {
+            const types = getTeamDPSTypes(sets);
+            return types.has("attack") && types.has("anomaly");
+        }
+    },
+    anomalyWithRupture: {
+        value: ({ sets }) => {
+            const types = getTeamDPSTypes(sets);
+            return types.has("anomaly") && types.has("rupture");
+        }
+    },
+    // An attacker and an anomaly unit of one element, one with synergy for the other's type
+    attackAnomalyPaired: {
+        value: ({ sets }) =>
+            sets.attack.some(a => a.synergy?.tags?.includes("anomaly") &&
+                sets.anomaly.some(an => getElement(an) === getElement(a))) ||
+            sets.anomaly.some(an => an.synergy?.tags?.includes("attack") &&
+                sets.attack.some(a => getElement(a) === getElement(an)))
+    },
+    attackersHaveSynergy: {
+        value: ({ sets }) => anyPairHasSynergy(sets.attack)
+    },
+    rupturesHaveSynergy: {
+        value: ({ sets }) => anyPairHasSynergy(sets.rupture)
+    },
+    // Two stunners named in each other's synergy, a stunner with "stun" synergy, or a
+    // DPS with "stun" synergy (elements shared alone do not count)
+    stunSynergy: {
+        value: ({ sets }) =>
+            sets.stun.some((s1, i) => sets.stun.slice(i + 1).some(s2 =>
+                s1.synergy?.units?.includes(s2.name) || s2.synergy?.units?.includes(s1.name) ||
+                s1.synergy?.tags?.includes("stun") || s2.synergy?.tags?.includes("stun"))) ||
+            sets.dps.some(dps => dps.synergy?.tags?.includes("stun"))
+    },
+    defensiveAssists: {
+        value: ({ team }) => team.filter(hasDefensiveAssist).length
+    },
+    spareAssists: {
+        value: ({ team, boss }) => team.filter(hasDefensiveAssist).length - boss.assists
+    },
+
+    tier: {
+        needs: "unit",
+        value: ({ unit }) => getTier(unit)
+    },
+    specialistType: {
+        needs: "unit",
+        value: ({ unit }) => getSpecialistType(unit)
+    },
+    specialistForPrimaryDps: {
+        needs: "unit",
+        value: scope => getSpecialistType(scope.unit) === FACTS.primaryDpsType.value(scope)
+    },
+    specialistForShill: {
+        needs: "unit",
+        value: ({ unit, boss }) => getSpecialistType(unit) === boss.shill
+    },
+    prefersPrimaryDps: {
+        needs: "unit",
+        value: scope => scope.unit.synergy?.tags?.includes(FACTS.primaryDpsType.value(scope))
+    },
+    avoidsPrimaryDps: {
+        needs: "unit",
+        value: scope => scope.unit.synergy?.avoid?.includes(FACTS.primaryDpsType.value(scope))
+    },
+    // The unit has synergy with one of the team's DPS types
+    synergizesWithTeamDps: {
+        needs: "unit",
+        value: ({ unit, sets }) => {
+            const types = getTeamDPSTypes(sets);
+            return unit.synergy?.tags?.some(tag => types.has(tag));
+        }
+    },
+    // Name of a DPS teammate with a tag the unit avoids
+    avoidedDpsTeammate: {
+        needs: "unit",
+        value: scope => teammatesOf(scope).find(t =>
+            isDPS(t) && scope.unit.synergy?.avoid?.some(tag => t.tags.includes(tag)))?.name ?? null
+    },
+    // Element synergy, e.g. Soukaku's "ice"
+    elementSynergy: {
+        needs: "unit",
+        value: ({ unit }) => getSynergyElements(unit).length > 0
+    },
+    elementSynergyMatched: {
+        needs: "unit",
+        value: scope => {
+            const elements = getSynergyElements(scope.unit);
+            return teammatesOf(scope).some(t => elements.some(elem => t.tags.includes(elem)));
+        }
+    },
+    // Element synergy needs the boss weak to the element (or element-neutral) and a DPS of
+    // that element, the unit itself included
+    elementSynergyWasted: {
+        needs: "unit",
+        value: scope => {
+            const { unit, boss } = scope;
+            const synergyElements = getSynergyElements(unit);
+            if (synergyElements.length === 0) return false;
+            const matchingSynergyElement = synergyElements.find(elem => boss.weaknesses.includes(elem));
+            const effectiveBossWeak = matchingSynergyElement !== undefined || boss.weaknesses.length === 0;
+            const synergyElement = matchingSynergyElement || synergyElements[0];
+            const teamHasElementDPS = [unit, ...teammatesOf(scope)].some(t =>
+                isDPS(t) && getElement(t) === synergyElement);
+            return !effectiveBossWeak || !teamHasElementDPS;
+        }
+    },
+    // The teammate carries one of the unit's synergy tags (a DPS role tag only counts
+    // for a DPS of the unit's element)
+    preferredTeammate: {
+        needs: "teammate",
+        value: ({ unit, teammate }) => (unit.synergy?.tags || []).some(tag => {
+            if (!teammate.tags.includes(tag)) return false;
+            if (DPS_ROLES.includes(tag) && isDPS(teammate)) {
+                return getElement(unit) === getElement(teammate);
+            }
+            return true;
+        })
+    },
+    namedSynergy: {
+        needs: "teammate",
+        value: ({ unit, teammate }) => unit.synergy?.units?.includes(teammate.name)
+    },
+    // A teammate carries the avoided tag bound by "each": "avoidTags"
+    avoidedTagPresent: {
+        needs: "tag",
+        value: scope => teammatesOf(scope).some(t => t.tags.includes(scope.tag))
+    }
+});
+
+const BOSS_CONDITIONS = Object.freeze({
+    // The shilled role (a role, a list of roles, or null for no shill)
+    shill: (arg, path) => {
+        const shills = Array.isArray(arg) ? arg : [arg];
+        if (!shills.every(s => s === null || typeof s === "string")) {
+            throw new Error(`${path}: expected a role, a list of roles or null`);
+        }
+        return boss => shills.includes(boss.shill || null);
+    },
+    shilled: flag(boss => !!boss.shill),
+    shillIsDps: flag(boss => DPS_ROLES.includes(boss.shill)),
+    weaknesses: flag(boss => boss.weaknesses.length > 0)
+});
+
+const UNIT_CONDITIONS = Object.freeze({
+    all: (arg, path) => {
+        const parts = expectList(arg, path).map((cond, i) => compileUnitCondition(cond, `${path}[${i}]`));
+        return (unit, scope) => parts.every(part => part(unit, scope));
+    },
+    any: (arg, path) => {
+        const parts = expectList(arg, path).map((cond, i) => compileUnitCondition(cond, `${path}[${i}]`));
+        return (unit, scope) => parts.some(part => part(unit, scope));
+    },
+    not: (arg, path) => {
+        const part = compileUnitCondition(arg, path);
+        return (unit, scope) => !part(unit, scope);
+    },
+    role: (arg, path) => {
+        const test = ROLE_TESTS[arg];
+        if (!test) throw new Error(`${path}: unknown role "${arg}"`);
+        return unit => test(unit);
+    },
+    tag: (arg, path) => {
+        expectString(arg, path);
+        return unit => unit.tags.includes(arg);
+    },
+    synergyTag: (arg, path) => {
+        expectString(arg, path);
+        return unit => unit.synergy?.tags?.includes(arg) === true;
+    },
+    rank: (arg, path) => {
+        expectString(arg, path);
+        return unit => unit.rank === arg;
+    },
+    tier: (arg, path) => {
+        const inRange = compileRange(arg, path);
+        return unit => inRange(getTier(unit));
+    },
+    // Any synergy tags at all (units without are generalists)
+    synergyTags: flag(unit => unit.synergy?.tags?.length > 0),
+    titled: flag(isTitled),
+    limited: flag(isLimited),
+    specialist: flag(isSpecialist),
+    bossWeak: flag((unit, scope) => scope.boss.weaknesses.includes(getElement(unit))),
+    bossResists: flag((unit, scope) => scope.boss.resistances.includes(getElement(unit))),
+    favored: flag((unit, scope) => scope.boss.favored?.includes(unit.name) === true),
+    countered: flag((unit, scope) => scope.boss.anti?.some(tag => unit.tags.includes(tag)) === true),
+    shilled: flag((unit, scope) => !!scope.boss.shill && unit.tags.includes(scope.boss.shill))
+});
+
+const CONDITIONS = Object.freeze({
+    all: (arg, path, bound) => {
+        const parts = expectList(arg, path).map((cond, i) => compileCondition(cond, `${path}[${i}]`, bound));
+        return scope => parts.every(part => part(scope));
+    },
+    any: (arg, path, bound) => {
+        const parts = expectList(arg, path).map((cond, i) => compileCondition(cond, `${path}[${i}]`, bound));
+        return scope => parts.some(part => part(scope));
+    },
+    not: (arg, path, bound) => {
+        const part = compileCondition(arg, path, bound);
+        return scope => !part(scope);
+    },
+    lenient: (arg, path) => {
+        expectBoolean(arg, path);
+        return scope => scope.lenient === arg;
+    },
+    fact: (arg, path, bound) => {
+        const value = lookup(FACTS, "fact", arg, path, bound).value;
+        return scope => Boolean(value(scope));
+    },
+    // { of: numeric fact, min, max }
+    value: (arg, path, bound) => {
+        expectKeys(arg, ["of", "min", "max"], path);
+        const value = lookup(FACTS, "fact", arg.of, `${path}.of`, bound).value;
+        const inRange = compileRange({ min: arg.min, max: arg.max }, path);
+        return scope => inRange(value(scope));
+    },
+    // { of: set, where: unit condition, min, max }
+    count: (arg, path, bound) => {
+        expectKeys(arg, ["of", "where", "min", "max"], path);
+        const items = lookup(SETS, "set", arg.of, `${path}.of`, bound).items;
+        const where = arg.where === undefined ? null : compileUnitCondition(arg.where, `${path}.where`);
+        const inRange = compileRange({ min: arg.min, max: arg.max }, path);
+        return scope => {
+            let count = 0;
+            for (const unit of items(scope)) {
+                if (!where || where(unit, scope)) count++;
+            }
+            return inRange(count);
+        };
+    },
+    boss: (arg, path) => {
+        const parts = compileFields(arg, BOSS_CONDITIONS, path);
+        return scope => parts.every(part => part(scope.boss));
+    },
+    unit: (arg, path, bound) => {
+        requireBinding("unit", path, bound);
+        const part = compileUnitCondition(arg, path);
+        return scope => part(scope.unit, scope);
+    },
+    teammate: (arg, path, bound) => {
+        requireBinding("teammate", path, bound);
+        const part = compileUnitCondition(arg, path);
+        return scope => part(scope.teammate, scope);
+    }
+});
 
-    // Anomaly boss composition
-    if (boss.shill === "anomaly") {
-        const hasTitledAnomaly = anomalyUnits.some(isTitled);
-        const hasValidAnomalyComp = hasTitledAnomaly || anomalyUnits.length >= 2;
-        
-        if (hasValidAnomalyComp) {
-            if (nonDpsUnits.length === 0) {
-                score -= 50;
-            } else {
-                score += 10;
-            }
-            
-            if (anomalyUnits.length >= 2) {
-                // Double anomaly is the preferred composition - bonus!
-                score += 25; // Base bonus for having 2 anomaly DPS
-                
-                const anomalyElements = anomalyUnits.map(getElement);
-                const uniqueElements = new Set(anomalyElements);
-                if (uniqueElements.size >= 2) {
-                    score += 30; // Additional bonus for different elements
-                } else {
-                    score -= 15;
-                }
-                
-                const anyAnomalyMatchesWeakness = anomalyUnits.some(u => 
-                    boss.weaknesses.includes(getElement(u))
-                );
-                if (!anyAnomalyMatchesWeakness) {
-                    score -= 30;
-                }
-            } else if (anomalyUnits.length === 1 && hasTitledAnomaly) {
-                // Titled CAN solo, but having 2 anomaly is still better
-                // No bonus here - single anomaly is viable but suboptimal
-                const soloElement = getElement(anomalyUnits[0]);
-                if (!boss.weaknesses.includes(soloElement)) {
-                    score -= 40;
-                }
-            }
-            
-            const nonAnomalyDPSInComp = dpsUnits.filter(u => !u.tags.includes("anomaly"));
-            if (nonAnomalyDPSInComp.length > 0) {
-                score -= 40;
-            }
-            
-            // Anomaly teams prefer support/defense over stun
-            // Stun doesn't contribute to anomaly damage buildup
-            if (stunUnits.length > 0 && supportUnits.length === 0 && defenseUnits.length === 0) {
-                score -= 40; // Heavy penalty for stun-only support on anomaly
-            } else if (stunUnits.length > 0) {
-                score -= 20; // Moderate penalty for stun on anomaly team
-            }
-            
-            // Strong bonus for support (they enable anomaly DPS)
-            if (supportUnits.length >= 1) {
-                score += 25;
-            }
-            if (defenseUnits.length >= 1) {
-                score += 15;
-            }
-        } else {
-            // No valid anomaly comp - need on-element DPS as fallback
-            const dpsMatchesWeakness = dpsUnits.some(u => boss.weaknesses.includes(getElement(u)));
-            
-            if (!dpsMatchesWeakness) {
-                // Off-element DPS on anomaly-shill without anomaly comp
-                if (lenient) {
-                    score -= 120; // Very heavy penalty but allow
-                } else {
-                    return -1;
-                }
-            }
-        }
-    }
-    
-    // Attack teams NEED a stunner - it's fundamental to the playstyle
-    // Ideal: stun/attack/support or stun/attack/defense
-    // EXCEPTION: Monoshock teams (attacker with anomaly synergy + same-element anomaly)
-    if (boss.shill === "attack" || (!boss.shill && attackers.length > 0)) {
-        // Check for Monoshock composition
-        const hasAnomalyAttackComp = attackers.some(a => {
-            if (!a.synergy?.tags?.includes("anomaly")) return false;
-            const attackerElement = getElement(a);
-            return anomalyUnits.some(an => getElement(an) === attackerElement);
-        });
-        
-        // Check for Stunless composition (e.g. Ye Shunguong)
-        const hasStunlessAttacker = attackers.some(a => a.synergy?.tags?.includes("stunless"));
-
-        if (hasAnomalyAttackComp && anomalyUnits.length > 0) {
-            // Monoshock: attacker + anomaly = valid hybrid, no stunner needed
-            log('Anomaly-attack composition - stunner not required', 5);
-            score += 5;
-        } else if (stunUnits.length >= 1) {
-            log('Attack team with stunner', 15);
-            score += 15;
-        } else if (hasStunlessAttacker && boss.shill !== "stun") {
-            log('Stunless attack unit present - stunner not required', 5);
-            score += 5;
-        } else {
-            log('Attack team without stunner', -60);
-            score -= 60; // Near-disqualifying: normal attack teams need stunner
-        }
-        if (supportUnits.length >= 1 || defenseUnits.length >= 1) {
-            score += 10;
-        }
-        if (attackers.length > 1) {
-             const hasSubDPS = attackers.some(u => u.synergy?.tags?.includes("subdps"));
-             if (!hasSubDPS) {
-                 score -= 50; // Double attacker rarely makes sense UNLESS one is SubDPS
-             }
-        }
-    }
-    
-    // Rupture teams
-    if (boss.shill === "rupture" || (!boss.shill && ruptureUnits.length > 0)) {
-        // Two valid compositions:
-        // 1. stun/rupture/[support|defense] - traditional composition (with bonus)
-        // 2. rupture/2x[support|defense] - double support composition
-        const hasStunComposition = stunUnits.length >= 1 && (supportUnits.length >= 1 || defenseUnits.length >= 1);
-        const hasDoubleSupport = supportUnits.length + defenseUnits.length >= 2;
-        
-        if (hasStunComposition || hasDoubleSupport) {
-            score += 15;
-            
-            // Bonus for the traditional stun/rupture/support|defense composition
-            // Consensus: rupture teams with stun are generally better than double-support
-            if (hasStunComposition) {
-                score += 25; // Increased base bonus to lift the entire Stun/Rupture archetype
-                
-                // Extra bonus if the stunner specifically synergizes with Rupture
-                // (e.g. Dialyn, Ju Fufu) - this makes them superior to generic stunners
-                const synergisticStunner = stunUnits.some(u => u.synergy?.tags?.includes("rupture"));
-                if (synergisticStunner) {
-                    log('Synergistic Stunner in Rupture team', 20);
-                    score += 20;
-                }
-            }
-        }
-        
-        // For rupture teams, stunners without rupture synergy are suboptimal
-        // Rupture/2xSupport with rupture synergy should beat Stun/Rupture/Support
-        for (const unit of stunUnits) {
-            const hasRuptureSynergy = unit.synergy?.tags?.includes("rupture");
-            if (!hasRuptureSynergy) {
-                if (boss.shill === "rupture") {
-                    score -= 25; // On rupture-shill, non-synergy stun is worse
-                } else {
-                    score -= 15; // On non-rupture-shill, still a penalty
-                }
-            }
-        }
-    }
-    
-    // DPS weakness/resistance
-    let dpsMatchesWeakness = false;
-    
-    for (const unit of dpsUnits) {
-        const element = getElement(unit);
-        
-        if (boss.resistances.includes(element)) {
-            return -1;
-        }
-        
-        if (boss.weaknesses.includes(element)) {
-            dpsMatchesWeakness = true;
-            const isSubDPS = unit.synergy?.tags?.includes("subdps");
-
-            // On-element DPS is the foundation of team building
-            if (isSRank(unit)) {
-                if (isSubDPS) {
-                    score += 25; // Reduced for subdps
-                } else {
-                    score += 40; // S-rank on-element DPS is the starting point
-                }
-            } else {
-                if (isSubDPS) {
-                    score += 10; // Reduced for subdps
-                } else {
-                    score += 20; // A-rank on-element still good
-                }
-            }
-        } else {
-            // Off-element DPS - significant penalty (reduced in lenient mode)
-            // But if boss has no weaknesses (element-neutral), no penalty
-            if (boss.weaknesses.length > 0) {
-                score -= lenient ? 10 : 30;
-            }
-        }
-    }
-    
-    if (dpsUnits.length > 0 && !dpsMatchesWeakness && boss.weaknesses.length > 0) {
-        // No DPS matches weakness - SEVERE penalty
-        // In elemental weakness game, not hitting weakness with DPS is a major flaw
-        score -= lenient ? 40 : 100;
-    }
-    
-    // Stun weakness/resistance - stun units deal damage, so element matters
-    for (const unit of stunUnits) {
-        const element = getElement(unit);
-        
-        if (boss.resistances.includes(element)) {
-            // Resisted stun is near-useless - heavy penalty
-            score -= 80;
-        }
-        
-        if (boss.weaknesses.includes(element)) {
-            score += 15;
-        } else if (!boss.resistances.includes(element) && boss.weaknesses.length > 0) {
-            // Neutral/off-element stun
-            
-            // EXCEPTION: If stunner has explicit synergy with the team's DPS type, waive the penalty
-            // Synergy trumps element for utility roles
-            const dpsTypes = new Set(dpsUnits.map(getDPSType).filter(t => t !== null));
-            const hasTypeSynergy = unit.synergy?.tags?.some(tag => dpsTypes.has(tag));
-            
-            if (hasTypeSynergy) {
-                log(`Off-element stunner waived due to synergy (${unit.name})`, 0);
-            } else {
-                // Only penalize if boss has weaknesses (element-neutral)
-                if (boss.shill === "stun") {
-                    // On stun-shill, off-element is acceptable (stun is priority)
-                    score -= 15;
-                } else {
-                    // On non-stun-shill, off-element stunner is a bigger issue
-                    score -= 35;
-                }
-            }
-        }
-    }
-    
-    // Defense weakness/resistance
-    for (const unit of defenseUnits) {
-        const element = getElement(unit);
-        
-        if (boss.resistances.includes(element)) {
-            score -= 10;
-        }
-        
-        if (boss.weaknesses.includes(element)) {
-            score += 3;
-        }
-    }
-    
-    // Rank preferences
-    for (const unit of dpsUnits) {
-        if (isSRank(unit)) {
-            score += 20;
-            if (isTitled(unit)) {
-                score += 15;
-            }
-            if (isLimited(unit)) {
-                score += 10;
-            }
-        } else if (isARank(unit)) {
-            const tier = unit.tier ?? 2.5;
-            if (tier >= 2) {
-                // A-rank Tier 2+ DPS (Anton, Billy, Corin) are near-useless
-                // (reduced penalty in lenient mode - might be only option)
-                score -= lenient ? 25 : 80;
-            } else {
-                score -= 10;
-            }
-        }
-    }
-    
-    for (const unit of stunUnits) {
-        if (isSRank(unit)) {
-            score += 10;
-            if (isLimited(unit)) {
-                score += 5;
-            }
-        } else if (isARank(unit)) {
-            score -= 5;
-        }
-    }
-    
-    for (const unit of [...supportUnits, ...defenseUnits]) {
-        if (isSRank(unit)) {
-            score += 15;
-            if (isLimited(unit)) {
-                score += 10;
-            }
-        } else if (isARank(unit)) {
-            score -= 8;
-        }
+// ============================================================================
+// RULE SET COMPILER
+// ============================================================================
+
+function flag(test) {
+    return (arg, path) => {
+        expectBoolean(arg, path);
+        return (subject, scope) => Boolean(test(subject, scope)) === arg;
+    };
+}
+
+function expectBoolean(arg, path) {
+    if (typeof arg !== "boolean") throw new Error(`${path}: expected true or false`);
+}
+
+function expectString(arg, path) {
+    if (typeof arg !== "string") throw new Error(`${path}: expected a string`);
+}
+
+function expectList(arg, path) {
+    if (!Array.isArray(arg)) throw new Error(`${path}: expected a list`);
+    return arg;
+}
+
+function expectKeys(arg, keys, path) {
+    if (!arg || typeof arg !== "object" || Array.isArray(arg)) throw new Error(`${path}: expected an object`);
+    const unknown = Object.keys(arg).find(key => !keys.includes(key));
+    if (unknown) throw new Error(`${path}: unknown field "${unknown}"`);
+}
+
+function requireBinding(name, path, bound) {
+    if (!bound.includes(name)) throw new Error(`${path}: needs "${name}" bound by an enclosing "each"`);
+}
+
+function lookup(table, kind, name, path, bound) {
+    const entry = Object.hasOwn(table, name) ? table[name] : null;
+    if (!entry) throw new Error(`${path}: unknown ${kind} "${name}"`);
+    if (entry.needs) requireBinding(entry.needs, path, bound);
+    return entry;
+}
+
+function compileRange(arg, path) {
+    expectKeys(arg, ["min", "max"], path);
+    const { min, max } = arg;
+    if ((min !== undefined && typeof min !== "number") || (max !== undefined && typeof max !== "number")) {
+        throw new Error(`${path}: min and max must be numbers`);
     }
-    
-    // Universal support bonus
-    const teamElements = new Set(team.map(getElement));
-    const isMixedElementTeam = teamElements.size > 1;
-    
-    if (isMixedElementTeam) {
-        for (const unit of [...supportUnits, ...defenseUnits]) {
-            const hasTagPreferences = unit.synergy?.tags?.length > 0;
-            if (!hasTagPreferences) {
-                score += 8;
-            }
+    if (min === undefined && max === undefined) throw new Error(`${path}: expected min, max or both`);
+    return value => (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+function compileFields(arg, table, path, bound) {
+    expectKeys(arg, Object.keys(table), path);
+    return Object.entries(arg).map(([key, value]) => table[key](value, `${path}.${key}`, bound));
+}
+
+function compileUnitCondition(cond, path) {
+    const parts = compileFields(cond, UNIT_CONDITIONS, path);
+    return parts.length === 1 ? parts[0] : (unit, scope) => parts.every(part => part(unit, scope));
+}
+
+function compileCondition(cond, path, bound) {
+    const parts = compileFields(cond, CONDITIONS, path, bound);
+    return parts.length === 1 ? parts[0] : scope => parts.every(part => part(scope));
+}
+
+/**
+ * A delta: a number, { strict, lenient } (a mode left out scores nothing in that mode),
+ * or { of: numeric fact, times, plus }
+ */
+function compileDelta(delta, path, bound) {
+    if (typeof delta === "number") return () => delta;
+    if (delta && typeof delta === "object" && "of" in delta) {
+        expectKeys(delta, ["of", "times", "plus"], path);
+        const value = lookup(FACTS, "fact", delta.of, `${path}.of`, bound).value;
+        const { times = 1, plus = 0 } = delta;
+        if (typeof times !== "number" || typeof plus !== "number") throw new Error(`${path}: times and plus must be numbers`);
+        return scope => plus + times * value(scope);
+    }
+    if (!delta || typeof delta !== "object") throw new Error(`${path}: expected a number or an object`);
+    expectKeys(delta, ["strict", "lenient"], path);
+    const { strict, lenient } = delta;
+    if ((strict !== undefined && typeof strict !== "number") || (lenient !== undefined && typeof lenient !== "number")) {
+        throw new Error(`${path}: strict and lenient must be numbers`);
+    }
+    return scope => scope.lenient ? lenient : strict;
+}
+
+/**
+ * A reason with {placeholders}: a fact, a binding (unit, teammate, tag) or a field path
+ * such as {unit.name} or {boss.shill}
+ */
+function compileTemplate(text, path, bound) {
+    expectString(text, path);
+    const parts = text.split(/\{([^}]+)\}/).map((part, i) => {
+        if (i % 2 === 0) return () => part;
+        const [root, ...fields] = part.split(".");
+        if (fields.length === 0 && Object.hasOwn(FACTS, root)) {
+            return lookup(FACTS, "fact", root, path, bound).value;
+        }
+        if (root !== "boss") requireBinding(root, `${path} {${part}}`, bound);
+        return scope => fields.reduce((value, field) => value?.[field], scope[root]);
+    });
+    return scope => parts.map(part => part(scope)).join("");
+}
+
+function compileHit(rule, path, bound, ids) {
+    expectString(rule.id, `${path}.id`);
+    if (ids.has(rule.id)) throw new Error(`${path}: duplicate rule id "${rule.id}"`);
+    ids.add(rule.id);
+    if (rule.delta === undefined && !rule.disqualify) throw new Error(`${path}: a rule needs a delta, disqualify or rules`);
+    if (![undefined, false, true, "strict"].includes(rule.disqualify)) {
+        throw new Error(`${path}.disqualify: expected true, false or "strict"`);
+    }
+
+    const { id } = rule;
+    const reason = compileTemplate(rule.reason, `${path}.reason`, bound);
+    const delta = rule.delta === undefined ? () => undefined : compileDelta(rule.delta, `${path}.delta`, bound);
+    const disqualifies = rule.disqualify === "strict" ? scope => !scope.lenient : () => rule.disqualify === true;
+
+    return (scope, state) => {
+        if (disqualifies(scope)) {
+            state.breakdown?.push({ rule: id, delta: null, reason: `Disqualified: ${reason(scope)}`, runningScore: -1 });
+            return true;
+        }
+        const value = delta(scope);
+        if (value === undefined) return false;
+        state.score += value;
+        state.breakdown?.push({ rule: id, delta: value, reason: reason(scope), runningScore: state.score });
+        return false;
+    };
+}
+
+/**
+ * A rule (or group of rules) as { holds(scope), run(scope, state) }; run() returns true
+ * when the team is disqualified
+ */
+function compileRule(rule, path, bound, ids) {
+    expectKeys(rule, ["id", "when", "each", "as", "first", "rules", "delta", "disqualify", "reason"], path);
+
+    let inner = bound;
+    let items = null;
+    const as = rule.as ?? "unit";
+    if (rule.each !== undefined) {
+        if (!BINDINGS.includes(as)) throw new Error(`${path}.as: expected one of ${BINDINGS.join(", ")}`);
+        items = lookup(SETS, "set", rule.each, `${path}.each`, bound).items;
+        inner = [...bound, as];
+    } else if (rule.as !== undefined) {
+        throw new Error(`${path}.as: only applies with "each"`);
+    }
+
+    const when = rule.when === undefined ? null : compileCondition(rule.when, `${path}.when`, inner);
+    let body;
+    if (rule.rules !== undefined) {
+        const unexpected = ["id", "delta", "disqualify", "reason"].find(key => rule[key] !== undefined);
+        if (unexpected) throw new Error(`${path}: a group of rules cannot have "${unexpected}"`);
+        body = compileRules(rule.rules, rule.first === true, `${path}.rules`, inner, ids);
+    } else {
+        if (rule.first !== undefined) throw new Error(`${path}.first: only applies to a group of rules`);
+        body = compileHit(rule, path, inner, ids);
+    }
+
+    if (!items) {
+        return { holds: when || (() => true), run: body };
+    }
+    return {
+        // A rule over a list always counts as holding (for "first" groups)
+        holds: () => true,
+        run: (scope, state) => {
+            for (const item of items(scope)) {
+                const itemScope = { ...scope, [as]: item };
+                if ((!when || when(itemScope)) && body(itemScope, state)) return true;
+            }
+            return false;
         }
-    }
-    
-    // Specialist vs Generalist Support/Defense Scoring
-    // Specialists: synergize with exactly ONE DPS type and avoid the other two
-    // Examples: Lucia (rupture), Yuzuha (anomaly), Pan (rupture)
-    // Generalists: synergize with multiple or no specific DPS types
-    // Examples: Astra, Nicole (but Nicole avoids rupture)
-    //
-    // Matching specialist should ALWAYS beat generalist for their DPS type
-    // Mismatched specialist should ALWAYS lose to generalist (heavy penalty)
-    
-    for (const unit of [...supportUnits, ...defenseUnits]) {
-        if (isSpecialist(unit)) {
-            const specialistType = getSpecialistType(unit);
-            const teamDPSTypes = dpsUnits.map(getDPSType).filter(t => t !== null);
-            const primaryDPSType = teamDPSTypes[0]; // Assume first DPS defines team type
-            
-            if (primaryDPSType === specialistType) {
-                // Matching specialist - strong bonus
-                // This ensures specialists beat generalists when matched
-                
-                // CRITICAL CHECK: Does the specialist match the BOSS SHILL?
-                // If the boss shills "rupture" but this is an "anomaly" specialist, they are boosting the wrong mechanic.
-                // Even if they match the TEAM, the TEAM is wrong for the BOSS.
-                if (boss.shill && DPS_ROLES.includes(boss.shill) && specialistType !== boss.shill) {
-                    score -= 40; // Penalize specialist for focusing on the wrong mechanic for this boss
-                } else {
-                    if (isARank(unit)) {
-                         score += 55; // Significantly increased to beat S-Rank Generalists
-                    } else {
-                         score += 65; // E.g., Lucia on rupture team beats Astra on rupture team
-                    }
-                }
-            } else {
-                // Mismatched specialist - severe penalty
-                // This ensures specialists lose to generalists when mismatched
-                score -= 80; // E.g., Lucia on attack team loses to Astra on attack team
-            }
-        } else {
-            // Generalist support/defense
-            const hasTagPreferences = unit.synergy?.tags?.length > 0;
-            
-            if (!hasTagPreferences) {
-                // Pure generalist (no tag preferences at all) - e.g., Caesar, Ben
-                // These are flexible but never optimal
-                const teamDPSTypes = dpsUnits.map(getDPSType).filter(t => t !== null);
-                if (teamDPSTypes.length > 0) {
-                    score -= 15; // Small penalty for not being specialized
-                }
-            } else {
-                // Partial generalist (has preferences but not a specialist)
-                // E.g., Nicole (avoids rupture but not a specialist), Astra (no avoid)
-                const teamDPSTypes = dpsUnits.map(getDPSType).filter(t => t !== null);
-                const primaryDPSType = teamDPSTypes[0];
-                
-                // Check if preferences match team DPS
-                const matchesTeamDPS = unit.synergy?.tags?.includes(primaryDPSType);
-                const avoidsTeamDPS = unit.synergy?.avoid?.includes(primaryDPSType);
-                
-                if (avoidsTeamDPS) {
-                    // Generalist that avoids this DPS type - heavy penalty
-                    score -= 60; // E.g., Nicole on rupture team
-                } else if (matchesTeamDPS) {
-                    // Generalist with matching preference - small bonus but still loses to specialist
-                    score += 10; // Less than specialist bonus (40)
-                } else {
-                    // Generalist with non-matching preference - moderate penalty
-                    score -= 25; // E.g., element-focused support on wrong-element team
-                }
+    };
+}
+
+// Rules apply in order; in a "first" group only the first rule whose condition holds
+function compileRules(rules, first, path, bound, ids) {
+    const compiled = expectList(rules, path).map((rule, i) => compileRule(rule, `${path}[${i}]`, bound, ids));
+    if (first) {
+        return (scope, state) => {
+            for (const rule of compiled) {
+                if (rule.holds(scope)) return rule.run(scope, state);
             }
-        }
-    }
-    
-    // Synergy scoring
-    for (const unit of team) {
-        const teammates = team.filter(t => t.numericId !== unit.numericId);
-        score += calculateSynergyScore(unit, teammates, boss, lenient);
+            return false;
+        };
     }
-    
-    // DPS mixing penalty
-    score += calculateDPSMixingPenalty(team);
-    
-    // Double stun penalty
-    // Two stunners without synergy is wasteful - you'd rather have support/defense
-    if (stunUnits.length >= 2) {
-        let hasStunSynergy = false;
-        
-        // Check for specific stun synergy:
-        // 1. Explicit unit synergy (one stunner lists the other in synergy.units)
-        // 2. Explicit tag synergy for 'stun' (one stunner lists 'stun' in synergy.tags)
-        // 3. DPS unit explicitly requests 'stun' synergy (rare, but possible)
-        
-        for (let i = 0; i < stunUnits.length; i++) {
-            for (let j = i + 1; j < stunUnits.length; j++) {
-                const s1 = stunUnits[i];
-                const s2 = stunUnits[j];
-                
-                // Check named synergy
-                if (s1.synergy?.units?.includes(s2.name) || s2.synergy?.units?.includes(s1.name)) {
-                    hasStunSynergy = true;
-                    break;
-                }
-                
-                // Check specific 'stun' tag synergy
-                // We do NOT count elemental tags here because sharing an element doesn't justify double stun
-                if (s1.synergy?.tags?.includes('stun') || s2.synergy?.tags?.includes('stun')) {
-                     hasStunSynergy = true;
-                     break;
-                }
-            }
-            if (hasStunSynergy) break;
-            
-            for (const dps of dpsUnits) {
-                if (dps.synergy?.tags?.includes("stun")) {
-                    hasStunSynergy = true;
-                    break;
-                }
-            }
-        }
-        
-        if (!hasStunSynergy) {
-            score -= 150; // Heavy penalty - double stun without synergy is inefficient and should be disqualified
+    return (scope, state) => {
+        for (const rule of compiled) {
+            if (rule.holds(scope) && rule.run(scope, state)) return true;
         }
-    }
-    
-    // Defensive assist requirement
-    const defensiveAssistCount = team.filter(hasDefensiveAssist).length;
-    if (defensiveAssistCount < boss.assists) {
-        return -1;
-    }
-    
-    score += (defensiveAssistCount - boss.assists) * 3;
-    
-    if (debug) {
-        log(`Final score: ${score}`);
-        return { score, debugReasons };
-    }
-    
-    return score;
+        return false;
+    };
 }
 
+const compiledRuleSets = new WeakMap();
+
+/**
+ * Check a rule set (data/scoring-rules.json format) and prepare it for scoring.
+ * Compiled rule sets are cached, so scoring can pass the parsed JSON every time.
+ *
+ * @param {Object} ruleSet - { version, name, description, rules }
+ * @returns {Object} { name, description, run }
+ * @throws {Error} Naming the offending rule when the rule set is malformed
+ */
+export function compileRuleSet(ruleSet) {
+    const cached = compiledRuleSets.get(ruleSet);
+    if (cached) return cached;
+
+    if (!ruleSet || typeof ruleSet !== "object" || !Array.isArray(ruleSet.rules)) {
+        throw new Error("Scoring rules: expected an object with a list of rules");
+    }
+    if (ruleSet.version !== RULE_SET_VERSION) {
+        throw new Error(`Scoring rules: version ${ruleSet.version} is not supported (expected ${RULE_SET_VERSION})`);
+    }
+    let run;
+    try {
+        run = compileRules(ruleSet.rules, false, "rules", [], new Set());
+    } catch (error) {
+        throw new Error(`Scoring rules: ${error.message}`);
+    }
+    const compiled = {
+        name: ruleSet.name || "Unnamed",
+        description: ruleSet.description || "",
+        run
+    };
+    compiledRuleSets.set(ruleSet, compiled);
+    return compiled;
+}
+
+// ============================================================================
+// TEAM-BOSS SCORING LOGIC
+// ============================================================================
+
+/**
+ * Scores a team against a boss with a rule set.
+ *
+ * With `breakdown`, every rule that fires is recorded in the order it applies as
+ * { rule, delta, reason, runningScore }, starting from the base score. A disqualified
+ * team ends with a hit whose delta is null and whose runningScore is -1.
+ *
+ * @param {Object[]} team - The team's units
+ * @param {Object} boss - Boss entry (weaknesses, resistances, shill, anti, favored, assists)
+ * @param {Object} options - { rules (rule set, see compileRuleSet(); default: DEFAULT_SCORING_RULES),
+ *        lenient, breakdown }
+ * @returns {number|Object} Score (-1 when disqualified), or { score, breakdown } with `breakdown`
+ */
+export function scoreTeamForBoss(team, boss, options = {}) {
+    const { rules = DEFAULT_SCORING_RULES, lenient = false } = options;
+
+    const state = { score: 0, breakdown: options.breakdown ? [] : null };
+    const disqualified = compileRuleSet(rules).run({ team, boss, lenient, sets: teamSets(team) }, state);
+    const score = disqualified ? -1 : state.score;
+
+    return state.breakdown ? { score, breakdown: state.breakdown } : score;
+}
+
+/**
+ * One breakdown entry as a line of text, e.g. "+25  Favored unit: Ellen"
+ */
+export function describeRuleHit(hit) {
+    if (hit.delta === null) return hit.reason;
+    const sign = hit.delta > 0 ? "+" : "";
+    return `${`${sign}${hit.delta}`.padStart(4)}  ${hit.reason}`;
+}
+
+// ============================================================================
+// DEFAULT RULE SET PARTS
+// ============================================================================
+
+// Whether a rule or group of rules contains the rule with this id
+function containsRule(rule, id) {
+    return rule.id === id || (rule.rules || []).some(inner => containsRule(inner, id));
+}
+
+/**
+ * One top-level rule (or group) of the default rule set, compiled to run on its own
+ * @param {string} id - Id of a rule inside it
+ * @param {string[]} bound - Bindings the caller's scope provides (e.g. ["unit"])
+ * @param {boolean} inside - Compile the group's rules without its own "each"
+ */
+function defaultRulePart(id, bound, inside) {
+    const rule = DEFAULT_SCORING_RULES.rules.find(candidate => containsRule(candidate, id));
+    return inside
+        ? compileRules(rule.rules, rule.first === true, "rules", bound, new Set())
+        : compileRule(rule, "rules", bound, new Set()).run;
+}
+
+let synergyRules = null;
+let dpsMixingRules = null;
+
+// Units scored on their own need ids that tell them apart (see teammatesOf())
+function withIds(team) {
+    return team.map((unit, numericId) => ({ ...unit, numericId }));
+}
+
+/**
+ * Synergy score of one unit with its teammates, from the default rule set's synergy
+ * rules (-999 when the unit avoids a DPS teammate)
+ * @param {Object} unit - The unit whose synergy is scored
+ * @param {Object[]} teammates - The other team members
+ * @param {Object} boss - Boss entry
+ * @param {boolean} lenient - Lenient scoring (see scoreTeamForBoss())
+ * @returns {number} Sum of the synergy bonuses and penalties
+ */
+export function calculateSynergyScore(unit, teammates, boss, lenient = false) {
+    synergyRules ??= defaultRulePart("synergy-avoided-dps", ["unit"], true);
+    const team = withIds([unit, ...teammates]);
+    const state = { score: 0, breakdown: null };
+    synergyRules({ team, boss, lenient, sets: teamSets(team), unit: team[0] }, state);
+    return state.score;
+}
+
+/**
+ * Penalty for mixing DPS types that do not work together, from the default rule set
+ * (-999 for pairs that never mix, -200 for two attackers or rupture DPS without synergy)
+ * @param {Object[]} team - The team's units
+ * @returns {number} Penalty (0 or negative)
+ */
+export function calculateDPSMixingPenalty(team) {
+    dpsMixingRules ??= defaultRulePart("dps-mix-attack-rupture", [], false);
+    const members = withIds(team);
+    const state = { score: 0, breakdown: null };
+    dpsMixingRules({ team: members, boss: {}, lenient: false, sets: teamSets(members) }, state);
+    return state.score;
+}
@@ -0,0 +1,82 @@
+/**
+ * ZZZ Worker Client
+ * Runs a compute-tasks.js task in a module Web Worker so the page stays responsive,
+ * with a progress bar and a cancel button that keeps the partial results so far
+ *
+ * Browser-compatible ES module version
+ */
+
+/**
+ * Drive a .task-progress element (bar, text and cancel button)
+ * @param {HTMLElement} element - The .task-progress container, or null for none
+ * @param {Function} onCancel - Called when the cancel button is clicked
+ * @returns {Object} { update(done, total), close() }
+ */
+function progressView(element, onCancel) {
+    if (!element) return { update() {}, close() {} };
+
+    const fill = element.querySelector('.task-progress-fill');
+    const text = element.querySelector('.task-progress-text');
+    const cancelBtn = element.querySelector('.task-progress-cancel');
+    const update = (done, total) => {
+        const percent = total > 0 ? Math.min(done / total * 100, 100) : 0;
+        fill.style.width = `${percent}%`;
+        text.textContent = `${percent.toFixed(0)}%`;
+    };
+
+    update(0, 1);
+    cancelBtn.onclick = onCancel;
+    element.style.display = 'flex';
+    return {
+        update,
+        close() {
+            cancelBtn.onclick = null;
+            element.style.display = 'none';
+        }
+    };
+}
+
+/**
+ * Run a task in a fresh worker
+ * @param {string} task - Task name (a key of TASKS in compute-tasks.js)
+ * @param {Object} args - Task arguments (must be structured-cloneable)
+ * @param {Object} options - { onProgress(done, total), progress: .task-progress element }
+ * @returns {Object} { promise, cancel() } - The promise resolves to { result, cancelled };
+ *          a cancelled run resolves with the last partial result received (or null)
+ */
+export function runTask(task, args, options = {}) {
+    const worker = new Worker(new URL('./compute-worker.js', import.meta.url), { type: 'module' });
+    let partial = null;
+    let settle = null;
+    const cancel = () => settle({ result: partial, cancelled: true });
+    const view = progressView(options.progress, cancel);
+
+    const promise = new Promise((resolve, reject) => {
+        settle = (outcome, error) => {
+            worker.terminate();
+            view.close();
+            settle = () => {};
+            if (error) reject(error); else resolve(outcome);
+        };
+    });
+
+    worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'progress') {
+            if (message.partial !== undefined) partial = message.partial;
+            view.update(message.done, message.total);
+            if (options.onProgress) options.onProgress(message.done, message.total);
+        } else if (message.type === 'result') {
+            settle({ result: message.result, cancelled: false });
+        } else if (message.type === 'error') {
+            settle(null, new Error(message.message));
+        }
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        settle(null, new Error(event.message || `Task "${task}" failed`));
+    };
+    worker.postMessage({ task, args });
+
+    return { promise, cancel };
+}
@@ -0,0 +1,259 @@
+// ZZZ Pull Sandbox - Client-side UI
+// Pull one or ten at a time with live pity, and compare the luck so far with the odds
+
+import { DEFAULT_RULES } from './lib/gacha-core.js';
+import { SANDBOX_CHANNELS, createSandbox } from './lib/sandbox.js';
+import { parsePullHistory, derivePityState } from './lib/pull-history.js';
+import { replaceSelect } from './lib/custom-dropdown.js';
+
+// DOM Elements
+const startFields = Array.from(document.querySelectorAll('.start-field'));
+const seedInput = document.getElementById('seed');
+const bannerInput = document.getElementById('sandbox-banner');
+const pull1Btn = document.getElementById('pull-1-btn');
+const pull10Btn = document.getElementById('pull-10-btn');
+const resetBtn = document.getElementById('reset-btn');
+const loadSimulatorBtn = document.getElementById('load-simulator-btn');
+const historyFileInput = document.getElementById('history-file');
+const historyStatus = document.getElementById('history-status');
+const stateDiv = document.getElementById('sandbox-state');
+const statsDiv = document.getElementById('sandbox-stats');
+const logDiv = document.getElementById('sandbox-log');
+
+const STORAGE_KEY = 'zzz-sandbox';
+const SIMULATOR_STORAGE_KEY = 'zzz-gacha-simulator-inputs';   // Written by the Gacha Simulator
+
+// Gacha Simulator input -> sandbox state field
+const SIMULATOR_FIELDS = {
+    pitySC: 'cpity', pityAC: 'apity', guaranteeC: 'cguaranteed',
+    pitySW: 'wpity', pityAW: 'epity', guaranteeW: 'wguaranteed',
+    pitySS: 'spity', pitySA: 'sapity',
+    pityBS: 'bpity', pityBA: 'bapity'
+};
+
+// Newest history entries shown in the log
+const LOG_LIMIT = 200;
+
+let sandbox = null;
+let bannerDropdown = null;
+
+// Standard S-rank agent names, loaded from units.json (tells a lost 50/50 in imports)
+let standardAgents = [];
+
+// ============================================================================
+// STARTING STATE
+// ============================================================================
+
+function readStartState() {
+    return Object.fromEntries(startFields.map(el => [
+        el.dataset.field,
+        el.type === 'checkbox' ? el.checked : parseInt(el.value) || 0
+    ]));
+}
+
+function writeStartState(state) {
+    for (const el of startFields) {
+        const value = state[el.dataset.field];
+        if (value === undefined) continue;
+        if (el.type === 'checkbox') el.checked = Boolean(value); else el.value = value;
+    }
+}
+
+function resetSandbox() {
+    sandbox = createSandbox({ state: readStartState(), seed: seedInput.value.trim() });
+    render();
+}
+
+// Pity and guarantees as last entered in the Gacha Simulator
+function loadFromSimulator() {
+    try {
+        const inputs = JSON.parse(localStorage.getItem(SIMULATOR_STORAGE_KEY));
+        if (!inputs) {
+            historyStatus.textContent = 'No saved Gacha Simulator inputs yet';
+            return;
+        }
+        const state = {};
+        for (const [input, field] of Object.entries(SIMULATOR_FIELDS)) {
+            if (inputs[input] !== undefined) state[field] = inputs[input];
+        }
+        writeStartState(state);
+        saveInputs();
+        resetSandbox();
+        historyStatus.textContent = 'Loaded pity from the Gacha Simulator';
+    } catch (error) {
+        console.error('Failed to load simulator inputs:', error);
+    }
+}
+
+historyFileInput.addEventListener('change', async () => {
+    const file = historyFileInput.files[0];
+    if (!file) return;
+    try {
+        const state = derivePityState(parsePullHistory(await file.text()), {
+            standardAgents: standardAgents.length > 0 ? standardAgents : undefined
+        });
+        writeStartState(state);
+        saveInputs();
+        resetSandbox();
+
+        const { agent, engine, standard, bangboo } = state.pulls;
+        historyStatus.textContent = `Imported ${agent + engine + standard + bangboo} pulls from ${file.name}`;
+    } catch (error) {
+        console.error('Failed to import pull history:', error);
+        historyStatus.textContent = `Import failed: ${error.message}`;
+    }
+    historyFileInput.value = '';
+});
+
+async function loadStandardAgents() {
+    try {
+        const response = await fetch('./data/units.json');
+        const units = await response.json();
+        standardAgents = units.filter(unit => unit.rank === 'S' && !unit.limited).map(unit => unit.name);
+    } catch (error) {
+        console.error('Failed to load units:', error);
+        standardAgents = [];
+    }
+}
+
+// ============================================================================
+// PULLING
+// ============================================================================
+
+function pull(count) {
+    sandbox.pull(bannerInput.value, count);
+    render();
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+function render() {
+    renderState();
+    renderStats();
+    renderLog();
+}
+
+// Live pity and guarantees on every channel, the selected one highlighted
+function renderState() {
+    const { state } = sandbox;
+    let html = '<h4>Pity</h4><div class="distribution-table">';
+    for (const [banner, channel] of Object.entries(SANDBOX_CHANNELS)) {
+        const rules = DEFAULT_RULES[channel.rules];
+        const guarantee = channel.featuredOnly
+            ? (state[channel.guarantee] ? 'Guaranteed' : `${Math.round(rules.featuredS * 100)}% featured`)
+            : '';
+        html += `<div class="distribution-row${banner === bannerInput.value ? ' target' : ''}">
+            <span class="distribution-label">${channel.name}</span>
+            <span class="distribution-count">S ${state[channel.pity]}/${rules.pityS} · A ${state[channel.aPity]}/${rules.pityA}</span>
+            <span class="distribution-percent">${guarantee}</span>
+        </div>`;
+    }
+    html += '</div>';
+    stateDiv.innerHTML = html;
+}
+
+// Pulls spent on each channel against the odds from where it started
+function renderStats() {
+    const banners = Object.keys(SANDBOX_CHANNELS).filter(banner => sandbox.history.some(entry => entry.banner === banner));
+    if (banners.length === 0) {
+        statsDiv.innerHTML = '<h4>Pulls Spent</h4><p class="stat-note">Nothing pulled yet</p>';
+        return;
+    }
+
+    let html = '<h4>Pulls Spent</h4>';
+    for (const banner of banners) {
+        const channel = SANDBOX_CHANNELS[banner];
+        const stats = sandbox.stats(banner);
+        const itemName = channel.featuredOnly ? 'Featured S-Ranks' : 'S-Ranks';
+        html += `<div class="stat-line">
+            <span class="stat-label">${channel.name}</span>
+            <span class="stat-value">${stats.pulls} pulls <span class="stat-note">(${stats.polychrome.toLocaleString()} Polychrome)</span></span>
+        </div>
+        <div class="stat-line">
+            <span class="stat-label">${itemName}</span>
+            <span class="stat-value success">${stats.items} <span class="stat-note">(expected ${stats.expected.toFixed(2)})</span></span>
+        </div>
+        <div class="stat-line">
+            <span class="stat-label">Pulls per ${channel.featuredOnly ? 'featured ' : ''}S-Rank</span>
+            <span class="stat-value">${stats.avgPerItem === null ? '—' : stats.avgPerItem.toFixed(1)} <span class="stat-note">(S-Rank every ${stats.expectedPerS.toFixed(1)} on average)</span></span>
+        </div>
+        <div class="stat-line">
+            <span class="stat-label">Luck</span>
+            <span class="stat-value">Luckier than ${stats.percentile.toFixed(0)}% of players</span>
+        </div>`;
+    }
+    statsDiv.innerHTML = html;
+}
+
+// History log, newest first, with S- and A-ranks highlighted
+function renderLog() {
+    const entries = sandbox.history.slice(-LOG_LIMIT).reverse();
+    let html = `<h4>History <span class="stat-note">(${sandbox.history.length} pulls)</span></h4><div class="distribution-table">`;
+    for (const entry of entries) {
+        const note = entry.rank === 'S'
+            ? `pity ${entry.pity}${entry.guaranteed ? ', guaranteed' : ''}`
+            : SANDBOX_CHANNELS[entry.banner].name;
+        html += `<div class="distribution-row log-entry rank-${entry.rank.toLowerCase()}${entry.rank === 'S' ? ' target' : ''}">
+            <span class="distribution-label">#${entry.index} ${entry.item}</span>
+            <span class="distribution-count">${note}</span>
+            <span class="distribution-percent">${entry.rank}</span>
+        </div>`;
+    }
+    html += '</div>';
+    if (sandbox.history.length > LOG_LIMIT) {
+        html += `<p class="stat-note">Showing the last ${LOG_LIMIT} pulls</p>`;
+    }
+    logDiv.innerHTML = html;
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+function saveInputs() {
+    const inputs = {
+        start: readStartState(),
+        seed: seedInput.value,
+        banner: bannerInput.value
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(inputs));
+}
+
+function loadInputs() {
+    try {
+        const inputs = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!inputs) return;
+        if (inputs.start !== undefined) writeStartState(inputs.start);
+        if (inputs.seed !== undefined) seedInput.value = inputs.seed;
+        if (inputs.banner !== undefined) bannerInput.value = inputs.banner;
+    } catch (e) {
+        console.warn('Failed to load saved inputs:', e);
+    }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+pull1Btn.addEventListener('click', () => pull(1));
+pull10Btn.addEventListener('click', () => pull(10));
+resetBtn.addEventListener('click', () => {
+    saveInputs();
+    resetSandbox();
+});
+loadSimulatorBtn.addEventListener('click', loadFromSimulator);
+startFields.forEach(el => el.addEventListener('change', saveInputs));
+seedInput.addEventListener('change', saveInputs);
+
+loadInputs();
+bannerDropdown = replaceSelect(bannerInput, {
+    onChange: () => {
+        saveInputs();
+        renderState();
+    }
+});
+bannerDropdown.setValue(bannerInput.value);
+loadStandardAgents();
+resetSandbox();
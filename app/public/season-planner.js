@@ -0,0 +1,272 @@
+// ZZZ Season Planner - Client-side UI
+// Plans several limited banners in a row using the resources and pity from the simulator form
+
+import {
+    createRefunds,
+    toPercentage
+} from './lib/gacha-core.js';
+import { MAX_PLAN_PHASES, planIncomes } from './lib/season-plan.js';
+import { INCOME_SOURCES, pullsAvailable, fromDay, toDay } from './lib/income.js';
+import { replaceSelect } from './lib/custom-dropdown.js';
+import { runTask } from './lib/worker-client.js';
+
+// DOM Elements
+const phasesContainer = document.getElementById('plan-phases');
+const addBtn = document.getElementById('plan-add-btn');
+const runBtn = document.getElementById('plan-run-btn');
+const runProgress = document.getElementById('plan-progress');
+const planErrorsDiv = document.getElementById('plan-errors');
+const planResultsSection = document.getElementById('plan-results-section');
+
+const STORAGE_KEY = 'zzz-season-plan';
+const ROSTER_STORAGE_KEY = 'zzz-refund-roster';     // Written by the simulator's roster import
+
+// All units from units.json (A-rank pool for refunds)
+let unitList = [];
+
+const CHARACTER_OPTIONS = ['Skip', 'M0', 'M1', 'M2', 'M3', 'M4', 'M5', 'M6'];
+const ENGINE_OPTIONS = ['Skip', 'W1', 'W2', 'W3', 'W4', 'W5'];
+
+// Escape user-provided text before inserting it as HTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+// ============================================================================
+// PHASE ROWS
+// ============================================================================
+
+function optionsHtml(labels, selected) {
+    return labels.map((label, value) =>
+        `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`
+    ).join('');
+}
+
+function addPhaseRow(phase = { name: '', end: '', income: 0, c: 1, w: 0 }) {
+    const index = phasesContainer.children.length;
+    const row = document.createElement('div');
+    row.className = 'input-row plan-phase';
+    row.innerHTML = `
+        <div class="input-group">
+            <label>Banner</label>
+            <input type="text" class="plan-name" value="${escapeHtml(phase.name)}" placeholder="Banner ${index + 1}">
+        </div>
+        <div class="input-group">
+            <label>End Date</label>
+            <input type="date" class="plan-end" value="${escapeHtml(phase.end || '')}">
+        </div>
+        <div class="input-group">
+            <label>Extra Pulls</label>
+            <input type="number" class="plan-income" value="${phase.income}" min="0">
+        </div>
+        <div class="input-group">
+            <label>Character</label>
+            <select class="plan-c">${optionsHtml(CHARACTER_OPTIONS, phase.c)}</select>
+        </div>
+        <div class="input-group">
+            <label>W-Engine</label>
+            <select class="plan-w">${optionsHtml(ENGINE_OPTIONS, phase.w)}</select>
+        </div>
+        <button class="subtle-btn deselect-all plan-remove" title="Remove banner">✕</button>
+    `;
+    phasesContainer.appendChild(row);
+    replaceSelect(row.querySelector('.plan-c'));
+    replaceSelect(row.querySelector('.plan-w'));
+
+    row.querySelector('.plan-remove').addEventListener('click', () => {
+        row.remove();
+        updateAddButton();
+        savePlan();
+    });
+    row.addEventListener('change', savePlan);
+    updateAddButton();
+}
+
+function updateAddButton() {
+    addBtn.disabled = phasesContainer.children.length >= MAX_PLAN_PHASES;
+}
+
+function readPhases() {
+    return Array.from(phasesContainer.children).map(row => ({
+        name: row.querySelector('.plan-name').value.trim(),
+        end: row.querySelector('.plan-end').value,
+        income: parseInt(row.querySelector('.plan-income').value) || 0,
+        c: parseInt(row.querySelector('.plan-c').value) || 0,
+        w: parseInt(row.querySelector('.plan-w').value) || 0
+    }));
+}
+
+// ============================================================================
+// RUN PLAN
+// ============================================================================
+
+// Starting resources, pity and guarantees come from the simulator form
+function readStartingPoint() {
+    const value = id => parseInt(document.getElementById(id).value) || 0;
+    return {
+        holdings: { polychrome: value('polychrome'), tapes: value('tapes') },
+        pity: [value('pity-sc'), value('pity-sw'), value('pity-ac'), value('pity-aw')],
+        guarantees: [
+            document.getElementById('guarantee-c').checked,
+            document.getElementById('guarantee-w').checked
+        ],
+        refunds: document.getElementById('include-refunds').checked ? readRefunds() : null,
+        seed: document.getElementById('seed').value.trim()
+    };
+}
+
+// Refund settings from the Residual Signals section of the simulator form
+function readRefunds() {
+    let roster = {};
+    try {
+        roster = JSON.parse(localStorage.getItem(ROSTER_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn('Failed to load roster:', e);
+    }
+    return createRefunds(unitList, roster, {
+        unlisted: parseInt(document.getElementById('refund-unlisted').value) || 0,
+        signals: parseInt(document.getElementById('signals').value) || 0
+    });
+}
+
+async function loadUnits() {
+    try {
+        const response = await fetch('./data/units.json');
+        unitList = await response.json();
+    } catch (error) {
+        console.error('Failed to load units:', error);
+    }
+}
+
+// Income settings from the Income Projection section of the simulator form
+function readIncomeOptions() {
+    const enabled = new Set(Array.from(document.querySelectorAll('.income-source:checked')).map(el => el.dataset.id));
+    const today = fromDay(toDay(new Date()));
+    return {
+        start: today,
+        versionStart: document.getElementById('income-version-start').value || today,
+        sources: INCOME_SOURCES.filter(source => enabled.has(source.id))
+    };
+}
+
+async function runPlan() {
+    const phases = readPhases().map((phase, index) => ({ ...phase, name: phase.name || `Banner ${index + 1}` }));
+    const start = readStartingPoint();
+
+    const errors = [];
+    if (phases.length === 0) {
+        errors.push('Please add at least one banner');
+    }
+    phases.forEach((phase, index) => {
+        if (phase.c === 0 && phase.w === 0) {
+            errors.push(`${escapeHtml(phase.name)}: set a Character or W-Engine target`);
+        }
+        if (index === 0 && pullsAvailable(start.holdings) + phase.income === 0 && !phase.end) {
+            errors.push('Please enter your available resources (Polychrome or Tapes)');
+        }
+    });
+    if (errors.length > 0) {
+        planErrorsDiv.innerHTML = '<ul>' + errors.map(e => `<li>${e}</li>`).join('') + '</ul>';
+        planErrorsDiv.style.display = 'block';
+        return;
+    }
+    planErrorsDiv.style.display = 'none';
+
+    runBtn.disabled = true;
+    runBtn.textContent = 'SIMULATING...';
+
+    try {
+        const incomes = planIncomes(phases, start.holdings, readIncomeOptions());
+        const plan = {
+            phases: phases.map((phase, index) => ({ ...phase, income: incomes[index] })),
+            pity: start.pity,
+            guarantees: start.guarantees,
+            refunds: start.refunds,
+            seed: start.seed
+        };
+        // Simulated in a worker; Cancel drops the run
+        const { result } = await runTask('plan', { plan }, { progress: runProgress }).promise;
+        if (!result) return;
+        displayPlanResults(plan, result);
+    } catch (error) {
+        console.error('Plan simulation failed:', error);
+        planErrorsDiv.innerHTML = `<ul><li>${escapeHtml(error.message)}</li></ul>`;
+        planErrorsDiv.style.display = 'block';
+    } finally {
+        runBtn.disabled = false;
+        runBtn.textContent = 'RUN PLAN';
+    }
+}
+
+function displayPlanResults(plan, results) {
+    const { iterations } = results;
+    planResultsSection.style.display = 'block';
+
+    // Per-banner chance and budget
+    let targetsHtml = '<h4>Per Banner</h4><div class="distribution-table">';
+    results.phases.forEach((phase, index) => {
+        targetsHtml += `<div class="distribution-row">
+            <span class="distribution-label">${escapeHtml(phase.label)}</span>
+            <span class="distribution-count">+${plan.phases[index].income} pulls, ${phase.avgLeft} left</span>
+            <span class="distribution-percent">${toPercentage(phase.chance, iterations).trim()}</span>
+        </div>`;
+    });
+    targetsHtml += '</div>';
+    targetsHtml += `<div class="stat-line">
+        <span class="stat-label">No targets hit</span>
+        <span class="stat-value">${toPercentage(results.none, iterations).trim()}</span>
+    </div>`;
+    document.getElementById('plan-targets').innerHTML = targetsHtml;
+
+    // Every combination, largest first
+    const combinations = [...results.combinations].sort((a, b) => b.labels.length - a.labels.length || b.all - a.all);
+    let combinationsHtml = `<h4>Combinations <span class="stat-note">(all of these / exactly these)</span></h4>
+        <div class="distribution-table">`;
+    for (const combination of combinations) {
+        const isAll = combination.labels.length === results.phases.length;
+        combinationsHtml += `<div class="distribution-row${isAll ? ' target' : ''}">
+            <span class="distribution-label">${combination.labels.map(escapeHtml).join(' + ')}</span>
+            <span class="distribution-count">${toPercentage(combination.all, iterations).trim()}</span>
+            <span class="distribution-percent">${toPercentage(combination.exact, iterations).trim()}</span>
+        </div>`;
+    }
+    combinationsHtml += '</div>';
+    document.getElementById('plan-combinations').innerHTML = combinationsHtml;
+
+    planResultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+function savePlan() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(readPhases()));
+}
+
+function loadPlan() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        saved.slice(0, MAX_PLAN_PHASES).forEach(phase => addPhaseRow(phase));
+    } catch (e) {
+        console.warn('Failed to load saved plan:', e);
+    }
+    if (phasesContainer.children.length === 0) {
+        addPhaseRow();
+    }
+}
+
+// Event listeners
+addBtn.addEventListener('click', () => {
+    addPhaseRow();
+    savePlan();
+});
+runBtn.addEventListener('click', () => {
+    savePlan();
+    runPlan();
+});
+phasesContainer.addEventListener('input', savePlan);
+
+// Initialize
+loadPlan();
+loadUnits();
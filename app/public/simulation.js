@@ -3,23 +3,61 @@
 
 import {
     SIMULATIONS,
-    REFUND_RATE,
     PITY_C,
     PITY_W,
     PITY_A,
+    STANDARD_SELECTOR_PULLS,
     TACTICS,
+    ENGINES,
+    BANNER_RULES,
+    createBannerRules,
+    createRefunds,
     simulate,
     toLabel,
+    toAgentLabel,
+    toBangbooLabel,
+    toCopies,
     toPercentage,
-    runBatchSimulation
+    MILESTONE_PERCENTILES,
+    parsePullOrder,
+    orderTargets,
+    formatPullOrder
 } from './lib/gacha-core.js';
 
+import { UTILITIES } from './lib/tactic-optimizer.js';
+import { MONOCHROME_PACKS, MONTHLY_PASS, createPricing, estimateSpend, formatCost } from './lib/pricing.js';
+import { parseDualOrder, dualTargets, formatDualOrder } from './lib/dual-banner.js';
+import { MAX_SCENARIOS } from './lib/scenario-compare.js';
+import { INCOME_SOURCES, projectIncome, pullsAvailable, fromDay, toDay } from './lib/income.js';
+import { parsePullHistory, derivePityState } from './lib/pull-history.js';
 import { replaceSelect } from './lib/custom-dropdown.js';
+import { runTask } from './lib/worker-client.js';
+import {
+    SCENARIO_VERSION,
+    getScenarioFromUrl,
+    decodeScenario,
+    generateScenarioUrl,
+    copyToClipboard
+} from './lib/roster-share.js';
 
 // DOM Elements
 const polychromeInput = document.getElementById('polychrome');
 const tapesInput = document.getElementById('tapes');
 const totalPullsDisplay = document.getElementById('total-pulls');
+const incomeSummary = document.getElementById('income-summary');
+const incomeEndInput = document.getElementById('income-end');
+const incomeVersionStartInput = document.getElementById('income-version-start');
+const incomeSourcesDiv = document.getElementById('income-sources');
+const channelInput = document.getElementById('channel');
+const standardAgentInput = document.getElementById('standard-agent');
+const standardCInput = document.getElementById('standard-c');
+const bangbooCInput = document.getElementById('bangboo-c');
+const pitySSInput = document.getElementById('pity-ss');
+const pitySAInput = document.getElementById('pity-sa');
+const selectorProgressInput = document.getElementById('selector-progress');
+const selectorUsedInput = document.getElementById('selector-used');
+const pityBSInput = document.getElementById('pity-bs');
+const pityBAInput = document.getElementById('pity-ba');
 const targetCInput = document.getElementById('target-c');
 const targetWInput = document.getElementById('target-w');
 const pitySCInput = document.getElementById('pity-sc');
@@ -28,24 +66,107 @@ const pityACInput = document.getElementById('pity-ac');
 const pityAWInput = document.getElementById('pity-aw');
 const guaranteeCInput = document.getElementById('guarantee-c');
 const guaranteeWInput = document.getElementById('guarantee-w');
+const softPityCStartInput = document.getElementById('soft-pity-c-start');
+const softPityCStepInput = document.getElementById('soft-pity-c-step');
+const softPityWStartInput = document.getElementById('soft-pity-w-start');
+const softPityWStepInput = document.getElementById('soft-pity-w-step');
 const includeRefundsInput = document.getElementById('include-refunds');
+const refundUnlistedInput = document.getElementById('refund-unlisted');
+const signalsInput = document.getElementById('signals');
+const aTargetRows = Array.from(document.querySelectorAll('.a-target-row')).map(row => ({
+    name: row.querySelector('.a-name'),
+    current: row.querySelector('.a-current'),
+    target: row.querySelector('.a-target')
+}));
 const showStandardInput = document.getElementById('show-standard');
 const showARankInput = document.getElementById('show-arank');
+const showNeededInput = document.getElementById('show-needed');
+const showMilestonesInput = document.getElementById('show-milestones');
+const showCostInput = document.getElementById('show-cost');
+const packPricesDiv = document.getElementById('pack-prices');
+const monthlyPassesInput = document.getElementById('monthly-passes');
+const monthlyPassPriceInput = document.getElementById('monthly-pass-price');
+const currencyInput = document.getElementById('currency');
+const firstPurchaseInput = document.getElementById('first-purchase');
+const dualRows = ['a', 'b'].map(letter => ({
+    name: document.getElementById(`dual-${letter}-name`),
+    c: document.getElementById(`dual-${letter}-c`),
+    w: document.getElementById(`dual-${letter}-w`)
+}));
+const dualOrderInput = document.getElementById('dual-order');
 const pullTacticInput = document.getElementById('pull-tactic');
+const pullOrderInput = document.getElementById('pull-order');
+const pullOrderRow = document.getElementById('pull-order-row');
+const optUtilityInput = document.getElementById('opt-utility');
+const optCInput = document.getElementById('opt-c');
+const optWInput = document.getElementById('opt-w');
+const optimizeBtn = document.getElementById('optimize-btn');
+const optimizeProgress = document.getElementById('optimize-progress');
+const optimizerResultsDiv = document.getElementById('optimizer-results');
+const simEngineInput = document.getElementById('sim-engine');
+const simPrecisionInput = document.getElementById('sim-precision');
+const seedInput = document.getElementById('seed');
 const simulateBtn = document.getElementById('simulate-btn');
+const simulateProgress = document.getElementById('simulate-progress');
 const resultsSection = document.getElementById('results-section');
 const standardChartContainer = document.getElementById('standard-chart-container');
 const arankChartContainer = document.getElementById('arank-chart-container');
+const neededChartContainer = document.getElementById('needed-chart-container');
+const milestoneChartContainer = document.getElementById('milestone-chart-container');
 const validationErrorsDiv = document.getElementById('validation-errors');
+const shareScenarioBtn = document.getElementById('share-scenario-btn');
+const exportScenarioBtn = document.getElementById('export-scenario-btn');
+const importScenarioBtn = document.getElementById('import-scenario-btn');
+const scenarioFileInput = document.getElementById('scenario-file');
 
 let chartInstance = null;
 let standardChartInstance = null;
 let arankChartInstance = null;
+let neededChartInstance = null;
+let milestoneChartInstance = null;
 
 // Custom dropdown instances
 let targetCDropdown = null;
 let targetWDropdown = null;
 let tacticDropdown = null;
+let engineDropdown = null;
+let precisionDropdown = null;
+let channelDropdown = null;
+let standardAgentDropdown = null;
+let standardCDropdown = null;
+let bangbooCDropdown = null;
+let refundUnlistedDropdown = null;
+let aTargetDropdowns = [];
+let dualDropdowns = [];
+let optUtilityDropdown = null;
+let optCDropdown = null;
+let optWDropdown = null;
+
+// Channels (banners) that can be simulated
+const CHANNELS = {
+    LIMITED: 'limited',
+    STANDARD: 'standard',
+    BANGBOO: 'bangboo',
+    DUAL: 'dual'
+};
+
+// Standard S-rank agent names, loaded from units.json
+let standardAgents = [];
+
+// All units from units.json (A-rank pool for refunds)
+let unitList = [];
+
+// Imported roster (agent name -> "M?W?"), shared with the season planner
+const ROSTER_STORAGE_KEY = 'zzz-refund-roster';
+
+// Shared scenario mode - when true, localStorage is NOT used
+let sharedScenarioMode = false;
+
+// Refund roster that came with a shared scenario (used instead of the stored one)
+let sharedRoster = null;
+
+// Latest results, exported with the scenario while the inputs still match them
+let lastRun = null;
 
 // Initialize custom dropdowns
 function initCustomDropdowns() {
@@ -61,29 +182,225 @@ function initCustomDropdowns() {
     
     // Replace Pull Tactic select with inline style
     tacticDropdown = replaceSelect(pullTacticInput, {
+        className: 'inline',
+        onChange: () => updateTacticVisibility()
+    });
+    
+    // Replace Simulation Engine select with inline style
+    engineDropdown = replaceSelect(simEngineInput, {
+        className: 'inline'
+    });
+    precisionDropdown = replaceSelect(simPrecisionInput, {
         className: 'inline'
     });
+
+    // Replace Channel and per-channel target selects
+    channelDropdown = replaceSelect(channelInput, {
+        onChange: () => updateChannelVisibility()
+    });
+    standardAgentDropdown = replaceSelect(standardAgentInput);
+    standardCDropdown = replaceSelect(standardCInput);
+    bangbooCDropdown = replaceSelect(bangbooCInput);
+    refundUnlistedDropdown = replaceSelect(refundUnlistedInput);
+
+    // Optimizer utility and milestone
+    optUtilityDropdown = replaceSelect(optUtilityInput, {
+        onChange: () => updateOptimizerVisibility()
+    });
+    optCDropdown = replaceSelect(optCInput);
+    optWDropdown = replaceSelect(optWInput);
+
+    // Dual banner targets
+    dualDropdowns = dualRows.map(row => ({ c: replaceSelect(row.c), w: replaceSelect(row.w) }));
+
+    // Featured A-rank rows; picking an agent fills in their mindscape from the roster
+    aTargetDropdowns = aTargetRows.map(row => {
+        const current = replaceSelect(row.current);
+        const name = replaceSelect(row.name, {
+            onChange: () => {
+                const stat = loadRoster()[row.name.value];
+                if (stat) {
+                    row.current.value = toCopies(stat);
+                    current.setValue(row.current.value);
+                }
+            }
+        });
+        return { name, current, target: replaceSelect(row.target) };
+    });
 }
 
-// Update total pulls display
-function updateTotalPulls() {
+// Load the standard S-rank agent pool for the Stable Channel
+async function loadStandardAgents() {
+    try {
+        const response = await fetch('./data/units.json');
+        unitList = await response.json();
+        standardAgents = unitList
+            .filter(unit => unit.rank === 'S' && !unit.limited)
+            .map(unit => unit.name)
+            .sort();
+    } catch (error) {
+        console.error('Failed to load units:', error);
+        standardAgents = [];
+    }
+    fillAgentOptions();
+}
+
+// Fill the agent selects from units.json, keeping saved selections
+function fillAgentOptions() {
+    // Keep a saved selection if it is still in the pool
+    const saved = standardAgentInput.dataset.saved;
+    standardAgentInput.innerHTML = standardAgents
+        .map(name => `<option value="${escapeHtml(name)}"${name === saved ? ' selected' : ''}>${escapeHtml(name)}</option>`)
+        .join('');
+    standardAgentDropdown.setOptions(Array.from(standardAgentInput.options).map(opt => ({
+        value: opt.value,
+        label: opt.textContent,
+        selected: opt.selected
+    })));
+
+    // A-rank agents for the featured A-rank rows
+    const aRankAgents = unitList.filter(unit => unit.rank === 'A').map(unit => unit.name).sort();
+    aTargetRows.forEach((row, index) => {
+        const saved = row.name.dataset.saved;
+        row.name.innerHTML = '<option value="">None</option>' + aRankAgents
+            .map(name => `<option value="${escapeHtml(name)}"${name === saved ? ' selected' : ''}>${escapeHtml(name)}</option>`)
+            .join('');
+        aTargetDropdowns[index].name.setOptions(Array.from(row.name.options).map(opt => ({
+            value: opt.value,
+            label: opt.textContent,
+            selected: opt.selected
+        })));
+    });
+}
+
+// Show only the inputs that apply to the selected channel
+function updateChannelVisibility() {
+    const channel = channelInput.value;
+    const toggle = (selector, visible) => {
+        document.querySelectorAll(selector).forEach(el => { el.style.display = visible ? '' : 'none'; });
+    };
+    toggle('.limited-only', channel === CHANNELS.LIMITED);
+    toggle('.standard-only', channel === CHANNELS.STANDARD);
+    toggle('.bangboo-only', channel === CHANNELS.BANGBOO);
+    toggle('.dual-only', channel === CHANNELS.DUAL);
+    // Pity, guarantees and banner rules are shared by both dual banners
+    toggle('.dual-also', channel === CHANNELS.LIMITED || channel === CHANNELS.DUAL);
+    toggle('#refund-settings', channel !== CHANNELS.BANGBOO);
+    toggle('#pricing-settings', channel === CHANNELS.LIMITED || channel === CHANNELS.STANDARD);
+
+    // Bangboo pulls use Boopons, the Stable Channel uses Master Tapes
+    document.querySelector('label[for="tapes"]').textContent =
+        channel === CHANNELS.BANGBOO ? 'Boopons'
+        : channel === CHANNELS.STANDARD ? 'Master Tapes'
+        : 'Encrypted Master Tapes';
+
+    updateTotalPulls();
+    updateTacticVisibility();
+}
+
+// Income source checkboxes, one per INCOME_SOURCES entry
+function initIncomeSources() {
+    incomeSourcesDiv.innerHTML = INCOME_SOURCES.map(source => `
+        <label class="checkbox-label">
+            <input type="checkbox" class="income-source" data-id="${source.id}"${source.enabled ? ' checked' : ''}>
+            <span>${source.name}</span>
+        </label>
+    `).join('');
+    incomeSourcesDiv.addEventListener('change', updateTotalPulls);
+}
+
+// Price inputs, one per MONOCHROME_PACKS entry
+function initPackPrices() {
+    packPricesDiv.innerHTML = MONOCHROME_PACKS.map(pack => `
+        <div class="input-group">
+            <label for="pack-price-${pack.id}">${pack.monochrome} Monochrome</label>
+            <input type="number" id="pack-price-${pack.id}" class="pack-price" data-id="${pack.id}" value="${pack.price}" min="0" step="0.01">
+        </div>
+    `).join('');
+}
+
+// Pricing model from the Top-Up Prices inputs (blank prices keep the default)
+function readPricing() {
+    const price = (input, fallback) => {
+        const value = parseFloat(input.value);
+        return Number.isNaN(value) ? fallback : value;
+    };
+    return createPricing({
+        packs: MONOCHROME_PACKS.map(pack => ({
+            ...pack,
+            price: price(document.getElementById(`pack-price-${pack.id}`), pack.price)
+        })),
+        firstPurchase: firstPurchaseInput.checked,
+        monthlyPass: { ...MONTHLY_PASS, price: price(monthlyPassPriceInput, MONTHLY_PASS.price) },
+        monthlyPasses: parseInt(monthlyPassesInput.value) || 0,
+        currency: currencyInput.value.trim() || '$'
+    });
+}
+
+// Polychrome and tapes held, plus any projected income
+function ownedResources() {
+    const projection = incomeProjection();
+    return {
+        polychrome: (parseInt(polychromeInput.value) || 0) + (projection ? projection.polychrome : 0),
+        tapes: (parseInt(tapesInput.value) || 0) + (projection ? projection.tapes : 0)
+    };
+}
+
+// Projected income from today until the banner end date (null when no date is set)
+function incomeProjection() {
+    if (!incomeEndInput.value) return null;
+    const enabled = new Set(Array.from(incomeSourcesDiv.querySelectorAll('.income-source:checked')).map(el => el.dataset.id));
+    const today = fromDay(toDay(new Date()));
+    return projectIncome({
+        start: today,
+        end: incomeEndInput.value,
+        versionStart: incomeVersionStartInput.value || today,
+        sources: INCOME_SOURCES.filter(source => enabled.has(source.id))
+    });
+}
+
+// Pulls available on the selected channel (Polychrome cannot buy Boopons)
+function availablePulls() {
     const polychrome = parseInt(polychromeInput.value) || 0;
     const tapes = parseInt(tapesInput.value) || 0;
-    const totalPulls = Math.floor(polychrome / 160) + tapes;
-    totalPullsDisplay.textContent = totalPulls;
+    if (channelInput.value === CHANNELS.BANGBOO) return tapes;
+    return pullsAvailable({ polychrome, tapes }, incomeProjection());
+}
+
+// Update total pulls display
+function updateTotalPulls() {
+    const total = availablePulls();
+    totalPullsDisplay.textContent = total;
+
+    const projection = channelInput.value === CHANNELS.BANGBOO ? null : incomeProjection();
+    if (projection) {
+        const current = pullsAvailable({
+            polychrome: parseInt(polychromeInput.value) || 0,
+            tapes: parseInt(tapesInput.value) || 0
+        });
+        incomeSummary.textContent = `+${total - current} projected by ${incomeEndInput.value}`;
+    } else {
+        incomeSummary.textContent = '';
+    }
 }
 
 // Add event listeners for pull calculation
 polychromeInput.addEventListener('input', updateTotalPulls);
 tapesInput.addEventListener('input', updateTotalPulls);
+incomeEndInput.addEventListener('input', updateTotalPulls);
+incomeVersionStartInput.addEventListener('input', updateTotalPulls);
 
 // Show/hide tactic option based on targets
 function updateTacticVisibility() {
     const targetC = parseInt(targetCInput.value) || 0;
     const targetW = parseInt(targetWInput.value) || 0;
     // Only show tactic option when pulling for both character AND engine
-    // and when aiming for more than M0 (since M0W1 has no practical difference between tactics)
-    const shouldShow = targetC > 1 && targetW > 0;
+    // and when aiming for more than M0 (since M0W1 has no practical difference between tactics),
+    // or when a custom order is chosen (it sets its own target)
+    const isLimited = channelInput.value === CHANNELS.LIMITED;
+    const isCustom = pullTacticInput.value === TACTICS.CUSTOM;
+    const shouldShow = isLimited && ((targetC > 1 && targetW > 0) || isCustom);
+    pullOrderRow.style.display = isLimited && isCustom ? '' : 'none';
     
     if (tacticDropdown) {
         if (shouldShow) {
@@ -94,6 +411,12 @@ function updateTacticVisibility() {
     }
 }
 
+// The character milestone only applies to "chance of at least"
+function updateOptimizerVisibility() {
+    document.getElementById('opt-c-group').style.display =
+        optUtilityInput.value === UTILITIES.AT_LEAST ? '' : 'none';
+}
+
 // Pity validation
 function validatePityInput(input, maxValue) {
     const value = parseInt(input.value) || 0;
@@ -129,6 +452,129 @@ pitySCInput.addEventListener('input', () => { validatePityInput(pitySCInput, PIT
 pitySWInput.addEventListener('input', () => { validatePityInput(pitySWInput, PITY_W); updatePityHints(); });
 pityACInput.addEventListener('input', () => { validatePityInput(pityACInput, PITY_A); updatePityHints(); });
 pityAWInput.addEventListener('input', () => { validatePityInput(pityAWInput, PITY_A); updatePityHints(); });
+pitySSInput.addEventListener('input', () => validatePityInput(pitySSInput, BANNER_RULES.STANDARD.pityS));
+pitySAInput.addEventListener('input', () => validatePityInput(pitySAInput, BANNER_RULES.STANDARD.pityA));
+selectorProgressInput.addEventListener('input', () => validatePityInput(selectorProgressInput, STANDARD_SELECTOR_PULLS + 1));
+pityBSInput.addEventListener('input', () => validatePityInput(pityBSInput, BANNER_RULES.BANGBOO.pityS));
+pityBAInput.addEventListener('input', () => validatePityInput(pityBAInput, BANNER_RULES.BANGBOO.pityA));
+
+// Pull history import: derive pity and guarantees instead of typing them in
+const historyFileInput = document.getElementById('history-file');
+const historyStatus = document.getElementById('history-status');
+
+historyFileInput.addEventListener('change', async () => {
+    const file = historyFileInput.files[0];
+    if (!file) return;
+    try {
+        const state = derivePityState(parsePullHistory(await file.text()), {
+            standardAgents: standardAgents.length > 0 ? standardAgents : undefined
+        });
+        pitySCInput.value = state.cpity;
+        pitySWInput.value = state.wpity;
+        pityACInput.value = state.apity;
+        pityAWInput.value = state.epity;
+        guaranteeCInput.checked = state.cguaranteed;
+        guaranteeWInput.checked = state.wguaranteed;
+        pitySSInput.value = state.spity;
+        pitySAInput.value = state.sapity;
+        selectorProgressInput.value = Math.min(state.standardPulls, STANDARD_SELECTOR_PULLS);
+        selectorUsedInput.checked = state.standardPulls >= STANDARD_SELECTOR_PULLS;
+        pityBSInput.value = state.bpity;
+        pityBAInput.value = state.bapity;
+        updatePityHints();
+        saveInputs();
+
+        const { agent, engine, standard, bangboo } = state.pulls;
+        historyStatus.textContent = `Imported ${agent + engine + standard + bangboo} pulls from ${file.name}`;
+    } catch (error) {
+        console.error('Failed to import pull history:', error);
+        historyStatus.textContent = `Import failed: ${error.message}`;
+    }
+    historyFileInput.value = '';
+});
+
+// Roster import: mindscapes decide which pulls are duplicates that refund signals
+const rosterFileInput = document.getElementById('roster-file');
+const rosterStatus = document.getElementById('roster-status');
+
+function loadRoster() {
+    if (sharedRoster) return sharedRoster;
+    try {
+        return JSON.parse(localStorage.getItem(ROSTER_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function updateRosterStatus() {
+    const count = Object.keys(loadRoster()).length;
+    if (count > 0) rosterStatus.textContent = `${count} agents in roster`;
+}
+
+rosterFileInput.addEventListener('change', async () => {
+    const file = rosterFileInput.files[0];
+    if (!file) return;
+    try {
+        const roster = JSON.parse(await file.text());
+        const invalid = Object.entries(roster).find(([, stat]) => !/^M\dW\d$/.test(stat));
+        if (invalid) {
+            throw new Error(`${invalid[0]}: expected M?W?, got ${invalid[1]}`);
+        }
+        if (sharedScenarioMode) {
+            sharedRoster = roster;
+        } else {
+            localStorage.setItem(ROSTER_STORAGE_KEY, JSON.stringify(roster));
+        }
+        updateRosterStatus();
+    } catch (error) {
+        console.error('Failed to import roster:', error);
+        rosterStatus.textContent = `Import failed: ${error.message}`;
+    }
+    rosterFileInput.value = '';
+});
+
+// Featured A-rank agents and the mindscape targets among them
+function readATargets() {
+    const rows = aTargetRows.filter(row => row.name.value);
+    return {
+        featuredA: rows.map(row => row.name.value),
+        aTargets: rows
+            .filter(row => parseInt(row.target.value) > 0)
+            .map(row => ({
+                name: row.name.value,
+                current: parseInt(row.current.value) || 0,
+                target: parseInt(row.target.value)
+            }))
+    };
+}
+
+// Refund settings for simulate(), or null when refunds are off (Boopons get none)
+function refundSettings() {
+    if (!includeRefundsInput.checked || channelInput.value === CHANNELS.BANGBOO) return null;
+    return createRefunds(unitList, loadRoster(), {
+        unlisted: parseInt(refundUnlistedInput.value) || 0,
+        signals: parseInt(signalsInput.value) || 0
+    });
+}
+
+// Escape user-provided text before inserting it as HTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+// Build banner rules from the soft pity inputs (0 = hard pity only)
+function buildBannerRules() {
+    return {
+        agent: createBannerRules(BANNER_RULES.LIMITED_AGENT, {
+            softPityStart: parseInt(softPityCStartInput.value) || 0,
+            softPityIncrement: (parseFloat(softPityCStepInput.value) || 0) / 100
+        }),
+        engine: createBannerRules(BANNER_RULES.LIMITED_ENGINE, {
+            softPityStart: parseInt(softPityWStartInput.value) || 0,
+            softPityIncrement: (parseFloat(softPityWStepInput.value) || 0) / 100
+        })
+    };
+}
 
 // Validation error display
 function showValidationErrors(errors) {
@@ -144,73 +590,229 @@ function hideValidationErrors() {
     validationErrorsDiv.style.display = 'none';
 }
 
+// Build the simulation context from the form, with any validation errors
+function buildContext() {
+    const channel = channelInput.value;
+    const totalPulls = availablePulls();
+
+    // Duplicates refund Residual Signals, spent on tapes during the run
+    const refunds = refundSettings();
+
+    const errors = [];
+    const context = channel === CHANNELS.STANDARD ? {
+        p: totalPulls,
+        c: parseInt(standardCInput.value) || 1,
+        target: standardAgentInput.value,
+        agents: standardAgents,
+        pity: [
+            parseInt(pitySSInput.value) || 0,
+            parseInt(pitySAInput.value) || 0
+        ],
+        selector: parseInt(selectorProgressInput.value) || 0,
+        selectorUsed: selectorUsedInput.checked,
+        tactic: TACTICS.STANDARD,
+        seed: seedInput.value.trim(),
+        refunds
+    } : channel === CHANNELS.DUAL ? {
+        p: totalPulls,
+        targets: dualRows.map(row => ({
+            name: row.name.value.trim(),
+            c: parseInt(row.c.value) || 0,
+            w: parseInt(row.w.value) || 0
+        })),
+        order: null,
+        pity: [
+            parseInt(pitySCInput.value) || 0,
+            parseInt(pitySWInput.value) || 0,
+            parseInt(pityACInput.value) || 0,
+            parseInt(pityAWInput.value) || 0
+        ],
+        guarantees: [
+            guaranteeCInput.checked,
+            guaranteeWInput.checked
+        ],
+        seed: seedInput.value.trim(),
+        rules: buildBannerRules(),
+        refunds
+    } : channel === CHANNELS.BANGBOO ? {
+        p: totalPulls,
+        c: parseInt(bangbooCInput.value) || 1,
+        pity: [
+            parseInt(pityBSInput.value) || 0,
+            parseInt(pityBAInput.value) || 0
+        ],
+        tactic: TACTICS.BANGBOO,
+        seed: seedInput.value.trim()
+    } : {
+        p: totalPulls,
+        c: parseInt(targetCInput.value) || 0,
+        w: parseInt(targetWInput.value) || 0,
+        pity: [
+            parseInt(pitySCInput.value) || 0,
+            parseInt(pitySWInput.value) || 0,
+            parseInt(pityACInput.value) || 0,
+            parseInt(pityAWInput.value) || 0
+        ],
+        guarantees: [
+            guaranteeCInput.checked,
+            guaranteeWInput.checked
+        ],
+        tactic: pullTacticInput.value,
+        seed: seedInput.value.trim(),
+        rules: buildBannerRules(),
+        refunds,
+        ...readATargets()
+    };
+
+    // A custom pull order replaces the target selects
+    if (context.tactic === TACTICS.CUSTOM) {
+        try {
+            context.order = parsePullOrder(pullOrderInput.value);
+            Object.assign(context, orderTargets(context.order));
+        } catch (error) {
+            errors.push(escapeHtml(error.message));
+        }
+    }
+
+    // A written dual order replaces both banners' target selects
+    if (channel === CHANNELS.DUAL && dualOrderInput.value.trim()) {
+        try {
+            context.order = parseDualOrder(dualOrderInput.value);
+            dualTargets(context.order).forEach((copies, index) => Object.assign(context.targets[index], copies));
+        } catch (error) {
+            errors.push(escapeHtml(error.message));
+        }
+    }
+
+    // Validation
+    if (context.p === 0) {
+        errors.push(channel === CHANNELS.BANGBOO
+            ? "Please enter your available Boopons"
+            : "Please enter your available resources (Polychrome or Tapes)");
+    }
+    if (channel === CHANNELS.LIMITED && context.c === 0 && context.w === 0) {
+        errors.push("Please set at least one target (Character or W-Engine)");
+    }
+    if (channel === CHANNELS.LIMITED) {
+        const names = context.featuredA;
+        if (new Set(names).size < names.length) {
+            errors.push("Each featured A-Rank agent can only be listed once");
+        }
+        for (const t of context.aTargets) {
+            if (t.target <= t.current) {
+                errors.push(`${escapeHtml(t.name)} is already at ${toAgentLabel(t.current)}`);
+            }
+        }
+    }
+    if (channel === CHANNELS.DUAL && context.targets.every(t => t.c === 0 && t.w === 0)) {
+        errors.push("Please set a target on at least one banner");
+    }
+    if (channel === CHANNELS.STANDARD && !context.target) {
+        errors.push("Please select a standard S-Rank agent");
+    }
+
+    return { context, errors };
+}
+
 // Main simulation function
-function runSimulation() {
+async function runSimulation() {
+    const { context, errors } = buildContext();
+    if (errors.length > 0) {
+        showValidationErrors(errors);
+        return;
+    }
+    hideValidationErrors();
+
     // Disable button during simulation
     simulateBtn.disabled = true;
     simulateBtn.textContent = 'SIMULATING...';
 
-    // Use setTimeout to allow UI to update
-    setTimeout(() => {
-        try {
-            // Build context from inputs
-            const polychrome = parseInt(polychromeInput.value) || 0;
-            const tapes = parseInt(tapesInput.value) || 0;
-            let totalPulls = Math.floor(polychrome / 160) + tapes;
-
-            const includeRefunds = includeRefundsInput.checked;
-            if (includeRefunds && totalPulls > 100) {
-                totalPulls += Math.floor(totalPulls * REFUND_RATE);
-            }
+    try {
+        // Runs in a worker; Cancel keeps the runs simulated so far
+        const { result, cancelled } = await runBanner(context).promise;
+        if (!result) return;
 
-            const context = {
-                p: totalPulls,
-                c: parseInt(targetCInput.value) || 0,
-                w: parseInt(targetWInput.value) || 0,
-                pity: [
-                    parseInt(pitySCInput.value) || 0,
-                    parseInt(pitySWInput.value) || 0,
-                    parseInt(pityACInput.value) || 0,
-                    parseInt(pityAWInput.value) || 0
-                ],
-                guarantees: [
-                    guaranteeCInput.checked,
-                    guaranteeWInput.checked
-                ],
-                tactic: pullTacticInput.value
-            };
-
-            // Validation
-            const errors = [];
-            if (context.p === 0) {
-                errors.push("Please enter your available resources (Polychrome or Tapes)");
-            }
-            if (context.c === 0 && context.w === 0) {
-                errors.push("Please set at least one target (Character or W-Engine)");
-            }
-            
-            if (errors.length > 0) {
-                showValidationErrors(errors);
-                return;
-            }
-            
-            hideValidationErrors();
+        // Two banners at once report their own joint outcomes
+        const run = context.targets ? { dual: result } : result;
+        if (!cancelled) {
+            lastRun = { inputs: JSON.stringify(collectInputs()), run };
+        }
+        displayRun(context, run);
+        if (cancelled) {
+            showPartialRun(run.dual || run.results);
+        }
+    } catch (error) {
+        console.error('Simulation failed:', error);
+        showValidationErrors([escapeHtml(error.message)]);
+    } finally {
+        simulateBtn.disabled = false;
+        simulateBtn.textContent = 'RUN SIMULATION';
+    }
+}
 
-            // Run batch simulation using shared core
-            const results = runBatchSimulation(context);
+// Cost estimates need the pulls-needed curve; Boopons cannot be bought
+function showsCost(context) {
+    return showCostInput.checked && context.tactic !== TACTICS.BANGBOO;
+}
 
-            // Display results
-            displayResults(context, results, includeRefunds);
+// Outcome distribution for one channel, plus the pulls-needed curve when it is shown or costed
+function runBanner(context) {
+    if (context.targets) {
+        return runTask('dual', { context }, { progress: simulateProgress });
+    }
+    // Sample until every outcome's confidence interval is narrow enough, or a fixed count
+    const tolerance = parseFloat(simPrecisionInput.value);
+    return runTask('banner', {
+        context: tolerance ? { ...context, convergence: { tolerance } } : context,
+        // Sampled or exact
+        engine: simEngineInput.value || ENGINES.SAMPLED,
+        // Inverse query: pulls needed for the target at each confidence level
+        needed: showNeededInput.checked || showsCost(context)
+    }, { progress: simulateProgress });
+}
 
-        } finally {
-            simulateBtn.disabled = false;
-            simulateBtn.textContent = 'RUN SIMULATION';
-        }
-    }, 50);
+// A cancelled run shows what it got through
+function showPartialRun(results) {
+    document.getElementById('target-info').insertAdjacentHTML('beforeend', `
+        <div class="stat-line">
+            <span class="stat-label">Partial run <span class="stat-note">(cancelled)</span></span>
+            <span class="stat-value">${results.iterations.toLocaleString()} runs</span>
+        </div>`);
+}
+
+// Show a run, fresh or imported with its scenario
+function displayRun(context, run) {
+    if (run.dual) {
+        displayDualResults(context, run.dual);
+        return;
+    }
+
+    displayResults(context, run.results);
+    // Exact odds have no per-run pull numbers
+    if (showMilestonesInput.checked && run.results.milestones) {
+        displayMilestones(context, run.results);
+    } else {
+        document.getElementById('milestones').style.display = 'none';
+        milestoneChartContainer.style.display = 'none';
+    }
+    if (showNeededInput.checked && run.needed) {
+        displayPullsNeeded(context, run.needed);
+    } else {
+        document.getElementById('pulls-needed').style.display = 'none';
+        neededChartContainer.style.display = 'none';
+    }
+    // What the pulls beyond current holdings cost
+    if (showsCost(context) && run.needed) {
+        displaySpend(run.needed);
+    } else {
+        document.getElementById('spend-estimate').style.display = 'none';
+    }
 }
 
-function displayResults(context, results, includeRefunds) {
-    const { target, s_limited, s_standard, a_featured, mean, stddev, avgP } = results;
+function displayResults(context, results) {
+    const { target, s_limited, s_standard, a_featured, mean, stddev, avgP, avgRefunds, intervals, convergence } = results;
+    const isStandard = context.tactic === TACTICS.STANDARD;
+    const isBangboo = context.tactic === TACTICS.BANGBOO;
     
     resultsSection.style.display = 'block';
 
@@ -219,28 +821,51 @@ function displayResults(context, results, includeRefunds) {
     targetInfoDiv.innerHTML = `
         <h4>Target</h4>
         <div class="stat-line">
-            <span class="stat-label">Target S-Rank</span>
-            <span class="stat-value success">${target}</span>
+            <span class="stat-label">Target ${isBangboo ? 'S-Rank Bangboo' : 'S-Rank'}</span>
+            <span class="stat-value success">${isStandard ? `${escapeHtml(context.target)} ` : ''}${target}</span>
         </div>
+        ${context.tactic === TACTICS.CUSTOM ? `<div class="stat-line">
+            <span class="stat-label">Pull order</span>
+            <span class="stat-value">${formatPullOrder(context.order)}</span>
+        </div>` : ''}
         <div class="stat-line">
-            <span class="stat-label">Total Pulls${includeRefunds ? ' <span class="stat-note">(including refunds)</span>' : ''}</span>
+            <span class="stat-label">Total Pulls</span>
             <span class="stat-value">${context.p}</span>
         </div>
+        ${context.refunds ? `<div class="stat-line">
+            <span class="stat-label">Refund pulls <span class="stat-note">(average)</span></span>
+            <span class="stat-value">+${avgRefunds}</span>
+        </div>` : ''}
+        ${incomeEndInput.value && !isBangboo ? `<div class="stat-line">
+            <span class="stat-label">Budget includes income until</span>
+            <span class="stat-value">${incomeEndInput.value}</span>
+        </div>` : ''}
+        ${context.seed ? `<div class="stat-line">
+            <span class="stat-label">Seed</span>
+            <span class="stat-value">${escapeHtml(context.seed)}</span>
+        </div>` : ''}
+        ${convergence ? `<div class="stat-line">
+            <span class="stat-label">Runs <span class="stat-note">(${convergence.converged ? 'converged' : 'stopped short'})</span></span>
+            <span class="stat-value">${results.iterations.toLocaleString()} for ± ${(convergence.tolerance * 100).toFixed(1)}%</span>
+        </div>` : ''}
     `;
 
     // S-Limited results
     const sLimitedDiv = document.getElementById('s-limited');
-    let sLimitedHtml = '<h4>Featured S-Rank Distribution</h4><div class="distribution-table">';
+    const sLimitedTitle = isStandard ? `${escapeHtml(context.target)} Distribution`
+        : isBangboo ? 'S-Rank Bangboo Distribution'
+        : 'Featured S-Rank Distribution';
+    let sLimitedHtml = `<h4>${sLimitedTitle}</h4><div class="distribution-table">`;
     const chartData = [];
     const chartLabels = [];
     
     for (const key in s_limited) {
-        if (s_limited[key] == 0) continue;
-        const percentage = toPercentage(s_limited[key]).trim();
+        if (Math.round(s_limited[key]) == 0) continue;
+        const percentage = toPercentage(s_limited[key], results.iterations, intervals && intervals.s_limited[key]).trim();
         const isTarget = key === target;
         sLimitedHtml += `<div class="distribution-row${isTarget ? ' target' : ''}">
             <span class="distribution-label">${key}${isTarget ? ' ← TARGET' : ''}</span>
-            <span class="distribution-count">${s_limited[key].toLocaleString()}</span>
+            <span class="distribution-count">${Math.round(s_limited[key]).toLocaleString()}</span>
             <span class="distribution-percent">${percentage}</span>
         </div>`;
         chartLabels.push(key);
@@ -251,16 +876,16 @@ function displayResults(context, results, includeRefunds) {
 
     // S-Standard results
     const sStandardDiv = document.getElementById('s-standard');
-    if (showStandardInput.checked) {
+    if (showStandardInput.checked && !isStandard && !isBangboo) {
         let sStandardHtml = '<h4>Standard S-Rank Distribution</h4><div class="distribution-table">';
         const standardChartLabels = [];
         const standardChartData = [];
         for (const key in s_standard) {
-            if (s_standard[key] == 0) continue;
+            if (Math.round(s_standard[key]) == 0) continue;
             sStandardHtml += `<div class="distribution-row">
                 <span class="distribution-label">${key}</span>
-                <span class="distribution-count">${s_standard[key].toLocaleString()}</span>
-                <span class="distribution-percent">${toPercentage(s_standard[key]).trim()}</span>
+                <span class="distribution-count">${Math.round(s_standard[key]).toLocaleString()}</span>
+                <span class="distribution-percent">${toPercentage(s_standard[key], results.iterations, intervals && intervals.s_standard[key]).trim()}</span>
             </div>`;
             standardChartLabels.push(key);
             standardChartData.push(s_standard[key]);
@@ -271,12 +896,16 @@ function displayResults(context, results, includeRefunds) {
         
         // Show and update standard chart
         standardChartContainer.style.display = 'block';
-        updateStandardChart(standardChartLabels, standardChartData);
+        updateStandardChart(standardChartLabels, [{ data: standardChartData, total: results.iterations }]);
     } else {
         sStandardDiv.style.display = 'none';
         standardChartContainer.style.display = 'none';
     }
 
+    // Stable Channel: every agent in the pool
+    displayAgentResults(context, results);
+    displayATargetResults(results);
+
     // A-Featured results (bell curve chart only)
     const aFeaturedDiv = document.getElementById('a-featured');
     aFeaturedDiv.style.display = 'none'; // Hide the text block, use chart instead
@@ -288,7 +917,7 @@ function displayResults(context, results, includeRefunds) {
         const arankData = sortedKeys.map(k => a_featured[k.toString()]);
         
         arankChartContainer.style.display = 'block';
-        updateARankChart(arankLabels, arankData);
+        updateARankChart(arankLabels, arankData, results.iterations);
     } else {
         arankChartContainer.style.display = 'none';
     }
@@ -311,52 +940,449 @@ function displayResults(context, results, includeRefunds) {
         </div>
         <div class="stat-line">
             <span class="stat-label">Expected range</span>
-            <span class="stat-value success">${Math.max(avgP - stddev, 0)} - ${Math.min(avgP + stddev, context.p)} pulls</span>
+            <span class="stat-value success">${Math.max(avgP - stddev, 0)} - ${Math.min(avgP + stddev, context.p + (avgRefunds || 0))} pulls</span>
         </div>
     `;
 
     // Update chart
-    updateChart(chartLabels, chartData, target);
+    updateChart(chartLabels, [{ data: chartData, total: results.iterations }], target);
 
     // Scroll to results
     resultsSection.scrollIntoView({ behavior: 'smooth' });
 }
 
-function updateChart(labels, data, target) {
-    const ctx = document.getElementById('results-chart').getContext('2d');
+// Per-banner and joint outcomes of two limited banners sharing pity
+function displayDualResults(context, results) {
+    const names = results.banners.map(banner => banner.label);
+    resultsSection.style.display = 'block';
 
-    // Destroy existing chart
-    if (chartInstance) {
-        chartInstance.destroy();
+    document.getElementById('target-info').innerHTML = `
+        <h4>Target</h4>
+        ${results.banners.map(banner => `<div class="stat-line">
+            <span class="stat-label">${escapeHtml(banner.label)}</span>
+            <span class="stat-value success">${banner.target}</span>
+        </div>`).join('')}
+        <div class="stat-line">
+            <span class="stat-label">Pull order</span>
+            <span class="stat-value">${escapeHtml(formatDualOrder(results.order, names))}</span>
+        </div>
+        <div class="stat-line">
+            <span class="stat-label">Total Pulls</span>
+            <span class="stat-value">${context.p}</span>
+        </div>
+        ${context.refunds ? `<div class="stat-line">
+            <span class="stat-label">Refund pulls <span class="stat-note">(average)</span></span>
+            <span class="stat-value">+${results.avgRefunds}</span>
+        </div>` : ''}
+        ${context.seed ? `<div class="stat-line">
+            <span class="stat-label">Seed</span>
+            <span class="stat-value">${escapeHtml(context.seed)}</span>
+        </div>` : ''}
+    `;
+
+    // Each banner's target, both together, then the most likely joint outcomes
+    const jointTarget = results.banners.map(banner => `${banner.label} ${banner.target}`).join(' + ');
+    let html = '<h4>Dual Banner Outcomes</h4><div class="distribution-table">';
+    for (const banner of results.banners) {
+        html += `<div class="distribution-row">
+            <span class="distribution-label">${escapeHtml(banner.label)} ${banner.target}</span>
+            <span class="distribution-count">${banner.hits.toLocaleString()}</span>
+            <span class="distribution-percent">${toPercentage(banner.hits, results.iterations).trim()}</span>
+        </div>`;
     }
+    html += `<div class="distribution-row target">
+            <span class="distribution-label">Both targets</span>
+            <span class="distribution-count">${results.both.toLocaleString()}</span>
+            <span class="distribution-percent">${toPercentage(results.both, results.iterations).trim()}</span>
+        </div></div><div class="distribution-table">`;
+    const chartLabels = [];
+    const chartData = [];
+    for (const { labels, count } of results.joint) {
+        if (count / results.iterations < 0.001) continue;
+        const isTarget = labels === jointTarget;
+        html += `<div class="distribution-row${isTarget ? ' target' : ''}">
+            <span class="distribution-label">${escapeHtml(labels)}${isTarget ? ' ← TARGET' : ''}</span>
+            <span class="distribution-count">${count.toLocaleString()}</span>
+            <span class="distribution-percent">${toPercentage(count, results.iterations).trim()}</span>
+        </div>`;
+        chartLabels.push(labels);
+        chartData.push(count);
+    }
+    html += '</div>';
+    document.getElementById('s-limited').innerHTML = html;
 
-    // Generate colors - highlight target
-    const colors = labels.map((label, i) => {
-        if (label === target) {
-            return '#00d4aa';
+    // Single-banner blocks and charts do not apply
+    for (const id of ['s-standard', 's-agents', 'a-featured', 'a-targets', 'pulls-needed', 'milestones', 'spend-estimate']) {
+        document.getElementById(id).style.display = 'none';
+    }
+    standardChartContainer.style.display = 'none';
+    arankChartContainer.style.display = 'none';
+    neededChartContainer.style.display = 'none';
+    milestoneChartContainer.style.display = 'none';
+
+    document.getElementById('stats').innerHTML = `
+        <h4>Statistics</h4>
+        <div class="stat-line">
+            <span class="stat-label">Average pulls executed</span>
+            <span class="stat-value success">${results.avgP}</span>
+        </div>
+    `;
+
+    updateChart(chartLabels, [{ data: chartData, total: results.iterations }], jointTarget);
+    resultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Per-agent copies from the Stable Channel, plus how often the selector was needed
+// Rank pull orders for the current target
+async function runOptimizer() {
+    const { context, errors } = buildContext();
+    const utility = {
+        type: optUtilityInput.value,
+        c: optUtilityInput.value === UTILITIES.AT_LEAST ? parseInt(optCInput.value) || 0 : 0,
+        w: parseInt(optWInput.value) || 0
+    };
+    if (utility.c > context.c || utility.w > (context.w || 0)) {
+        errors.push(`The milestone ${toLabel(utility.c, utility.w)} is beyond the target ${toLabel(context.c, context.w || 0)}`);
+    }
+    if (errors.length > 0) {
+        showValidationErrors(errors);
+        return;
+    }
+    hideValidationErrors();
+
+    optimizeBtn.disabled = true;
+    optimizeBtn.textContent = 'OPTIMIZING...';
+
+    try {
+        // Every candidate order is simulated in a worker; Cancel drops the ranking
+        const { result } = await runTask('optimize', {
+            context,
+            utility,
+            engine: simEngineInput.value || ENGINES.SAMPLED
+        }, { progress: optimizeProgress }).promise;
+        if (!result) return;
+        displayOptimizerResults(utility, result);
+    } catch (error) {
+        console.error('Optimization failed:', error);
+        showValidationErrors([escapeHtml(error.message)]);
+    } finally {
+        optimizeBtn.disabled = false;
+        optimizeBtn.textContent = 'Find Best Order';
+    }
+}
+
+function displayOptimizerResults(utility, optimized) {
+    const isChance = utility.type === UTILITIES.AT_LEAST;
+    const score = (value) => isChance ? `${(value * 100).toFixed(2)}%` : `${value.toFixed(2)} copies`;
+    const { recommended } = optimized;
+
+    let html = `<h4>Recommended Order</h4>
+        <div class="stat-line">
+            <span class="stat-label">${recommended.label}${recommended.tactic ? ' <span class="stat-note">(default)</span>' : ''}</span>
+            <span class="stat-value success">${score(recommended.score)}</span>
+        </div>
+        <div class="stat-line">
+            <span class="stat-label">Gain over the defaults</span>
+            <span class="stat-value">${recommended.tactic ? 'None beyond sampling noise'
+                : `+${isChance ? `${(optimized.gain * 100).toFixed(2)} pts` : optimized.gain.toFixed(2)}`}</span>
+        </div>
+        <div class="distribution-table">`;
+    for (const candidate of optimized.ranked.slice(0, 8)) {
+        html += `<div class="distribution-row${candidate === recommended ? ' target' : ''}">
+            <span class="distribution-label">${candidate.label}</span>
+            <span class="distribution-count">${candidate.tactic || ''}</span>
+            <span class="distribution-percent">${score(candidate.score)}</span>
+        </div>`;
+    }
+    html += '</div>';
+    if (!recommended.tactic) {
+        html += `<button class="subtle-btn" id="use-order-btn">Use This Order</button>`;
+    }
+    optimizerResultsDiv.innerHTML = html;
+    optimizerResultsDiv.style.display = 'block';
+
+    const useBtn = document.getElementById('use-order-btn');
+    if (useBtn) {
+        useBtn.addEventListener('click', () => {
+            pullOrderInput.value = recommended.order.map(step => step.toUpperCase()).join(', ');
+            pullTacticInput.value = TACTICS.CUSTOM;
+            tacticDropdown.setValue(TACTICS.CUSTOM);
+            updateTacticVisibility();
+            saveInputs();
+        });
+    }
+}
+
+function displayATargetResults(results) {
+    const aTargetsDiv = document.getElementById('a-targets');
+    if (!results.a_targets) {
+        aTargetsDiv.style.display = 'none';
+        return;
+    }
+
+    let html = '<h4>Featured A-Rank Targets</h4><div class="distribution-table">';
+    for (const t of results.a_targets) {
+        html += `<div class="distribution-row target">
+            <span class="distribution-label">${escapeHtml(t.name)} ${t.target}</span>
+            <span class="distribution-count">from ${toAgentLabel(t.current)}</span>
+            <span class="distribution-percent">${toPercentage(t.hits, results.iterations).trim()}</span>
+        </div>`;
+    }
+    html += '</div>';
+    html += `<div class="stat-line">
+        <span class="stat-label">${results.target} and all A-Rank targets</span>
+        <span class="stat-value success">${toPercentage(results.joint, results.iterations).trim()}</span>
+    </div>`;
+    aTargetsDiv.innerHTML = html;
+    aTargetsDiv.style.display = 'block';
+}
+
+function displayAgentResults(context, results) {
+    const sAgentsDiv = document.getElementById('s-agents');
+    if (!results.s_agents) {
+        sAgentsDiv.style.display = 'none';
+        return;
+    }
+
+    let html = '<h4>Standard Agent Copies</h4><div class="distribution-table">';
+    for (const name of Object.keys(results.s_agents).sort()) {
+        const copies = results.s_agents[name];
+        let expected = 0, none = 0;
+        for (const count in copies) {
+            expected += count * copies[count];
+            if (count == 0) none = copies[count];
         }
-        // Generate colors in orange/amber range
-        const hue = 25 + (i * 15) % 40;
-        return `hsl(${hue}, 80%, ${55 + (i * 5) % 20}%)`;
-    });
+        const isTarget = name === context.target;
+        html += `<div class="distribution-row${isTarget ? ' target' : ''}">
+            <span class="distribution-label">${escapeHtml(name)}${isTarget ? ' ← TARGET' : ''}</span>
+            <span class="distribution-count">${(expected / results.iterations).toFixed(2)} avg</span>
+            <span class="distribution-percent">${toPercentage(results.iterations - none, results.iterations).trim()}</span>
+        </div>`;
+    }
+    html += '</div>';
+    if (!context.selectorUsed) {
+        html += `<div class="stat-line">
+            <span class="stat-label">Selector spent on target</span>
+            <span class="stat-value">${toPercentage(results.selectorRuns, results.iterations).trim()}</span>
+        </div>`;
+    }
+    sAgentsDiv.innerHTML = html;
+    sAgentsDiv.style.display = 'block';
+}
 
-    chartInstance = new Chart(ctx, {
-        type: 'pie',
+// Pulls needed for 50/75/90/99% and the cumulative curve, marking the current budget
+function displayPullsNeeded(context, needed) {
+    const neededDiv = document.getElementById('pulls-needed');
+    const chance = context.p < needed.cdf.length ? needed.cdf[context.p] : needed.cdf[needed.cdf.length - 1];
+    let html = '<h4>Pulls Needed</h4><div class="distribution-table">';
+    for (const { level, pulls } of needed.thresholds) {
+        const covered = pulls !== null && pulls <= context.p;
+        html += `<div class="distribution-row${covered ? ' target' : ''}">
+            <span class="distribution-label">${Math.round(level * 100)}% confidence</span>
+            <span class="distribution-count">${pulls === null ? `> ${needed.max}` : pulls} pulls</span>
+            <span class="distribution-percent">${pulls === null ? '' : covered ? '✓' : `+${pulls - context.p}`}</span>
+        </div>`;
+    }
+    html += '</div>';
+    html += `<div class="stat-line">
+        <span class="stat-label">Chance with ${context.p} pulls</span>
+        <span class="stat-value success">${(chance * 100).toFixed(1)}%</span>
+    </div>`;
+    if (needed.mean !== null) {
+        html += `<div class="stat-line">
+            <span class="stat-label">Average pulls to target</span>
+            <span class="stat-value">${Math.round(needed.mean)}</span>
+        </div>`;
+    }
+    neededDiv.innerHTML = html;
+    neededDiv.style.display = 'block';
+
+    neededChartContainer.style.display = 'block';
+    updateNeededChart(needed, context.p);
+}
+
+// Pull number at which each copy arrived (median and middle half), and the pulls left after it
+function displayMilestones(context, results) {
+    const milestonesDiv = document.getElementById('milestones');
+    const [p25, median, p75] = [0.25, 0.5, 0.75].map(level => MILESTONE_PERCENTILES.indexOf(level));
+    let html = '<h4>Milestones</h4><div class="distribution-table">';
+    for (const m of results.milestones) {
+        const isTarget = m.milestone === results.target || results.target.split(/(?=W)/).includes(m.milestone);
+        html += `<div class="distribution-row${isTarget ? ' target' : ''}">
+            <span class="distribution-label">${m.milestone} <span class="stat-note">(${toPercentage(m.reached, results.iterations).trim()} of runs)</span></span>
+            <span class="distribution-count">pull ${m.percentiles[median]} <span class="stat-note">(${m.percentiles[p25]}–${m.percentiles[p75]})</span></span>
+            <span class="distribution-percent">${Math.max(context.p - m.percentiles[median], 0)} left</span>
+        </div>`;
+    }
+    html += '</div>';
+    html += `<p class="stat-note">Median pull number when reached (middle half in brackets), and the pulls left of ${context.p}</p>`;
+    milestonesDiv.innerHTML = html;
+    milestonesDiv.style.display = 'block';
+
+    milestoneChartContainer.style.display = 'block';
+    updateMilestoneChart(results.milestones, results.iterations, context.p);
+}
+
+// Real-money cost of the pulls needed beyond what is already held
+function displaySpend(needed) {
+    const spendDiv = document.getElementById('spend-estimate');
+    const owned = ownedResources();
+    const pricing = readPricing();
+    const spend = estimateSpend(needed, owned, pricing);
+    const money = cents => cents === null ? `> ${needed.max} pulls` : escapeHtml(formatCost(cents, pricing));
+
+    let html = `<h4>Real-Money Cost</h4>
+        <div class="stat-line">
+            <span class="stat-label">Expected cost</span>
+            <span class="stat-value success">${money(spend.expected)}</span>
+        </div>
+        <div class="stat-line">
+            <span class="stat-label">Median</span>
+            <span class="stat-value">${money(spend.median)}</span>
+        </div>
+        <div class="stat-line">
+            <span class="stat-label">90% confidence</span>
+            <span class="stat-value">${money(spend.p90)}</span>
+        </div>
+        <div class="stat-line">
+            <span class="stat-label">No top-up needed</span>
+            <span class="stat-value">${(spend.free * 100).toFixed(1)}%</span>
+        </div>
+        <div class="distribution-table">`;
+    for (const { level, cents, purchases } of spend.thresholds) {
+        html += `<div class="distribution-row">
+            <span class="distribution-label">${Math.round(level * 100)}% confidence</span>
+            <span class="distribution-count">${purchases.map(purchase => `${purchase.count}× ${purchase.name}`).join(', ') || '—'}</span>
+            <span class="distribution-percent">${money(cents)}</span>
+        </div>`;
+    }
+    html += `</div><p class="stat-note">Beyond ${owned.polychrome.toLocaleString()} Polychrome and ${owned.tapes} tapes held</p>`;
+    spendDiv.innerHTML = html;
+    spendDiv.style.display = 'block';
+}
+
+// One colour per overlaid series (compared scenarios, baseline first, or milestones)
+const SERIES_COLORS = ['#00d4aa', '#ff6b35', '#8c7bff', '#ffd166', '#4cc9f0', '#f72585', '#90be6d', '#e8e8e8'];
+
+// Grouped bars of each scenario's share of runs per outcome, the target outcome's label highlighted
+function createScenarioChart(ctx, labels, datasets, target) {
+    const axis = {
+        ticks: {
+            color: '#a0a0a0',
+            font: {
+                family: "'Rajdhani', sans-serif"
+            }
+        },
+        grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+        }
+    };
+
+    return new Chart(ctx, {
+        type: 'bar',
         data: {
             labels: labels,
-            datasets: [{
-                data: data,
-                backgroundColor: colors,
+            datasets: datasets.map((dataset, i) => ({
+                label: dataset.label,
+                data: dataset.data.map(value => value / dataset.total * 100),
+                backgroundColor: SERIES_COLORS[i % SERIES_COLORS.length],
                 borderColor: '#1a1a26',
-                borderWidth: 2
-            }]
+                borderWidth: 1
+            }))
         },
         options: {
             responsive: true,
             maintainAspectRatio: true,
             plugins: {
                 legend: {
-                    position: 'right',
+                    position: 'top',
+                    labels: {
+                        color: '#e8e8e8',
+                        font: {
+                            family: "'Rajdhani', sans-serif",
+                            size: 12
+                        },
+                        padding: 10,
+                        boxWidth: 15
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(tooltipItem) {
+                            return `${tooltipItem.dataset.label}: ${tooltipItem.raw.toFixed(1)}%`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ...axis,
+                    ticks: {
+                        ...axis.ticks,
+                        color: context => labels[context.index] === target ? '#00d4aa' : '#a0a0a0'
+                    }
+                },
+                y: {
+                    ...axis,
+                    min: 0,
+                    title: {
+                        display: true,
+                        text: 'Runs (%)',
+                        color: '#a0a0a0',
+                        font: {
+                            family: "'Rajdhani', sans-serif",
+                            size: 12
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Outcome chart: a pie for one run, grouped bars for compared scenarios
+// datasets: [{ label, data (run counts), total (runs) }]
+function updateChart(labels, datasets, target) {
+    const ctx = document.getElementById('results-chart').getContext('2d');
+
+    // Destroy existing chart
+    if (chartInstance) {
+        chartInstance.destroy();
+    }
+
+    if (datasets.length > 1) {
+        chartInstance = createScenarioChart(ctx, labels, datasets, target);
+        return;
+    }
+    const { data, total = SIMULATIONS } = datasets[0];
+
+    // Generate colors - highlight target
+    const colors = labels.map((label, i) => {
+        if (label === target) {
+            return '#00d4aa';
+        }
+        // Generate colors in orange/amber range
+        const hue = 25 + (i * 15) % 40;
+        return `hsl(${hue}, 80%, ${55 + (i * 5) % 20}%)`;
+    });
+
+    chartInstance = new Chart(ctx, {
+        type: 'pie',
+        data: {
+            labels: labels,
+            datasets: [{
+                data: data,
+                backgroundColor: colors,
+                borderColor: '#1a1a26',
+                borderWidth: 2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    position: 'right',
                     align: 'center',
                     labels: {
                         color: '#e8e8e8',
@@ -372,8 +1398,8 @@ function updateChart(labels, data, target) {
                     callbacks: {
                         label: function(tooltipItem) {
                             const value = tooltipItem.raw;
-                            const percentage = ((value / SIMULATIONS) * 100).toFixed(1);
-                            return `${tooltipItem.label}: ${percentage}% (${value.toLocaleString()} runs)`;
+                            const percentage = ((value / total) * 100).toFixed(1);
+                            return `${tooltipItem.label}: ${percentage}% (${Math.round(value).toLocaleString()} runs)`;
                         }
                     }
                 }
@@ -382,7 +1408,7 @@ function updateChart(labels, data, target) {
     });
 }
 
-function updateStandardChart(labels, data) {
+function updateStandardChart(labels, datasets) {
     const ctx = document.getElementById('standard-chart').getContext('2d');
 
     // Destroy existing chart
@@ -390,6 +1416,12 @@ function updateStandardChart(labels, data) {
         standardChartInstance.destroy();
     }
 
+    if (datasets.length > 1) {
+        standardChartInstance = createScenarioChart(ctx, labels, datasets, null);
+        return;
+    }
+    const { data, total = SIMULATIONS } = datasets[0];
+
     // Generate colors in purple/blue range for standard
     const colors = labels.map((label, i) => {
         const hue = 220 + (i * 20) % 60;
@@ -428,8 +1460,8 @@ function updateStandardChart(labels, data) {
                     callbacks: {
                         label: function(tooltipItem) {
                             const value = tooltipItem.raw;
-                            const percentage = ((value / SIMULATIONS) * 100).toFixed(1);
-                            return `${tooltipItem.label}: ${percentage}% (${value.toLocaleString()} runs)`;
+                            const percentage = ((value / total) * 100).toFixed(1);
+                            return `${tooltipItem.label}: ${percentage}% (${Math.round(value).toLocaleString()} runs)`;
                         }
                     }
                 }
@@ -438,7 +1470,7 @@ function updateStandardChart(labels, data) {
     });
 }
 
-function updateARankChart(labels, data) {
+function updateARankChart(labels, data, total = SIMULATIONS) {
     const ctx = document.getElementById('arank-chart').getContext('2d');
 
     // Destroy existing chart
@@ -471,8 +1503,8 @@ function updateARankChart(labels, data) {
                     callbacks: {
                         label: function(tooltipItem) {
                             const value = tooltipItem.raw;
-                            const percentage = ((value / SIMULATIONS) * 100).toFixed(1);
-                            return `${percentage}% (${value.toLocaleString()} runs)`;
+                            const percentage = ((value / total) * 100).toFixed(1);
+                            return `${percentage}% (${Math.round(value).toLocaleString()} runs)`;
                         }
                     }
                 }
@@ -523,13 +1555,238 @@ function updateARankChart(labels, data) {
     });
 }
 
+function updateNeededChart(needed, budget) {
+    const ctx = document.getElementById('needed-chart').getContext('2d');
+
+    // Destroy existing chart
+    if (neededChartInstance) {
+        neededChartInstance.destroy();
+    }
+
+    // Stop the curve once the target is all but certain
+    const last = needed.cdf.findIndex(p => p >= 0.9999);
+    const end = Math.max(last < 0 ? needed.cdf.length - 1 : last, Math.min(budget, needed.cdf.length - 1));
+    const curve = [];
+    for (let n = 0; n <= end; n++) curve.push({ x: n, y: needed.cdf[n] * 100 });
+    const markers = needed.thresholds
+        .filter(t => t.pulls !== null)
+        .map(t => ({ x: t.pulls, y: t.level * 100 }));
+
+    neededChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: 'Chance of reaching target',
+                data: curve,
+                borderColor: '#00d4aa',
+                backgroundColor: 'rgba(0, 212, 170, 0.15)',
+                fill: true,
+                tension: 0,
+                pointRadius: 0
+            }, {
+                label: 'Confidence levels',
+                data: markers,
+                type: 'scatter',
+                borderColor: '#ff6b35',
+                backgroundColor: '#ff6b35',
+                pointRadius: 4
+            }, {
+                label: 'Your pulls',
+                data: [{ x: budget, y: 0 }, { x: budget, y: 100 }],
+                borderColor: 'rgba(232, 232, 232, 0.5)',
+                borderDash: [4, 4],
+                pointRadius: 0,
+                fill: false
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(tooltipItem) {
+                            return `${tooltipItem.raw.x} pulls: ${tooltipItem.raw.y.toFixed(1)}%`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    max: end,
+                    title: {
+                        display: true,
+                        text: 'Pulls',
+                        color: '#a0a0a0',
+                        font: {
+                            family: "'Rajdhani', sans-serif",
+                            size: 12
+                        }
+                    },
+                    ticks: {
+                        color: '#a0a0a0',
+                        font: {
+                            family: "'Rajdhani', sans-serif"
+                        }
+                    },
+                    grid: {
+                        color: 'rgba(255, 255, 255, 0.05)'
+                    }
+                },
+                y: {
+                    min: 0,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: 'Chance (%)',
+                        color: '#a0a0a0',
+                        font: {
+                            family: "'Rajdhani', sans-serif",
+                            size: 12
+                        }
+                    },
+                    ticks: {
+                        color: '#a0a0a0',
+                        font: {
+                            family: "'Rajdhani', sans-serif"
+                        }
+                    },
+                    grid: {
+                        color: 'rgba(255, 255, 255, 0.05)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Pulls per point of the milestone timeline
+const MILESTONE_BIN = 10;
+
+// One histogram per milestone over the pull number, as a share of all runs, with the budget marked
+function updateMilestoneChart(milestones, iterations, budget) {
+    const ctx = document.getElementById('milestone-chart').getContext('2d');
+
+    // Destroy existing chart
+    if (milestoneChartInstance) {
+        milestoneChartInstance.destroy();
+    }
+
+    const axis = (text) => ({
+        title: {
+            display: true,
+            text,
+            color: '#a0a0a0',
+            font: {
+                family: "'Rajdhani', sans-serif",
+                size: 12
+            }
+        },
+        ticks: {
+            color: '#a0a0a0',
+            font: {
+                family: "'Rajdhani', sans-serif"
+            }
+        },
+        grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+        }
+    });
+    let end = budget;
+    const datasets = milestones.map((m, i) => {
+        const bins = {};
+        for (const pull in m.histogram) {
+            const bin = Math.floor((pull - 1) / MILESTONE_BIN) * MILESTONE_BIN + MILESTONE_BIN;
+            bins[bin] = (bins[bin] || 0) + m.histogram[pull];
+            end = Math.max(end, bin);
+        }
+        const color = SERIES_COLORS[i % SERIES_COLORS.length];
+        return {
+            label: m.milestone,
+            data: Object.keys(bins).map(Number).sort((a, b) => a - b)
+                .map(bin => ({ x: bin, y: bins[bin] / iterations * 100 })),
+            borderColor: color,
+            backgroundColor: color,
+            fill: false,
+            tension: 0.3,
+            pointRadius: 0
+        };
+    });
+    const peak = Math.max(...datasets.flatMap(dataset => dataset.data.map(point => point.y)), 1);
+
+    milestoneChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [...datasets, {
+                label: 'Your pulls',
+                data: [{ x: budget, y: 0 }, { x: budget, y: peak }],
+                borderColor: 'rgba(232, 232, 232, 0.5)',
+                borderDash: [4, 4],
+                pointRadius: 0,
+                fill: false
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: {
+                        color: '#e8e8e8',
+                        font: {
+                            family: "'Rajdhani', sans-serif",
+                            size: 12
+                        },
+                        padding: 10,
+                        boxWidth: 15,
+                        filter: item => item.text !== 'Your pulls'
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(tooltipItem) {
+                            if (tooltipItem.dataset.label === 'Your pulls') return `Your pulls: ${budget}`;
+                            const { x, y } = tooltipItem.raw;
+                            return `${tooltipItem.dataset.label} on pulls ${x - MILESTONE_BIN + 1}–${x}: ${y.toFixed(1)}%`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: { ...axis('Pull number'), type: 'linear', min: 0, max: end },
+                y: { ...axis('Runs (%)'), min: 0 }
+            }
+        }
+    });
+}
+
 // LocalStorage persistence
 const STORAGE_KEY = 'zzz-gacha-simulator-inputs';
 
-function saveInputs() {
-    const inputs = {
+// Every form input, keyed for localStorage and shared scenarios
+function collectInputs() {
+    return {
         polychrome: polychromeInput.value,
         tapes: tapesInput.value,
+        incomeEnd: incomeEndInput.value,
+        incomeVersionStart: incomeVersionStartInput.value,
+        incomeSources: Array.from(incomeSourcesDiv.querySelectorAll('.income-source:checked')).map(el => el.dataset.id),
+        channel: channelInput.value,
+        standardAgent: standardAgentInput.value,
+        standardC: standardCInput.value,
+        bangbooC: bangbooCInput.value,
+        pitySS: pitySSInput.value,
+        pitySA: pitySAInput.value,
+        selectorProgress: selectorProgressInput.value,
+        selectorUsed: selectorUsedInput.checked,
+        pityBS: pityBSInput.value,
+        pityBA: pityBAInput.value,
         targetC: targetCInput.value,
         targetW: targetWInput.value,
         pitySC: pitySCInput.value,
@@ -538,39 +1795,159 @@ function saveInputs() {
         pityAW: pityAWInput.value,
         guaranteeC: guaranteeCInput.checked,
         guaranteeW: guaranteeWInput.checked,
+        softPityCStart: softPityCStartInput.value,
+        softPityCStep: softPityCStepInput.value,
+        softPityWStart: softPityWStartInput.value,
+        softPityWStep: softPityWStepInput.value,
         includeRefunds: includeRefundsInput.checked,
+        refundUnlisted: refundUnlistedInput.value,
+        signals: signalsInput.value,
+        aRanks: aTargetRows.map(row => ({ name: row.name.value, current: row.current.value, target: row.target.value })),
+        dual: dualRows.map(row => ({ name: row.name.value, c: row.c.value, w: row.w.value })),
+        dualOrder: dualOrderInput.value,
         showStandard: showStandardInput.checked,
         showARank: showARankInput.checked,
-        pullTactic: pullTacticInput.value
+        showNeeded: showNeededInput.checked,
+        showMilestones: showMilestonesInput.checked,
+        showCost: showCostInput.checked,
+        packPrices: Object.fromEntries(Array.from(packPricesDiv.querySelectorAll('.pack-price')).map(el => [el.dataset.id, el.value])),
+        monthlyPasses: monthlyPassesInput.value,
+        monthlyPassPrice: monthlyPassPriceInput.value,
+        currency: currencyInput.value,
+        firstPurchase: firstPurchaseInput.checked,
+        pullTactic: pullTacticInput.value,
+        pullOrder: pullOrderInput.value,
+        optUtility: optUtilityInput.value,
+        optC: optCInput.value,
+        optW: optWInput.value,
+        simEngine: simEngineInput.value,
+        simPrecision: simPrecisionInput.value,
+        seed: seedInput.value
     };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(inputs));
+}
+
+function saveInputs() {
+    // Do NOT save to localStorage when viewing a shared scenario
+    if (sharedScenarioMode) {
+        return;
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(collectInputs()));
 }
 
 function loadInputs() {
+    // Check for a shared scenario in the URL parameter first
+    const scenarioParam = getScenarioFromUrl();
+    if (scenarioParam !== null) {
+        sharedScenarioMode = true;
+        const scenario = decodeScenario(scenarioParam);
+        const defaults = collectInputs();
+        try {
+            if (!scenario) throw new Error('could not decode the link');
+            applyInputs(scenario);
+            const roster = scenario.refundRoster;
+            sharedRoster = roster && typeof roster === 'object' && !Array.isArray(roster) ? roster : null;
+        } catch (e) {
+            console.warn('Failed to load shared scenario, falling back to defaults:', e);
+            applyInputs(defaults);
+        }
+        document.getElementById('shared-scenario-banner').style.display = 'flex';
+        return;
+    }
+
     const saved = localStorage.getItem(STORAGE_KEY);
     if (!saved) return;
     
     try {
-        const inputs = JSON.parse(saved);
-        if (inputs.polychrome !== undefined) polychromeInput.value = inputs.polychrome;
-        if (inputs.tapes !== undefined) tapesInput.value = inputs.tapes;
-        if (inputs.targetC !== undefined) targetCInput.value = inputs.targetC;
-        if (inputs.targetW !== undefined) targetWInput.value = inputs.targetW;
-        if (inputs.pitySC !== undefined) pitySCInput.value = inputs.pitySC;
-        if (inputs.pitySW !== undefined) pitySWInput.value = inputs.pitySW;
-        if (inputs.pityAC !== undefined) pityACInput.value = inputs.pityAC;
-        if (inputs.pityAW !== undefined) pityAWInput.value = inputs.pityAW;
-        if (inputs.guaranteeC !== undefined) guaranteeCInput.checked = inputs.guaranteeC;
-        if (inputs.guaranteeW !== undefined) guaranteeWInput.checked = inputs.guaranteeW;
-        if (inputs.includeRefunds !== undefined) includeRefundsInput.checked = inputs.includeRefunds;
-        if (inputs.showStandard !== undefined) showStandardInput.checked = inputs.showStandard;
-        if (inputs.showARank !== undefined) showARankInput.checked = inputs.showARank;
-        if (inputs.pullTactic !== undefined) pullTacticInput.value = inputs.pullTactic;
+        applyInputs(JSON.parse(saved));
     } catch (e) {
         console.warn('Failed to load saved inputs:', e);
     }
 }
 
+// Fill the form from saved inputs (localStorage, a shared link or an imported file);
+// list fields of the wrong type are skipped
+function applyInputs(inputs) {
+    if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+        throw new Error('Expected an object of saved inputs');
+    }
+    const isEntry = saved => saved && typeof saved === 'object';
+    if (inputs.polychrome !== undefined) polychromeInput.value = inputs.polychrome;
+    if (inputs.tapes !== undefined) tapesInput.value = inputs.tapes;
+    if (inputs.incomeEnd !== undefined) incomeEndInput.value = inputs.incomeEnd;
+    if (inputs.incomeVersionStart !== undefined) incomeVersionStartInput.value = inputs.incomeVersionStart;
+    if (Array.isArray(inputs.incomeSources)) {
+        incomeSourcesDiv.querySelectorAll('.income-source').forEach(el => {
+            el.checked = inputs.incomeSources.includes(el.dataset.id);
+        });
+    }
+    if (inputs.channel !== undefined) channelInput.value = inputs.channel;
+    // Options are filled in once units.json has loaded
+    if (inputs.standardAgent !== undefined) standardAgentInput.dataset.saved = inputs.standardAgent;
+    if (inputs.standardC !== undefined) standardCInput.value = inputs.standardC;
+    if (inputs.bangbooC !== undefined) bangbooCInput.value = inputs.bangbooC;
+    if (inputs.pitySS !== undefined) pitySSInput.value = inputs.pitySS;
+    if (inputs.pitySA !== undefined) pitySAInput.value = inputs.pitySA;
+    if (inputs.selectorProgress !== undefined) selectorProgressInput.value = inputs.selectorProgress;
+    if (inputs.selectorUsed !== undefined) selectorUsedInput.checked = inputs.selectorUsed;
+    if (inputs.pityBS !== undefined) pityBSInput.value = inputs.pityBS;
+    if (inputs.pityBA !== undefined) pityBAInput.value = inputs.pityBA;
+    if (inputs.targetC !== undefined) targetCInput.value = inputs.targetC;
+    if (inputs.targetW !== undefined) targetWInput.value = inputs.targetW;
+    if (inputs.pitySC !== undefined) pitySCInput.value = inputs.pitySC;
+    if (inputs.pitySW !== undefined) pitySWInput.value = inputs.pitySW;
+    if (inputs.pityAC !== undefined) pityACInput.value = inputs.pityAC;
+    if (inputs.pityAW !== undefined) pityAWInput.value = inputs.pityAW;
+    if (inputs.guaranteeC !== undefined) guaranteeCInput.checked = inputs.guaranteeC;
+    if (inputs.guaranteeW !== undefined) guaranteeWInput.checked = inputs.guaranteeW;
+    if (inputs.softPityCStart !== undefined) softPityCStartInput.value = inputs.softPityCStart;
+    if (inputs.softPityCStep !== undefined) softPityCStepInput.value = inputs.softPityCStep;
+    if (inputs.softPityWStart !== undefined) softPityWStartInput.value = inputs.softPityWStart;
+    if (inputs.softPityWStep !== undefined) softPityWStepInput.value = inputs.softPityWStep;
+    if (inputs.includeRefunds !== undefined) includeRefundsInput.checked = inputs.includeRefunds;
+    if (inputs.refundUnlisted !== undefined) refundUnlistedInput.value = inputs.refundUnlisted;
+    if (inputs.signals !== undefined) signalsInput.value = inputs.signals;
+    if (Array.isArray(inputs.aRanks)) {
+        inputs.aRanks.slice(0, aTargetRows.length).forEach((saved, index) => {
+            if (!isEntry(saved)) return;
+            // Agent options are filled in once units.json has loaded
+            aTargetRows[index].name.dataset.saved = saved.name;
+            aTargetRows[index].current.value = saved.current;
+            aTargetRows[index].target.value = saved.target;
+        });
+    }
+    if (Array.isArray(inputs.dual)) {
+        inputs.dual.slice(0, dualRows.length).forEach((saved, index) => {
+            if (!isEntry(saved)) return;
+            dualRows[index].name.value = saved.name;
+            dualRows[index].c.value = saved.c;
+            dualRows[index].w.value = saved.w;
+        });
+    }
+    if (inputs.dualOrder !== undefined) dualOrderInput.value = inputs.dualOrder;
+    if (inputs.showStandard !== undefined) showStandardInput.checked = inputs.showStandard;
+    if (inputs.showARank !== undefined) showARankInput.checked = inputs.showARank;
+    if (inputs.showNeeded !== undefined) showNeededInput.checked = inputs.showNeeded;
+    if (inputs.showMilestones !== undefined) showMilestonesInput.checked = inputs.showMilestones;
+    if (inputs.showCost !== undefined) showCostInput.checked = inputs.showCost;
+    if (isEntry(inputs.packPrices)) {
+        packPricesDiv.querySelectorAll('.pack-price').forEach(el => {
+            if (inputs.packPrices[el.dataset.id] !== undefined) el.value = inputs.packPrices[el.dataset.id];
+        });
+    }
+    if (inputs.monthlyPasses !== undefined) monthlyPassesInput.value = inputs.monthlyPasses;
+    if (inputs.monthlyPassPrice !== undefined) monthlyPassPriceInput.value = inputs.monthlyPassPrice;
+    if (inputs.currency !== undefined) currencyInput.value = inputs.currency;
+    if (inputs.firstPurchase !== undefined) firstPurchaseInput.checked = inputs.firstPurchase;
+    if (inputs.pullTactic !== undefined) pullTacticInput.value = inputs.pullTactic;
+    if (inputs.pullOrder !== undefined) pullOrderInput.value = inputs.pullOrder;
+    if (inputs.optUtility !== undefined) optUtilityInput.value = inputs.optUtility;
+    if (inputs.optC !== undefined) optCInput.value = inputs.optC;
+    if (inputs.optW !== undefined) optWInput.value = inputs.optW;
+    if (inputs.simEngine !== undefined) simEngineInput.value = inputs.simEngine;
+    if (inputs.simPrecision !== undefined) simPrecisionInput.value = inputs.simPrecision;
+    if (inputs.seed !== undefined) seedInput.value = inputs.seed;
+}
+
 // Sync custom dropdowns with loaded values
 function syncCustomDropdowns() {
     if (targetCDropdown && targetCInput.value) {
@@ -582,18 +1959,394 @@ function syncCustomDropdowns() {
     if (tacticDropdown && pullTacticInput.value) {
         tacticDropdown.setValue(pullTacticInput.value);
     }
+    if (engineDropdown && simEngineInput.value) {
+        engineDropdown.setValue(simEngineInput.value);
+    }
+    if (precisionDropdown) {
+        precisionDropdown.setValue(simPrecisionInput.value);
+    }
+    if (channelDropdown && channelInput.value) {
+        channelDropdown.setValue(channelInput.value);
+    }
+    if (standardCDropdown && standardCInput.value) {
+        standardCDropdown.setValue(standardCInput.value);
+    }
+    if (bangbooCDropdown && bangbooCInput.value) {
+        bangbooCDropdown.setValue(bangbooCInput.value);
+    }
+    if (refundUnlistedDropdown && refundUnlistedInput.value) {
+        refundUnlistedDropdown.setValue(refundUnlistedInput.value);
+    }
+    if (optUtilityDropdown && optUtilityInput.value) {
+        optUtilityDropdown.setValue(optUtilityInput.value);
+    }
+    if (optCDropdown && optCInput.value) {
+        optCDropdown.setValue(optCInput.value);
+    }
+    if (optWDropdown && optWInput.value) {
+        optWDropdown.setValue(optWInput.value);
+    }
+    aTargetDropdowns.forEach((dropdowns, index) => {
+        dropdowns.current.setValue(aTargetRows[index].current.value);
+        dropdowns.target.setValue(aTargetRows[index].target.value);
+    });
+    dualDropdowns.forEach((dropdowns, index) => {
+        dropdowns.c.setValue(dualRows[index].c.value);
+        dropdowns.w.setValue(dualRows[index].w.value);
+    });
 }
 
+// ============================================================================
+// SCENARIO SHARING
+// ============================================================================
+
+// The form plus the refund roster it depends on
+function currentScenario() {
+    return {
+        ...collectInputs(),
+        refundRoster: includeRefundsInput.checked ? loadRoster() : undefined
+    };
+}
+
+// Refresh every derived control after the form was filled from a scenario
+function refreshForm() {
+    fillAgentOptions();
+    syncCustomDropdowns();
+    updateTotalPulls();
+    updatePityHints();
+    updateChannelVisibility();
+    updateOptimizerVisibility();
+    updateRosterStatus();
+}
+
+async function handleShareScenario() {
+    const success = await copyToClipboard(generateScenarioUrl(currentScenario()));
+    const originalText = shareScenarioBtn.textContent;
+    shareScenarioBtn.textContent = success ? 'Link Copied!' : 'Copy Failed';
+    setTimeout(() => {
+        shareScenarioBtn.textContent = originalText;
+    }, 2000);
+}
+
+// Download the scenario, with the latest results if the form has not changed since
+function exportScenario() {
+    const inputs = collectInputs();
+    const data = {
+        version: SCENARIO_VERSION,
+        exported: new Date().toISOString(),
+        scenario: currentScenario(),
+        results: lastRun && lastRun.inputs === JSON.stringify(inputs) ? lastRun.run : null
+    };
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    link.download = 'zzz-gacha-scenario.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+scenarioFileInput.addEventListener('change', async () => {
+    const file = scenarioFileInput.files[0];
+    if (!file) return;
+    try {
+        const data = JSON.parse(await file.text());
+        if (!data.scenario || typeof data.version !== 'number') {
+            throw new Error('Not a gacha scenario export');
+        }
+        if (data.version > SCENARIO_VERSION) {
+            throw new Error(`Scenario version ${data.version} is newer than this page supports`);
+        }
+
+        const { refundRoster, ...inputs } = data.scenario;
+        applyInputs(inputs);
+        if (refundRoster) {
+            if (sharedScenarioMode) {
+                sharedRoster = refundRoster;
+            } else {
+                localStorage.setItem(ROSTER_STORAGE_KEY, JSON.stringify(refundRoster));
+            }
+        }
+        refreshForm();
+        saveInputs();
+
+        // Show the exported results as they were, without re-running
+        const { context, errors } = buildContext();
+        if (data.results && errors.length === 0) {
+            hideValidationErrors();
+            lastRun = { inputs: JSON.stringify(collectInputs()), run: data.results };
+            displayRun(context, data.results);
+        }
+    } catch (error) {
+        console.error('Failed to import scenario:', error);
+        showValidationErrors([`Scenario import failed: ${escapeHtml(error.message)}`]);
+    }
+    scenarioFileInput.value = '';
+});
+
+shareScenarioBtn.addEventListener('click', handleShareScenario);
+exportScenarioBtn.addEventListener('click', exportScenario);
+importScenarioBtn.addEventListener('click', () => scenarioFileInput.click());
+
+// ============================================================================
+// SCENARIO COMPARISON
+// ============================================================================
+
+const compareNameInput = document.getElementById('compare-name');
+const compareListDiv = document.getElementById('compare-list');
+const compareErrorsDiv = document.getElementById('compare-errors');
+const compareSaveBtn = document.getElementById('compare-save-btn');
+const compareRunBtn = document.getElementById('compare-run-btn');
+const compareProgress = document.getElementById('compare-progress');
+
+const COMPARISON_STORAGE_KEY = 'zzz-gacha-comparison';
+
+// Saved scenarios: [{ name, summary, scenario }] with scenario as from currentScenario()
+let comparisonScenarios = [];
+
+// Target as shown in results, e.g. "M1W1" or "Grace M0"
+function targetLabel(context) {
+    if (context.tactic === TACTICS.STANDARD) return `${context.target} ${toAgentLabel(context.c)}`;
+    if (context.tactic === TACTICS.BANGBOO) return toBangbooLabel(context.c);
+    return toLabel(context.c, context.w || 0);
+}
+
+// Build the context of a saved scenario by filling the form with it, then put the form back
+function scenarioContext(scenario) {
+    const current = collectInputs();
+    const roster = sharedRoster;
+    const { refundRoster, ...inputs } = scenario;
+    try {
+        applyInputs(inputs);
+        sharedRoster = refundRoster || roster;
+        fillAgentOptions();
+        return buildContext();
+    } finally {
+        applyInputs(current);
+        sharedRoster = roster;
+        fillAgentOptions();
+    }
+}
+
+function showCompareErrors(errors) {
+    compareErrorsDiv.innerHTML = '<ul>' + errors.map(e => `<li>${e}</li>`).join('') + '</ul>';
+    compareErrorsDiv.style.display = 'block';
+}
+
+function renderComparisonList() {
+    if (comparisonScenarios.length === 0) {
+        compareListDiv.innerHTML = '<p class="stat-note">No scenarios saved yet</p>';
+    } else {
+        compareListDiv.innerHTML = '<div class="distribution-table">' + comparisonScenarios.map((entry, index) => `
+            <div class="distribution-row${index === 0 ? ' target' : ''}">
+                <span class="distribution-label">${escapeHtml(entry.name)}${index === 0 ? ' (baseline)' : ''}</span>
+                <span class="distribution-count">${escapeHtml(entry.summary)}</span>
+                <span class="distribution-percent">
+                    <button class="subtle-btn compare-load" data-index="${index}" title="Load into the form">Load</button>
+                    <button class="subtle-btn compare-remove" data-index="${index}" title="Remove scenario">✕</button>
+                </span>
+            </div>`).join('') + '</div>';
+    }
+    compareSaveBtn.disabled = comparisonScenarios.length >= MAX_SCENARIOS;
+    compareRunBtn.disabled = comparisonScenarios.length < 2;
+}
+
+// Save the form as the next scenario
+function addComparisonScenario() {
+    const { context, errors } = buildContext();
+    if (errors.length === 0 && context.targets) {
+        errors.push('Dual banners cannot be compared; pick a single channel');
+    }
+    if (errors.length > 0) {
+        showCompareErrors(errors);
+        return;
+    }
+    compareErrorsDiv.style.display = 'none';
+
+    comparisonScenarios.push({
+        name: compareNameInput.value.trim() || `Scenario ${comparisonScenarios.length + 1}`,
+        summary: `${targetLabel(context)} · ${context.p} pulls`,
+        scenario: currentScenario()
+    });
+    compareNameInput.value = '';
+    saveComparison();
+    renderComparisonList();
+}
+
+compareListDiv.addEventListener('click', event => {
+    const button = event.target.closest('button');
+    if (!button) return;
+    const index = parseInt(button.dataset.index);
+    if (button.classList.contains('compare-remove')) {
+        comparisonScenarios.splice(index, 1);
+        saveComparison();
+        renderComparisonList();
+        return;
+    }
+
+    // Load a scenario back into the form to change it
+    const { refundRoster, ...inputs } = comparisonScenarios[index].scenario;
+    applyInputs(inputs);
+    if (refundRoster) {
+        if (sharedScenarioMode) {
+            sharedRoster = refundRoster;
+        } else {
+            localStorage.setItem(ROSTER_STORAGE_KEY, JSON.stringify(refundRoster));
+        }
+    }
+    refreshForm();
+    saveInputs();
+});
+
+async function runComparisonScenarios() {
+    const errors = [];
+    const scenarios = comparisonScenarios.map(entry => {
+        const built = scenarioContext(entry.scenario);
+        built.errors.forEach(error => errors.push(`${escapeHtml(entry.name)}: ${error}`));
+        return { name: entry.name, context: built.context, engine: entry.scenario.simEngine || ENGINES.SAMPLED };
+    });
+    if (errors.length > 0) {
+        showCompareErrors(errors);
+        return;
+    }
+    compareErrorsDiv.style.display = 'none';
+
+    compareRunBtn.disabled = true;
+    compareRunBtn.textContent = 'SIMULATING...';
+
+    try {
+        // Every scenario is simulated in a worker; Cancel drops the comparison
+        const { result } = await runTask('compare', { scenarios }, { progress: compareProgress }).promise;
+        if (!result) return;
+        displayComparison(result, scenarios);
+    } catch (error) {
+        console.error('Comparison failed:', error);
+        showCompareErrors([escapeHtml(error.message)]);
+    } finally {
+        compareRunBtn.disabled = false;
+        compareRunBtn.textContent = 'COMPARE';
+    }
+}
+
+// A compared number with its change from the baseline
+// direction: 1 when higher is better, -1 when lower is better, 0 when neither
+function comparisonCell(value, delta, format, direction) {
+    if (value === null) return '—';
+    const percent = format === 'percent';
+    const shown = percent ? `${(value * 100).toFixed(1)}%` : `${Math.round(value * 100) / 100}`;
+    if (delta === null) return shown;
+
+    const rounded = percent ? Math.round(delta * 1000) / 10 : Math.round(delta * 100) / 100;
+    const quality = rounded === 0 || direction === 0 ? '' : (rounded > 0) === (direction > 0) ? ' better' : ' worse';
+    return `${shown}<span class="delta${quality}">${rounded > 0 ? '+' : rounded < 0 ? '−' : '±'}${Math.abs(rounded)}${percent ? ' pts' : ''}</span>`;
+}
+
+function comparisonTable(title, names, rows) {
+    return `<h4>${title}</h4>
+        <table class="comparison-table">
+            <thead><tr><th></th>${names.map(name => `<th>${escapeHtml(name)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>`;
+}
+
+// Outcome shares and headline numbers of each scenario, the charts overlaid
+function displayComparison(comparison, scenarios) {
+    const { outcomes, standard, metrics } = comparison;
+    const names = scenarios.map(scenario => scenario.name);
+    const targets = comparison.scenarios.map(scenario => scenario.target);
+    const limited = scenarios.every(({ context }) => context.tactic !== TACTICS.STANDARD && context.tactic !== TACTICS.BANGBOO);
+    resultsSection.style.display = 'block';
+
+    document.getElementById('target-info').innerHTML = `
+        <h4>Scenarios</h4>
+        ${scenarios.map(scenario => `<div class="stat-line">
+            <span class="stat-label">${escapeHtml(scenario.name)}</span>
+            <span class="stat-value success">${escapeHtml(targetLabel(scenario.context))}</span>
+        </div>`).join('')}
+        <div class="stat-line">
+            <span class="stat-label">Seed <span class="stat-note">(shared unless a scenario sets its own)</span></span>
+            <span class="stat-value">${escapeHtml(comparison.seed)}</span>
+        </div>
+    `;
+
+    // Outcome shares, each scenario's own target highlighted
+    const outcomeRows = outcomes.labels.map((label, row) => `<tr>
+        <td>${label}</td>
+        ${outcomes.shares.map((shares, index) => `<td${label === targets[index] ? ' class="target"' : ''}>${
+            comparisonCell(shares[row], index === 0 ? null : shares[row] - outcomes.shares[0][row], 'percent', 0)
+        }</td>`).join('')}
+    </tr>`);
+    document.getElementById('s-limited').innerHTML = comparisonTable('Outcome Distribution', names, outcomeRows);
+
+    const metricRows = metrics.map(metric => `<tr>
+        <td>${metric.label}</td>
+        ${metric.values.map((value, index) => `<td>${
+            comparisonCell(value, metric.deltas[index], metric.format, metric.lowerIsBetter ? -1 : 1)
+        }</td>`).join('')}
+    </tr>`);
+    document.getElementById('stats').innerHTML = comparisonTable('Statistics', names, metricRows);
+
+    // Single-run blocks and charts do not apply
+    for (const id of ['s-standard', 's-agents', 'a-featured', 'a-targets', 'pulls-needed', 'milestones', 'spend-estimate']) {
+        document.getElementById(id).style.display = 'none';
+    }
+    arankChartContainer.style.display = 'none';
+    neededChartContainer.style.display = 'none';
+    milestoneChartContainer.style.display = 'none';
+
+    // Charts take shares, so every dataset is out of 1
+    const datasets = distribution => names.map((name, index) => ({ label: name, data: distribution.shares[index], total: 1 }));
+    const target = new Set(targets).size === 1 ? targets[0] : null;
+    updateChart(outcomes.labels, datasets(outcomes), target);
+    if (showStandardInput.checked && limited) {
+        standardChartContainer.style.display = 'block';
+        updateStandardChart(standard.labels, datasets(standard));
+    } else {
+        standardChartContainer.style.display = 'none';
+    }
+
+    resultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function saveComparison() {
+    // Do NOT save to localStorage when viewing a shared scenario
+    if (sharedScenarioMode) {
+        return;
+    }
+    localStorage.setItem(COMPARISON_STORAGE_KEY, JSON.stringify(comparisonScenarios));
+}
+
+function loadComparison() {
+    if (sharedScenarioMode) return;
+    try {
+        comparisonScenarios = JSON.parse(localStorage.getItem(COMPARISON_STORAGE_KEY)) || [];
+    } catch (e) {
+        console.warn('Failed to load saved scenarios:', e);
+    }
+}
+
+compareSaveBtn.addEventListener('click', addComparisonScenario);
+compareRunBtn.addEventListener('click', runComparisonScenarios);
+
 // Event listener for simulate button
 simulateBtn.addEventListener('click', () => {
     saveInputs();
     runSimulation();
 });
+optimizeBtn.addEventListener('click', () => {
+    saveInputs();
+    runOptimizer();
+});
 
 // Initialize
+initIncomeSources();
+initPackPrices();
 loadInputs();
 initCustomDropdowns();
 syncCustomDropdowns();
 updateTotalPulls();
 updatePityHints();
-updateTacticVisibility();
+updateChannelVisibility();
+updateOptimizerVisibility();
+updateRosterStatus();
+loadComparison();
+renderComparisonList();
+loadStandardAgents();
@@ -3,8 +3,10 @@
  * Generates and filters team combinations based on user roster and filters
  */
 
-import { getTeams, sortTeamByRole, getTeamLabel } from './lib/team-builder.js';
-import { scoreTeamForBoss, isDPS, isStun, isSupport, isDefense, getElement, ELEMENTS, DPS_ROLES } from './lib/team-scorer.js';
+import { sortTeamByRole, getTeamLabel, describeJoin } from './lib/team-builder.js';
+import { getTeamElements, getTeamDpsType } from './lib/team-grid.js';
+import { runTask } from './lib/worker-client.js';
+import { initRuleSetPicker } from './lib/rule-set-picker.js';
 import { 
     encodeRoster, 
     decodeRoster, 
@@ -21,28 +23,11 @@ import { addLongPressListener } from './lib/touch-utils.js';
 
 const ROSTER_STORAGE_KEY = 'zzz-roster';
 const FILTERS_STORAGE_KEY = 'zzz-team-builder-filters';
-const MIN_TEAMS_TO_SHOW = 6;
 
 // Elements and DPS types for grid
 const GRID_ELEMENTS = ['fire', 'ice', 'electric', 'physical', 'ether'];
 const GRID_DPS_TYPES = ['attack', 'anomaly', 'rupture'];
 
-/**
- * Check if a team has a DPS unit that matches BOTH the target element AND DPS type.
- * e.g., for Ice Anomaly, we need a unit that is both ice element AND anomaly role.
- */
-function teamHasMatchingDPS(team, targetElement, targetDpsType) {
-    for (const unit of team) {
-        const unitElement = getElement(unit);
-        const unitDpsType = getDpsTypeForUnit(unit);
-        
-        if (unitElement === targetElement && unitDpsType === targetDpsType) {
-            return true;
-        }
-    }
-    return false;
-}
-
 // ============================================================================
 // STATE
 // ============================================================================
@@ -50,6 +35,9 @@ function teamHasMatchingDPS(team, targetElement, targetDpsType) {
 let allUnits = [];
 let characterImages = {};
 
+// Returns the scoring rule set in use (default or a loaded rule file)
+let getScoringRules = null;
+
 // Unit states: { unitId: { owned: boolean, universal: boolean } }
 let unitStates = {};
 
@@ -88,6 +76,7 @@ async function loadData() {
         
         allUnits = await unitsResponse.json();
         characterImages = await imagesResponse.json();
+        getScoringRules = initRuleSetPicker();
         
         initializeUnitStates();
         loadFromStorage();
@@ -923,7 +912,7 @@ function clearFilters() {
 // TEAM BUILDING
 // ============================================================================
 
-function buildTeams() {
+async function buildTeams() {
     hideValidationErrors();
     
     // Get available units
@@ -939,33 +928,24 @@ function buildTeams() {
     btn.disabled = true;
     btn.textContent = 'BUILDING...';
     
-    setTimeout(() => {
-        try {
-            // Generate all valid teams
-            const allTeams = getTeams(availableUnits);
-            
-            // Convert to array and filter to 3-person teams only
-            let teams = Object.entries(allTeams)
-                .filter(([label, team]) => team.length === 3)
-                .map(([label, team]) => ({ label, team }));
-            
-            // Apply user filters first
-            teams = applyUserFilters(teams);
-            
-            // Select best teams using synthetic boss scoring
-            filteredTeams = selectBestTeams(teams, availableUnits);
-            
-            // Reset pagination and display
-            currentPage = 0;
-            displayResults();
-        } catch (error) {
-            console.error('Team building failed:', error);
-            showError('Failed to build teams. Please try again.');
-        } finally {
-            btn.disabled = false;
-            btn.textContent = 'Build Teams';
-        }
-    }, 50);
+    try {
+        // Generate, filter and score the teams in a worker; Cancel keeps the teams scored so far
+        const { result } = await runTask('teams', { units: availableUnits, filters, rules: getScoringRules() }, {
+            progress: document.getElementById('build-progress')
+        }).promise;
+        if (!result) return;
+        filteredTeams = result;
+        
+        // Reset pagination and display
+        currentPage = 0;
+        displayResults();
+    } catch (error) {
+        console.error('Team building failed:', error);
+        showError('Failed to build teams. Please try again.');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Build Teams';
+    }
 }
 
 function getAvailableUnits() {
@@ -978,390 +958,6 @@ function getAvailableUnits() {
     }));
 }
 
-function applyUserFilters(teams) {
-    return teams.filter(({ label, team }) => {
-        // Filter: Element (at least 2 units with selected element)
-        if (filters.elements.length > 0) {
-            const hasMatchingElement = filters.elements.some(element => {
-                const count = team.filter(u => u.tags.includes(element)).length;
-                return count >= 2;
-            });
-            if (!hasMatchingElement) return false;
-        }
-        
-        // Filter: DPS Role (at least one unit with selected role)
-        if (filters.dpsRoles.length > 0) {
-            const hasDpsRole = team.some(u => 
-                filters.dpsRoles.some(role => u.tags.includes(role))
-            );
-            if (!hasDpsRole) return false;
-        }
-        
-        // Filter: Minimum S-Ranks
-        if (filters.minSRank > 0) {
-            const sRankCount = team.filter(u => u.rank === 'S').length;
-            if (sRankCount < filters.minSRank) return false;
-        }
-        
-        // Filter: Maximum Tier
-        if (filters.maxTier < 99) {
-            const hasHighTier = team.some(u => u.tier > filters.maxTier);
-            if (hasHighTier) return false;
-        }
-        
-        // Filter: Must Include (at least one of the selected units)
-        if (filters.mustInclude.length > 0) {
-            const hasRequiredUnit = team.some(u => 
-                filters.mustInclude.includes(u.id)
-            );
-            if (!hasRequiredUnit) return false;
-        }
-        
-        // Filter: Exclude (none of the excluded units)
-        if (filters.exclude.length > 0) {
-            const hasExcludedUnit = team.some(u => 
-                filters.exclude.includes(u.id)
-            );
-            if (hasExcludedUnit) return false;
-        }
-        
-        return true;
-    });
-}
-
-function selectBestTeams(teams, availableUnits) {
-    if (teams.length === 0) return [];
-    
-    // Determine available elements and DPS types based on filters and roster
-    const availableElements = getAvailableElements(availableUnits);
-    const availableDpsTypes = getAvailableDpsTypes(availableUnits);
-    
-    // Use a neutral boss for global scoring (no element bias)
-    const neutralBoss = {
-        name: 'neutral',
-        weaknesses: [],
-        resistances: [],
-        shill: null,
-        anti: [],
-        favored: [],
-        assists: 0
-    };
-    
-    // Step 1: Score all teams globally with consistent scoring
-    const scoredTeams = teams.map(({ label, team }) => {
-        const score = scoreTeamForBoss(team, neutralBoss, { lenient: true });
-        return { label, team, score };
-    }).filter(t => t.score > 0)
-      .sort((a, b) => b.score - a.score);
-    
-    // Step 2: Build grid by finding highest-ranked teams for each archetype
-    const grid = {};
-    const usedTeams = new Set(); // Track which teams are already in the grid
-    
-    for (const element of availableElements) {
-        grid[element] = {};
-        for (const dpsType of availableDpsTypes) {
-            grid[element][dpsType] = []; // Array to hold multiple teams
-        }
-    }
-    
-    // Helper to count how many units in a team have a specific element
-    const countUnitsWithElement = (team, element) => {
-        return team.filter(u => u.tags.includes(element)).length;
-    };
-    
-    // Helper to check if anomaly team has preferred role pairing
-    const hasPreferredAnomalyPairing = (team, element) => {
-        const anomalyUnits = team.filter(u => u.tags.includes('anomaly'));
-        const onElementAnomaly = anomalyUnits.find(u => u.tags.includes(element));
-        
-        const supportUnits = team.filter(u => u.tags.includes('support'));
-        const hasOnElementSupport = supportUnits.some(u => u.tags.includes(element));
-        
-        return onElementAnomaly && hasOnElementSupport;
-    };
-    
-    // Helper to score anomaly teams for special cases (dual anomaly, subdps)
-    const scoreAnomalyTeamSpecial = (team, element) => {
-        const anomalyUnits = team.filter(u => u.tags.includes('anomaly'));
-        
-        // Check if we have 2 different-element anomaly agents
-        const anomalyElements = new Set(anomalyUnits.map(u => getElement(u)));
-        const hasDualAnomaly = anomalyUnits.length >= 2 && anomalyElements.size >= 2;
-        
-        // Check if on-element anomaly is NOT a subdps
-        const onElementAnomaly = anomalyUnits.find(u => u.tags.includes(element));
-        const onElementIsMainDPS = onElementAnomaly && !onElementAnomaly.synergy?.tags?.includes('subdps');
-        
-        // Scoring (higher is better):
-        // 1000 points for dual anomaly
-        // 100 points for on-element being main DPS (not subdps)
-        let score = 0;
-        if (hasDualAnomaly) score += 1000;
-        if (onElementIsMainDPS) score += 100;
-        
-        return score;
-    };
-    
-    // Helper to check if attack/rupture team has preferred role pairing
-    const hasPreferredAttackRupturePairing = (team, element) => {
-        // Find DPS and stun units
-        const dpsUnits = team.filter(u => u.tags.includes('attack') || u.tags.includes('rupture'));
-        const stunUnits = team.filter(u => u.tags.includes('stun'));
-        
-        // Check if DPS + stun both match the element
-        const hasOnElementDPS = dpsUnits.some(u => u.tags.includes(element));
-        const hasOnElementStun = stunUnits.some(u => u.tags.includes(element));
-        return hasOnElementDPS && hasOnElementStun;
-    };
-    
-    // First pass: Prefer teams with 2+ units matching the archetype's element
-    // For anomaly archetypes, use special scoring that prioritizes dual-anomaly compositions
-    for (const element of availableElements) {
-        for (const dpsType of availableDpsTypes) {
-            // Get all teams that match this archetype
-            const matchingTeams = scoredTeams
-                .filter(teamData => !usedTeams.has(teamData.label))
-                .filter(teamData => teamHasMatchingDPS(teamData.team, element, dpsType));
-            
-            if (matchingTeams.length === 0) continue;
-            
-            let rankedTeams = [];
-            
-            if (dpsType === 'anomaly') {
-                // Special handling for anomaly: prioritize DPS + support matching element
-                // Then sort by global team score, with special scoring for dual anomaly as final tiebreaker
-                rankedTeams = matchingTeams
-                    .map(teamData => ({
-                        ...teamData,
-                        hasPreferredPairing: hasPreferredAnomalyPairing(teamData.team, element),
-                        anomalySpecialScore: scoreAnomalyTeamSpecial(teamData.team, element)
-                    }))
-                    .sort((a, b) => {
-                        // Primary: has preferred pairing (DPS + support)
-                        if (a.hasPreferredPairing !== b.hasPreferredPairing) {
-                            return b.hasPreferredPairing - a.hasPreferredPairing;
-                        }
-                        // Secondary: global team score
-                        if (a.score !== b.score) {
-                            return b.score - a.score;
-                        }
-                        // Tertiary: special anomaly scoring (dual anomaly, subdps handling)
-                        return b.anomalySpecialScore - a.anomalySpecialScore;
-                    });
-            } else {
-                // For attack/rupture: prioritize DPS + stun matching element
-                // Then sort by global team score
-                rankedTeams = matchingTeams
-                    .map(teamData => ({
-                        ...teamData,
-                        hasPreferredPairing: hasPreferredAttackRupturePairing(teamData.team, element)
-                    }))
-                    .sort((a, b) => {
-                        // Primary: has preferred pairing (DPS + stun)
-                        if (a.hasPreferredPairing !== b.hasPreferredPairing) {
-                            return b.hasPreferredPairing - a.hasPreferredPairing;
-                        }
-                        // Secondary: global team score (this ensures Koleda/Komano/Lucia beats Koleda/Komano/Lucy)
-                        return b.score - a.score;
-                    });
-            }
-            
-            // Take up to teamsPerArchetype teams for this archetype
-            const teamsToAdd = rankedTeams.slice(0, filters.teamsPerArchetype);
-            
-            for (const teamData of teamsToAdd) {
-                grid[element][dpsType].push({
-                    ...teamData,
-                    element,
-                    dpsType
-                });
-                usedTeams.add(teamData.label);
-            }
-        }
-    }
-    
-    // Second pass: Fill remaining empty archetypes (or add more teams to archetypes below limit)
-    for (const teamData of scoredTeams) {
-        if (usedTeams.has(teamData.label)) continue;
-        
-        // Find an archetype that still needs teams
-        let assigned = false;
-        for (const element of availableElements) {
-            for (const dpsType of availableDpsTypes) {
-                // Check if this archetype needs more teams
-                if (grid[element][dpsType].length >= filters.teamsPerArchetype) continue;
-                
-                // Check if team matches this archetype's criteria
-                if (teamHasMatchingDPS(teamData.team, element, dpsType)) {
-                    grid[element][dpsType].push({
-                        ...teamData,
-                        element,
-                        dpsType
-                    });
-                    usedTeams.add(teamData.label);
-                    assigned = true;
-                    break;
-                }
-            }
-            if (assigned) break;
-        }
-    }
-    
-    // Step 3: Collect all teams from grid
-    const candidateTeams = new Map(); // label -> teamData
-    
-    for (const element of Object.keys(grid)) {
-        for (const dpsType of Object.keys(grid[element])) {
-            const cellTeams = grid[element][dpsType];
-            for (const teamData of cellTeams) {
-                if (teamData && !candidateTeams.has(teamData.label)) {
-                    candidateTeams.set(teamData.label, teamData);
-                }
-            }
-        }
-    }
-    
-    // Step 4: Ensure minimum team count by adding top teams not yet included
-    let nextTeamIndex = 0;
-    while (candidateTeams.size < MIN_TEAMS_TO_SHOW && nextTeamIndex < scoredTeams.length) {
-        const teamData = scoredTeams[nextTeamIndex];
-        if (!candidateTeams.has(teamData.label)) {
-            // Assign element/dpsType based on team composition
-            const element = getTeamElements(teamData.team)[0];
-            const dpsType = getTeamDpsType(teamData.team);
-            candidateTeams.set(teamData.label, {
-                ...teamData,
-                element,
-                dpsType
-            });
-        }
-        nextTeamIndex++;
-    }
-    
-    // Convert to array and return (already sorted by score)
-    return Array.from(candidateTeams.values());
-}
-
-/**
- * Get DPS type for a unit
- */
-function getDpsTypeForUnit(unit) {
-    if (unit.tags.includes('attack')) return 'attack';
-    if (unit.tags.includes('anomaly')) return 'anomaly';
-    if (unit.tags.includes('rupture')) return 'rupture';
-    return null;
-}
-
-function getAvailableElements(availableUnits) {
-    // Elements available in roster (considering filters)
-    const elements = new Set();
-    
-    // Only consider elements that have DPS units
-    for (const unit of availableUnits) {
-        if (filters.exclude.includes(unit.id)) continue;
-        if (isDPS(unit)) {
-            const element = getElement(unit);
-            if (element) {
-                // If element filter is active, only include those elements
-                if (filters.elements.length === 0 || filters.elements.includes(element)) {
-                    elements.add(element);
-                }
-            }
-        }
-    }
-    
-    return elements;
-}
-
-function getAvailableDpsTypes(availableUnits) {
-    // DPS types available in roster (considering filters)
-    const dpsTypes = new Set();
-    
-    for (const unit of availableUnits) {
-        if (filters.exclude.includes(unit.id)) continue;
-        
-        for (const role of DPS_ROLES) {
-            if (unit.tags.includes(role)) {
-                // If DPS filter is active, only include those types
-                if (filters.dpsRoles.length === 0 || filters.dpsRoles.includes(role)) {
-                    // Attack+Anomaly hybrid counts as attack
-                    if (role === 'anomaly' && unit.tags.includes('attack')) {
-                        dpsTypes.add('attack');
-                    } else {
-                        dpsTypes.add(role);
-                    }
-                }
-            }
-        }
-    }
-    
-    return dpsTypes;
-}
-
-/**
- * Get team element(s) based on DPS units only.
- * Falls back to stun, then support/defense if no DPS.
- */
-function getTeamElements(team) {
-    const elements = [];
-    
-    // Priority 1: DPS units
-    const dpsUnits = team.filter(isDPS);
-    if (dpsUnits.length > 0) {
-        for (const unit of dpsUnits) {
-            const el = getElement(unit);
-            if (el && !elements.includes(el)) {
-                elements.push(el);
-            }
-        }
-        return elements;
-    }
-    
-    // Priority 2: Stun units
-    const stunUnits = team.filter(isStun);
-    if (stunUnits.length > 0) {
-        for (const unit of stunUnits) {
-            const el = getElement(unit);
-            if (el && !elements.includes(el)) {
-                elements.push(el);
-            }
-        }
-        return elements;
-    }
-    
-    // Priority 3: Support/Defense units
-    const supportDefenseUnits = team.filter(u => isSupport(u) || isDefense(u));
-    for (const unit of supportDefenseUnits) {
-        const el = getElement(unit);
-        if (el && !elements.includes(el)) {
-            elements.push(el);
-        }
-    }
-    
-    return elements;
-}
-
-/**
- * Get team DPS type. Attack+Anomaly hybrid = attack.
- */
-function getTeamDpsType(team) {
-    const dpsUnits = team.filter(isDPS);
-    
-    if (dpsUnits.length === 0) return null;
-    
-    const hasAttack = dpsUnits.some(u => u.tags.includes('attack'));
-    const hasAnomaly = dpsUnits.some(u => u.tags.includes('anomaly'));
-    const hasRupture = dpsUnits.some(u => u.tags.includes('rupture'));
-    
-    // Attack+Anomaly hybrid = attack
-    if (hasAttack && hasAnomaly) return 'attack';
-    if (hasAttack) return 'attack';
-    if (hasAnomaly) return 'anomaly';
-    if (hasRupture) return 'rupture';
-    
-    return null;
-}
 
 // ============================================================================
 // RESULTS DISPLAY
@@ -1465,7 +1061,7 @@ function createTeamGrid(teams) {
                 // Show ALL teams in this cell
                 html += '<div class="grid-cell-teams">';
                 for (const teamData of cellTeams) {
-                    html += createTeamCard(teamData.team, true);
+                    html += createTeamCard(teamData.team, true, teamData.joins, teamData.breakdown);
                 }
                 html += '</div>';
             } else {
@@ -1486,7 +1082,7 @@ function capitalizeFirst(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
-function createTeamCard(team, compact = false) {
+function createTeamCard(team, compact = false, joins = null, breakdown = null) {
     const unitsHtml = team.map(unit => createTeamUnitCard(unit)).join('');
     
     // Get badges using new logic (skip badges in compact/grid mode - they're implicit from position)
@@ -1514,6 +1110,8 @@ function createTeamCard(team, compact = false) {
                 ${unitsHtml}
             </div>
             ${badges.length > 0 ? `<div class="team-card-info">${badges.join('')}</div>` : ''}
+            ${joins ? `<div class="team-card-joins">${joins.map(join => `<span>${describeJoin(join)}</span>`).join('')}</div>` : ''}
+            ${breakdown ? `<details class="score-why"><summary>Why this score (${breakdown.at(-1).runningScore})</summary><ol>${breakdown.map(hit => `<li class="${hit.delta < 0 ? 'negative' : 'positive'}"><span class="score-why-delta">${hit.delta > 0 ? '+' : ''}${hit.delta}</span><span>${hit.reason}</span></li>`).join('')}</ol></details>` : ''}
         </div>
     `;
 }
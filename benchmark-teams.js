@@ -0,0 +1,118 @@
+/**
+ * Team Generation Benchmark for Zenless Zone Zero
+ *
+ * Times getTeams() on the full roster and on synthetic rosters several times larger
+ * (every unit cloned under a new name), and checks each result against a brute-force
+ * pass over every pair and trio.
+ *
+ * Usage: node benchmark-teams.js [--scale 4] [--runs 5]
+ *
+ * --scale sets the largest synthetic roster, as a multiple of the full roster.
+ * --runs sets the timed runs per roster (the median is reported).
+ */
+
+async function main() {
+    // Dynamic imports for ES modules
+    const { default: allUnits } = await import('./app/public/data/units.json', { with: { type: 'json' } });
+    const { getTeams, sortTeamByRole, getTeamLabel } = await import('./app/public/lib/team-builder.js');
+
+    // ============================================================================
+    // COMMAND-LINE ARGUMENTS
+    // ============================================================================
+
+    function parseArgs() {
+        const args = process.argv.slice(2);
+        const options = {
+            scale: 4,   // Largest roster, in copies of the full roster
+            runs: 5     // Timed runs per roster
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '--scale' && args[i + 1]) {
+                options.scale = parseInt(args[i + 1], 10);
+                i++;
+            } else if (args[i] === '--runs' && args[i + 1]) {
+                options.runs = parseInt(args[i + 1], 10);
+                i++;
+            }
+        }
+
+        return options;
+    }
+
+    const CLI_OPTIONS = parseArgs();
+
+    // ============================================================================
+    // ROSTERS AND REFERENCE
+    // ============================================================================
+
+    // The full roster repeated `copies` times, each copy under its own names
+    function scaledRoster(copies) {
+        const units = [];
+        for (let copy = 1; copy <= copies; copy++) {
+            for (const unit of allUnits) {
+                units.push({ ...unit, name: copy === 1 ? unit.name : `${unit.name} #${copy}` });
+            }
+        }
+        return units;
+    }
+
+    // Every pair and trio checked directly against the join conditions
+    function bruteForceLabels(units) {
+        const joins = (a, b) => a.join.some(tag => b.tags.includes(tag));
+        const labels = new Set();
+        const n = units.length;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const [a, b] = [units[i], units[j]];
+                if (joins(a, b) && joins(b, a)) labels.add(getTeamLabel(sortTeamByRole([a, b])));
+                for (let k = j + 1; k < n; k++) {
+                    const c = units[k];
+                    if ((joins(a, b) || joins(a, c)) && (joins(b, a) || joins(b, c)) && (joins(c, a) || joins(c, b))) {
+                        labels.add(getTeamLabel(sortTeamByRole([a, b, c])));
+                    }
+                }
+            }
+        }
+        return labels;
+    }
+
+    // Distinct teams the old power-of-two keys (sum of 2 ** index) would have told apart
+    function powerOfTwoKeys(teams) {
+        const keys = new Set();
+        for (const label in teams) {
+            keys.add(teams[label].reduce((sum, unit) => sum + 2 ** unit.numericId, 0));
+        }
+        return keys.size;
+    }
+
+    // ============================================================================
+    // BENCHMARK
+    // ============================================================================
+
+    console.log(`getTeams() over ${CLI_OPTIONS.runs} runs per roster (median)\n`);
+    console.log(`${'Units'.padStart(6)} ${'Pairs'.padStart(8)} ${'Trios'.padStart(9)} ${'Time'.padStart(10)}   Brute force   Power-of-two keys`);
+
+    for (let copies = 1; copies <= CLI_OPTIONS.scale; copies *= 2) {
+        const units = scaledRoster(copies);
+        const times = [];
+        let teams = null;
+        for (let run = 0; run < CLI_OPTIONS.runs; run++) {
+            const start = process.hrtime.bigint();
+            teams = getTeams(units);
+            times.push(Number(process.hrtime.bigint() - start) / 1e6);
+        }
+        times.sort((a, b) => a - b);
+        const median = times[Math.floor(times.length / 2)];
+
+        const labels = Object.keys(teams);
+        const pairs = labels.filter(label => teams[label].length === 2).length;
+        const reference = bruteForceLabels(units);
+        const matches = reference.size === labels.length && labels.every(label => reference.has(label));
+        const keys = powerOfTwoKeys(teams);
+
+        console.log(`${units.length.toString().padStart(6)} ${pairs.toString().padStart(8)} ${(labels.length - pairs).toString().padStart(9)} ${`${median.toFixed(1)} ms`.padStart(10)}   ${(matches ? 'match' : 'MISMATCH').padEnd(11)}   ${keys === labels.length ? 'all distinct' : `${labels.length - keys} collisions`}`);
+    }
+}
+
+main().catch(console.error);
@@ -3,6 +3,10 @@
  * 
  * Generates optimal team allocations for 3 DA bosses,
  * ensuring no unit overlap and matching teams to boss requirements.
+ *
+ * Usage: node deadly-assault.js [--debug] [--rules <file>]
+ *
+ * --rules scores with another rule set than app/public/data/scoring-rules.json.
  */
 
 async function main() {
@@ -10,6 +14,7 @@ async function main() {
     const { default: allUnits } = await import('./app/public/data/units.json', { with: { type: 'json' } });
     const { default: bosses } = await import('./app/public/data/bosses.json', { with: { type: 'json' } });
     const { default: myRoster } = await import('./roster.json', { with: { type: 'json' } });
+    const { default: defaultRules } = await import('./app/public/data/scoring-rules.json', { with: { type: 'json' } });
     const { 
         getTeams, 
         sortTeamByRole, 
@@ -18,7 +23,7 @@ async function main() {
         extendTeamsWithUniversalUnits,
         findExclusiveCombinations
     } = await import('./app/public/lib/team-builder.js');
-    const { scoreTeamForBoss } = await import('./app/public/lib/team-scorer.js');
+    const { scoreTeamForBoss, compileRuleSet } = await import('./app/public/lib/team-scorer.js');
 
     // ============================================================================
     // CONFIGURATION - Modify these values as needed
@@ -47,6 +52,11 @@ async function main() {
     const DEBUG_MATCHUPS_CONFIG = false;
     const DEBUG_MATCHUPS = DEBUG_MATCHUPS_CONFIG || process.argv.includes('--debug');
 
+    // Scoring rule file (default: app/public/data/scoring-rules.json)
+    // Can be set via command line: node deadly-assault.js --rules my-rules.json
+    const rulesIndex = process.argv.indexOf('--rules');
+    const RULES_FILE = rulesIndex !== -1 ? process.argv[rulesIndex + 1] : null;
+
     // Units to exclude from consideration (not good enough to include)
     const EXCLUDED_UNITS = [
         // "Anby",
@@ -311,6 +321,13 @@ async function main() {
 
     console.log("===== Deadly Assault Team Builder =====\n");
     
+    let rules = defaultRules;
+    if (RULES_FILE) {
+        const fs = await import('fs');
+        rules = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+        console.log(`Scoring rules: ${compileRuleSet(rules).name} (${RULES_FILE})\n`);
+    }
+    
     // Validate selected bosses
     const selectedBossObjects = [];
     for (const bossName of SELECTED_BOSSES) {
@@ -405,7 +422,7 @@ async function main() {
         // First pass: normal scoring
         for (const label of teamLabels) {
             const team = threeCharTeams[label];
-            const score = scoreTeamForBoss(team, boss);
+            const score = scoreTeamForBoss(team, boss, { rules });
             
             if (score > 0) {
                 viableTeamsByBoss[boss.name].push({ label, team, score });
@@ -417,7 +434,7 @@ async function main() {
             lenientBosses.push(boss.name);
             for (const label of teamLabels) {
                 const team = threeCharTeams[label];
-                const score = scoreTeamForBoss(team, boss, { lenient: true });
+                const score = scoreTeamForBoss(team, boss, { rules, lenient: true });
                 
                 if (score > 0) {
                     viableTeamsByBoss[boss.name].push({ label, team, score, lenient: true });
@@ -19,25 +19,12 @@ const MAINSTATS = [
     ["ATK %", "HP %", "DEF %", "Anomaly Mastery", "Impact", "Energy Regen"]
 ];
 
+// Shared seedable generator, loaded in main() (crypto-backed unless --seed is given)
+let randomInt = null;
+let rng = undefined;
+
 function random(until) {
-  if (until <= 0 || !Number.isInteger(until)) {
-    throw new Error('until must be a positive integer');
-  } 
-  const bitsNeeded = Math.ceil(Math.log2(until));
-  const bytesNeeded = Math.ceil(bitsNeeded / 8);
-  const maxValue = 2 ** bitsNeeded;
-  const threshold = maxValue - (maxValue % until);
-  let value;
-  do {
-    const randomBytes = new Uint8Array(bytesNeeded);
-    crypto.getRandomValues(randomBytes);
-    value = 0;
-    for (let i = 0; i < bytesNeeded; i++) {
-      value = (value << 8) | randomBytes[i];
-    }
-    value = value & (maxValue - 1);
-  } while (value >= threshold);
-  return value % until;
+    return randomInt(until, rng);
 }
 
 function generateDisc(slot) {
@@ -191,16 +178,31 @@ function toString(disc) {
 }
 
 
-const profile = [ //YSG
-    { main: ["ATK"], substats: ["ATK %", "Crit Rate","Crit Damage"]},
-    { main: ["HP"], substats: ["ATK %", "Crit Rate","Crit Damage"]},
-    { main: ["DEF"], substats: ["ATK %", "Crit Rate","Crit Damage"]},
-    { main: ["Crit Damage"], substats: ["ATK %", "Crit Rate"]},
-    { main: ["ATK %","Physical Damage"], substats: ["ATK %",  "Crit Rate", "Crit Damage"]}, 
-    { main: ["ATK %"], substats: ["Crit Rate","Crit Damage"]}
-];
-const discs = generateDiscs(400);
-let best = findBestSet(profile, discs);
-let score = discSetScore(profile, best);
-console.info(`Substat Rolls: ${score.rolls}`);
-best.forEach(disc => console.info(toString(disc)));
\ No newline at end of file
+async function main() {
+    const randomLib = await import('./app/public/lib/random.js');
+    randomInt = randomLib.randomInt;
+
+    // Usage: node discs.js [--seed <value>]
+    const args = process.argv.slice(2);
+    const seedIndex = args.indexOf('--seed');
+    if (seedIndex >= 0 && args[seedIndex + 1]) {
+        rng = randomLib.createRandom(args[seedIndex + 1]);
+        console.info(`Seed: ${rng.seed}`);
+    }
+
+    const profile = [ //YSG
+        { main: ["ATK"], substats: ["ATK %", "Crit Rate","Crit Damage"]},
+        { main: ["HP"], substats: ["ATK %", "Crit Rate","Crit Damage"]},
+        { main: ["DEF"], substats: ["ATK %", "Crit Rate","Crit Damage"]},
+        { main: ["Crit Damage"], substats: ["ATK %", "Crit Rate"]},
+        { main: ["ATK %","Physical Damage"], substats: ["ATK %",  "Crit Rate", "Crit Damage"]}, 
+        { main: ["ATK %"], substats: ["Crit Rate","Crit Damage"]}
+    ];
+    const discs = generateDiscs(400);
+    let best = findBestSet(profile, discs);
+    let score = discSetScore(profile, best);
+    console.info(`Substat Rolls: ${score.rolls}`);
+    best.forEach(disc => console.info(toString(disc)));
+}
+
+main().catch(console.error);
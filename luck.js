@@ -0,0 +1,92 @@
+/**
+ * Luck report from a personal pull history
+ * Compares what each S-rank cost against the gacha model (see pulled.js for what you own)
+ *
+ * Usage: node luck.js <export.csv|export.json> [--seed <value>] [--iterations <n>]
+ */
+
+async function main() {
+    const fs = await import('fs');
+    const { parsePullHistory } = await import('./app/public/lib/pull-history.js');
+    const { analyzeLuck } = await import('./app/public/lib/luck-report.js');
+
+    // ============================================================================
+    // COMMAND-LINE ARGUMENTS
+    // ============================================================================
+
+    function parseArgs() {
+        const args = process.argv.slice(2);
+        const options = {
+            file: null,                 // Pull-history export (CSV or JSON)
+            seed: null,                 // Seed for reproducible simulated histories
+            iterations: undefined       // Simulated players (default: LUCK_SIMULATIONS)
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '--seed' && args[i + 1]) {
+                options.seed = args[i + 1];
+                i++;
+            } else if (args[i] === '--iterations' && args[i + 1]) {
+                options.iterations = parseInt(args[i + 1]);
+                i++;
+            } else if (!args[i].startsWith('--')) {
+                options.file = args[i];
+            }
+        }
+
+        return options;
+    }
+
+    const CLI_OPTIONS = parseArgs();
+    if (!CLI_OPTIONS.file) {
+        console.error('Usage: node luck.js <export.csv|export.json> [--seed <value>] [--iterations <n>]');
+        process.exit(1);
+    }
+
+    // ============================================================================
+    // ANALYSIS
+    // ============================================================================
+
+    const { default: units } = await import('./app/public/data/units.json', { with: { type: 'json' } });
+    const pulls = parsePullHistory(fs.readFileSync(CLI_OPTIONS.file, 'utf8'));
+    const report = analyzeLuck(pulls, {
+        standardAgents: units.filter(u => u.rank === 'S' && !u.limited).map(u => u.name),
+        seed: CLI_OPTIONS.seed,
+        iterations: CLI_OPTIONS.iterations
+    });
+
+    // ============================================================================
+    // OUTPUT RESULTS
+    // ============================================================================
+
+    const BANNER_NAMES = { agent: "Exclusive Channel", engine: "W-Engine Channel", standard: "Stable Channel", bangboo: "Bangboo Channel" };
+    const pct = (value) => `${value.toFixed(0).padStart(3)}%`;
+
+    for (const [banner, stats] of Object.entries(report.banners)) {
+        console.log(`\n${BANNER_NAMES[banner]}: ${stats.pulls} pulls, ${stats.sRanks.length} S-rank, ${stats.pity} pity`);
+        if (stats.avgPerS !== null) {
+            console.log(`    Pulls per S-rank  : ${stats.avgPerS.toFixed(1)} (expected ${stats.expectedPerS.toFixed(1)})`);
+        }
+        if (stats.fiftyFifty && stats.fiftyFifty.played > 0) {
+            const { played, won, expected } = stats.fiftyFifty;
+            console.log(`    Featured odds won : ${won}/${played} = ${(won / played * 100).toFixed(0)}% (expected ${(expected * 100).toFixed(0)}%)`);
+        }
+        console.log(`    Items obtained    : ${stats.items} (expected ${stats.expected.toFixed(2)}) - luckier than ${pct(stats.percentile)} of players`);
+        for (const s of stats.sRanks) {
+            const note = s.guaranteed ? ' (guaranteed)' : s.featured ? '' : ' (lost 50/50)';
+            console.log(`        ${s.item.padEnd(22)} : ${s.pulls.toString().padStart(3)} pulls - ${pct(s.percentile)}${note}`);
+        }
+    }
+
+    if (report.acquisitions.length > 0) {
+        console.log(`\nFeatured S-rank cost (pulls since the previous featured S-rank, including lost 50/50s):`);
+        for (const a of report.acquisitions) {
+            console.log(`    ${a.item.padEnd(22)} : ${a.pulls.toString().padStart(3)} pulls - luckier than ${pct(a.percentile)}`);
+        }
+    }
+
+    const { items, expected, percentile } = report.luck;
+    console.log(`\nOverall luck score: ${percentile.toFixed(0)} / 100 (${items} items vs ${expected.toFixed(2)} expected, ${report.iterations} simulated players)`);
+}
+
+main().catch(console.error);
@@ -3,6 +3,12 @@
  * 
  * Shows the top teams for EVERY boss, allowing verification of 
  * team ranking algorithm across all matchups at once.
+ *
+ * Usage: node matchups.js [--filter <boss>] [--depth 7] [--explain] [--why] [--rules <file>]
+ *
+ * --explain lists under each team why each member may join it.
+ * --why lists under each team every scoring rule that applied, in order, with its delta.
+ * --rules scores with another rule set than app/public/data/scoring-rules.json.
  */
 
 async function main() {
@@ -10,8 +16,9 @@ async function main() {
     const { default: allUnits } = await import('./app/public/data/units.json', { with: { type: 'json' } });
     const { default: bosses } = await import('./app/public/data/bosses.json', { with: { type: 'json' } });
     const { default: myRoster } = await import('./roster.json', { with: { type: 'json' } });
-    const { getTeams, sortTeamByRole, getTeamLabel, extendTeamsWithUniversalUnits } = await import('./app/public/lib/team-builder.js');
-    const { scoreTeamForBoss } = await import('./app/public/lib/team-scorer.js');
+    const { default: defaultRules } = await import('./app/public/data/scoring-rules.json', { with: { type: 'json' } });
+    const { getTeams, sortTeamByRole, getTeamLabel, extendTeamsWithUniversalUnits, describeJoin } = await import('./app/public/lib/team-builder.js');
+    const { scoreTeamForBoss, describeRuleHit, compileRuleSet } = await import('./app/public/lib/team-scorer.js');
 
     // ============================================================================
     // BUILD ROSTERS
@@ -31,7 +38,10 @@ async function main() {
         const args = process.argv.slice(2);
         const options = {
             filter: null,   // Case-insensitive boss name filter (contains match)
-            depth: 7        // Number of top teams to display per boss
+            depth: 7,       // Number of top teams to display per boss
+            explain: false, // Show why each member may join each team
+            why: false,     // Show the scoring rules behind each team's score
+            rules: null     // Scoring rule file (default: app/public/data/scoring-rules.json)
         };
         
         for (let i = 0; i < args.length; i++) {
@@ -41,6 +51,13 @@ async function main() {
             } else if (args[i] === '--depth' && args[i + 1]) {
                 options.depth = parseInt(args[i + 1], 10);
                 i++;
+            } else if (args[i] === '--explain') {
+                options.explain = true;
+            } else if (args[i] === '--why') {
+                options.why = true;
+            } else if (args[i] === '--rules' && args[i + 1]) {
+                options.rules = args[i + 1];
+                i++;
             }
         }
         
@@ -92,6 +109,13 @@ async function main() {
     console.log("===== Team Matchups - All Bosses =====\n");
     console.log(`Full roster: ${fullRoster.length} characters\n`);
     
+    let rules = defaultRules;
+    if (CLI_OPTIONS.rules) {
+        const fs = await import('fs');
+        rules = JSON.parse(fs.readFileSync(CLI_OPTIONS.rules, 'utf8'));
+        console.log(`Scoring rules: ${compileRuleSet(rules).name} (${CLI_OPTIONS.rules})\n`);
+    }
+    
     // Filter units based on whitelist (if specified) and blacklist
     let availableUnits = fullRoster;
     
@@ -163,13 +187,14 @@ async function main() {
         console.log(boss.name);
         console.log(`  Weak: ${weakStr} | Resist: ${resistStr} | Shill: ${shillStr} | Anti: ${antiStr} | Assists: ${boss.assists}`);
         
-        // Score all teams for this boss
+        // Score all teams for this boss (with --why, keeping each team's rule hits)
         const viableTeams = [];
         for (const label of teamLabels) {
             const team = threeCharTeams[label];
-            const score = scoreTeamForBoss(team, boss);
+            const scored = scoreTeamForBoss(team, boss, { rules, breakdown: CLI_OPTIONS.why });
+            const { score, breakdown } = CLI_OPTIONS.why ? scored : { score: scored };
             if (score > 0) {
-                viableTeams.push({ label, team, score });
+                viableTeams.push({ label, team, score, breakdown });
             }
         }
         
@@ -182,6 +207,12 @@ async function main() {
         const topTeams = viableTeams.slice(0, TOP_TEAMS_PER_BOSS);
         topTeams.forEach((t, i) => {
             console.log(`    #${i + 1}: ${t.label} (${t.score.toFixed(1)})`);
+            if (CLI_OPTIONS.explain) {
+                t.team.joins.forEach(join => console.log(`          ${describeJoin(join)}`));
+            }
+            if (CLI_OPTIONS.why) {
+                t.breakdown.forEach(hit => console.log(`          ${describeRuleHit(hit)}`));
+            }
         });
         
         console.log();
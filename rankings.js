@@ -0,0 +1,313 @@
+/**
+ * Team Ranking Snapshots for Zenless Zone Zero
+ *
+ * Ranks the top teams for every boss, plus the neutral boss the team builder page scores
+ * with, on the full roster and a few fixed sample rosters, and compares each ranking with
+ * the snapshot committed under snapshots/rankings/. Every rank movement and score change
+ * is listed; the exit code is 1 when anything differs from the snapshots.
+ *
+ * Usage: node rankings.js [--accept] [--roster <name>] [--depth 10] [--rules <file>]
+ *
+ * --accept overwrites the snapshots with the current rankings once the changes are intended.
+ * --roster limits the run to one roster (full, standard, launch, anomaly).
+ * --depth sets the teams per boss an accepted snapshot keeps (comparisons use the snapshot's own).
+ * --rules scores with another rule set than app/public/data/scoring-rules.json.
+ */
+
+async function main() {
+    // Dynamic imports for ES modules
+    const fs = await import('fs');
+    const path = await import('path');
+    const { default: allUnits } = await import('./app/public/data/units.json', { with: { type: 'json' } });
+    const { default: bosses } = await import('./app/public/data/bosses.json', { with: { type: 'json' } });
+    const { default: defaultRules } = await import('./app/public/data/scoring-rules.json', { with: { type: 'json' } });
+    const { getTeams, extendTeamsWithUniversalUnits } = await import('./app/public/lib/team-builder.js');
+    const { scoreTeamForBoss, compileRuleSet, DEFAULT_SCORING_RULES } = await import('./app/public/lib/team-scorer.js');
+
+    // ============================================================================
+    // COMMAND-LINE ARGUMENTS
+    // ============================================================================
+
+    function parseArgs() {
+        const args = process.argv.slice(2);
+        const options = {
+            accept: false,  // Write the current rankings as the new snapshots
+            roster: null,   // Only this sample roster (default: all of them)
+            depth: 10,      // Teams per boss kept in an accepted snapshot
+            rules: null     // Scoring rule file (default: app/public/data/scoring-rules.json)
+        };
+
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '--accept') {
+                options.accept = true;
+            } else if (args[i] === '--roster' && args[i + 1]) {
+                options.roster = args[i + 1];
+                i++;
+            } else if (args[i] === '--depth' && args[i + 1]) {
+                options.depth = parseInt(args[i + 1], 10);
+                i++;
+            } else if (args[i] === '--rules' && args[i + 1]) {
+                options.rules = args[i + 1];
+                i++;
+            }
+        }
+
+        return options;
+    }
+
+    const CLI_OPTIONS = parseArgs();
+
+    // ============================================================================
+    // CONFIGURATION
+    // ============================================================================
+
+    const SNAPSHOT_DIR = path.join(__dirname, 'snapshots', 'rankings');
+    const SNAPSHOT_VERSION = 1;
+
+    // Fixed unit lists, so a new units.json entry only moves the full roster's rankings.
+    // standard is what a new account owns (A-ranks and standard S-ranks, the pages' default roster);
+    // launch and anomaly add the limited S-ranks a player of that era or focus would have.
+    const ROSTERS = {
+        full: allUnits.map(u => u.name),
+        standard: [
+            "Anby", "Anton", "Ben", "Billy", "Corin", "Grace", "Koleda", "Komano", "Lucy", "Lycaon",
+            "Nekomata", "Nicole", "Pan Yinhu", "Piper", "Pulchra", "Rina", "Seth", "Soldier 11", "Soukaku"
+        ],
+        launch: [
+            "Anby", "Anton", "Ben", "Billy", "Corin", "Grace", "Koleda", "Lucy", "Lycaon", "Nekomata",
+            "Nicole", "Piper", "Rina", "Soldier 11", "Soukaku", "Ellen", "Zhu Yuan", "Jane Doe", "Qingyi", "Seth"
+        ],
+        anomaly: [
+            "Anby", "Ben", "Grace", "Koleda", "Lucy", "Lycaon", "Nicole", "Piper", "Pulchra", "Rina",
+            "Soukaku", "Miyabi", "Yanagi", "Burnice", "Vivian", "Astra", "Yuzuha", "Seth"
+        ]
+    };
+
+    // Universal units: can join any 2-person team, as they do by default on the pages
+    const UNIVERSAL_UNITS = ["Nicole"];
+
+    // Neutral boss, scored leniently as the team builder page does (see team-grid.js)
+    const NEUTRAL_BOSS = {
+        name: 'neutral',
+        weaknesses: [],
+        resistances: [],
+        shill: null,
+        anti: [],
+        favored: [],
+        assists: 0
+    };
+
+    // ============================================================================
+    // RANKINGS
+    // ============================================================================
+
+    // Snapshot scores keep two decimals so float noise never reads as a change
+    const roundScore = score => Math.round(score * 100) / 100;
+
+    // Every 3-person team on the roster, universal units filling in 2-person teams
+    function buildTeams(units) {
+        const twoCharTeams = {};
+        const threeCharTeams = {};
+        const allTeams = getTeams(units);
+        for (const label in allTeams) {
+            (allTeams[label].length === 2 ? twoCharTeams : threeCharTeams)[label] = allTeams[label];
+        }
+        const universal = units.filter(u => UNIVERSAL_UNITS.includes(u.name));
+        if (universal.length > 0) extendTeamsWithUniversalUnits(twoCharTeams, threeCharTeams, universal);
+        return threeCharTeams;
+    }
+
+    // All viable teams for a boss, best first (ties by label, so rankings are stable)
+    function rankTeams(teams, boss, lenient) {
+        const ranked = [];
+        for (const label in teams) {
+            const score = roundScore(scoreTeamForBoss(teams[label], boss, { rules, lenient }));
+            if (score > 0) ranked.push({ team: label, score });
+        }
+        return ranked.sort((a, b) => b.score - a.score || a.team.localeCompare(b.team));
+    }
+
+    // Full rankings per boss name, neutral boss last
+    function rankRoster(unitNames) {
+        const teams = buildTeams(allUnits.filter(u => unitNames.includes(u.name)));
+        const rankings = {};
+        for (const boss of bosses) rankings[boss.name] = rankTeams(teams, boss, false);
+        rankings[NEUTRAL_BOSS.name] = rankTeams(teams, NEUTRAL_BOSS, true);
+        return rankings;
+    }
+
+    // ============================================================================
+    // COMPARISON
+    // ============================================================================
+
+    const formatScore = score => score.toFixed(1);
+    const formatDelta = delta => `${delta > 0 ? '+' : ''}${roundScore(delta)}`;
+
+    /**
+     * Readable differences between a snapshot's top teams and the current full ranking
+     * @param {Array} snapshotTop - The snapshot's top teams ({ team, score }), best first
+     * @param {Array} ranked - Every viable team now, best first
+     * @param {number} depth - Teams per boss the snapshot keeps
+     * @returns {Array} Lines, empty when the top teams and their scores are unchanged
+     */
+    function compareRanking(snapshotTop, ranked, depth) {
+        const lines = [];
+        const currentTop = ranked.slice(0, depth);
+        const before = new Map(snapshotTop.map((entry, index) => [entry.team, { rank: index + 1, score: entry.score }]));
+        const now = new Map(ranked.map((entry, index) => [entry.team, { rank: index + 1, score: entry.score }]));
+
+        currentTop.forEach((entry, index) => {
+            const rank = index + 1;
+            const old = before.get(entry.team);
+            if (!old) {
+                lines.push(`+ #${rank} ${entry.team} (${formatScore(entry.score)}), new in the top ${depth}`);
+            } else if (old.rank !== rank || old.score !== entry.score) {
+                const move = old.rank === rank ? `= #${rank}` : `${rank < old.rank ? '↑' : '↓'} #${old.rank} → #${rank}`;
+                const scoreNote = old.score === entry.score
+                    ? formatScore(entry.score)
+                    : `${formatScore(old.score)} → ${formatScore(entry.score)}, ${formatDelta(entry.score - old.score)}`;
+                lines.push(`${move} ${entry.team} (${scoreNote})`);
+            }
+        });
+
+        snapshotTop.forEach((entry, index) => {
+            if (currentTop.some(current => current.team === entry.team)) return;
+            const current = now.get(entry.team);
+            const where = current
+                ? `now #${current.rank}, ${formatScore(entry.score)} → ${formatScore(current.score)}, ${formatDelta(current.score - entry.score)}`
+                : `no longer viable, was ${formatScore(entry.score)}`;
+            lines.push(`- #${index + 1} ${entry.team} (${where})`);
+        });
+
+        return lines;
+    }
+
+    function snapshotPath(rosterName) {
+        return path.join(SNAPSHOT_DIR, `${rosterName}.json`);
+    }
+
+    function readSnapshot(rosterName) {
+        const file = snapshotPath(rosterName);
+        if (!fs.existsSync(file)) return null;
+        const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`${file}: snapshot version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`);
+        }
+        return snapshot;
+    }
+
+    function writeSnapshot(rosterName, unitNames, rankings) {
+        const snapshot = {
+            version: SNAPSHOT_VERSION,
+            roster: rosterName,
+            rules: compiledRules.name,
+            depth: CLI_OPTIONS.depth,
+            units: [...unitNames].sort(),
+            bosses: Object.fromEntries(Object.entries(rankings).map(([boss, ranked]) => [boss, ranked.slice(0, CLI_OPTIONS.depth)]))
+        };
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(snapshotPath(rosterName), JSON.stringify(snapshot, null, 2) + '\n');
+    }
+
+    // Lines describing how a roster's rankings moved since its snapshot
+    function compareRoster(snapshot, unitNames, rankings) {
+        const lines = [];
+        const added = unitNames.filter(name => !snapshot.units.includes(name));
+        const removed = snapshot.units.filter(name => !unitNames.includes(name));
+        if (added.length > 0) lines.push(`Units added: ${added.join(', ')}`);
+        if (removed.length > 0) lines.push(`Units removed: ${removed.join(', ')}`);
+        if (snapshot.rules !== compiledRules.name) {
+            lines.push(`Scoring rules: snapshot taken with "${snapshot.rules}", now "${compiledRules.name}"`);
+        }
+
+        for (const bossName in rankings) {
+            if (!snapshot.bosses[bossName]) {
+                lines.push(`${bossName}: new boss, not in the snapshot`);
+                continue;
+            }
+            const bossLines = compareRanking(snapshot.bosses[bossName], rankings[bossName], snapshot.depth);
+            if (bossLines.length > 0) {
+                lines.push(bossName);
+                bossLines.forEach(line => lines.push(`  ${line}`));
+            }
+        }
+        for (const bossName in snapshot.bosses) {
+            if (!rankings[bossName]) lines.push(`${bossName}: boss removed since the snapshot`);
+        }
+
+        return lines;
+    }
+
+    // ============================================================================
+    // MAIN EXECUTION
+    // ============================================================================
+
+    // The pages score with the copy of the default rules in lib/scoring-rules.js
+    if (JSON.stringify(defaultRules) !== JSON.stringify(DEFAULT_SCORING_RULES)) {
+        console.error('app/public/lib/scoring-rules.js differs from app/public/data/scoring-rules.json: copy the JSON rules into it');
+        process.exit(1);
+    }
+
+    let rules = defaultRules;
+    if (CLI_OPTIONS.rules) {
+        rules = JSON.parse(fs.readFileSync(CLI_OPTIONS.rules, 'utf8'));
+    }
+    const compiledRules = compileRuleSet(rules);
+
+    const rosterNames = CLI_OPTIONS.roster ? [CLI_OPTIONS.roster] : Object.keys(ROSTERS);
+    const unknown = rosterNames.find(name => !ROSTERS[name]);
+    if (unknown) {
+        console.error(`Unknown roster "${unknown}" (expected one of: ${Object.keys(ROSTERS).join(', ')})`);
+        process.exit(1);
+    }
+
+    console.log("===== Team Ranking Snapshots =====\n");
+    console.log(`Scoring rules: ${compiledRules.name}${CLI_OPTIONS.rules ? ` (${CLI_OPTIONS.rules})` : ''}\n`);
+
+    let changedRosters = 0;
+    for (const rosterName of rosterNames) {
+        const unitNames = ROSTERS[rosterName].filter(name => allUnits.some(u => u.name === name));
+        const missing = ROSTERS[rosterName].filter(name => !unitNames.includes(name));
+        const rankings = rankRoster(unitNames);
+        const heading = `${rosterName} (${unitNames.length} units)`;
+        if (missing.length > 0) console.log(`${heading}: not in units.json: ${missing.join(', ')}`);
+
+        if (CLI_OPTIONS.accept) {
+            writeSnapshot(rosterName, unitNames, rankings);
+            console.log(`${heading}: snapshot written to ${path.relative(process.cwd(), snapshotPath(rosterName))}`);
+            continue;
+        }
+
+        const snapshot = readSnapshot(rosterName);
+        if (!snapshot) {
+            changedRosters++;
+            console.log(`${heading}: no snapshot yet (run with --accept to take one)\n`);
+            continue;
+        }
+
+        const lines = compareRoster(snapshot, unitNames, rankings);
+        if (lines.length === 0) {
+            console.log(`${heading}: matches the snapshot (top ${snapshot.depth} per boss)`);
+        } else {
+            changedRosters++;
+            console.log(`${heading}: differs from the snapshot (top ${snapshot.depth} per boss)`);
+            lines.forEach(line => console.log(`  ${line}`));
+            console.log();
+        }
+    }
+
+    if (!CLI_OPTIONS.accept) {
+        console.log();
+        if (changedRosters === 0) {
+            console.log('All rankings match the snapshots.');
+        } else {
+            console.log(`${changedRosters} of ${rosterNames.length} rosters differ. If the changes are intended, run: node rankings.js --accept`);
+            process.exitCode = 1;
+        }
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
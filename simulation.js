@@ -3,7 +3,29 @@
  * 
  * Uses shared simulation logic from app/public/lib/gacha-core.js
  * 
- * Usage: node simulation.js
+ * Usage: node simulation.js [--engine sampled|exact] [--seed <value>] [--channel limited|standard|bangboo|dual] [--plan]
+ *                            [--until YYYY-MM-DD] [--history <export.csv|export.json>] [--needed]
+ *                            [--order "C, W, C, C, W"] [--optimize] [--cost]
+ *                            [--tolerance <percent>] [--time-budget <seconds>] [--no-refunds]
+ * 
+ * --until budgets with the pulls available by that date (current holdings plus the
+ * projected income configured below) instead of current holdings only.
+ * --history reads pity and guarantees from a pull-history export instead of the values below.
+ * --needed answers the inverse question: pulls needed for 50/75/90/99% and the full curve.
+ * --cost adds what the pulls beyond your holdings cost in real money (pricing configured below).
+ * --order pulls in a custom order ("C, W, C, C, W" or "M2 then W1"), which also sets the target.
+ * --optimize ranks every pull order for the target by the utility configured below.
+ * --tolerance keeps sampling until every outcome's 95% confidence interval is within
+ * ± that many percent (e.g. 0.3), or --time-budget seconds run out (default: 10), instead
+ * of a fixed 100,000 runs.
+ * --no-refunds leaves out Residual Signal refunds (on by default), which the exact engine
+ * cannot model: add it to run --engine exact.
+ * 
+ * --channel dual simulates two limited banners running at once (configured below), which
+ * share pity and guarantees, and reports the joint outcome for both agents.
+ * 
+ * --plan simulates the season plan configured below (several banners in a row, with
+ * pulls, pity and guarantees carried between them) instead of a single banner.
  * 
  * Configure context below to set your pull parameters.
  */
@@ -12,88 +34,461 @@
 async function main() {
     const { 
         SIMULATIONS,
+        ENGINES,
+        TACTICS,
+        BANNER_RULES,
+        createBannerRules,
         toLabel,
+        toAgentLabel,
+        createRefunds,
         toPercentage,
-        runBatchSimulation
+        MILESTONE_PERCENTILES,
+        runDistribution,
+        runPullsNeeded,
+        parsePullOrder,
+        orderTargets,
+        formatPullOrder
     } = await import('./app/public/lib/gacha-core.js');
+    const { UTILITIES, optimizeTactic } = await import('./app/public/lib/tactic-optimizer.js');
+    const { parseDualOrder, formatDualOrder, runDualSimulation } = await import('./app/public/lib/dual-banner.js');
+    const { planIncomes, runPlanSimulation } = await import('./app/public/lib/season-plan.js');
+    const { INCOME_SOURCES, projectIncome, pullsAvailable } = await import('./app/public/lib/income.js');
+    const { parsePullHistory, derivePityState, toContextFields } = await import('./app/public/lib/pull-history.js');
+    const { createPricing, estimateSpend, formatCost } = await import('./app/public/lib/pricing.js');
+
+    // ============================================================================
+    // COMMAND-LINE ARGUMENTS
+    // ============================================================================
+
+    function parseArgs() {
+        const args = process.argv.slice(2);
+        const options = {
+            engine: ENGINES.SAMPLED,    // "sampled" (Monte Carlo) or "exact"
+            seed: null,                 // Seed for a reproducible sampled run
+            channel: "limited",         // "limited", "standard", "bangboo" or "dual"
+            plan: false,                // Simulate the season plan instead
+            until: null,                // Banner end date for the income projection
+            history: null,              // Pull-history export to derive pity from
+            needed: false,              // Report pulls needed instead of the outcome distribution
+            order: null,                // Custom pull order, e.g. "C, W, C, C, W"
+            optimize: false,            // Rank pull orders instead
+            cost: false,                // Also report the real-money cost of the pulls needed
+            tolerance: null,            // Convergence mode: confidence interval half-width, in percent
+            timeBudget: null,           // Convergence mode: seconds before giving up
+            refunds: true               // Model Residual Signal refunds from duplicates
+        };
+        
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '--engine' && args[i + 1]) {
+                options.engine = args[i + 1].toLowerCase();
+                i++;
+            } else if (args[i] === '--seed' && args[i + 1]) {
+                options.seed = args[i + 1];
+                i++;
+            } else if (args[i] === '--channel' && args[i + 1]) {
+                options.channel = args[i + 1].toLowerCase();
+                i++;
+            } else if (args[i] === '--plan') {
+                options.plan = true;
+            } else if (args[i] === '--until' && args[i + 1]) {
+                options.until = args[i + 1];
+                i++;
+            } else if (args[i] === '--history' && args[i + 1]) {
+                options.history = args[i + 1];
+                i++;
+            } else if (args[i] === '--needed') {
+                options.needed = true;
+            } else if (args[i] === '--order' && args[i + 1]) {
+                options.order = args[i + 1];
+                i++;
+            } else if (args[i] === '--optimize') {
+                options.optimize = true;
+            } else if (args[i] === '--cost') {
+                options.needed = true;
+                options.cost = true;
+            } else if (args[i] === '--tolerance' && args[i + 1]) {
+                options.tolerance = parseFloat(args[i + 1]);
+                i++;
+            } else if (args[i] === '--time-budget' && args[i + 1]) {
+                options.timeBudget = parseFloat(args[i + 1]);
+                i++;
+            } else if (args[i] === '--no-refunds') {
+                options.refunds = false;
+            }
+        }
+        
+        return options;
+    }
+
+    const CLI_OPTIONS = parseArgs();
 
     // ============================================================================
     // CONFIGURATION - Edit these values
     // ============================================================================
     
+    const HOLDINGS = { polychrome: 31898, tapes: 37 };  // Held today
+
+    // Income projection (used when an end date is set)
+    const INCOME = {
+        start: new Date(),                  // Income already collected today is in HOLDINGS
+        end: CLI_OPTIONS.until,             // Banner end date, e.g. "2025-03-04"
+        versionStart: new Date(),           // Current version start date (anchors version and endgame resets)
+        sources: INCOME_SOURCES.filter(source => source.enabled)
+            // .concat(INCOME_SOURCES.filter(source => source.id === "monthly-pass"))
+    };
+    const projection = INCOME.end ? projectIncome(INCOME) : null;
+
     let context = {
-        p: Math.floor(31898 / 160) + 37,  // Total pulls (polychrome / 160 + tapes)
+        p: pullsAvailable(HOLDINGS, projection), // Total pulls (polychrome / 160 + tapes)
         c: 3,                               // Target character copies (1 = M0, 7 = M6)
         w: 1,                               // Target W-Engine copies (1 = W1, 5 = W5)
         pity: [10, 19, 4, 3],              // [S-Char, S-Weapon, A-Char, A-Weapon]
-        guarantees: [false]                 // [Char guaranteed, Weapon guaranteed]
+        guarantees: [false],                // [Char guaranteed, Weapon guaranteed]
+        featuredA: [],                      // Featured A-rank agents, e.g. ["Pulchra", "Seth"]
+        aTargets: [],                       // e.g. [{ name: "Pulchra", current: 1, target: 7 }] (copies, 1 = M0)
+        seed: CLI_OPTIONS.seed              // Replays an earlier run when set
     };
 
+    // Pity and guarantees from a pull-history export (--history)
+    let history = null;
+    if (CLI_OPTIONS.history) {
+        const fs = await import('fs');
+        const { default: units } = await import('./app/public/data/units.json', { with: { type: 'json' } });
+        history = derivePityState(parsePullHistory(fs.readFileSync(CLI_OPTIONS.history, 'utf8')), {
+            standardAgents: units.filter(u => u.rank === 'S' && !u.limited).map(u => u.name)
+        });
+        Object.assign(context, toContextFields(history));
+    }
+
+    // Stable Channel (--channel standard): copies of one standard S-rank agent
+    if (CLI_OPTIONS.channel === "standard") {
+        const { default: units } = await import('./app/public/data/units.json', { with: { type: 'json' } });
+        context = {
+            p: pullsAvailable(HOLDINGS, projection), // Total pulls (polychrome / 160 + Master Tapes)
+            c: 1,                               // Target copies (1 = M0, 7 = M6)
+            target: "Grace",                    // Standard S-rank agent to pull for
+            agents: units.filter(u => u.rank === 'S' && !u.limited).map(u => u.name),
+            pity: history ? [history.spity, history.sapity] : [0, 0], // [S-Rank, A-Rank] on the Stable Channel
+            selector: history ? history.standardPulls : 0,  // Stable Channel pulls made towards the selector
+            selectorUsed: false,                // Selector already claimed
+            tactic: TACTICS.STANDARD,
+            seed: CLI_OPTIONS.seed
+        };
+    }
+
+    // Bangboo Channel (--channel bangboo): copies of the featured S-rank Bangboo
+    if (CLI_OPTIONS.channel === "bangboo") {
+        context = {
+            p: 120,                             // Boopons
+            c: 1,                               // Target copies
+            pity: history ? [history.bpity, history.bapity] : [0, 0], // [S-Rank, A-Rank] on the Bangboo Channel
+            tactic: TACTICS.BANGBOO,
+            seed: CLI_OPTIONS.seed
+        };
+    }
+
+    // Banner rules (uncomment to model something other than hard pity only)
+    // context.rules = {
+    //     agent: createBannerRules(BANNER_RULES.LIMITED_AGENT, { softPityStart: 75, softPityIncrement: 0.06 }),
+    //     engine: createBannerRules(BANNER_RULES.LIMITED_ENGINE, { softPityStart: 65, softPityIncrement: 0.07 })
+    // };
+
+    // Dual limited banners (--channel dual): both use the pulls, pity and guarantees above
+    const DUAL = {
+        targets: [
+            { name: "Banner A", c: 1, w: 1 },   // Target copies (1 = M0) and W-Engine copies
+            { name: "Banner B", c: 1, w: 0 }
+        ],
+        order: null                         // e.g. "A, B, AW" (default: banner A's target, then B's)
+    };
+
+    // Custom pull order (--order): the order's last step is the target
+    if (CLI_OPTIONS.order && context.tactic === undefined) {
+        const order = parsePullOrder(CLI_OPTIONS.order);
+        Object.assign(context, orderTargets(order), { tactic: TACTICS.CUSTOM, order });
+    }
+
+    // Optimizer utility (--optimize): chance of at least a milestone, or expected
+    // character copies once the W-Engine milestone is reached
+    const UTILITY = { type: UTILITIES.AT_LEAST, c: 1, w: 1 };
+    // const UTILITY = { type: UTILITIES.EXPECTED_COPIES, w: 1 };
+
+    // Top-up pricing (--cost): pack prices default to MONOCHROME_PACKS in pricing.js
+    const PRICING = createPricing({
+        firstPurchase: true,                // First-purchase double still available on every pack
+        monthlyPasses: 0                    // Inter-Knot Memberships you would still buy before the banner ends
+    });
+
     // Additional pull calculations (uncomment as needed)
-    // context.p += Math.floor(86/3); //v2.4 pulls left in first half (86, but two-thirds done already)
-    // context.p += 15; //v2.4 pulls available in second half
-    // context.p += Math.floor((12588-3206+780)/160) + 18; //v2.5, minus endgame poly, plus monthly pass
+    // context.p += 15; // One-off rewards the income model does not cover
 
     // ============================================================================
     // OPTIONS
     // ============================================================================
     
-    const showStandardWins = context.p >= 300; // Show standard S-rank distribution
+    const isLimited = context.tactic !== TACTICS.STANDARD && context.tactic !== TACTICS.BANGBOO;
+    const showStandardWins = isLimited && context.p >= 300; // Show standard S-rank distribution
     const showDistributionA = false;            // Show A-rank distribution
-    const includeRefunds = context.p > 100;     // Include A-rank refund estimates
+    const showMilestones = true;                // Show the pull number at which each copy arrives
+    const includeRefunds = CLI_OPTIONS.refunds && context.tactic !== TACTICS.BANGBOO; // Residual Signal refunds (Boopons get none)
 
+    // Duplicates refund Residual Signals, exchanged for tapes mid-run (see SIGNAL_RULES);
+    // how many are duplicates depends on the mindscapes in roster.json
     if (includeRefunds) {
-        context.p += Math.floor(context.p 
-            * 0.065); // Assuming 1/10 is guaranteed A-rank, 65% are characters = refund
-            //* 0.031); // Lower-end statistical rate-of-return for M6+ A residual signals
+        const { default: units } = await import('./app/public/data/units.json', { with: { type: 'json' } });
+        const { default: myRoster } = await import('./roster.json', { with: { type: 'json' } });
+        context.refunds = createRefunds(units, myRoster, {
+            unlisted: 0,                        // Copies assumed for agents missing from roster.json
+            featuredA: context.featuredA,       // Featured A-rank agents of this banner (default: any)
+            featuredCopies: 0,                  // Copies of the featured S-rank agent already owned
+            signals: 0                          // Residual Signals held
+        });
     }
 
     // ============================================================================
     // VALIDATION
     // ============================================================================
     
-    //Guaranteed Thresholds: M0W0=180, M0W1=340, M1W1=520, M2W1=700
-    //       75% Thresholds: M0W0=144, M0W1=234, M1W1=349, M2W1=457
+    // Pulls needed for a given confidence: node simulation.js --needed
 
     if (context.c > 7 || context.w > 5) {
         console.warn("Target is above M6W5 maximum");
     }
+    if (!["limited", "standard", "bangboo", "dual"].includes(CLI_OPTIONS.channel)) {
+        console.warn(`Unknown channel "${CLI_OPTIONS.channel}", using limited`);
+    }
+    if (context.tactic === TACTICS.STANDARD && !context.agents.includes(context.target)) {
+        console.warn(`${context.target} is not a standard S-rank agent`);
+    }
+    if (!Object.values(ENGINES).includes(CLI_OPTIONS.engine)) {
+        console.warn(`Unknown engine "${CLI_OPTIONS.engine}", using ${ENGINES.SAMPLED}`);
+        CLI_OPTIONS.engine = ENGINES.SAMPLED;
+    }
+    if (CLI_OPTIONS.engine === ENGINES.EXACT && context.refunds) {
+        console.warn(`The ${ENGINES.EXACT} engine does not model refunds, using ${ENGINES.SAMPLED} (add --no-refunds to run it)`);
+        CLI_OPTIONS.engine = ENGINES.SAMPLED;
+    }
+
+    // ============================================================================
+    // SEASON PLAN (--plan)
+    // ============================================================================
+
+    // Banners in pull order. Each banner gets the income projected up to its end date
+    // (if set) plus extra income; the first also gets HOLDINGS and the pity and
+    // guarantees from the context above.
+    const PLAN = [
+        { name: "Banner 1", end: null, income: 0, c: 1, w: 1 },
+        { name: "Banner 2", end: null, income: 80, c: 1, w: 0 },
+        { name: "Banner 3", end: null, income: 80, c: 1, w: 0 }
+    ];
+
+    if (CLI_OPTIONS.plan) {
+        const incomes = planIncomes(PLAN, HOLDINGS, INCOME);
+        const plan = {
+            phases: PLAN.map((phase, index) => ({ ...phase, income: incomes[index] })),
+            pity: context.pity,
+            guarantees: context.guarantees,
+            seed: context.seed,
+            rules: context.rules,
+            refunds: context.refunds
+        };
+        const planResults = runPlanSimulation(plan);
+        const iterations = planResults.iterations;
+
+        console.log(`\nSeason plan, pulls per banner: ${plan.phases.map(phase => phase.income).join(', ')} ${includeRefunds ? '(plus refunds)' : ''}${context.seed ? ` [seed ${context.seed}]` : ''}`);
+        for (const phase of planResults.phases) {
+            console.log(`    ${phase.label.padEnd(20)} : ${toPercentage(phase.chance, iterations)} (${phase.avgUsed} pulls used, ${phase.avgLeft} left on average)`);
+        }
+
+        console.log(`\nCombinations (all of these / exactly these):`);
+        for (const combination of planResults.combinations) {
+            console.log(`    ${combination.labels.join(' + ').padEnd(50)} : ${toPercentage(combination.all, iterations)} / ${toPercentage(combination.exact, iterations)}`);
+        }
+        console.log(`    ${'No targets'.padEnd(50)} : ${''.padStart(6)} / ${toPercentage(planResults.none, iterations)}`);
+        return;
+    }
+
+    // ============================================================================
+    // DUAL BANNERS (--channel dual)
+    // ============================================================================
+
+    if (CLI_OPTIONS.channel === "dual") {
+        const dual = runDualSimulation({
+            ...context,
+            targets: DUAL.targets,
+            order: DUAL.order ? parseDualOrder(DUAL.order) : null
+        });
+        const iterations = dual.iterations;
+        const names = dual.targets.map(target => target.name);
+
+        console.log(`\nDual banners: ${formatDualOrder(dual.order, names)}, pulls: ${context.p} ${includeRefunds ? `(+${dual.avgRefunds} from refunds on average)` : ''}${context.seed ? ` [seed ${context.seed}]` : ''}`);
+        for (const banner of dual.banners) {
+            console.log(`    ${`${banner.label} ${banner.target}`.padEnd(20)} : ${toPercentage(banner.hits, iterations)}`);
+        }
+        console.log(`    ${'Both targets'.padEnd(20)} : ${toPercentage(dual.both, iterations)}`);
+
+        console.log(`\nJoint outcomes:`);
+        for (const { labels, count } of dual.joint) {
+            console.log(`    ${labels.padEnd(36)} : ${Math.round(count).toString().padStart(7)} - ${toPercentage(count, iterations)}`);
+        }
+        console.log(`${dual.avgP} average pulls executed in pursuit of both targets`);
+        return;
+    }
+
+    // ============================================================================
+    // TACTIC OPTIMIZER (--optimize)
+    // ============================================================================
+
+    if (CLI_OPTIONS.optimize && isLimited) {
+        const optimized = optimizeTactic(context, UTILITY, { engine: CLI_OPTIONS.engine });
+        const isChance = UTILITY.type === UTILITIES.AT_LEAST;
+        const score = (value) => isChance ? `${(value * 100).toFixed(2).padStart(6)}%` : `${value.toFixed(3).padStart(6)} copies`;
+        const utilityName = isChance ? `chance of at least ${toLabel(UTILITY.c, UTILITY.w)}`
+            : `expected character copies with W${UTILITY.w}`;
+
+        console.log(`\nPull orders for ${toLabel(context.c, context.w)} with ${context.p} pulls, by ${utilityName} [${CLI_OPTIONS.engine}, ${optimized.iterations} runs each]`);
+        for (const candidate of optimized.ranked.slice(0, 10)) {
+            console.log(`    ${candidate.label.padEnd(32)} : ${score(candidate.score)}${candidate.tactic ? ` (${candidate.tactic})` : ''}`);
+        }
+        const gain = isChance ? `${(optimized.gain * 100).toFixed(2)} percentage points` : `${optimized.gain.toFixed(3)} copies`;
+        console.log(optimized.recommended.tactic
+            ? `\nRecommended: ${optimized.recommended.label} (${optimized.recommended.tactic}, no other order does better beyond sampling noise)`
+            : `\nRecommended: ${optimized.recommended.label} (+${gain} over the best default)`);
+        return;
+    }
+
+    // ============================================================================
+    // PULLS NEEDED (--needed)
+    // ============================================================================
+
+    if (CLI_OPTIONS.needed) {
+        // Exact unless the sampled engine was asked for (Standard, Bangboo and refunds are always sampled)
+        const exact = isLimited && !context.refunds;
+        const engine = exact && !process.argv.includes('--engine') ? ENGINES.EXACT
+            : exact ? CLI_OPTIONS.engine : ENGINES.SAMPLED;
+        const needed = runPullsNeeded(context, engine);
+        const targetName = context.tactic === TACTICS.STANDARD ? `${context.target} M${context.c - 1}`
+            : context.tactic === TACTICS.BANGBOO ? `S-Rank Bangboo x${context.c}`
+            : toLabel(context.c, context.w);
+        console.log(`\nPulls needed for ${targetName} from pity [${context.pity.join(', ')}] [${engine}]`);
+        for (const { level, pulls } of needed.thresholds) {
+            console.log(`    ${(level * 100).toFixed(0).padStart(2)}% : ${pulls === null ? `> ${needed.max}` : pulls}`);
+        }
+        if (needed.mean !== null) console.log(`    Average: ${needed.mean.toFixed(1)} pulls`);
+
+        // Boopons cannot be bought
+        if (CLI_OPTIONS.cost && context.tactic !== TACTICS.BANGBOO) {
+            const owned = {
+                polychrome: HOLDINGS.polychrome + (projection ? projection.polychrome : 0),
+                tapes: HOLDINGS.tapes + (projection ? projection.tapes : 0)
+            };
+            const spend = estimateSpend(needed, owned, PRICING);
+            const money = cents => cents === null ? 'n/a' : formatCost(cents, PRICING);
+            console.log(`\nReal-money cost beyond ${owned.polychrome} Polychrome and ${owned.tapes} tapes:`);
+            console.log(`    Expected : ${money(spend.expected)}`);
+            console.log(`    Median   : ${money(spend.median)}`);
+            console.log(`    90%      : ${money(spend.p90)}`);
+            console.log(`    Free     : ${(spend.free * 100).toFixed(1)}% chance the target needs no top-up`);
+            for (const { level, cents, purchases } of spend.thresholds) {
+                if (cents === null || purchases.length === 0) continue;
+                console.log(`    ${(level * 100).toFixed(0).padStart(2)}% buys : ${purchases.map(purchase => `${purchase.count}x ${purchase.name}`).join(', ')}`);
+            }
+        }
+
+        console.log(`\nCumulative chance by pulls:`);
+        for (let n = 10; n < needed.cdf.length; n += 10) {
+            console.log(`    ${n.toString().padStart(4)} : ${(needed.cdf[n] * 100).toFixed(1).padStart(5)}%`);
+            if (needed.cdf[n] >= 0.9999) break;
+        }
+        return;
+    }
 
     // ============================================================================
     // RUN SIMULATION
     // ============================================================================
     
-    const results = runBatchSimulation(context);
-    const { target, s_limited, s_standard, a_featured, mean, stddev, avgA, avgP } = results;
+    // Convergence mode (--tolerance): sample until the confidence intervals are narrow enough
+    if (CLI_OPTIONS.tolerance) {
+        context.convergence = { tolerance: CLI_OPTIONS.tolerance / 100 };
+        if (CLI_OPTIONS.timeBudget) context.convergence.timeBudgetMs = CLI_OPTIONS.timeBudget * 1000;
+    }
+    const results = runDistribution(context, CLI_OPTIONS.engine);
+    const { target, s_limited, s_standard, a_featured, mean, stddev, avgA, avgP, avgRefunds, intervals, convergence } = results;
 
     // ============================================================================
     // OUTPUT RESULTS
     // ============================================================================
     
-    console.log(`\nTarget S-Rank: ${target}, pulls: ${context.p} ${includeRefunds ? '(including A-rank refunds)' : ''}`);
+    const targetName = context.tactic === TACTICS.STANDARD ? `${context.target} `
+        : context.tactic === TACTICS.CUSTOM ? `${formatPullOrder(context.order)} = ` : '';
+    if (history) {
+        console.log(`\nPull history ${CLI_OPTIONS.history}: pity [${context.pity.join(', ')}], guarantees [${context.guarantees.join(', ')}]`);
+    }
+    if (projection && context.tactic !== TACTICS.BANGBOO) {
+        console.log(`\nProjected income until ${INCOME.end}: +${projection.polychrome} polychrome, +${projection.tapes} tapes`);
+        for (const source of projection.breakdown) {
+            if (source.polychrome || source.tapes) console.log(`    ${source.name.padEnd(28)} : ${source.polychrome}${source.tapes ? ` + ${source.tapes} tapes` : ""}`);
+        }
+    }
+    console.log(`\nTarget S-Rank: ${targetName}${target}, pulls: ${context.p} ${includeRefunds ? `(+${avgRefunds} from refunds on average)` : ''} [${CLI_OPTIONS.engine}${context.seed ? `, seed ${context.seed}` : ''}]`);
+    if (convergence) {
+        console.log(`${results.iterations} runs, ${convergence.converged ? 'converged to' : 'stopped short of'} ± ${CLI_OPTIONS.tolerance}%`);
+    }
     
     for (const key in s_limited) {
-        if (s_limited[key] == 0) continue;
-        console.log(`    ${key} : ${s_limited[key].toString().padStart(7)} - ${toPercentage(s_limited[key])}`);
+        if (Math.round(s_limited[key]) == 0) continue;
+        console.log(`    ${key} : ${Math.round(s_limited[key]).toString().padStart(7)} - ${toPercentage(s_limited[key], results.iterations, intervals && intervals.s_limited[key])}`);
     }
 
     if (showStandardWins) {
         console.log(`\nBonus S-Rank Stats:`);
     }
     for (const key in s_standard) {
-        if (s_standard[key] == 0) continue;
+        if (Math.round(s_standard[key]) == 0) continue;
         if (showStandardWins) {
-            console.log(`    ${key} : ${s_standard[key].toString().padStart(7)} - ${toPercentage(s_standard[key])}`);
+            console.log(`    ${key} : ${Math.round(s_standard[key]).toString().padStart(7)} - ${toPercentage(s_standard[key], results.iterations, intervals && intervals.s_standard[key])}`);
         }
     }
 
+    if (results.s_agents) {
+        console.log(`\nStandard Agent Copies (average, chance of at least one):`);
+        for (const name in results.s_agents) {
+            const copies = results.s_agents[name];
+            let expected = 0;
+            for (const count in copies) expected += count * copies[count];
+            const owned = results.iterations - (copies[0] || 0);
+            console.log(`    ${name.padEnd(10)} : ${(expected / results.iterations).toFixed(2).padStart(7)} - ${toPercentage(owned, results.iterations)}`);
+        }
+        if (!context.selectorUsed) {
+            console.log(`    Selector spent on ${context.target}: ${toPercentage(results.selectorRuns, results.iterations).trim()}`);
+        }
+    }
+
+    if (results.a_targets) {
+        console.log(`\nFeatured A-Rank Targets (${context.featuredA.join(', ')} share the featured A-rank odds):`);
+        for (const t of results.a_targets) {
+            console.log(`    ${`${t.name} ${t.target}`.padEnd(14)} : ${toPercentage(t.hits, results.iterations)} (from ${toAgentLabel(t.current)})`);
+        }
+        console.log(`    ${`${target} + A-Rank`.padEnd(14)} : ${toPercentage(results.joint, results.iterations)}`);
+    }
+
     if (showDistributionA) {
         console.log(`\nBonus A-Rank Stats:`);
     }
     for (const key in a_featured) {
-        if (a_featured[key] == 0) continue;
+        if (Math.round(a_featured[key]) == 0) continue;
         if (showDistributionA) {
-            console.log(`    ${key.padEnd(3)} : ${a_featured[key].toString().padStart(7)} - ${toPercentage(a_featured[key])}`);
+            console.log(`    ${key.padEnd(3)} : ${Math.round(a_featured[key]).toString().padStart(7)} - ${toPercentage(a_featured[key], results.iterations)}`);
+        }
+    }
+
+    // Exact odds have no per-run pull numbers
+    if (showMilestones && results.milestones) {
+        const [p25, median, p75] = [0.25, 0.5, 0.75].map(level => MILESTONE_PERCENTILES.indexOf(level));
+        console.log(`\nMilestones (pull number when reached: median, middle half; pulls left of ${context.p}):`);
+        for (const m of results.milestones) {
+            const pulls = `pull ${m.percentiles[median]} (${m.percentiles[p25]}-${m.percentiles[p75]})`;
+            console.log(`    ${m.milestone.padEnd(3)} : ${pulls.padEnd(20)} ${Math.max(context.p - m.percentiles[median], 0).toString().padStart(4)} left - reached in ${toPercentage(m.reached, results.iterations).trim()}`);
         }
     }
 
@@ -2,13 +2,19 @@
  * Team Builder for Zenless Zone Zero
  * 
  * Generates valid team combinations based on unit join conditions.
+ *
+ * Usage: node teams.js [--explain]
+ *
+ * --explain lists under each team why each member may join it.
  */
 
 async function main() {
     // Dynamic imports for ES modules
     const { default: allUnits } = await import('./app/public/data/units.json', { with: { type: 'json' } });
     const { default: myRoster } = await import('./roster.json', { with: { type: 'json' } });
-    const { getTeams } = await import('./app/public/lib/team-builder.js');
+    const { getTeams, describeJoin } = await import('./app/public/lib/team-builder.js');
+
+    const explain = process.argv.includes('--explain');
 
     // Filter to personal roster (or use allUnits for full roster)
     const units = allUnits.filter(u => myRoster.hasOwnProperty(u.name));
@@ -100,7 +106,12 @@ async function main() {
 
     console.log("Total possible teams:         " + Object.keys(teams).length);
     console.log("Filtered teams per criteria:  " + roster.size);
-    [...roster.keys()].forEach(label => console.log("  " + label));
+    [...roster.keys()].forEach(label => {
+        console.log("  " + label);
+        if (explain) {
+            roster.get(label).joins.forEach(join => console.log("      " + describeJoin(join)));
+        }
+    });
 }
 
 main().catch(console.error);